@@ -2,10 +2,16 @@
  * ChallengeDefinitions - Data for all Act 1 challenges
  *
  * Contains challenge metadata: titles, descriptions, validators, star requirements
+ * and, for fix-it puzzles, a starterCircuit the challenge opens with.
+ * allowedParts is the catalogue of resistor and capacitor values a challenge
+ * offers (see PartValues, STANDARD_PARTS when missing), allowedChemistries
+ * limits which battery cells it accepts (all cells when missing), and keepBurnout keeps burnt-out LEDs dead when
+ * the simulation stops (they are repaired when missing)
  * Separated from ChallengeSystem for better organization and maintainability
  */
 
 import { ChallengeValidators } from './ChallengeValidators.js'
+import { E6_PARTS } from '../engine/PartValues.js'
 
 export function getChallengeDefinitions() {
   return [
@@ -37,10 +43,12 @@ export function getChallengeDefinitions() {
       id: 'current-control',
       act: 1,
       title: '3. Current Control',
-      description: 'Your LED is TOO bright now! Add a resistor to control the current and protect your LED from burning out.',
+      description: 'Your LED is TOO bright now! Add a resistor to control the current and protect your LED from burning out. Select the resistor to pick its value.',
       unlocked: false,
       completed: false,
+      allowedParts: E6_PARTS,
       validator: (circuit) => ChallengeValidators.validateCurrentControl(circuit),
+      keepBurnout: true, // A cooked LED has to be replaced
       stars: { optimalComponents: 4 }
     },
     // 4. Introduce Light Bulb
@@ -161,16 +169,16 @@ export function getChallengeDefinitions() {
       validator: (circuit) => ChallengeValidators.validateLEDArray(circuit),
       stars: { optimalComponents: 12 } // 3 batteries + 9 LEDs
     },
-    // 14. Resistor Chain
+    // 14. Voltage Divider
     {
       id: 'voltage-divider',
       act: 1,
-      title: '14. Resistor Chain',
-      description: 'Connect 2 resistors in series with batteries and an LED. More resistance = less current. See how multiple resistors work together!',
+      title: '14. Voltage Divider',
+      description: 'Wire a potentiometer across 3 batteries and run an LED from its wiper. Start the circuit, then drag the knob until the LED glows Dim - not Faint, not Bright!',
       unlocked: false,
       completed: false,
       validator: (circuit) => ChallengeValidators.validateVoltageDivide(circuit),
-      stars: { optimalComponents: 6 }
+      stars: { optimalComponents: 5 } // 3 batteries + pot + LED
     },
 
     // === BATTERIES: Longevity and Efficiency (15, 17, 19-20, 28-29) ===
@@ -192,9 +200,10 @@ export function getChallengeDefinitions() {
       id: 'rc-timing',
       act: 1,
       title: '16. RC Timing',
-      description: 'Create an RC circuit! Connect a battery, resistor, and capacitor with an LED. Learn how resistance and capacitance work together - the RC time constant determines charging speed!',
+      description: 'Create an RC circuit! Connect a battery, resistor, and capacitor with an LED. Learn how resistance and capacitance work together - the RC time constant determines charging speed! Select a part to change its value.',
       unlocked: false,
       completed: false,
+      allowedParts: E6_PARTS,
       validator: (circuit) => ChallengeValidators.validateRCTiming(circuit),
       stars: { optimalComponents: 5 }
     },
@@ -298,6 +307,7 @@ export function getChallengeDefinitions() {
       description: 'Build a resistor ladder network with 3+ resistors in series to create precise voltage steps.',
       unlocked: false,
       completed: false,
+      allowedParts: E6_PARTS,
       validator: (circuit) => ChallengeValidators.validateResistorLadder(circuit),
       stars: { optimalComponents: 6 }
     },
@@ -363,6 +373,81 @@ export function getChallengeDefinitions() {
       goalTime: 60,
       validator: (circuit) => ChallengeValidators.validateMasterInventor(circuit),
       stars: { optimalComponents: 15, optimalTime: 60 }
+    },
+
+    // === POLARITY: Which Way Round? (31-32) ===
+    // 31. Fix a backwards LED (starts from a broken circuit)
+    {
+      id: 'wrong-way-round',
+      act: 1,
+      title: '31. Why Won\'t It Light?',
+      description: 'This circuit looks complete, but the LED stays dark. LEDs only let current through one way: from + (anode) to - (cathode). Find the problem and fix it!',
+      unlocked: false,
+      completed: false,
+      validator: (circuit) => ChallengeValidators.validateWrongWayRound(circuit),
+      stars: { optimalComponents: 3 }, // 2 batteries + 1 LED
+      starterCircuit: {
+        components: [
+          { id: 1, type: 'battery', x: 200, y: 200, charge: 1.0, voltage: 0.9, terminals: ['-', '+'] },
+          { id: 2, type: 'battery', x: 350, y: 200, charge: 1.0, voltage: 0.9, terminals: ['-', '+'] },
+          { id: 3, type: 'led', x: 275, y: 350, brightness: 0, terminals: ['anode', 'cathode'] }
+        ],
+        wires: [
+          { id: 4, from: { componentId: 1, terminal: '+' }, to: { componentId: 2, terminal: '-' } },
+          { id: 5, from: { componentId: 2, terminal: '+' }, to: { componentId: 3, terminal: 'cathode' } },
+          { id: 6, from: { componentId: 3, terminal: 'anode' }, to: { componentId: 1, terminal: '-' } }
+        ]
+      }
+    },
+    // 32. Anti-parallel LEDs
+    {
+      id: 'one-way-street',
+      act: 1,
+      title: '32. One-Way Street',
+      description: 'Wire 2 LEDs side by side across a battery, facing opposite ways. One will glow and the other will block the current. Can you predict which?',
+      unlocked: false,
+      completed: false,
+      validator: (circuit) => ChallengeValidators.validateOneWayStreet(circuit),
+      stars: { optimalComponents: 3 } // 1 battery + 2 LEDs
+    },
+
+    // === CHEMISTRY: Other Cells (33-34) ===
+    // 33. Lemon cells only
+    {
+      id: 'lemon-aid',
+      act: 1,
+      title: '33. Lemon Aid',
+      description: 'Out of potatoes! Lemons make batteries too - a bit more voltage, but they run down sooner. Light an LED using only lemon cells.',
+      unlocked: false,
+      completed: false,
+      allowedChemistries: ['lemon'],
+      validator: (circuit) => ChallengeValidators.validateLemonAid(circuit),
+      stars: { optimalComponents: 2 } // 1 lemon + 1 LED
+    },
+    // 34. Saltwater jars only - internal resistance
+    {
+      id: 'salt-jar',
+      act: 1,
+      title: '34. Salt Jar',
+      description: 'Saltwater jars last ages, but they are weak and sag badly under a heavy load. Light a bulb using only saltwater jars - you\'ll need more than the numbers suggest!',
+      unlocked: false,
+      completed: false,
+      allowedChemistries: ['saltwater'],
+      validator: (circuit) => ChallengeValidators.validateSaltJar(circuit),
+      stars: { optimalComponents: 6 } // 5 jars + 1 bulb
+    },
+
+    // === MOTION: Make It Move (35) ===
+    // 35. Spin a motor up to speed
+    {
+      id: 'spin-it-up',
+      act: 1,
+      title: '35. Spin It Up',
+      description: 'Create a simple motor and watch it spin! Motors turn faster with more voltage. Get yours up to 1500 RPM.',
+      unlocked: false,
+      completed: false,
+      validator: (circuit) => ChallengeValidators.validateMotorRPM(circuit, 1500),
+      stars: { optimalComponents: 4 } // 3 batteries + 1 motor
     }
   ]
 }
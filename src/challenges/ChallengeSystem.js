@@ -7,12 +7,16 @@
 
 import { TimeTracker } from './TimeTracker.js'
 import { getChallengeDefinitions } from './ChallengeDefinitions.js'
+import { migrateWires } from '../engine/Terminals.js'
+import { DEFAULT_CHEMISTRY, getChemistry } from '../engine/CellChemistry.js'
+import { STANDARD_PARTS, isPartAllowed, getPartValue, formatPartValue } from '../engine/PartValues.js'
 
 export class ChallengeSystem {
   constructor() {
     this.challenges = getChallengeDefinitions()
     this.timeTracker = new TimeTracker()
     this.lastActiveId = null
+    this.muted = false
     this.loadProgress() // Load saved progress
   }
 
@@ -29,6 +33,41 @@ export class ChallengeSystem {
     return this.challenges.find(c => c.id === id)
   }
 
+  /**
+   * Get the cell chemistries a challenge accepts
+   * @param {string} challengeId - Challenge id
+   * @returns {Array<string>|null} Chemistry ids, or null when any cell is fine
+   */
+  getAllowedChemistries(challengeId) {
+    return this.getChallenge(challengeId)?.allowedChemistries || null
+  }
+
+  /**
+   * Get the resistor and capacitor values a challenge offers
+   * @param {string} challengeId - Challenge id
+   * @returns {Object} Catalogue { resistor: [ohms], capacitor: [farads] }
+   */
+  getAllowedParts(challengeId) {
+    return this.getChallenge(challengeId)?.allowedParts || STANDARD_PARTS
+  }
+
+  /**
+   * Check whether the player turned the sound off (saved with progress)
+   * @returns {boolean} True when muted
+   */
+  isMuted() {
+    return this.muted
+  }
+
+  /**
+   * Turn the sound off or back on, remembered across visits
+   * @param {boolean} muted - True to mute
+   */
+  setMuted(muted) {
+    this.muted = muted
+    this.saveProgress()
+  }
+
   getActiveChallenge() {
     // If a specific challenge is selected, return that (if unlocked)
     if (this.lastActiveId) {
@@ -70,7 +109,7 @@ export class ChallengeSystem {
       return { success: false, message: 'Challenge is locked' }
     }
 
-    const result = challenge.validator(circuit)
+    const result = evaluateChallenge(challenge, circuit)
 
     // For manual-start time challenges, success means "ready to start timer", not "completed"
     if (result.success && !challenge.requiresManualStart) {
@@ -95,37 +134,23 @@ export class ChallengeSystem {
 
   // Time tracking methods
 
-  updateTimeTracking(circuit) {
+  /**
+   * Advance the active timed challenge by one step of simulated time
+   * @param {boolean} conditionMet - Whether its condition held after the step
+   *   (see isChallengeConditionMet - the simulation worker checks it)
+   * @param {number} deltaTime - Simulated seconds the step covered
+   */
+  updateTimeTracking(conditionMet, deltaTime) {
     const activeChallenge = this.getActiveChallenge()
 
     if (!activeChallenge || !activeChallenge.requiresTime) {
       return
     }
 
-    // For challenges requiring manual start, don't auto-start timer
-    if (activeChallenge.requiresManualStart && !this.timeTracker.running) {
-      return
-    }
-
-    // Check if condition is met for time-based challenge
-    const validationResult = activeChallenge.validator(circuit)
-    const conditionMet = validationResult.success || validationResult.tracking
-
-    const wasRunning = this.timeTracker.running
-
-    if (!this.timeTracker.running && conditionMet) {
-      this.timeTracker.start()
-    } else if (!conditionMet && this.timeTracker.running) {
-      // Challenge failed - condition was met but is no longer met
-      this.timeTracker.failed = true
-      this.timeTracker.stop()
-      return
-    }
-
-    this.timeTracker.update(() => conditionMet)
+    this.timeTracker.track(conditionMet, deltaTime, activeChallenge.requiresManualStart)
 
     // Check if goal time reached
-    if (this.timeTracker.hasReachedGoal(activeChallenge.goalTime)) {
+    if (this.timeTracker.running && this.timeTracker.hasReachedGoal(activeChallenge.goalTime)) {
       activeChallenge.completed = true
       this.unlockNextChallenge(activeChallenge.id)
       this.timeTracker.stop()
@@ -154,7 +179,8 @@ export class ChallengeSystem {
         unlocked: c.unlocked
       })),
       lastActiveId: this.lastActiveId,
-      circuits: this.circuits || {}
+      circuits: this.circuits || {},
+      muted: this.muted
     }
     localStorage.setItem('circuitQuestProgress', JSON.stringify(progress))
   }
@@ -169,7 +195,9 @@ export class ChallengeSystem {
 
   loadCircuit(challengeId) {
     if (!this.circuits || !this.circuits[challengeId]) {
-      return null
+      // Fix-it puzzles start from a prepared (broken) circuit
+      const starter = this.getChallenge(challengeId)?.starterCircuit
+      return starter ? JSON.parse(JSON.stringify(starter)) : null
     }
     return this.circuits[challengeId]
   }
@@ -192,6 +220,12 @@ export class ChallengeSystem {
 
       this.lastActiveId = progress.lastActiveId
       this.circuits = progress.circuits || {}
+      this.muted = progress.muted === true
+
+      // Older saves wired component centres - convert to terminal wires
+      Object.values(this.circuits).forEach(circuit => {
+        circuit.wires = migrateWires(circuit.components || [], circuit.wires || [])
+      })
     } catch (error) {
       console.error('Failed to load progress:', error)
     }
@@ -208,3 +242,64 @@ export class ChallengeSystem {
   }
 
 }
+
+/**
+ * Check a circuit against a challenge's rules and validator
+ * @param {Object} challenge - Challenge definition
+ * @param {Object} circuit - { components, wires }
+ * @returns {Object} Validation result { success, message, tracking? }
+ */
+export function evaluateChallenge(challenge, circuit) {
+  return checkChemistries(challenge, circuit) || checkParts(challenge, circuit) || challenge.validator(circuit)
+}
+
+/**
+ * Check whether a timed challenge's condition holds (it counts towards the
+ * goal time while it does)
+ * @param {Object} challenge - Timed challenge definition
+ * @param {Object} circuit - { components, wires }
+ * @returns {boolean} True if it holds
+ */
+export function isChallengeConditionMet(challenge, circuit) {
+  const validationResult = evaluateChallenge(challenge, circuit)
+  return Boolean(validationResult.success || validationResult.tracking)
+}
+
+/**
+ * Reject circuits using cells a challenge does not allow
+ * @param {Object} challenge - Challenge definition
+ * @param {Object} circuit - { components, wires }
+ * @returns {Object|null} Failed validation result, or null when allowed
+ */
+function checkChemistries(challenge, circuit) {
+  const allowed = challenge.allowedChemistries
+  if (!allowed) return null
+
+  const disallowed = circuit.components.find(c =>
+    c.type === 'battery' && !allowed.includes(c.chemistry || DEFAULT_CHEMISTRY)
+  )
+  if (!disallowed) return null
+
+  const names = allowed.map(id => getChemistry(id).name.toLowerCase()).join(' or ')
+  return {
+    success: false,
+    message: `Only ${names} cells are allowed here - remove the ${getChemistry(disallowed.chemistry).name.toLowerCase()}!`
+  }
+}
+
+/**
+ * Reject circuits using resistor or capacitor values a challenge does not offer
+ * Saved and starter circuits, and headless runs, skip the property editor.
+ * @param {Object} challenge - Challenge definition
+ * @param {Object} circuit - { components, wires }
+ * @returns {Object|null} Failed validation result, or null when allowed
+ */
+function checkParts(challenge, circuit) {
+  const disallowed = circuit.components.find(c => !isPartAllowed(challenge.allowedParts, c))
+  if (!disallowed) return null
+
+  return {
+    success: false,
+    message: `This challenge has no ${formatPartValue(disallowed.type, getPartValue(disallowed))} ${disallowed.type} - pick a value it offers!`
+  }
+}
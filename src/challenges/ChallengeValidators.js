@@ -1,8 +1,9 @@
 /**
  * ChallengeValidators - Re-exports validator functions
  *
- * Aggregates validators from BasicValidators and AdvancedValidators
- * for convenient import. Split into two modules for better organization.
+ * Aggregates validators from BasicValidators, AdvancedValidators,
+ * PolarityValidators, ChemistryValidators and MotorValidators for
+ * convenient import. Split into modules for better organization.
  *
  * Each validator receives a circuit object and returns:
  * { success: boolean, message: string, tracking?: boolean }
@@ -10,8 +11,14 @@
 
 import { BasicValidators } from './validators/BasicValidators.js'
 import { AdvancedValidators } from './validators/AdvancedValidators.js'
+import { PolarityValidators } from './validators/PolarityValidators.js'
+import { ChemistryValidators } from './validators/ChemistryValidators.js'
+import { MotorValidators } from './validators/MotorValidators.js'
 
 export const ChallengeValidators = {
   ...BasicValidators,
-  ...AdvancedValidators
+  ...AdvancedValidators,
+  ...PolarityValidators,
+  ...ChemistryValidators,
+  ...MotorValidators
 }
@@ -3,6 +3,10 @@
  *
  * Used for challenges requiring time-based validation
  * (e.g., "Keep LED lit for 60 seconds")
+ *
+ * Time is simulated time: the caller passes how far the simulation has
+ * advanced on each update, so timers run at the simulation's speed
+ * (paused, slowed or fast-forwarded) and never depend on the wall clock.
  */
 
 export class TimeTracker {
@@ -10,38 +14,30 @@ export class TimeTracker {
     this.running = false
     this.elapsedTime = 0
     this.conditionTime = 0
-    this.lastUpdateTime = null
     this.failed = false
   }
 
   start() {
     this.running = true
-    this.lastUpdateTime = Date.now()
   }
 
   stop() {
     this.running = false
-    this.lastUpdateTime = null
   }
 
   reset() {
     this.elapsedTime = 0
     this.conditionTime = 0
-    this.lastUpdateTime = this.running ? Date.now() : null
   }
 
-  update(condition = null) {
+  /**
+   * Advance the timer by a tick of simulated time
+   * @param {number} deltaTime - Simulated seconds since the last update
+   * @param {Function} condition - Returns true while the challenge condition holds (optional)
+   */
+  update(deltaTime, condition = null) {
     if (!this.running) return
 
-    const now = Date.now()
-    if (this.lastUpdateTime === null) {
-      this.lastUpdateTime = now
-      return
-    }
-
-    const deltaTime = (now - this.lastUpdateTime) / 1000
-    this.lastUpdateTime = now
-
     this.elapsedTime += deltaTime
 
     // Track condition time if condition provided
@@ -50,6 +46,29 @@ export class TimeTracker {
     }
   }
 
+  /**
+   * Advance a timed challenge by one simulation step
+   * The timer starts once the condition holds and fails if it is lost.
+   * @param {boolean} conditionMet - Whether the condition held after the step
+   * @param {number} deltaTime - Simulated seconds the step covered
+   * @param {boolean} manualStart - The player starts the timer, so never auto-start it
+   */
+  track(conditionMet, deltaTime, manualStart = false) {
+    // For challenges requiring manual start, don't auto-start timer
+    if (manualStart && !this.running) return
+
+    if (!this.running && conditionMet) {
+      this.start()
+    } else if (!conditionMet && this.running) {
+      // Challenge failed - condition was met but is no longer met
+      this.failed = true
+      this.stop()
+      return
+    }
+
+    this.update(deltaTime, () => conditionMet)
+  }
+
   getElapsedTime() {
     return this.elapsedTime
   }
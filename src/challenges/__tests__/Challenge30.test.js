@@ -2,11 +2,11 @@ import { describe, it, expect } from 'vitest'
 import { ChallengeSystem } from '../ChallengeSystem'
 
 describe('ChallengeSystem - 30 Challenges', () => {
-  it('should load all 30 Act 1 challenges', () => {
+  it('should load all 35 Act 1 challenges (30 + 2 polarity + 2 chemistry + 1 motor)', () => {
     const system = new ChallengeSystem()
     const challenges = system.getChallenges()
 
-    expect(challenges.length).toBe(30)
+    expect(challenges.length).toBe(35)
   })
 
   it('should have challenge 1 unlocked by default', () => {
@@ -18,11 +18,11 @@ describe('ChallengeSystem - 30 Challenges', () => {
     expect(firstChallenge.completed).toBe(false)
   })
 
-  it('should have all challenges 2-30 locked initially', () => {
+  it('should have all challenges 2-35 locked initially', () => {
     const system = new ChallengeSystem()
     const challenges = system.getChallenges()
 
-    for (let i = 1; i < 30; i++) {
+    for (let i = 1; i < challenges.length; i++) {
       expect(challenges[i].unlocked).toBe(false)
     }
   })
@@ -2,6 +2,7 @@ import { describe, it, expect } from 'vitest'
 import { CircuitSimulator } from '../../engine/CircuitSimulator'
 import { ChallengeValidators } from '../ChallengeValidators'
 import { ComponentFactory } from '../../utils/ComponentFactory'
+import { ChallengeSystem } from '../ChallengeSystem'
 
 describe('Challenge Solutions - Verify all challenges are solvable', () => {
   // Challenge 1: First Light
@@ -74,6 +75,34 @@ describe('Challenge Solutions - Verify all challenges are solvable', () => {
     expect(led.brightness).toBeLessThan(1.0)
   })
 
+  // Challenge 3 offers E6 resistors: too small a value leaves the LED overdriven
+  it('Challenge 3: Current Control - picked resistor value sets the brightness', () => {
+    const solve = (resistance) => {
+      const simulator = new CircuitSimulator()
+      const batteries = [1, 2, 3].map(id => ComponentFactory.createBattery(id))
+      const resistor = ComponentFactory.createResistor(4, resistance)
+      const led = ComponentFactory.createLED(5)
+
+      simulator.setComponents([...batteries, resistor, led])
+      simulator.setWires([
+        { id: 6, from: 1, to: 2 },
+        { id: 7, from: 2, to: 3 },
+        { id: 8, from: 3, to: 4 },
+        { id: 9, from: 4, to: 5 }
+      ])
+      simulator.simulate(0.1)
+
+      return ChallengeValidators.validateCurrentControl({ components: simulator.components })
+    }
+
+    const allowed = new ChallengeSystem().getAllowedParts('current-control').resistor
+    expect(allowed).toContain(10)
+    expect(allowed).toContain(220)
+
+    expect(solve(10).message).toContain('too bright')
+    expect(solve(220).success).toBe(true)
+  })
+
   // Challenge 4: Warm Glow
   it('Challenge 4: Warm Glow - power a light bulb', () => {
     const simulator = new CircuitSimulator()
@@ -196,7 +225,7 @@ describe('Challenge Solutions - Verify all challenges are solvable', () => {
 
     expect(result.success).toBe(true)
     expect(capacitor.voltage).toBeGreaterThan(0.5)
-    expect(led.brightness).toBeGreaterThan(0.3)
+    expect(led.brightness).toBeGreaterThan(0.1)
   })
 
   // Challenge 10: Capacitor Bank
@@ -456,39 +485,49 @@ describe('Challenge Solutions - Verify all challenges are solvable', () => {
     expect(litLEDs.length).toBeGreaterThanOrEqual(9)
   })
 
-  // Challenge 14: Voltage Divider - 2 resistors in series with LED
-  it('Challenge 14: Voltage Divider - resistor voltage division', () => {
+  // Challenge 14: Voltage Divider - potentiometer across batteries, LED on the wiper
+  const buildVoltageDivider = (position) => {
     const simulator = new CircuitSimulator()
+    const end = (componentId, terminal) => ({ componentId, terminal })
 
-    // Need 3+ batteries for LED brightness >= 0.05
-    const batteries = Array.from({ length: 3 }, (_, i) => ({
-      id: i + 1,
-      type: 'battery',
-      charge: 1.0,
-      voltage: 0.9
-    }))
-    const resistor1 = ComponentFactory.createResistor(10)
-    const resistor2 = ComponentFactory.createResistor(11)
-    const led = ComponentFactory.createLED(12)
+    const batteries = Array.from({ length: 3 }, (_, i) => ComponentFactory.createBattery(i + 1))
+    const pot = ComponentFactory.createPotentiometer(10, position)
+    const led = ComponentFactory.createLED(11)
 
-    simulator.setComponents([...batteries, resistor1, resistor2, led])
-    const wires = batteries.slice(0, -1).map((b, i) => ({
-      id: 20 + i,
-      from: b.id,
-      to: batteries[i + 1].id
-    }))
-    wires.push({ id: 30, from: batteries[batteries.length - 1].id, to: resistor1.id })
-    wires.push({ id: 31, from: resistor1.id, to: resistor2.id })
-    wires.push({ id: 32, from: resistor2.id, to: led.id })
-    simulator.setWires(wires)
+    simulator.setComponents([...batteries, pot, led])
+    simulator.setWires([
+      ...batteries.slice(1).map((b, i) => ({ id: 20 + i, from: end(i + 1, '+'), to: end(b.id, '-') })),
+      { id: 30, from: end(3, '+'), to: end(10, 'a') },
+      { id: 31, from: end(10, 'b'), to: end(1, '-') },
+      { id: 32, from: end(10, 'wiper'), to: end(11, 'anode') },
+      { id: 33, from: end(11, 'cathode'), to: end(1, '-') }
+    ])
     simulator.simulate(0.1)
 
+    return { simulator, led }
+  }
+
+  it('Challenge 14: Voltage Divider - wiper turned to dim the LED', () => {
+    const { simulator, led } = buildVoltageDivider(0.25)
+
     const result = ChallengeValidators.validateVoltageDivide({
       components: simulator.components
     })
 
     expect(result.success).toBe(true)
-    expect(led.brightness).toBeGreaterThanOrEqual(0.05)
+    expect(led.brightness).toBeGreaterThan(0.3)
+    expect(led.brightness).toBeLessThanOrEqual(0.7)
+  })
+
+  it('Challenge 14: Voltage Divider - knob left in the middle is too faint', () => {
+    const { simulator } = buildVoltageDivider(0.5)
+
+    const result = ChallengeValidators.validateVoltageDivide({
+      components: simulator.components
+    })
+
+    expect(result.success).toBe(false)
+    expect(result.message).toContain('Too faint')
   })
 
   // Challenge 16: RC Timing - capacitor + resistor + LED
@@ -1024,4 +1063,118 @@ describe('Challenge Solutions - Verify all challenges are solvable', () => {
     const litBulbs = bulbs.filter(bulb => bulb.brightness >= 0.2)
     expect(litLEDs.length + litBulbs.length).toBeGreaterThanOrEqual(5)
   })
+
+  // Challenge 31: Why Won't It Light? - flip the backwards LED
+  it('Challenge 31: Why Won\'t It Light? - flipping the LED fixes the starter circuit', () => {
+    const system = new ChallengeSystem()
+    const starter = system.loadCircuit('wrong-way-round')
+    const simulator = new CircuitSimulator()
+
+    simulator.setComponents(starter.components)
+    simulator.setWires(starter.wires)
+    simulator.simulate(0.1)
+
+    const led = simulator.components.find(c => c.type === 'led')
+    expect(led.reverseBiased).toBe(true)
+    expect(ChallengeValidators.validateWrongWayRound({ components: simulator.components }).success).toBe(false)
+
+    // Turn the LED round: its wires now meet the opposite terminals
+    const flip = { anode: 'cathode', cathode: 'anode' }
+    const flipEnd = end => end.componentId === led.id ? { ...end, terminal: flip[end.terminal] } : end
+    simulator.setWires(starter.wires.map(w => ({ ...w, from: flipEnd(w.from), to: flipEnd(w.to) })))
+    simulator.simulate(0.1)
+
+    const result = ChallengeValidators.validateWrongWayRound({ components: simulator.components })
+
+    expect(result.success).toBe(true)
+    expect(led.brightness).toBeGreaterThan(0.1)
+  })
+
+  // Challenge 32: One-Way Street - anti-parallel LEDs
+  it('Challenge 32: One-Way Street - one LED glows, the reversed one blocks', () => {
+    const simulator = new CircuitSimulator()
+
+    const battery = ComponentFactory.createBattery(1)
+    const led1 = ComponentFactory.createLED(2)
+    const led2 = ComponentFactory.createLED(3)
+    const end = (componentId, terminal) => ({ componentId, terminal })
+
+    simulator.setComponents([battery, led1, led2])
+    simulator.setWires([
+      { id: 4, from: end(1, '+'), to: end(2, 'anode') },
+      { id: 5, from: end(2, 'cathode'), to: end(1, '-') },
+      { id: 6, from: end(1, '+'), to: end(3, 'cathode') },
+      { id: 7, from: end(3, 'anode'), to: end(1, '-') }
+    ])
+    simulator.simulate(0.1)
+
+    const result = ChallengeValidators.validateOneWayStreet({
+      components: simulator.components
+    })
+
+    expect(result.success).toBe(true)
+    expect(led1.brightness).toBeGreaterThan(0.1)
+    expect(led2.brightness).toBe(0)
+    expect(led2.reverseBiased).toBe(true)
+  })
+  // Challenge 33: Lemon Aid - one lemon lights an LED
+  it('Challenge 33: Lemon Aid - a single lemon cell lights an LED', () => {
+    const simulator = new CircuitSimulator()
+
+    const lemon = ComponentFactory.createBattery(1, 'lemon')
+    const led = ComponentFactory.createLED(2)
+
+    simulator.setComponents([lemon, led])
+    simulator.setWires([{ id: 3, from: 1, to: 2 }])
+    simulator.simulate(0.1)
+
+    const result = ChallengeValidators.validateLemonAid({ components: simulator.components })
+
+    expect(result.success).toBe(true)
+  })
+
+  // Challenge 34: Salt Jar - sag means 4 jars are not enough for a bulb
+  it('Challenge 34: Salt Jar - 5 saltwater jars in series light the bulb, 4 sag too far', () => {
+    const buildChain = jarCount => {
+      const simulator = new CircuitSimulator()
+      const jars = Array.from({ length: jarCount }, (_, i) => ComponentFactory.createBattery(i + 1, 'saltwater'))
+      const bulb = ComponentFactory.createLightBulb(100)
+      const wires = jars.map((jar, i) => ({
+        id: 200 + i,
+        from: jar.id,
+        to: i < jarCount - 1 ? jars[i + 1].id : bulb.id
+      }))
+
+      simulator.setComponents([...jars, bulb])
+      simulator.setWires(wires)
+      simulator.simulate(0.1)
+      return ChallengeValidators.validateSaltJar({ components: simulator.components })
+    }
+
+    // 4 × 0.7V = 2.8V open-circuit, but under 2.5V at the bulb
+    expect(buildChain(4).success).toBe(false)
+    expect(buildChain(5).success).toBe(true)
+  })
+
+  // Challenge 35: Spin It Up - the motor takes a moment to reach speed
+  it('Challenge 35: Spin It Up - 3 batteries spin the motor past 1500 RPM, 2 fall short', () => {
+    const spinUp = batteryCount => {
+      const simulator = new CircuitSimulator()
+      const batteries = Array.from({ length: batteryCount }, (_, i) => ComponentFactory.createBattery(i + 1))
+      const motor = ComponentFactory.createMotor(100)
+      const end = (componentId, terminal) => ({ componentId, terminal })
+
+      simulator.setComponents([...batteries, motor])
+      simulator.setWires([
+        ...batteries.slice(1).map((battery, i) => ({ id: 200 + i, from: end(i + 1, '+'), to: end(battery.id, '-') })),
+        { id: 300, from: end(batteryCount, '+'), to: end(100, 'a') },
+        { id: 301, from: end(100, 'b'), to: end(1, '-') }
+      ])
+      for (let i = 0; i < 50; i++) simulator.simulate(0.1)
+      return ChallengeValidators.validateMotorRPM({ components: simulator.components }, 1500)
+    }
+
+    expect(spinUp(2).success).toBe(false)
+    expect(spinUp(3).success).toBe(true)
+  })
 })
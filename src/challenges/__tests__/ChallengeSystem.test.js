@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest'
-import { ChallengeSystem } from '../ChallengeSystem.js'
+import { ChallengeSystem, isChallengeConditionMet } from '../ChallengeSystem.js'
+import { DEFAULT_PART_VALUES } from '../../engine/PartValues.js'
 
 describe('ChallengeSystem', () => {
   let challengeSystem
@@ -138,4 +139,181 @@ describe('ChallengeSystem', () => {
       expect(active.id).not.toBe('first-light')
     })
   })
+
+  describe('Allowed Chemistries', () => {
+    const unlock = id => { challengeSystem.getChallenge(id).unlocked = true }
+
+    it('should accept any cell when a challenge has no restriction', () => {
+      expect(challengeSystem.getAllowedChemistries('first-light')).toBeNull()
+
+      const result = challengeSystem.validate('first-light', {
+        components: [
+          { type: 'battery', chemistry: 'saltwater', voltage: 0.7, charge: 1.0 },
+          { type: 'led', brightness: 0.8 }
+        ],
+        wires: []
+      })
+
+      expect(result.success).toBe(true)
+    })
+
+    it('should report the chemistries a challenge allows', () => {
+      expect(challengeSystem.getAllowedChemistries('lemon-aid')).toEqual(['lemon'])
+    })
+
+    it('should reject cells the challenge does not allow', () => {
+      unlock('lemon-aid')
+
+      const result = challengeSystem.validate('lemon-aid', {
+        components: [
+          { type: 'battery', voltage: 0.9, charge: 1.0 }, // A potato
+          { type: 'led', brightness: 0.8 }
+        ],
+        wires: []
+      })
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('Only lemon cells')
+      expect(result.message).toContain('potato')
+      expect(challengeSystem.getChallenge('lemon-aid').completed).toBe(false)
+    })
+
+    it('should pass with only allowed cells', () => {
+      unlock('lemon-aid')
+
+      const result = challengeSystem.validate('lemon-aid', {
+        components: [
+          { type: 'battery', chemistry: 'lemon', voltage: 0.95, charge: 1.0 },
+          { type: 'led', brightness: 0.8 }
+        ],
+        wires: []
+      })
+
+      expect(result.success).toBe(true)
+    })
+  })
+
+  describe('Allowed Parts', () => {
+    it('should offer the default values in every challenge\'s catalogue', () => {
+      challengeSystem.getChallenges().forEach(challenge => {
+        const allowedParts = challengeSystem.getAllowedParts(challenge.id)
+        expect(allowedParts.resistor).toContain(DEFAULT_PART_VALUES.resistor)
+        expect(allowedParts.capacitor).toContain(DEFAULT_PART_VALUES.capacitor)
+      })
+    })
+
+    it('should reject part values the challenge does not offer', () => {
+      const result = challengeSystem.validate('first-light', {
+        components: [
+          { type: 'battery', voltage: 0.9, charge: 1.0 },
+          { type: 'resistor', resistance: 220 },
+          { type: 'led', brightness: 0.8 }
+        ],
+        wires: []
+      })
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('220Ω resistor')
+      expect(challengeSystem.getChallenge('first-light').completed).toBe(false)
+    })
+
+    it('should pass with values from the challenge\'s catalogue', () => {
+      const result = challengeSystem.validate('first-light', {
+        components: [
+          { type: 'battery', voltage: 0.9, charge: 1.0 },
+          { type: 'resistor', resistance: 100 },
+          { type: 'capacitor', voltage: 0 },
+          { type: 'led', brightness: 0.8 }
+        ],
+        wires: []
+      })
+
+      expect(result.success).toBe(true)
+    })
+
+    it('should report the values a challenge offers', () => {
+      expect(challengeSystem.getAllowedParts('first-light').resistor).toEqual([100])
+      expect(challengeSystem.getAllowedParts('current-control').resistor).toContain(2200)
+      expect(challengeSystem.getAllowedParts('no-such-challenge').resistor).toEqual([100])
+    })
+  })
+
+  describe('Timed Challenges', () => {
+    const litBulb = { components: [{ type: 'lightbulb', brightness: 0.8 }], wires: [] }
+
+    // One simulation step with the bulb lit
+    const tick = deltaTime => challengeSystem.updateTimeTracking(
+      isChallengeConditionMet(challengeSystem.getChallenge('battery-blues'), litBulb), deltaTime)
+
+    beforeEach(() => {
+      challengeSystem.getChallenge('battery-blues').unlocked = true
+      challengeSystem.setActiveChallenge('battery-blues')
+    })
+
+    it('should time the challenge in simulated seconds', () => {
+      // 10ms physics steps: 3000 of them are 30 simulated seconds
+      for (let i = 0; i < 2999; i++) {
+        tick(0.01)
+      }
+      expect(challengeSystem.getChallenge('battery-blues').completed).toBe(false)
+
+      tick(0.01)
+
+      expect(challengeSystem.getChallenge('battery-blues').completed).toBe(true)
+    })
+
+    it('should complete as fast as the simulation is run', () => {
+      // A fast-forwarded tick covers more simulated time
+      for (let i = 0; i < 3; i++) {
+        tick(10)
+      }
+
+      expect(challengeSystem.getChallenge('battery-blues').completed).toBe(true)
+    })
+
+    it('should not advance while no simulated time passes', () => {
+      for (let i = 0; i < 100; i++) {
+        tick(0)
+      }
+
+      expect(challengeSystem.getTimeTracker().getConditionTime()).toBe(0)
+      expect(challengeSystem.getChallenge('battery-blues').completed).toBe(false)
+    })
+
+    it('should take conditions checked elsewhere, one per step', () => {
+      for (let i = 0; i < 3000; i++) {
+        challengeSystem.updateTimeTracking(true, 0.01)
+      }
+
+      expect(challengeSystem.getChallenge('battery-blues').completed).toBe(true)
+    })
+
+    it('should fail when a condition checked elsewhere is lost', () => {
+      challengeSystem.updateTimeTracking(true, 0.01)
+      challengeSystem.updateTimeTracking(false, 0.01)
+
+      expect(challengeSystem.getTimeTracker().failed).toBe(true)
+    })
+  })
+
+  describe('Sound Setting', () => {
+    it('should start with sound on', () => {
+      expect(challengeSystem.isMuted()).toBe(false)
+    })
+
+    it('should save mute alongside progress', () => {
+      challengeSystem.setMuted(true)
+
+      const progress = JSON.parse(localStorage.getItem('circuitQuestProgress'))
+      expect(progress.muted).toBe(true)
+      expect(new ChallengeSystem().isMuted()).toBe(true)
+    })
+
+    it('should keep mute when progress is saved for other reasons', () => {
+      challengeSystem.setMuted(true)
+      challengeSystem.saveCircuit('first-light', { components: [], wires: [] })
+
+      expect(new ChallengeSystem().isMuted()).toBe(true)
+    })
+  })
 })
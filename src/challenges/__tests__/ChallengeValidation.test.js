@@ -222,7 +222,7 @@ describe('Challenge Validation - New Progression', () => {
       const circuit = {
         components: [
           { id: 1, type: 'battery', voltage: 0.9 },
-          { id: 2, type: 'capacitor', voltage: 1.8, capacitance: 0.001 },
+          { id: 2, type: 'capacitor', voltage: 1.8, capacitance: 0.1 },
           { id: 3, type: 'resistor', resistance: 100 },
           { id: 4, type: 'led', brightness: 0.3 }
         ],
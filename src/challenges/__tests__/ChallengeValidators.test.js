@@ -2,13 +2,17 @@
  * ChallengeValidators.test.js - Unit tests for ChallengeValidators module
  *
  * Tests that ChallengeValidators properly re-exports all validators
- * from BasicValidators and AdvancedValidators.
+ * from BasicValidators, AdvancedValidators, PolarityValidators,
+ * ChemistryValidators and MotorValidators.
  */
 
 import { describe, it, expect } from 'vitest'
 import { ChallengeValidators } from '../ChallengeValidators.js'
 import { BasicValidators } from '../validators/BasicValidators.js'
 import { AdvancedValidators } from '../validators/AdvancedValidators.js'
+import { PolarityValidators } from '../validators/PolarityValidators.js'
+import { ChemistryValidators } from '../validators/ChemistryValidators.js'
+import { MotorValidators } from '../validators/MotorValidators.js'
 
 describe('ChallengeValidators', () => {
   describe('Re-export Aggregation', () => {
@@ -28,9 +32,29 @@ describe('ChallengeValidators', () => {
       })
     })
 
-    it('should have exactly 28 validator functions (15 basic + 13 advanced)', () => {
+    it('should export all validators from PolarityValidators', () => {
+      const polarityKeys = Object.keys(PolarityValidators)
+
+      polarityKeys.forEach(key => {
+        expect(ChallengeValidators[key]).toBe(PolarityValidators[key])
+      })
+    })
+
+    it('should export all validators from ChemistryValidators', () => {
+      Object.keys(ChemistryValidators).forEach(key => {
+        expect(ChallengeValidators[key]).toBe(ChemistryValidators[key])
+      })
+    })
+
+    it('should export all validators from MotorValidators', () => {
+      Object.keys(MotorValidators).forEach(key => {
+        expect(ChallengeValidators[key]).toBe(MotorValidators[key])
+      })
+    })
+
+    it('should have exactly 33 validator functions (15 basic + 13 advanced + 2 polarity + 2 chemistry + 1 motor)', () => {
       const validatorCount = Object.keys(ChallengeValidators).length
-      expect(validatorCount).toBe(28)
+      expect(validatorCount).toBe(33)
     })
 
     it('should export all functions as callable functions', () => {
@@ -91,4 +91,40 @@ describe('ChallengeSystem - Circuit Persistence', () => {
     // Circuit should be cleared
     expect(challengeSystem.loadCircuit('first-light')).toBeNull()
   })
+
+  it('should migrate legacy wires in saved progress to terminal wires', () => {
+    challengeSystem.saveCircuit('first-light', {
+      components: [
+        { id: 1, type: 'battery', x: 100, y: 100 },
+        { id: 2, type: 'led', x: 200, y: 100 }
+      ],
+      wires: [{ id: 1, from: 1, to: 2 }]
+    })
+
+    const reloaded = new ChallengeSystem()
+    const loaded = reloaded.loadCircuit('first-light')
+
+    // Battery + to LED anode, plus the return path LED cathode to battery -
+    expect(loaded.wires).toEqual([
+      { id: 1, from: { componentId: 1, terminal: '+' }, to: { componentId: 2, terminal: 'anode' } },
+      { id: 2, from: { componentId: 1, terminal: '-' }, to: { componentId: 2, terminal: 'cathode' } }
+    ])
+  })
+
+  it('should start fix-it challenges from their starter circuit', () => {
+    const loaded = challengeSystem.loadCircuit('wrong-way-round')
+
+    expect(loaded.components).toHaveLength(3)
+    expect(loaded.wires).toHaveLength(3)
+
+    // Each load is a fresh copy - editing it leaves the definition alone
+    loaded.components.pop()
+    expect(challengeSystem.loadCircuit('wrong-way-round').components).toHaveLength(3)
+  })
+
+  it('should prefer a saved circuit over the starter circuit', () => {
+    challengeSystem.saveCircuit('wrong-way-round', { components: [], wires: [] })
+
+    expect(challengeSystem.loadCircuit('wrong-way-round').components).toHaveLength(0)
+  })
 })
@@ -203,24 +203,24 @@ describe('Star Rating Validation - All Challenges', () => {
         }
         break
 
-      case 'voltage-divider': // Challenge 14: 5 components (3 batteries + 2 resistors + 1 LED)
+      case 'voltage-divider': // Challenge 14: 5 components (3 batteries + 1 potentiometer + 1 LED)
         {
+          const end = (componentId, terminal) => ({ componentId, terminal })
           const batteries = Array.from({ length: 3 }, (_, i) =>
             ComponentFactory.createBattery(i + 1)
           )
-          const r1 = ComponentFactory.createResistor(4)
-          const r2 = ComponentFactory.createResistor(5)
-          const led = ComponentFactory.createLED(6)
-          simulator.setComponents([...batteries, r1, r2, led])
-          // Series: b1 -> b2 -> b3 -> r1 -> r2 -> LED
-          const wires = []
-          for (let i = 0; i < batteries.length - 1; i++) {
-            wires.push({ id: 10 + i, from: batteries[i].id, to: batteries[i + 1].id })
-          }
-          wires.push({ id: 20, from: batteries[batteries.length - 1].id, to: r1.id })
-          wires.push({ id: 21, from: r1.id, to: r2.id })
-          wires.push({ id: 22, from: r2.id, to: led.id })
-          simulator.setWires(wires)
+          const pot = ComponentFactory.createPotentiometer(4, 0.25)
+          const led = ComponentFactory.createLED(5)
+          simulator.setComponents([...batteries, pot, led])
+          // Pot across b1 -> b2 -> b3, LED from the wiper back to b1 -
+          simulator.setWires([
+            { id: 10, from: end(1, '+'), to: end(2, '-') },
+            { id: 11, from: end(2, '+'), to: end(3, '-') },
+            { id: 20, from: end(3, '+'), to: end(4, 'a') },
+            { id: 21, from: end(4, 'b'), to: end(1, '-') },
+            { id: 22, from: end(4, 'wiper'), to: end(5, 'anode') },
+            { id: 23, from: end(5, 'cathode'), to: end(1, '-') }
+          ])
         }
         break
 
@@ -461,7 +461,7 @@ describe('Star Rating Validation - All Challenges', () => {
     { id: 'energy-storage-mastery', name: 'Challenge 11: Energy Storage Mastery', optimal: 4 },
     { id: 'triple-chain', name: 'Challenge 12: Triple Chain', optimal: 6 },
     { id: 'led-array', name: 'Challenge 13: LED Array', optimal: 12 },
-    { id: 'voltage-divider', name: 'Challenge 14: Voltage Divider', optimal: 6 },
+    { id: 'voltage-divider', name: 'Challenge 14: Voltage Divider', optimal: 5 },
     { id: 'rc-timing', name: 'Challenge 16: RC Timing', optimal: 5 },
     { id: 'power-efficiency', name: 'Challenge 17: Power Efficiency', optimal: 3 },
     { id: 'max-brightness', name: 'Challenge 18: Maximum Brightness', optimal: 5 },
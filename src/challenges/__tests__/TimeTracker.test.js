@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach } from 'vitest'
 import { TimeTracker } from '../TimeTracker.js'
 
 describe('TimeTracker', () => {
@@ -6,7 +6,6 @@ describe('TimeTracker', () => {
 
   beforeEach(() => {
     timeTracker = new TimeTracker()
-    vi.useFakeTimers()
   })
 
   describe('Basic Timing', () => {
@@ -16,28 +15,24 @@ describe('TimeTracker', () => {
 
     it('should track elapsed time when started', () => {
       timeTracker.start()
-      vi.advanceTimersByTime(1000)
-      timeTracker.update()
+      timeTracker.update(1)
 
       expect(timeTracker.getElapsedTime()).toBeCloseTo(1.0, 1)
     })
 
     it('should not track time when stopped', () => {
       timeTracker.start()
-      vi.advanceTimersByTime(1000)
-      timeTracker.update()
+      timeTracker.update(1)
 
       timeTracker.stop()
-      vi.advanceTimersByTime(1000)
-      timeTracker.update()
+      timeTracker.update(1)
 
       expect(timeTracker.getElapsedTime()).toBeCloseTo(1.0, 1)
     })
 
     it('should reset elapsed time', () => {
       timeTracker.start()
-      vi.advanceTimersByTime(5000)
-      timeTracker.update()
+      timeTracker.update(5)
 
       timeTracker.reset()
 
@@ -50,8 +45,7 @@ describe('TimeTracker', () => {
       const condition = () => true
 
       timeTracker.start()
-      vi.advanceTimersByTime(1000)
-      timeTracker.update(condition)
+      timeTracker.update(1, condition)
 
       expect(timeTracker.getConditionTime()).toBeCloseTo(1.0, 1)
     })
@@ -60,8 +54,7 @@ describe('TimeTracker', () => {
       const condition = () => false
 
       timeTracker.start()
-      vi.advanceTimersByTime(1000)
-      timeTracker.update(condition)
+      timeTracker.update(1, condition)
 
       expect(timeTracker.getConditionTime()).toBe(0)
     })
@@ -74,18 +67,15 @@ describe('TimeTracker', () => {
 
       // First period - condition true for 1 second
       conditionMet = true
-      vi.advanceTimersByTime(1000)
-      timeTracker.update(condition)
+      timeTracker.update(1, condition)
 
       // Second period - condition false for 1 second
       conditionMet = false
-      vi.advanceTimersByTime(1000)
-      timeTracker.update(condition)
+      timeTracker.update(1, condition)
 
       // Third period - condition true for 0.5 seconds
       conditionMet = true
-      vi.advanceTimersByTime(500)
-      timeTracker.update(condition)
+      timeTracker.update(0.5, condition)
 
       expect(timeTracker.getConditionTime()).toBeCloseTo(1.5, 1)
     })
@@ -94,8 +84,7 @@ describe('TimeTracker', () => {
       const condition = () => true
 
       timeTracker.start()
-      vi.advanceTimersByTime(2000)
-      timeTracker.update(condition)
+      timeTracker.update(2, condition)
 
       timeTracker.reset()
 
@@ -103,13 +92,43 @@ describe('TimeTracker', () => {
     })
   })
 
+  describe('Step Tracking', () => {
+    it('should start once the condition holds', () => {
+      timeTracker.track(false, 1)
+      expect(timeTracker.running).toBe(false)
+
+      timeTracker.track(true, 1)
+
+      expect(timeTracker.running).toBe(true)
+      expect(timeTracker.getConditionTime()).toBeCloseTo(1.0, 1)
+    })
+
+    it('should fail when the condition is lost', () => {
+      timeTracker.track(true, 1)
+      timeTracker.track(false, 1)
+
+      expect(timeTracker.failed).toBe(true)
+      expect(timeTracker.running).toBe(false)
+      expect(timeTracker.getConditionTime()).toBeCloseTo(1.0, 1)
+    })
+
+    it('should wait for a manual start', () => {
+      timeTracker.track(true, 1, true)
+      expect(timeTracker.running).toBe(false)
+
+      timeTracker.start()
+      timeTracker.track(true, 1, true)
+
+      expect(timeTracker.getConditionTime()).toBeCloseTo(1.0, 1)
+    })
+  })
+
   describe('Goal Achievement', () => {
     it('should detect when goal time is reached', () => {
       const condition = () => true
 
       timeTracker.start()
-      vi.advanceTimersByTime(15000) // 15 seconds (must be >= 10s minimum)
-      timeTracker.update(condition)
+      timeTracker.update(15, condition) // 15 seconds (must be >= 10s minimum)
 
       expect(timeTracker.hasReachedGoal(15.0)).toBe(true)
     })
@@ -118,8 +137,7 @@ describe('TimeTracker', () => {
       const condition = () => true
 
       timeTracker.start()
-      vi.advanceTimersByTime(3000)
-      timeTracker.update(condition)
+      timeTracker.update(3, condition)
 
       expect(timeTracker.hasReachedGoal(5.0)).toBe(false)
     })
@@ -128,8 +146,7 @@ describe('TimeTracker', () => {
       const condition = () => true
 
       timeTracker.start()
-      vi.advanceTimersByTime(3000)
-      timeTracker.update(condition)
+      timeTracker.update(3, condition)
 
       expect(timeTracker.getProgress(6.0)).toBeCloseTo(0.5, 1)
     })
@@ -140,8 +157,7 @@ describe('TimeTracker', () => {
       const condition = () => true
 
       timeTracker.start()
-      vi.advanceTimersByTime(65000) // 1 minute 5 seconds
-      timeTracker.update(condition)
+      timeTracker.update(65, condition) // 1 minute 5 seconds
 
       expect(timeTracker.getFormattedTime()).toBe('01:05')
     })
@@ -150,8 +166,7 @@ describe('TimeTracker', () => {
       const condition = () => true
 
       timeTracker.start()
-      vi.advanceTimersByTime(8000) // 8 seconds
-      timeTracker.update(condition)
+      timeTracker.update(8, condition) // 8 seconds
 
       expect(timeTracker.getFormattedTime()).toBe('00:08')
     })
@@ -8,7 +8,7 @@
  * - Success is reported after goal time reached
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach } from 'vitest'
 import { ChallengeSystem } from '../ChallengeSystem'
 import { ComponentFactory } from '../../utils/ComponentFactory'
 import { CircuitSimulator } from '../../engine/CircuitSimulator'
@@ -19,7 +19,6 @@ describe('Timed Challenge Integration', () => {
   let timeTracker
 
   beforeEach(() => {
-    vi.useFakeTimers()
     challengeSystem = new ChallengeSystem()
     simulator = new CircuitSimulator()
     timeTracker = challengeSystem.getTimeTracker()
@@ -73,12 +72,11 @@ describe('Timed Challenge Integration', () => {
 
       // Simulate in 1-second intervals
       for (let i = 0; i < 30; i++) {
-        vi.advanceTimersByTime(1000)
         simulator.simulate(1.0)
 
         // Update tracker with condition: bulb must be lit
         const isBulbLit = bulb.brightness >= 0.2
-        timeTracker.update(() => isBulbLit)
+        timeTracker.update(1, () => isBulbLit)
 
         // Check validator at each step
         const result = challengeSystem.challenges.find(c => c.id === 'battery-blues')
@@ -123,9 +121,8 @@ describe('Timed Challenge Integration', () => {
       // Act: Simulate for 30 seconds - batteries should die partway through
       let bulbWentOut = false
       for (let i = 0; i < 30; i++) {
-        vi.advanceTimersByTime(1000)
         simulator.simulate(1.0)
-        timeTracker.update(() => bulb.brightness >= 0.2)
+        timeTracker.update(1, () => bulb.brightness >= 0.2)
 
         if (bulb.brightness < 0.2) {
           bulbWentOut = true
@@ -140,10 +137,11 @@ describe('Timed Challenge Integration', () => {
 
   describe('Challenge 6: Parallel Power (60s)', () => {
     it('should pass when light bulb stays lit for 60 seconds with parallel batteries', () => {
-      // Arrange: Build circuit with 123 batteries + bulb (enough for 60s with 0.36Ω bulb)
+      // Arrange: Build circuit with 126 batteries + bulb (enough for 60s with 0.36Ω bulb)
       // Need parallel chains: 3 batteries/chain @ 2.7V = 7.5A, drains 0.675/sec
-      // For 60s: need 40.5 capacity = 41 parallel chains = 123 batteries total
-      const numChains = 41
+      // For 60s: need 40.5 capacity = 41 parallel chains, plus one more because
+      // nearly-flat potatoes sag below the bulb's 2.5V = 42 chains = 126 batteries
+      const numChains = 42
       const batteriesPerChain = 3
       const batteries = []
 
@@ -185,12 +183,11 @@ describe('Timed Challenge Integration', () => {
 
       // Act: Simulate for 60 seconds
       for (let i = 0; i < 60; i++) {
-        vi.advanceTimersByTime(1000)
         simulator.simulate(1.0)
 
         // Update tracker with condition: bulb must be lit
         const isBulbLit = bulb.brightness >= 0.2
-        timeTracker.update(() => isBulbLit)
+        timeTracker.update(1, () => isBulbLit)
       }
 
       // Assert: Should succeed after 60 seconds
@@ -202,15 +199,16 @@ describe('Timed Challenge Integration', () => {
   describe('Challenge 15: Endurance (60s)', () => {
     it('should pass when 2 LEDs stay lit for 60 seconds', () => {
       // Arrange: Build circuit with enough batteries to power 2 LEDs for 60s
+      // Create components with unique IDs
       const batteries = []
       for (let i = 0; i < 8; i++) {
-        batteries.push(ComponentFactory.createBattery(100 + i * 50, 100))
+        batteries.push(ComponentFactory.createBattery(i + 1))
       }
 
-      const led1 = ComponentFactory.createLED(200, 200)
-      const led2 = ComponentFactory.createLED(300, 200)
-      const resistor1 = ComponentFactory.createResistor(200, 250)
-      const resistor2 = ComponentFactory.createResistor(300, 250)
+      const led1 = ComponentFactory.createLED(100)
+      const led2 = ComponentFactory.createLED(101)
+      const resistor1 = ComponentFactory.createResistor(102)
+      const resistor2 = ComponentFactory.createResistor(103)
 
       const components = [...batteries, led1, led2, resistor1, resistor2]
 
@@ -237,12 +235,11 @@ describe('Timed Challenge Integration', () => {
 
       // Act: Simulate for 60 seconds
       for (let i = 0; i < 60; i++) {
-        vi.advanceTimersByTime(1000)
         simulator.simulate(1.0)
 
         // Update tracker with condition: both LEDs must be lit
         const areBothLEDsLit = led1.brightness >= 0.1 && led2.brightness >= 0.1
-        timeTracker.update(() => areBothLEDsLit)
+        timeTracker.update(1, () => areBothLEDsLit)
       }
 
       // Assert: Both LEDs should still be lit
@@ -254,10 +251,11 @@ describe('Timed Challenge Integration', () => {
 
   describe('Challenge 20: Marathon (60s)', () => {
     it('should pass when light bulb stays lit for 60 seconds with battery bank', () => {
-      // Arrange: Build 123-battery bank (41 chains of 3 batteries each)
+      // Arrange: Build 126-battery bank (42 chains of 3 batteries each)
       // 3 batteries in series = 2.7V, draws 7.5A, drains 0.675/sec
-      // Need 40.5 charge for 60s, so need 41 chains of 3 batteries = 123 total
-      const numChains = 41
+      // Need 40.5 charge for 60s; the last few percent of each potato sags
+      // below the bulb's 2.5V, so 42 chains of 3 batteries = 126 total
+      const numChains = 42
       const batteriesPerChain = 3
       const batteries = []
 
@@ -299,12 +297,11 @@ describe('Timed Challenge Integration', () => {
 
       // Act: Simulate for 60 seconds
       for (let i = 0; i < 60; i++) {
-        vi.advanceTimersByTime(1000)
         simulator.simulate(1.0)
 
         // Update tracker with condition: bulb must be lit
         const isBulbLit = bulb.brightness >= 0.2
-        timeTracker.update(() => isBulbLit)
+        timeTracker.update(1, () => isBulbLit)
       }
 
       // Assert: Bulb should still be lit after 60 seconds
@@ -337,7 +334,7 @@ describe('Timed Challenge Integration', () => {
       timeTracker.start()
 
       // Act: Try to complete immediately (0 seconds)
-      timeTracker.update(() => true) // Condition met
+      timeTracker.update(0, () => true) // Condition met
       simulator.simulate(0.1)
 
       // Assert: Should not succeed yet (no time elapsed)
@@ -345,15 +342,13 @@ describe('Timed Challenge Integration', () => {
 
       // Try at 5 seconds
       for (let i = 0; i < 5; i++) {
-        vi.advanceTimersByTime(1000)
-        timeTracker.update(() => true) // Condition always met
+        timeTracker.update(1, () => true) // Condition always met
       }
       expect(timeTracker.hasReachedGoal(30)).toBe(false) // Still under 10s minimum
 
       // Continue to exactly 10 seconds and accumulate 30s condition time
       for (let i = 0; i < 25; i++) { // 5 + 25 = 30 total seconds
-        vi.advanceTimersByTime(1000)
-        timeTracker.update(() => true) // Condition always met
+        timeTracker.update(1, () => true) // Condition always met
         simulator.simulate(1.0)
       }
 
@@ -381,8 +376,7 @@ describe('Timed Challenge Integration', () => {
 
       // Act: Simulate for 5 seconds with condition met the entire time
       for (let i = 0; i < 5; i++) {
-        vi.advanceTimersByTime(1000)
-        timeTracker.update(() => true) // Condition always true
+        timeTracker.update(1, () => true) // Condition always true
       }
 
       // Condition time is 5s, but elapsed time is only 5s
@@ -394,8 +388,7 @@ describe('Timed Challenge Integration', () => {
 
       // Continue to 10 seconds
       for (let i = 0; i < 5; i++) {
-        vi.advanceTimersByTime(1000)
-        timeTracker.update(() => true)
+        timeTracker.update(1, () => true)
       }
 
       // Now should succeed (elapsed >= 10s, condition >= 5s)
@@ -423,12 +416,11 @@ describe('Timed Challenge Integration', () => {
 
       // Act: Simulate until battery dies
       for (let i = 0; i < 30; i++) {
-        vi.advanceTimersByTime(1000)
         simulator.simulate(1.0)
 
         // Update tracker with condition: bulb must be lit
         const isBulbLit = bulb.brightness >= 0.2
-        timeTracker.update(() => isBulbLit)
+        timeTracker.update(1, () => isBulbLit)
       }
 
       // Assert: Elapsed time should be 30s, but condition time < 30s
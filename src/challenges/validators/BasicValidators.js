@@ -8,6 +8,8 @@
  * { success: boolean, message: string, tracking?: boolean }
  */
 
+import { isDividing } from '../../engine/Potentiometers.js'
+
 export const BasicValidators = {
   validateFirstLight(circuit) {
     const leds = circuit.components.filter(c => c.type === 'led')
@@ -215,8 +217,9 @@ export const BasicValidators = {
       return { success: false, message: 'Connect capacitor in parallel with LED and battery!' }
     }
 
-    // LED should be lit
-    const litLed = leds.find(led => led.brightness > 0.3)
+    // LED should be lit - a single potato only gives a dim glow, the
+    // capacitor does not add to its voltage
+    const litLed = leds.find(led => led.brightness > 0.1)
     if (!litLed) {
       return { success: false, message: 'LED should be lit! Check your parallel connections.' }
     }
@@ -261,25 +264,36 @@ export const BasicValidators = {
     return { success: true, message: '✨ LED array complete! Beautiful matrix!' }
   },
 
-  // 14. Resistor Chain
+  // 14. Voltage Divider - an LED fed from a potentiometer's wiper, turned to a dim glow
   validateVoltageDivide(circuit) {
-    const resistors = circuit.components.filter(c => c.type === 'resistor')
+    const pots = circuit.components.filter(c => c.type === 'potentiometer')
     const leds = circuit.components.filter(c => c.type === 'led')
 
-    if (resistors.length < 2) {
-      return { success: false, message: 'Need 2 resistors in your circuit!' }
+    if (pots.length === 0) {
+      return { success: false, message: 'Add a potentiometer - its wiper taps off part of the battery voltage!' }
     }
 
     if (leds.length === 0) {
       return { success: false, message: 'Add an LED!' }
     }
 
-    const brightLED = leds.find(led => led.brightness >= 0.05)
-    if (!brightLED) {
-      return { success: false, message: 'LED should glow! Check your connections.' }
+    if (!pots.some(pot => isDividing(pot))) {
+      return { success: false, message: 'Wire both ends of the pot across the batteries and run the LED from the wiper!' }
+    }
+
+    const litLEDs = leds.filter(led => led.brightness >= 0.05)
+    if (litLEDs.length === 0) {
+      return { success: false, message: 'LED should glow! Slide the knob to tap off more voltage.' }
+    }
+
+    // Same band the LED shows as "Dim"
+    if (!litLEDs.some(led => led.brightness > 0.3 && led.brightness <= 0.7)) {
+      return litLEDs.some(led => led.brightness > 0.7)
+        ? { success: false, message: 'Too bright! Slide the knob to tap off less voltage until the LED is Dim.' }
+        : { success: false, message: 'Too faint! Slide the knob to tap off more voltage until the LED is Dim.' }
     }
 
-    return { success: true, message: '⚡ Resistor chain complete! Total R = R1 + R2 + ...' }
+    return { success: true, message: '🎛️ Voltage divider tuned! The wiper splits the voltage between the two legs of the track.' }
   },
 
   // 15. Endurance - 2 LEDs for 90s
@@ -0,0 +1,54 @@
+/**
+ * ChemistryValidators - Validation functions for challenges 33-34
+ *
+ * These challenges restrict which cell chemistries may be used (see
+ * allowedChemistries in ChallengeDefinitions); ChallengeSystem rejects
+ * circuits with other cells before these validators run.
+ *
+ * Each validator receives a circuit object and returns:
+ * { success: boolean, message: string, tracking?: boolean }
+ */
+
+export const ChemistryValidators = {
+  // 33. Lemon Aid - Light an LED with lemon cells
+  validateLemonAid(circuit) {
+    const leds = circuit.components.filter(c => c.type === 'led')
+    const batteries = circuit.components.filter(c => c.type === 'battery')
+
+    if (batteries.length === 0) {
+      return { success: false, message: 'Add a lemon cell to the circuit' }
+    }
+
+    if (leds.length === 0) {
+      return { success: false, message: 'Add an LED to the circuit' }
+    }
+
+    const brightLED = leds.find(led => led.brightness >= 0.1)
+    if (!brightLED) {
+      return { success: false, message: 'LED is too dim. Check your connections!' }
+    }
+
+    return { success: true, message: '🍋 Zesty! Any acidic fruit can be a battery.' }
+  },
+
+  // 34. Salt Jar - Light a bulb with saltwater jars
+  validateSaltJar(circuit) {
+    const bulbs = circuit.components.filter(c => c.type === 'lightbulb')
+    const batteries = circuit.components.filter(c => c.type === 'battery')
+
+    if (bulbs.length === 0) {
+      return { success: false, message: 'Add a light bulb to the circuit' }
+    }
+
+    if (batteries.length === 0) {
+      return { success: false, message: 'Add saltwater jars to power the bulb' }
+    }
+
+    const litBulb = bulbs.find(bulb => bulb.brightness >= 0.2)
+    if (!litBulb) {
+      return { success: false, message: 'The jars sag under the bulb\'s heavy load. Add more in series!' }
+    }
+
+    return { success: true, message: '🧂 Lit by salt water - that\'s how the first batteries worked!' }
+  }
+}
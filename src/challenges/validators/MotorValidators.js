@@ -0,0 +1,43 @@
+/**
+ * MotorValidators - Validation functions for motor challenges (35)
+ *
+ * Motors spin up over a second or so, so these validators read the RPM
+ * the simulation has reached (motor.rpm) rather than a steady-state
+ * formula: the challenge completes once a motor gets up to speed.
+ *
+ * Each validator receives a circuit object and returns:
+ * { success: boolean, message: string, tracking?: boolean }
+ */
+
+export const MotorValidators = {
+  // Any motor challenge: a motor must reach targetRPM (either direction)
+  validateMotorRPM(circuit, targetRPM) {
+    const motors = circuit.components.filter(c => c.type === 'motor')
+    const batteries = circuit.components.filter(c => c.type === 'battery')
+
+    if (motors.length === 0) {
+      return { success: false, message: 'Add a motor to the circuit' }
+    }
+
+    if (batteries.length === 0) {
+      return { success: false, message: 'Add potato batteries to power the motor' }
+    }
+
+    const fastest = Math.max(...motors.map(motor => Math.abs(motor.rpm || 0)))
+    if (fastest < 1) {
+      if (motors.some(motor => Math.abs(motor.current || 0) > 0.001)) {
+        return { success: false, message: 'The motor is humming but can\'t turn. It needs more voltage to overcome its load!' }
+      }
+      return { success: false, message: 'The motor isn\'t turning. Check every wire makes a complete loop!' }
+    }
+
+    if (fastest < targetRPM) {
+      return {
+        success: false,
+        message: `Spinning at ${Math.round(fastest)} RPM - get it up to ${targetRPM} RPM. More voltage means more speed!`
+      }
+    }
+
+    return { success: true, message: `⚙️ Whirr! ${Math.round(fastest)} RPM - motors turn electricity into motion.` }
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * PolarityValidators - Validation functions for challenges 31-32
+ *
+ * LEDs only conduct from anode (+) to cathode (-). These challenges are
+ * about spotting and fixing an LED that is in the wrong way round.
+ *
+ * Each validator receives a circuit object and returns:
+ * { success: boolean, message: string, tracking?: boolean }
+ */
+
+export const PolarityValidators = {
+  // 31. Why Won't It Light? - Fix the backwards LED
+  validateWrongWayRound(circuit) {
+    const leds = circuit.components.filter(c => c.type === 'led')
+    const batteries = circuit.components.filter(c => c.type === 'battery')
+
+    if (batteries.length === 0) {
+      return { success: false, message: 'Keep the potato batteries in the circuit!' }
+    }
+
+    if (leds.length === 0) {
+      return { success: false, message: 'Keep the LED in the circuit - the puzzle is why it stays dark' }
+    }
+
+    if (leds.some(led => led.reverseBiased)) {
+      return { success: false, message: 'The LED is in backwards! Current only flows from + (anode) to - (cathode). Select it and flip it round.' }
+    }
+
+    const litLED = leds.find(led => led.brightness >= 0.1)
+    if (!litLED) {
+      return { success: false, message: 'LED is still dark. Check every wire makes a complete loop!' }
+    }
+
+    return { success: true, message: '🔄 Solved! LEDs are one-way streets for current.' }
+  },
+
+  // 32. One-Way Street - Two LEDs facing opposite ways
+  validateOneWayStreet(circuit) {
+    const leds = circuit.components.filter(c => c.type === 'led')
+
+    if (leds.length < 2) {
+      return { success: false, message: 'Add 2 LEDs side by side across your battery' }
+    }
+
+    const litLED = leds.find(led => led.brightness >= 0.1)
+    if (!litLED) {
+      return { success: false, message: 'One of the LEDs should glow - is anything lit?' }
+    }
+
+    const blockedLED = leds.find(led => led.reverseBiased)
+    if (!blockedLED) {
+      return { success: false, message: 'Turn one LED the other way round so it blocks the current!' }
+    }
+
+    return { success: true, message: '🚦 One glows, one blocks - that\'s polarity!' }
+  }
+}
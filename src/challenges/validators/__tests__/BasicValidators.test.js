@@ -678,11 +678,11 @@ describe('BasicValidators', () => {
       expect(result.message).toContain('parallel')
     })
 
-    it('should fail when LED brightness <= 0.3', () => {
+    it('should fail when LED brightness <= 0.1', () => {
       const circuit = {
         components: [
           { type: 'capacitor', voltage: 1.0 },
-          { type: 'led', brightness: 0.2 },
+          { type: 'led', brightness: 0.05 },
           { type: 'battery', voltage: 0.9 }
         ]
       }
@@ -844,27 +844,26 @@ describe('BasicValidators', () => {
   })
 
   describe('validateVoltageDivide (Challenge 14)', () => {
-    it('should fail with less than 2 resistors', () => {
+    // A potentiometer dividing: current in both legs, some leaving through the wiper
+    const dividingPot = { type: 'potentiometer', currentA: 0.02, currentB: 0.012, wiperCurrent: 0.008 }
+
+    it('should fail without a potentiometer', () => {
       const circuit = {
         components: [
           { type: 'resistor', resistance: 100 },
-          { type: 'led', brightness: 0.1 }
+          { type: 'resistor', resistance: 100 },
+          { type: 'led', brightness: 0.5 }
         ]
       }
 
       const result = BasicValidators.validateVoltageDivide(circuit)
 
       expect(result.success).toBe(false)
-      expect(result.message).toContain('2 resistors')
+      expect(result.message).toContain('potentiometer')
     })
 
     it('should fail when no LED present', () => {
-      const circuit = {
-        components: [
-          { type: 'resistor', resistance: 100 },
-          { type: 'resistor', resistance: 100 }
-        ]
-      }
+      const circuit = { components: [dividingPot] }
 
       const result = BasicValidators.validateVoltageDivide(circuit)
 
@@ -872,48 +871,65 @@ describe('BasicValidators', () => {
       expect(result.message).toContain('Add an LED')
     })
 
-    it('should fail when LED is too dim', () => {
+    it('should fail when the pot is only used as a resistor', () => {
       const circuit = {
         components: [
-          { type: 'resistor', resistance: 100 },
-          { type: 'resistor', resistance: 100 },
-          { type: 'led', brightness: 0.03 }
+          { type: 'potentiometer', currentA: 0.01, currentB: 0, wiperCurrent: 0.01 },
+          { type: 'led', brightness: 0.5 }
         ]
       }
 
       const result = BasicValidators.validateVoltageDivide(circuit)
 
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('wiper')
+    })
+
+    it('should fail when LED is too dim to glow', () => {
+      const circuit = { components: [dividingPot, { type: 'led', brightness: 0.03 }] }
+
+      const result = BasicValidators.validateVoltageDivide(circuit)
+
       expect(result.success).toBe(false)
       expect(result.message).toContain('should glow')
     })
 
-    it('should succeed with 2 resistors and lit LED', () => {
-      const circuit = {
-        components: [
-          { type: 'resistor', resistance: 100 },
-          { type: 'resistor', resistance: 100 },
-          { type: 'led', brightness: 0.1 }
-        ]
-      }
+    it('should ask for more voltage when the LED is faint', () => {
+      const circuit = { components: [dividingPot, { type: 'led', brightness: 0.16 }] }
 
       const result = BasicValidators.validateVoltageDivide(circuit)
 
-      expect(result.success).toBe(true)
-      expect(result.message).toContain('Resistor chain complete')
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('Too faint')
     })
 
-    it('should succeed at exactly 0.05 brightness threshold', () => {
-      const circuit = {
-        components: [
-          { type: 'resistor', resistance: 100 },
-          { type: 'resistor', resistance: 100 },
-          { type: 'led', brightness: 0.05 }
-        ]
-      }
+    it('should ask for less voltage when the LED is bright', () => {
+      const circuit = { components: [dividingPot, { type: 'led', brightness: 1.0 }] }
+
+      const result = BasicValidators.validateVoltageDivide(circuit)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('Too bright')
+    })
+
+    it('should succeed with the LED tuned to Dim', () => {
+      const circuit = { components: [dividingPot, { type: 'led', brightness: 0.45 }] }
 
       const result = BasicValidators.validateVoltageDivide(circuit)
 
       expect(result.success).toBe(true)
+      expect(result.message).toContain('Voltage divider tuned')
+    })
+
+    it('should match the LED Dim band exactly', () => {
+      const at = brightness => BasicValidators.validateVoltageDivide({
+        components: [dividingPot, { type: 'led', brightness }]
+      }).success
+
+      expect(at(0.3)).toBe(false)
+      expect(at(0.31)).toBe(true)
+      expect(at(0.7)).toBe(true)
+      expect(at(0.71)).toBe(false)
     })
   })
 
@@ -0,0 +1,100 @@
+/**
+ * ChemistryValidators.test.js - Unit tests for ChemistryValidators module
+ *
+ * Tests the cell chemistry challenge validators (challenges 33-34)
+ * with success/failure conditions.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ChemistryValidators } from '../ChemistryValidators.js'
+
+describe('ChemistryValidators', () => {
+  describe('validateLemonAid (Challenge 33)', () => {
+    it('should fail without a cell', () => {
+      const circuit = {
+        components: [{ type: 'led', brightness: 0 }]
+      }
+
+      const result = ChemistryValidators.validateLemonAid(circuit)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('lemon')
+    })
+
+    it('should fail without an LED', () => {
+      const circuit = {
+        components: [{ type: 'battery', chemistry: 'lemon' }]
+      }
+
+      expect(ChemistryValidators.validateLemonAid(circuit).success).toBe(false)
+    })
+
+    it('should fail when the LED is too dim', () => {
+      const circuit = {
+        components: [
+          { type: 'battery', chemistry: 'lemon' },
+          { type: 'led', brightness: 0.05 }
+        ]
+      }
+
+      expect(ChemistryValidators.validateLemonAid(circuit).success).toBe(false)
+    })
+
+    it('should pass with a lit LED', () => {
+      const circuit = {
+        components: [
+          { type: 'battery', chemistry: 'lemon' },
+          { type: 'led', brightness: 0.2 }
+        ]
+      }
+
+      expect(ChemistryValidators.validateLemonAid(circuit).success).toBe(true)
+    })
+  })
+
+  describe('validateSaltJar (Challenge 34)', () => {
+    it('should fail without a bulb', () => {
+      const circuit = {
+        components: [{ type: 'battery', chemistry: 'saltwater' }]
+      }
+
+      const result = ChemistryValidators.validateSaltJar(circuit)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('bulb')
+    })
+
+    it('should fail without jars', () => {
+      const circuit = {
+        components: [{ type: 'lightbulb', brightness: 0 }]
+      }
+
+      expect(ChemistryValidators.validateSaltJar(circuit).success).toBe(false)
+    })
+
+    it('should explain sag when the bulb stays dark', () => {
+      const circuit = {
+        components: [
+          { type: 'battery', chemistry: 'saltwater' },
+          { type: 'lightbulb', brightness: 0 }
+        ]
+      }
+
+      const result = ChemistryValidators.validateSaltJar(circuit)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('sag')
+    })
+
+    it('should pass with a lit bulb', () => {
+      const circuit = {
+        components: [
+          { type: 'battery', chemistry: 'saltwater' },
+          { type: 'lightbulb', brightness: 0.4 }
+        ]
+      }
+
+      expect(ChemistryValidators.validateSaltJar(circuit).success).toBe(true)
+    })
+  })
+})
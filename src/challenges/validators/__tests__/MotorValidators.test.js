@@ -0,0 +1,67 @@
+/**
+ * MotorValidators.test.js - Unit tests for MotorValidators module
+ *
+ * Tests the target-RPM motor validator (challenge 35)
+ * with success/failure conditions.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { MotorValidators } from '../MotorValidators.js'
+
+describe('MotorValidators', () => {
+  describe('validateMotorRPM (Challenge 35)', () => {
+    it('should fail without a motor', () => {
+      const circuit = {
+        components: [{ type: 'battery' }]
+      }
+
+      const result = MotorValidators.validateMotorRPM(circuit, 1500)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('motor')
+    })
+
+    it('should fail without a battery', () => {
+      const circuit = {
+        components: [{ type: 'motor', rpm: 0 }]
+      }
+
+      expect(MotorValidators.validateMotorRPM(circuit, 1500).success).toBe(false)
+    })
+
+    it('should tell a stalled motor from an unpowered one', () => {
+      const stalled = MotorValidators.validateMotorRPM({
+        components: [{ type: 'battery' }, { type: 'motor', rpm: 0, current: 0.05 }]
+      }, 1500)
+      const unpowered = MotorValidators.validateMotorRPM({
+        components: [{ type: 'battery' }, { type: 'motor', rpm: 0, current: 0 }]
+      }, 1500)
+
+      expect(stalled.message).toContain('load')
+      expect(unpowered.message).toContain('loop')
+    })
+
+    it('should report the speed while it is below the target', () => {
+      const result = MotorValidators.validateMotorRPM({
+        components: [{ type: 'battery' }, { type: 'motor', rpm: 1200.4 }]
+      }, 1500)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('1200 RPM')
+      expect(result.message).toContain('1500 RPM')
+    })
+
+    it('should succeed once any motor reaches the target, either direction', () => {
+      const circuit = {
+        components: [
+          { type: 'battery' },
+          { type: 'motor', rpm: 300 },
+          { type: 'motor', rpm: -1600 }
+        ]
+      }
+
+      expect(MotorValidators.validateMotorRPM(circuit, 1500).success).toBe(true)
+      expect(MotorValidators.validateMotorRPM(circuit, 2000).success).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,121 @@
+/**
+ * PolarityValidators.test.js - Unit tests for PolarityValidators module
+ *
+ * Tests the LED polarity challenge validators (challenges 31-32)
+ * with success/failure conditions.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { PolarityValidators } from '../PolarityValidators.js'
+
+describe('PolarityValidators', () => {
+  describe('validateWrongWayRound (Challenge 31)', () => {
+    it('should fail without batteries', () => {
+      const circuit = {
+        components: [{ type: 'led', brightness: 0 }]
+      }
+
+      const result = PolarityValidators.validateWrongWayRound(circuit)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('batteries')
+    })
+
+    it('should explain a reverse-biased LED', () => {
+      const circuit = {
+        components: [
+          { type: 'battery', voltage: 0.9 },
+          { type: 'led', brightness: 0, reverseBiased: true }
+        ]
+      }
+
+      const result = PolarityValidators.validateWrongWayRound(circuit)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('backwards')
+    })
+
+    it('should fail when the LED is dark but not reversed', () => {
+      const circuit = {
+        components: [
+          { type: 'battery', voltage: 0.9 },
+          { type: 'led', brightness: 0, reverseBiased: false }
+        ]
+      }
+
+      const result = PolarityValidators.validateWrongWayRound(circuit)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('complete loop')
+    })
+
+    it('should pass once the LED is the right way round and lit', () => {
+      const circuit = {
+        components: [
+          { type: 'battery', voltage: 0.9 },
+          { type: 'led', brightness: 0.5, reverseBiased: false }
+        ]
+      }
+
+      const result = PolarityValidators.validateWrongWayRound(circuit)
+
+      expect(result.success).toBe(true)
+    })
+  })
+
+  describe('validateOneWayStreet (Challenge 32)', () => {
+    it('should require 2 LEDs', () => {
+      const circuit = {
+        components: [
+          { type: 'battery', voltage: 0.9 },
+          { type: 'led', brightness: 0.5 }
+        ]
+      }
+
+      const result = PolarityValidators.validateOneWayStreet(circuit)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('2 LEDs')
+    })
+
+    it('should fail when both LEDs point the same way', () => {
+      const circuit = {
+        components: [
+          { type: 'led', brightness: 0.5, reverseBiased: false },
+          { type: 'led', brightness: 0.5, reverseBiased: false }
+        ]
+      }
+
+      const result = PolarityValidators.validateOneWayStreet(circuit)
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('other way round')
+    })
+
+    it('should fail when no LED is lit', () => {
+      const circuit = {
+        components: [
+          { type: 'led', brightness: 0, reverseBiased: true },
+          { type: 'led', brightness: 0, reverseBiased: true }
+        ]
+      }
+
+      const result = PolarityValidators.validateOneWayStreet(circuit)
+
+      expect(result.success).toBe(false)
+    })
+
+    it('should pass with one lit and one blocking LED', () => {
+      const circuit = {
+        components: [
+          { type: 'led', brightness: 0.5, reverseBiased: false },
+          { type: 'led', brightness: 0, reverseBiased: true }
+        ]
+      }
+
+      const result = PolarityValidators.validateOneWayStreet(circuit)
+
+      expect(result.success).toBe(true)
+    })
+  })
+})
@@ -1,45 +1,86 @@
-import { useRef, useState, useEffect } from 'react'
+import { useRef, useState, useEffect, useMemo } from 'react'
 import { CircuitSimulator } from '../engine/CircuitSimulator'
+import { createSimulationClient, applyChanges } from '../engine/SimulationClient'
 import { SimulationState } from '../engine/SimulationState'
+import { SimulationClock } from '../engine/SimulationClock'
+import { ProbeRecorder } from '../engine/Probes'
+import { readMultimeter } from '../engine/Multimeter'
+import { GraphAnalyzer } from '../engine/GraphAnalyzer'
 import { ChallengeSystem } from '../challenges/ChallengeSystem'
 import { ChallengePanel } from './ChallengePanel'
 import { Toolbar } from './Toolbar'
 import { InfoPanel } from './InfoPanel'
+import { EnergyPanel } from './EnergyPanel'
+import { PropertyEditor } from './PropertyEditor'
+import { ProbePanel } from './ProbePanel'
+import { Multimeter } from './Multimeter'
 import { MobileToolbar } from './MobileToolbar'
 import { Toast } from './Toast'
 import {
   drawBattery,
   drawLED,
   drawResistor,
+  drawPotentiometer,
   drawCapacitor,
+  drawInductor,
   drawLightBulb,
+  drawSwitch,
+  drawPushButton,
+  drawDiode,
+  drawRelay,
+  drawMotor,
+  drawBuzzer,
   drawGraphPaper,
-  drawWire
+  drawWire,
+  drawTerminals,
+  drawOpenCircuitMarker,
+  drawProbeMarker,
+  drawMeterLeads,
+  getTerminalPosition
 } from './ComponentRendering'
+import { getWireComponentIds, isLegacyWire, wireTouchesComponent, isFlippable } from '../engine/Terminals'
 import { getDeviceCapabilities } from '../utils/DeviceCapabilities'
 import { UndoStack, UndoActions } from '../utils/UndoStack'
 import { CanvasZoom } from '../utils/CanvasZoom'
+import { getSoundEffects } from '../utils/SoundEffects'
 import {
   placeComponent,
   createWiresFromChain,
   deleteComponent,
+  flipComponent,
+  changePartValue,
   performUndo,
-  getComponentAt as getComponentAtHelper,
-  hideToast
+  getTerminalAt,
+  pressSwitch,
+  isOnKnob,
+  turnKnob,
+  releaseButtons,
+  hideToast,
+  warnShortCircuit,
+  getChargedBatteryIds,
+  playCircuitSounds
 } from './CircuitWorkspaceHelpers'
 import './CircuitWorkspace.css'
 
-const simulator = new CircuitSimulator()
+const simulator = new CircuitSimulator() // Resets circuits; the stepping runs in the worker
+const simulation = createSimulationClient()
 const simulationState = new SimulationState()
+const clock = new SimulationClock()
+const probeRecorder = new ProbeRecorder()
 const challengeSystem = new ChallengeSystem()
 const undoStack = new UndoStack()
 const canvasZoom = new CanvasZoom()
+const sounds = getSoundEffects()
+
+// Sound keeps the saved mute setting
+sounds.setMuted(challengeSystem.isMuted())
 
 export default function CircuitWorkspace() {
   const canvasRef = useRef(null)
   const [components, setComponents] = useState([])
   const [wires, setWires] = useState([])
   const [dragging, setDragging] = useState(null)
+  const [turning, setTurning] = useState(null) // Potentiometer whose knob is held
   const [offset, setOffset] = useState({ x: 0, y: 0 })
   const [mousePos, setMousePos] = useState({ x: 0, y: 0 })
   const [selectedComponent, setSelectedComponent] = useState(null)
@@ -56,6 +97,31 @@ export default function CircuitWorkspace() {
   const [wireChain, setWireChain] = useState([]) // For click-sequence wiring
   const [canUndo, setCanUndo] = useState(false)
   const [toast, setToast] = useState(null) // { message, show }
+  const [muted, setMuted] = useState(() => challengeSystem.isMuted()) // Saved with progress
+  const [speed, setSpeed] = useState(() => clock.getSpeed())
+  const [probes, setProbes] = useState([]) // Clipped-on probes (history lives in probeRecorder)
+  const [meter, setMeter] = useState({ mode: 'V', points: [], target: null }) // Dial and lead placement
+  const shortCircuitWarned = useRef(false) // Short circuit explained this run
+  const runChallenge = useRef(null) // Challenge active when the run started
+  const circuit = useRef({ components, wires }) // Latest circuit, read when a run starts
+
+  // What the multimeter reads, live from the solver while running
+  const meterReading = useMemo(() => (
+    readMultimeter(meter, { simulator: simulation, components, wires, isRunning })
+  ), [meter, components, wires, isRunning])
+
+  // Wired loads with no closed loop back to a source (open circuits). Only
+  // the wiring and which parts are placed decide that, so the search re-runs
+  // on those and not on every step's brightness or charge
+  const topology = JSON.stringify({
+    parts: components.map(({ id, type, terminals }) => ({ id, type, terminals })),
+    wires
+  })
+  const openLoads = useMemo(() => {
+    const { parts, wires } = JSON.parse(topology)
+    return new GraphAnalyzer(parts, wires).findOpenLoads()
+      .filter(load => wires.some(w => wireTouchesComponent(w, load.id)))
+  }, [topology])
 
   // Capability detection
   useEffect(() => {
@@ -77,6 +143,18 @@ export default function CircuitWorkspace() {
     }
   }, [])
 
+  const toggleMute = () => {
+    const next = !muted
+    challengeSystem.setMuted(next)
+    sounds.setMuted(next)
+    setMuted(next)
+  }
+
+  const changeSpeed = (next) => {
+    clock.setSpeed(next)
+    setSpeed(next)
+  }
+
   // Undo stack notifications
   useEffect(() => {
     undoStack.onChange((stack) => {
@@ -84,23 +162,56 @@ export default function CircuitWorkspace() {
     })
   }, [])
 
-  // Clear undo when simulation starts
+  // Clear undo when simulation starts (probes and the meter stay in use)
   useEffect(() => {
     if (isRunning) {
       undoStack.clear()
       setWireChain([])
-      setActiveMode(null)
+      setActiveMode(mode => mode === 'probe' || mode === 'meter' ? mode : null)
     }
   }, [isRunning])
 
+  // Probes come off parts that are deleted
+  useEffect(() => {
+    if (probeRecorder.removeMissing(components)) {
+      setProbes(probeRecorder.getProbes())
+    }
+  }, [components])
+
+  const toggleProbe = (target) => {
+    probeRecorder.toggleProbe(target)
+    setProbes(probeRecorder.getProbes())
+  }
+
+  const removeProbe = (id) => {
+    probeRecorder.removeProbe(id)
+    setProbes(probeRecorder.getProbes())
+  }
+
+  // Turning the dial takes the leads off
+  const changeMeterMode = (mode) => {
+    setMeter({ mode, points: [], target: null })
+  }
+
   // Listen to simulation state changes
   useEffect(() => {
     simulationState.onChange((running) => {
       setIsRunning(running)
+      shortCircuitWarned.current = false
 
-      if (!running) {
+      if (running) {
+        clock.start(performance.now())
+        probeRecorder.clear()
+      } else {
+        simulation.stop()
+        clock.reset()
+        // Buzzers and bulbs fall silent with the circuit
+        sounds.stopAll()
+
+        // Burnt-out LEDs stay dead if the challenge says so
+        const keepBurnout = challengeSystem.getActiveChallenge()?.keepBurnout === true
         setComponents(prevComponents => {
-          return simulator.resetCircuit(prevComponents)
+          return simulator.resetCircuit(prevComponents, { keepBurnout })
         })
         challengeSystem.getTimeTracker().reset()
       }
@@ -128,13 +239,17 @@ export default function CircuitWorkspace() {
       // Clear undo stack when changing challenges
       undoStack.clear()
       setToast(null)
+      // The new challenge may not allow the selected cell
+      setActiveMode(null)
 
       // Then update challenge ID and load saved circuit
       setCurrentChallengeId(activeChallenge.id)
 
       const savedCircuit = challengeSystem.loadCircuit(activeChallenge.id)
       if (savedCircuit) {
-        const resetComponents = simulator.resetCircuit(savedCircuit.components || [])
+        const resetComponents = simulator.resetCircuit(savedCircuit.components || [], {
+          keepBurnout: activeChallenge.keepBurnout === true
+        })
         setComponents(resetComponents)
         setWires(savedCircuit.wires || [])
       }
@@ -175,30 +290,36 @@ export default function CircuitWorkspace() {
       ctx.lineWidth = 3
       ctx.setLineDash([5, 5])
 
-      // Draw existing chain segments
+      const chainPosition = end => {
+        const comp = components.find(c => c.id === end.componentId)
+        return comp ? getTerminalPosition(comp, end.terminal) : null
+      }
+
+      // Draw existing chain segments (terminals on the same component trace through it)
       for (let i = 0; i < wireChain.length - 1; i++) {
-        const fromComp = components.find(c => c.id === wireChain[i])
-        const toComp = components.find(c => c.id === wireChain[i + 1])
-        if (fromComp && toComp) {
+        if (wireChain[i].componentId === wireChain[i + 1].componentId) continue
+        const from = chainPosition(wireChain[i])
+        const to = chainPosition(wireChain[i + 1])
+        if (from && to) {
           ctx.beginPath()
-          ctx.moveTo(fromComp.x, fromComp.y)
-          ctx.lineTo(toComp.x, toComp.y)
+          ctx.moveTo(from.x, from.y)
+          ctx.lineTo(to.x, to.y)
           ctx.stroke()
         }
       }
 
-      // Draw line to cursor from last component
-      const lastComp = components.find(c => c.id === wireChain[wireChain.length - 1])
-      if (lastComp) {
+      // Draw line to cursor from last terminal
+      const last = chainPosition(wireChain[wireChain.length - 1])
+      if (last) {
         ctx.beginPath()
-        ctx.moveTo(lastComp.x, lastComp.y)
+        ctx.moveTo(last.x, last.y)
         ctx.lineTo(mousePos.x, mousePos.y)
         ctx.stroke()
 
-        // Highlight last component
+        // Highlight last terminal
         ctx.fillStyle = 'rgba(249, 115, 22, 0.3)'
         ctx.beginPath()
-        ctx.arc(lastComp.x, lastComp.y, 40, 0, Math.PI * 2)
+        ctx.arc(last.x, last.y, 14, 0, Math.PI * 2)
         ctx.fill()
       }
 
@@ -217,8 +338,9 @@ export default function CircuitWorkspace() {
     }
 
     // Draw components
+    const openLoadIds = new Set(openLoads.map(load => load.id))
     components.forEach((component, index) => {
-      drawComponent(ctx, component)
+      drawComponent(ctx, component, ['wire', 'probe', 'meter'].includes(activeMode), openLoadIds.has(component.id))
 
       // Draw selection indicator
       if (index === selectedComponent || selectedComponents.includes(index)) {
@@ -236,39 +358,73 @@ export default function CircuitWorkspace() {
         ctx.restore()
       }
     })
-  }, [components, wires, mousePos, selectedComponent, selectedComponents, selectionBox, wireChain])
 
-  // Run simulation every 100ms (with 10ms physics step for finer granularity)
-  // ONLY when simulation is running
+    // Probe tags over the parts and terminals being watched
+    probes.forEach(probe => {
+      const component = components.find(c => c.id === probe.componentId)
+      if (component) drawProbeMarker(ctx, probe, component)
+    })
+
+    if (activeMode === 'meter') {
+      drawMeterLeads(ctx, meter, components, wires)
+    }
+  }, [components, wires, mousePos, selectedComponent, selectedComponents, selectionBox, wireChain, activeMode, openLoads, probes, meter])
+
+  // Each batch of steps comes back from the simulation worker as a diff
+  useEffect(() => simulation.onDiff((diff, before) => {
+    const updated = simulation.components
+    diff.relayClicks.forEach(closed => sounds.playRelayClick(closed))
+    // Challenge timers run on simulated time, step by step
+    diff.conditions.forEach(conditionMet => challengeSystem.updateTimeTracking(conditionMet, diff.step))
+    probeRecorder.addSamples(diff.samples)
+    setComponents(prev => applyChanges(prev, diff.changes))
+    playCircuitSounds(updated, getChargedBatteryIds(before), sounds)
+    warnShortCircuit(simulation.findShortCircuits(), shortCircuitWarned, setToast)
+
+    // Auto-validate challenge on each tick (for non-manual challenges)
+    // ONLY validate the challenge that was active when simulation started
+    const challengeAtStart = runChallenge.current
+    if (challengeAtStart && !challengeAtStart.requiresManualStart && !challengeAtStart.requiresTime) {
+      // Only validate if this is still the active challenge
+      const currentActive = challengeSystem.getActiveChallenge()
+      if (currentActive?.id === challengeAtStart.id) {
+        challengeSystem.validate(challengeAtStart.id, { components: updated, wires: simulation.wires })
+      }
+    }
+  }), [])
+
+  useEffect(() => {
+    circuit.current = { components, wires }
+  }, [components, wires])
+
+  // Tick every 100ms ONLY when simulation is running; the clock decides how
+  // many fixed physics steps are due for the real time passed at its speed,
+  // and the worker runs them
   useEffect(() => {
     if (!isRunning) return
 
-    // Capture the active challenge at the start of simulation
-    // This prevents auto-validation from cascading through multiple challenges
-    const challengeAtStart = challengeSystem.getActiveChallenge()
+    // Hand the circuit over as the run starts. Capturing the active
+    // challenge prevents auto-validation cascading through several challenges
+    if (!simulation.isRunning()) {
+      runChallenge.current = challengeSystem.getActiveChallenge()
+      simulation.start(circuit.current, { challengeId: runChallenge.current?.id })
+    }
 
     const interval = setInterval(() => {
-      simulator.setComponents(components)
-      simulator.setWires(wires)
-      const updated = simulator.simulate(0.01)  // 10ms physics step (10x slower)
-      setComponents([...updated])
-
-      // Update time tracking for active challenge
-      challengeSystem.updateTimeTracking({ components: updated, wires })
-
-      // Auto-validate challenge on each tick (for non-manual challenges)
-      // ONLY validate the challenge that was active when simulation started
-      if (challengeAtStart && !challengeAtStart.requiresManualStart && !challengeAtStart.requiresTime) {
-        // Only validate if this is still the active challenge
-        const currentActive = challengeSystem.getActiveChallenge()
-        if (currentActive?.id === challengeAtStart.id) {
-          challengeSystem.validate(challengeAtStart.id, { components: updated, wires })
-        }
-      }
+      if (simulation.isBusy()) return  // The last steps are still being worked on
+      const steps = clock.tick(performance.now())
+      if (steps === 0) return  // Paused, or not yet a whole step due
+
+      simulation.step(steps, clock.step, probeRecorder.getProbes())
     }, 100)
 
     return () => clearInterval(interval)
-  }, [components, wires, isRunning])
+  }, [isRunning])
+
+  // Switches, buttons and knobs the player changes during the run
+  useEffect(() => {
+    if (isRunning) simulation.setControls(components)
+  }, [components, isRunning])
 
   // Keyboard handler for shortcuts
   useEffect(() => {
@@ -319,13 +475,18 @@ export default function CircuitWorkspace() {
         setDragging(null)
         setConnecting(null)
       }
+
+      // F - flip the selected component (reverses an LED's polarity)
+      if ((e.key === 'f' || e.key === 'F') && !e.ctrlKey && !e.metaKey && selectedComponent !== null) {
+        flipComponent(selectedComponent, components, setComponents, wires, setWires, undoStack, UndoActions, setToast)
+      }
     }
 
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
   }, [selectedComponent, selectedComponents, components, wires, activeMode, wireChain, isRunning])
 
-  const drawComponent = (ctx, component) => {
+  const drawComponent = (ctx, component, highlightTerminals, isOpen) => {
     ctx.save()
     ctx.translate(component.x, component.y)
 
@@ -335,10 +496,31 @@ export default function CircuitWorkspace() {
       drawLED(ctx, component)
     } else if (component.type === 'resistor') {
       drawResistor(ctx, component)
+    } else if (component.type === 'potentiometer') {
+      drawPotentiometer(ctx, component)
     } else if (component.type === 'capacitor') {
       drawCapacitor(ctx, component)
+    } else if (component.type === 'inductor') {
+      drawInductor(ctx, component)
     } else if (component.type === 'lightbulb') {
       drawLightBulb(ctx, component)
+    } else if (component.type === 'switch') {
+      drawSwitch(ctx, component)
+    } else if (component.type === 'pushbutton') {
+      drawPushButton(ctx, component)
+    } else if (component.type === 'diode') {
+      drawDiode(ctx, component)
+    } else if (component.type === 'relay') {
+      drawRelay(ctx, component)
+    } else if (component.type === 'motor') {
+      drawMotor(ctx, component)
+    } else if (component.type === 'buzzer') {
+      drawBuzzer(ctx, component)
+    }
+
+    drawTerminals(ctx, component, highlightTerminals)
+    if (isOpen) {
+      drawOpenCircuitMarker(ctx)
     }
 
     ctx.restore()
@@ -358,38 +540,74 @@ export default function CircuitWorkspace() {
   }
 
   const handleMouseDown = (e) => {
-    // Disable editing when simulation is running
-    if (isRunning) return
-
     const canvas = canvasRef.current
     const rect = canvas.getBoundingClientRect()
     const x = e.clientX - rect.left
     const y = e.clientY - rect.top
 
+    // Probe mode: a terminal probes its net, a part's body the part itself.
+    // Probes can be clipped on and off while running too
+    if (activeMode === 'probe') {
+      const terminal = getTerminalAt(x, y, components, capabilities)
+      const hit = terminal ? null : getComponentAt(x, y)
+      if (terminal || hit) toggleProbe(terminal || { componentId: hit.component.id })
+      return
+    }
+
+    // Meter mode: V and Ω clip the leads onto terminals, A clamps a part or wire
+    if (activeMode === 'meter') {
+      measureAt(x, y)
+      return
+    }
+
+    // Editing is disabled while running - only switches, buttons and knobs respond
+    if (isRunning) {
+      const hit = getComponentAt(x, y)
+      if (hit?.component.type === 'potentiometer') {
+        setTurning(hit.component.id)
+        turnKnob(hit.component, x, setComponents)
+      } else if (hit) {
+        pressSwitch(hit.component, setComponents)
+      }
+      return
+    }
+
     // MODE-BASED INTERACTIONS
     // Check if we're in component placement mode
     if (activeMode && activeMode !== 'wire') {
       // Place component at click location
-      placeComponent(activeMode, x, y, components, setComponents, undoStack, UndoActions, setToast, capabilities)
+      placeComponent(activeMode, x, y, components, setComponents, undoStack, UndoActions, setToast, capabilities, challengeSystem.getAllowedParts(currentChallengeId))
       return
     }
 
     // Check if we're in wire mode (click-sequence)
     if (activeMode === 'wire') {
-      const hit = getComponentAtHelper(x, y, components, capabilities)
+      const terminal = getTerminalAt(x, y, components, capabilities)
 
-      if (hit) {
+      if (terminal) {
         // Add to wire chain
-        setWireChain(prev => [...prev, hit.component.id])
+        setWireChain(prev => [...prev, terminal])
+      } else if (getComponentAt(x, y)) {
+        // Wires attach to terminals, not component bodies
+        return
       } else if (wireChain.length >= 2) {
         // Clicked empty space - finalize wire chain
-        createWiresFromChain(wireChain, wires, setWires, undoStack, UndoActions, setToast)
+        if (createWiresFromChain(wireChain, wires, setWires, undoStack, UndoActions, setToast) > 0) {
+          sounds.playWireConnect()
+        }
         setWireChain([])
         setActiveMode(null)
       }
       return
     }
 
+    // Grabbing a potentiometer's knob turns it rather than moving the part
+    const knob = components.find(c => isOnKnob(c, x, y))
+    if (knob) {
+      setTurning(knob.id)
+      return
+    }
+
     // SELECTION MODE (default when no active mode)
     const hit = getComponentAt(x, y)
 
@@ -426,6 +644,22 @@ export default function CircuitWorkspace() {
     }
   }
 
+  const measureAt = (x, y) => {
+    if (meter.mode === 'A') {
+      const hit = getComponentAt(x, y)
+      const wire = hit ? null : getWireAt(x, y)
+      if (hit) setMeter({ ...meter, target: { componentId: hit.component.id } })
+      else if (wire) setMeter({ ...meter, target: { wireId: wire.id } })
+      return
+    }
+
+    const terminal = getTerminalAt(x, y, components, capabilities)
+    if (!terminal) return
+    // Red lead first, then black; a third click starts over
+    const points = meter.points.length < 2 ? [...meter.points, terminal] : [terminal]
+    setMeter({ ...meter, points })
+  }
+
   const handleContextMenu = (e) => {
     e.preventDefault()
 
@@ -442,7 +676,7 @@ export default function CircuitWorkspace() {
       // Right-click to delete
       setComponents(prev => prev.filter((_, i) => i !== hit.index))
       const compId = hit.component.id
-      setWires(prev => prev.filter(w => w.from !== compId && w.to !== compId))
+      setWires(prev => prev.filter(w => !wireTouchesComponent(w, compId)))
       setSelectedComponent(null)
     } else {
       // Check if clicking on a wire
@@ -456,9 +690,14 @@ export default function CircuitWorkspace() {
   const getWireAt = (x, y) => {
     const threshold = 10
     for (const wire of wires) {
-      const from = components.find(c => c.id === wire.from)
-      const to = components.find(c => c.id === wire.to)
-      if (!from || !to) continue
+      const [fromId, toId] = getWireComponentIds(wire)
+      const fromComp = components.find(c => c.id === fromId)
+      const toComp = components.find(c => c.id === toId)
+      if (!fromComp || !toComp) continue
+
+      const legacy = isLegacyWire(wire)
+      const from = legacy ? fromComp : getTerminalPosition(fromComp, wire.from.terminal)
+      const to = legacy ? toComp : getTerminalPosition(toComp, wire.to.terminal)
 
       // Check distance to line segment
       const dist = distanceToLineSegment(x, y, from.x, from.y, to.x, to.y)
@@ -493,6 +732,12 @@ export default function CircuitWorkspace() {
 
     setMousePos({ x, y })
 
+    if (turning !== null) {
+      const pot = components.find(c => c.id === turning)
+      if (pot) turnKnob(pot, x, setComponents)
+      return
+    }
+
     if (selectionBox && selectionBox.startX !== undefined) {
       // Update selection rectangle
       const newBox = {
@@ -540,6 +785,9 @@ export default function CircuitWorkspace() {
   }
 
   const handleMouseUp = (e) => {
+    // Push buttons spring open when let go
+    releaseButtons(setComponents)
+
     if (selectionBox && selectionBox.width > 5 && selectionBox.height > 5) {
       // Find all components within selection box
       const selected = []
@@ -566,6 +814,7 @@ export default function CircuitWorkspace() {
 
     setSelectionBox(null)
     setDragging(null)
+    setTurning(null)
   }
 
   const handleUndo = () => {
@@ -604,6 +853,14 @@ export default function CircuitWorkspace() {
           onToggleSimulation={() => simulationState.toggle()}
           onModeChange={setActiveMode}
           activeMode={activeMode}
+          canFlip={selectedComponent !== null && isFlippable(components[selectedComponent])}
+          onFlip={() => flipComponent(selectedComponent, components, setComponents, wires, setWires, undoStack, UndoActions, setToast)}
+          allowedChemistries={challengeSystem.getAllowedChemistries(currentChallengeId)}
+          muted={muted}
+          onToggleMute={toggleMute}
+          speed={speed}
+          onSpeedChange={changeSpeed}
+          onStep={() => clock.stepOnce()}
         />
       </div>
 
@@ -617,14 +874,35 @@ export default function CircuitWorkspace() {
         onContextMenu={handleContextMenu}
       />
 
+      {activeMode === 'meter' && (
+        <Multimeter mode={meter.mode} reading={meterReading} onModeChange={changeMeterMode} />
+      )}
+
+      <PropertyEditor
+        component={selectedComponent !== null && selectedComponents.length === 0 ? components[selectedComponent] : null}
+        allowedParts={challengeSystem.getAllowedParts(currentChallengeId)}
+        isRunning={isRunning}
+        onChange={value => changePartValue(selectedComponent, value, components, setComponents, undoStack, UndoActions, setToast)}
+      />
+
+      <ProbePanel
+        probes={probes}
+        recorder={probeRecorder}
+        components={components}
+        onRemove={removeProbe}
+      />
+
       <InfoPanel
         isRunning={isRunning}
         components={components}
         wires={wires}
         selectedComponents={selectedComponents}
         selectedComponent={selectedComponent}
+        openLoads={openLoads}
       />
 
+      {isRunning && <EnergyPanel energy={simulation.getEnergyLedger()} components={components} />}
+
       <ChallengePanel
         challengeSystem={challengeSystem}
         circuit={{ components, wires }}
@@ -639,6 +917,9 @@ export default function CircuitWorkspace() {
         isRunning={isRunning}
         onToggleSimulation={() => simulationState.toggle()}
         isMobile={capabilities.viewportSize === 'small'}
+        allowedChemistries={challengeSystem.getAllowedChemistries(currentChallengeId)}
+        muted={muted}
+        onToggleMute={toggleMute}
       />
 
       <Toast
@@ -2,6 +2,13 @@
  * CircuitWorkspaceHelpers - Helper functions for capability-based interactions
  */
 
+import { COMPONENT_TERMINALS, getTerminals, getFlippedTerminal, isFlippable, isLegacyWire, isSameTerminal, wireTouchesComponent } from '../engine/Terminals.js'
+import { DEFAULT_CHEMISTRY, getChemistry } from '../engine/CellChemistry.js'
+import { isSwitch } from '../engine/Switches.js'
+import { getTerminalPosition, TERMINAL_RADIUS } from './renderers/TerminalRenderer.js'
+import { getKnobOffset, getWiperPositionAt, KNOB_RADIUS } from './renderers/PotentiometerRenderer.js'
+import { PART_PROPERTIES, getPartValue, getStartingValue, formatPartValue } from '../engine/PartValues.js'
+
 /**
  * Show toast notification with optional undo
  */
@@ -16,11 +23,66 @@ export function hideToast(setToast) {
   setToast(null)
 }
 
+// Shown the first time a battery is shorted in a run
+export const SHORT_CIRCUIT_WARNING = '⚡ Short circuit! Current rushes from + straight back to − ' +
+  'through bare wire with nothing to slow it down, so the cell drains in seconds and gets hot. ' +
+  'Put a load (LED, bulb or resistor) in the loop.'
+
+/**
+ * Warn about short-circuited batteries, once per run
+ * @param {Array} shorted - Batteries shorted in the last step
+ * @param {Object} warnedRef - Ref remembering whether this run has warned
+ * @param {Function} setToast - Toast state setter
+ */
+export function warnShortCircuit(shorted, warnedRef, setToast) {
+  if (shorted.length === 0 || warnedRef.current) return
+  warnedRef.current = true
+  showToast(setToast, SHORT_CIRCUIT_WARNING)
+}
+
+/**
+ * Get the ids of batteries with charge left, to spot any the next step drains
+ * @param {Array} components - Components before the step
+ * @returns {Set} Battery ids
+ */
+export function getChargedBatteryIds(components) {
+  return new Set(components.filter(c => c.type === 'battery' && c.charge > 0).map(c => c.id))
+}
+
+/**
+ * Play the sounds a simulation step makes
+ * A battery that has just run flat groans, bulbs hum with the brightest
+ * one and buzzers sound at their pitch.
+ * @param {Array} components - Components after the step
+ * @param {Set} chargedBefore - Batteries that had charge before it (see getChargedBatteryIds)
+ * @param {SoundEffects} sounds - Sound effects player
+ */
+export function playCircuitSounds(components, chargedBefore, sounds) {
+  if (components.some(c => c.type === 'battery' && c.charge <= 0 && chargedBefore.has(c.id))) {
+    sounds.playBatteryDeath()
+  }
+
+  const bulbs = components.filter(c => c.type === 'lightbulb')
+  sounds.setBulbHum(Math.max(0, ...bulbs.map(bulb => bulb.brightness || 0)))
+  sounds.updateBuzzers(components.filter(c => c.type === 'buzzer'))
+}
+
+/**
+ * Get the placement mode for a cell chemistry
+ * Battery modes name their chemistry: 'battery:lemon' (plain 'battery' is a potato).
+ */
+export function getBatteryMode(chemistry) {
+  return chemistry === DEFAULT_CHEMISTRY ? 'battery' : `battery:${chemistry}`
+}
+
 /**
  * Place a component at specified coordinates with undo support
+ * mode is a component type or a battery mode (see getBatteryMode).
+ * Resistors and capacitors start at a value from allowedParts.
  */
-export function placeComponent(type, x, y, components, setComponents, undoStack, UndoActions, setToast, capabilities) {
-  const newComponent = createComponent(type, x, y)
+export function placeComponent(mode, x, y, components, setComponents, undoStack, UndoActions, setToast, capabilities, allowedParts = null) {
+  const [type, chemistry] = mode.split(':')
+  const newComponent = createComponent(type, x, y, chemistry, allowedParts)
 
   // Record undo
   const actionInfo = UndoActions.ADD_COMPONENT(type)
@@ -45,36 +107,103 @@ export function placeComponent(type, x, y, components, setComponents, undoStack,
 /**
  * Create a component with default properties
  */
-function createComponent(type, x, y) {
+function createComponent(type, x, y, chemistry = DEFAULT_CHEMISTRY, allowedParts = null) {
   const id = Date.now() + Math.random()
+  const cell = getChemistry(chemistry)
 
   const defaults = {
     battery: {
       id, type, x, y,
+      terminals: COMPONENT_TERMINALS.battery,
+      chemistry: cell.id,
       charge: 1.0,
-      voltage: 0.9
+      voltage: cell.voltage,
+      internalResistance: cell.internalResistance,
+      capacity: cell.capacity
     },
     led: {
       id, type, x, y,
+      terminals: COMPONENT_TERMINALS.led,
       brightness: 0
     },
     resistor: {
       id, type, x, y,
-      resistance: 100,
+      terminals: COMPONENT_TERMINALS.resistor,
+      resistance: getStartingValue(allowedParts, 'resistor'),
+      current: 0
+    },
+    potentiometer: {
+      id, type, x, y,
+      terminals: COMPONENT_TERMINALS.potentiometer,
+      position: 0.5,
       current: 0
     },
     capacitor: {
       id, type, x, y,
-      capacitance: 0.1,
+      terminals: COMPONENT_TERMINALS.capacitor,
+      capacitance: getStartingValue(allowedParts, 'capacitor'),
       voltage: 0,
       maxVoltage: 5.0
     },
+    inductor: {
+      id, type, x, y,
+      terminals: COMPONENT_TERMINALS.inductor,
+      inductance: 1.0,
+      current: 0,
+      voltage: 0
+    },
     lightbulb: {
       id, type, x, y,
+      terminals: COMPONENT_TERMINALS.lightbulb,
       brightness: 0,
       resistance: 0.36,
       current: 0,
       power: 0
+    },
+    switch: {
+      id, type, x, y,
+      terminals: COMPONENT_TERMINALS.switch,
+      closed: false,
+      current: 0
+    },
+    pushbutton: {
+      id, type, x, y,
+      terminals: COMPONENT_TERMINALS.pushbutton,
+      pressed: false,
+      current: 0
+    },
+    diode: {
+      id, type, x, y,
+      terminals: COMPONENT_TERMINALS.diode,
+      voltage: 0,
+      current: 0,
+      conducting: false,
+      blocking: false
+    },
+    relay: {
+      id, type, x, y,
+      terminals: COMPONENT_TERMINALS.relay,
+      closed: false,
+      travel: 0,
+      armature: 0,
+      coilCurrent: 0,
+      current: 0
+    },
+    motor: {
+      id, type, x, y,
+      terminals: COMPONENT_TERMINALS.motor,
+      load: 0,
+      speed: 0,
+      rpm: 0,
+      angle: 0,
+      current: 0
+    },
+    buzzer: {
+      id, type, x, y,
+      terminals: COMPONENT_TERMINALS.buzzer,
+      current: 0,
+      pitch: 0,
+      volume: 0
     }
   }
 
@@ -82,19 +211,25 @@ function createComponent(type, x, y) {
 }
 
 /**
- * Create wires from a chain of component IDs with undo support
+ * Create wires from a chain of terminals ({ componentId, terminal }) with undo support
+ * Consecutive terminals on the same component trace through it, so no wire
+ * is created between them.
+ * @returns {number} Number of wires created
  */
 export function createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast) {
-  if (chain.length < 2) return
+  if (chain.length < 2) return 0
 
   const newWires = []
   for (let i = 0; i < chain.length - 1; i++) {
     const from = chain[i]
     const to = chain[i + 1]
 
+    if (from.componentId === to.componentId) continue
+
     // Check if wire already exists (bidirectional check)
-    const wireExists = wires.some(w =>
-      (w.from === from && w.to === to) || (w.from === to && w.to === from)
+    const wireExists = [...wires, ...newWires].some(w =>
+      (isSameTerminal(w.from, from) && isSameTerminal(w.to, to)) ||
+      (isSameTerminal(w.from, to) && isSameTerminal(w.to, from))
     )
 
     // Only add wire if it doesn't already exist
@@ -108,7 +243,7 @@ export function createWiresFromChain(chain, wires, setWires, undoStack, UndoActi
   }
 
   // If no new wires to add, don't do anything
-  if (newWires.length === 0) return
+  if (newWires.length === 0) return 0
 
   // Record undo
   const actionInfo = UndoActions.ADD_WIRES(newWires.length)
@@ -124,6 +259,8 @@ export function createWiresFromChain(chain, wires, setWires, undoStack, UndoActi
     setWires(prev => prev.filter(w => !wireIds.includes(w.id)))
     hideToast(setToast)
   })
+
+  return newWires.length
 }
 
 /**
@@ -134,7 +271,7 @@ export function deleteComponent(index, components, setComponents, wires, setWire
   if (!component) return
 
   // Find wires connected to this component
-  const connectedWires = wires.filter(w => w.from === component.id || w.to === component.id)
+  const connectedWires = wires.filter(w => wireTouchesComponent(w, component.id))
 
   // Record undo
   const actionInfo = UndoActions.DELETE_COMPONENT(component.type)
@@ -148,7 +285,7 @@ export function deleteComponent(index, components, setComponents, wires, setWire
   })
 
   setComponents(prev => prev.filter((_, i) => i !== index))
-  setWires(prev => prev.filter(w => w.from !== component.id && w.to !== component.id))
+  setWires(prev => prev.filter(w => !wireTouchesComponent(w, component.id)))
 
   showToast(setToast, actionInfo.message, () => {
     // Undo: restore component and wires
@@ -162,6 +299,126 @@ export function deleteComponent(index, components, setComponents, wires, setWire
   })
 }
 
+/**
+ * Turn a component round in place with undo support
+ * Wire ends stay where they are, so they now meet the opposite terminals
+ * (e.g. an LED's anode ↔ cathode) - flipping reverses its polarity.
+ * Components that cannot be turned round (see Terminals.isFlippable) are left alone.
+ */
+export function flipComponent(index, components, setComponents, wires, setWires, undoStack, UndoActions, setToast) {
+  const component = components[index]
+  if (!component || !isFlippable(component)) return
+
+  const actionInfo = UndoActions.FLIP_COMPONENT(component.type)
+  undoStack.push({
+    type: actionInfo.type,
+    data: { component }
+  })
+
+  applyFlip(component, setComponents, setWires)
+
+  showToast(setToast, actionInfo.message, () => {
+    // Undo: flipping again restores the original orientation
+    applyFlip(component, setComponents, setWires)
+    hideToast(setToast)
+  })
+}
+
+/**
+ * Change the value of a resistor or capacitor with undo support
+ * The caller offers only values the challenge allows (see PropertyEditor).
+ * @param {number} index - Index of the component
+ * @param {number} value - New ohms or farads
+ */
+export function changePartValue(index, value, components, setComponents, undoStack, UndoActions, setToast) {
+  const component = components[index]
+  const property = component && PART_PROPERTIES[component.type]
+  if (!property) return
+
+  const oldValue = getPartValue(component)
+  if (value === oldValue) return
+
+  const actionInfo = UndoActions.CHANGE_VALUE(component.type, formatPartValue(component.type, value))
+  undoStack.push({
+    type: actionInfo.type,
+    data: { component, property, oldValue }
+  })
+
+  applyPartValue(component.id, property, value, setComponents)
+
+  showToast(setToast, actionInfo.message, () => {
+    applyPartValue(component.id, property, oldValue, setComponents)
+    hideToast(setToast)
+  })
+}
+
+function applyPartValue(id, property, value, setComponents) {
+  setComponents(prev => prev.map(c => c.id === id ? { ...c, [property]: value } : c))
+}
+
+/**
+ * Toggle a component's orientation and swap the terminals its wires use
+ */
+function applyFlip(component, setComponents, setWires) {
+  setComponents(prev => prev.map(c => c.id === component.id ? { ...c, flipped: !c.flipped } : c))
+
+  const flipEnd = end => end.componentId === component.id
+    ? { ...end, terminal: getFlippedTerminal(component, end.terminal) }
+    : end
+  setWires(prev => prev.map(w => wireTouchesComponent(w, component.id) && !isLegacyWire(w)
+    ? { ...w, from: flipEnd(w.from), to: flipEnd(w.to) }
+    : w
+  ))
+}
+
+/**
+ * Operate a switch or push button (works while the simulation runs)
+ * A toggle switch flips position; a push button closes until released.
+ * @returns {boolean} True if the component is a switch or push button
+ */
+export function pressSwitch(component, setComponents) {
+  if (!isSwitch(component)) return false
+
+  setComponents(prev => prev.map(c => {
+    if (c.id !== component.id) return c
+    return c.type === 'pushbutton' ? { ...c, pressed: true } : { ...c, closed: !c.closed }
+  }))
+  return true
+}
+
+/**
+ * Check if canvas coordinates are on a potentiometer's knob
+ * @returns {boolean} True if the point grabs the knob
+ */
+export function isOnKnob(component, x, y) {
+  if (component.type !== 'potentiometer') return false
+  const knob = getKnobOffset(component)
+  const dx = x - (component.x + knob.x)
+  const dy = y - (component.y + knob.y)
+  // A little extra reach makes the small knob easy to grab
+  return Math.sqrt(dx * dx + dy * dy) <= KNOB_RADIUS + 4
+}
+
+/**
+ * Slide a potentiometer's wiper under the pointer (works while the simulation runs)
+ * @param {Object} component - Potentiometer
+ * @param {number} x - Pointer canvas x
+ */
+export function turnKnob(component, x, setComponents) {
+  const position = getWiperPositionAt(component, x - component.x)
+  setComponents(prev => prev.map(c => c.id === component.id ? { ...c, position } : c))
+}
+
+/**
+ * Release every held push button
+ */
+export function releaseButtons(setComponents) {
+  setComponents(prev => prev.some(c => c.type === 'pushbutton' && c.pressed)
+    ? prev.map(c => c.type === 'pushbutton' && c.pressed ? { ...c, pressed: false } : c)
+    : prev
+  )
+}
+
 /**
  * Get component at canvas coordinates with capability-based hit radius
  */
@@ -181,6 +438,29 @@ export function getComponentAt(x, y, components, capabilities) {
   return null
 }
 
+/**
+ * Get the terminal nearest to canvas coordinates with capability-based hit radius
+ * Returns { componentId, terminal } or null.
+ */
+export function getTerminalAt(x, y, components, capabilities) {
+  const radius = Math.max(TERMINAL_RADIUS * 2, capabilities.getTouchTargetSize() / 4)
+  let nearest = null
+  let nearestDistance = radius
+
+  components.forEach(comp => {
+    getTerminals(comp).forEach(terminal => {
+      const pos = getTerminalPosition(comp, terminal)
+      const distance = Math.hypot(x - pos.x, y - pos.y)
+      if (distance <= nearestDistance) {
+        nearest = { componentId: comp.id, terminal }
+        nearestDistance = distance
+      }
+    })
+  })
+
+  return nearest
+}
+
 /**
  * Perform undo with toast notification
  */
@@ -226,6 +506,16 @@ export function performUndo(undoStack, setComponents, setWires, setToast, UndoAc
       ))
       break
 
+    case 'flip-component':
+      // Undo flip: flip back
+      applyFlip(action.data.component, setComponents, setWires)
+      break
+
+    case 'change-value':
+      // Undo value change: restore the old value
+      applyPartValue(action.data.component.id, action.data.property, action.data.oldValue, setComponents)
+      break
+
     case 'copy-component':
       // Undo copy: remove copied component
       setComponents(prev => prev.filter(c => c.id !== action.data.component.id))
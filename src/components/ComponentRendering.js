@@ -5,11 +5,24 @@
  * Each component type has its own renderer module for better organization.
  */
 
+import { getTerminalPosition } from './renderers/TerminalRenderer.js'
+import { isLegacyWire, getWireComponentIds } from '../engine/Terminals.js'
+
 export { drawBattery } from './renderers/BatteryRenderer.js'
 export { drawLED } from './renderers/LEDRenderer.js'
 export { drawResistor } from './renderers/ResistorRenderer.js'
 export { drawCapacitor } from './renderers/CapacitorRenderer.js'
+export { drawInductor } from './renderers/InductorRenderer.js'
 export { drawLightBulb } from './renderers/LightBulbRenderer.js'
+export { drawSwitch, drawPushButton } from './renderers/SwitchRenderer.js'
+export { drawDiode } from './renderers/DiodeRenderer.js'
+export { drawRelay } from './renderers/RelayRenderer.js'
+export { drawMotor } from './renderers/MotorRenderer.js'
+export { drawBuzzer } from './renderers/BuzzerRenderer.js'
+export { drawPotentiometer } from './renderers/PotentiometerRenderer.js'
+export { drawProbeMarker } from './renderers/ProbeRenderer.js'
+export { drawMeterLeads } from './renderers/MultimeterRenderer.js'
+export { drawTerminals, drawOpenCircuitMarker, getTerminalPosition, TERMINAL_RADIUS } from './renderers/TerminalRenderer.js'
 
 /**
  * Draw grid paper background with faint lines
@@ -36,21 +49,27 @@ export function drawGraphPaper(ctx, width, height) {
 }
 
 /**
- * Draw wire connection between components
+ * Draw wire connection between component terminals
+ * Legacy wires (component ids only) are drawn centre to centre.
  */
 export function drawWire(ctx, wire, components) {
-  const fromComponent = components.find(c => c.id === wire.from)
-  const toComponent = components.find(c => c.id === wire.to)
+  const [fromId, toId] = getWireComponentIds(wire)
+  const fromComponent = components.find(c => c.id === fromId)
+  const toComponent = components.find(c => c.id === toId)
 
   if (!fromComponent || !toComponent) return
 
+  const legacy = isLegacyWire(wire)
+  const start = legacy ? fromComponent : getTerminalPosition(fromComponent, wire.from.terminal)
+  const end = legacy ? toComponent : getTerminalPosition(toComponent, wire.to.terminal)
+
   ctx.strokeStyle = '#2C3E50'
   ctx.lineWidth = 2
   ctx.setLineDash([5, 3])
 
   ctx.beginPath()
-  ctx.moveTo(fromComponent.x, fromComponent.y)
-  ctx.lineTo(toComponent.x, toComponent.y)
+  ctx.moveTo(start.x, start.y)
+  ctx.lineTo(end.x, end.y)
   ctx.stroke()
 
   ctx.setLineDash([])
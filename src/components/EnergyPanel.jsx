@@ -0,0 +1,48 @@
+/**
+ * EnergyPanel - Where the circuit's energy has gone while it runs
+ *
+ * Shows the simulator's energy ledger (see engine/EnergyLedger.js): what
+ * the cells supplied, what the parts gave off as heat, light, sound and
+ * motion, and what capacitors and coils are holding. Efficiency is the
+ * share of the supply that reached the outputs - LEDs, bulbs, motors and
+ * buzzers.
+ */
+
+import { getProbeLabel } from '../engine/Probes.js'
+import { formatReading } from '../engine/Multimeter.js'
+
+// Parts that handled less than this (joules) are left off the list
+const MIN_ENERGY = 1e-6
+
+export function EnergyPanel({ energy, components }) {
+  const format = joules => formatReading(joules, 'J')
+
+  const rows = components
+    .filter(c => energy.components[c.id])
+    .map(c => {
+      const { supplied, dissipated, stored } = energy.components[c.id]
+      const parts = [
+        Math.abs(supplied) >= MIN_ENERGY && `supplied ${format(supplied)}`,
+        Math.abs(dissipated) >= MIN_ENERGY && `dissipated ${format(dissipated)}`,
+        Math.abs(stored) >= MIN_ENERGY && `stored ${format(stored)}`
+      ].filter(Boolean)
+      return { id: c.id, label: getProbeLabel({ componentId: c.id, terminal: null }, components), parts }
+    })
+    .filter(row => row.parts.length > 0)
+
+  return (
+    <div className="energy-panel">
+      <p>
+        ⚡ <strong>Energy</strong> | Supplied {format(energy.supplied)} | Dissipated {format(energy.dissipated)} |
+        Stored {format(energy.stored)} | Efficiency {energy.efficiency === null ? '-' : `${Math.round(energy.efficiency * 100)}%`}
+      </p>
+      {rows.length > 0 && (
+        <ul className="energy-ledger">
+          {rows.map(row => (
+            <li key={row.id}>{row.label}: {row.parts.join(', ')}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -2,20 +2,24 @@
  * InfoPanel - Status display for circuit workspace
  *
  * Shows current mode (simulation/edit), component counts,
- * and contextual messages based on user actions.
+ * open circuit warnings, and contextual messages based on user actions.
  */
 
-export function InfoPanel({ isRunning, components, wires, selectedComponents, selectedComponent }) {
+import { isSwitch } from '../engine/Switches.js'
+
+export function InfoPanel({ isRunning, components, wires, selectedComponents, selectedComponent, openLoads = [] }) {
   return (
     <div className="info-panel">
       {isRunning ? (
         <p>🔬 <strong>SIMULATION RUNNING</strong> | Editing disabled | Press Stop to edit circuit</p>
       ) : (
-        <p>✏️ <strong>EDIT MODE</strong> | Click mode button → Click canvas to place | Wire mode: Click components in sequence | Ctrl+Z to undo</p>
+        <p>✏️ <strong>EDIT MODE</strong> | Click mode button → Click canvas to place | Wire mode: Click terminals in sequence | Ctrl+Z to undo</p>
       )}
+      {isRunning && components.some(isSwitch) && <p>🎚️ Click switches and buttons to operate them</p>}
       <p>Components: {components.length} | Wires: {wires.length}</p>
+      {openLoads.length > 0 && <p>⚠️ Open circuit: {openLoads.map(load => load.type).join(', ')} not in a closed loop - wire a path back to the power source</p>}
       {!isRunning && selectedComponents.length > 0 && <p>🎯 Selected: {selectedComponents.length} components (Press Delete to remove)</p>}
-      {!isRunning && selectedComponent !== null && selectedComponents.length === 0 && <p>🎯 Selected: {components[selectedComponent]?.type} (Press Delete to remove)</p>}
+      {!isRunning && selectedComponent !== null && selectedComponents.length === 0 && <p>🎯 Selected: {components[selectedComponent]?.type} (Press Delete to remove, F to flip)</p>}
     </div>
   )
 }
@@ -6,7 +6,8 @@ import './MobileControls.css'
  *
  * Modes:
  * - drag: Tap to select and drag components
- * - wire: Tap components to connect with wires
+ * - wire: Tap terminals to connect with wires
+ * - meter: Tap terminals, parts or wires to measure them
  * - delete: Tap to delete components/wires
  * - multi: Multi-select mode for batch operations
  */
@@ -16,6 +17,7 @@ export function MobileControls({ mode, onModeChange, disabled }) {
   const modes = [
     { id: 'drag', icon: '👆', label: 'Move', description: 'Drag components' },
     { id: 'wire', icon: '🔌', label: 'Wire', description: 'Connect components' },
+    { id: 'meter', icon: '📟', label: 'Meter', description: 'Measure volts, amps and ohms' },
     { id: 'delete', icon: '🗑️', label: 'Delete', description: 'Remove items' },
     { id: 'multi', icon: '☑️', label: 'Select', description: 'Multi-select' }
   ]
@@ -1,35 +1,60 @@
 import './MobileToolbar.css'
+import { CELL_CHEMISTRIES } from '../engine/CellChemistry.js'
+import { getBatteryMode } from './CircuitWorkspaceHelpers.js'
 
 /**
  * MobileToolbar - Bottom toolbar with component palette and controls
  *
  * Modes:
  * - null: Selection mode (tap to select, drag to move)
- * - 'battery'/'led'/etc: Placement mode (tap canvas to place)
+ * - 'battery'/'battery:lemon'/'led'/etc: Placement mode (tap canvas to place)
  * - 'wire': Wire creation mode (drag to connect)
+ * - 'meter': Multimeter (tap terminals, parts or wires), also while running
+ *
+ * Cell chemistries the active challenge does not allow are disabled.
+ * Sound can be muted next to the run button.
  */
 export function MobileToolbar({
   activeMode,
   onModeChange,
   isRunning,
   onToggleSimulation,
-  isMobile
+  isMobile,
+  allowedChemistries = null,
+  muted = false,
+  onToggleMute
 }) {
   if (!isMobile) return null
 
+  const cells = Object.values(CELL_CHEMISTRIES).map(cell => ({
+    id: getBatteryMode(cell.id),
+    icon: cell.emoji,
+    label: cell.name,
+    disabled: allowedChemistries !== null && !allowedChemistries.includes(cell.id)
+  }))
+
   const tools = [
-    { id: 'battery', icon: '🥔', label: 'Battery' },
+    ...cells,
     { id: 'led', icon: '💡', label: 'LED' },
     { id: 'resistor', icon: '⚡', label: 'Resistor' },
+    { id: 'potentiometer', icon: '🎛️', label: 'Pot' },
     { id: 'capacitor', icon: '⚡', label: 'Cap' },
+    { id: 'inductor', icon: '🌀', label: 'Coil' },
     { id: 'lightbulb', icon: '💡', label: 'Bulb' },
-    { id: 'wire', icon: '🔌', label: 'Wire' }
+    { id: 'switch', icon: '🎚️', label: 'Switch' },
+    { id: 'pushbutton', icon: '🔘', label: 'Button' },
+    { id: 'diode', icon: '▶|', label: 'Diode' },
+    { id: 'relay', icon: '🧲', label: 'Relay' },
+    { id: 'motor', icon: '⚙️', label: 'Motor' },
+    { id: 'buzzer', icon: '📢', label: 'Buzzer' },
+    { id: 'wire', icon: '🔌', label: 'Wire' },
+    { id: 'meter', icon: '📟', label: 'Meter', whileRunning: true }
   ]
 
-  const handleToolClick = (toolId) => {
-    if (isRunning) return
+  const handleToolClick = (tool) => {
+    if (isRunning && !tool.whileRunning) return
     // Toggle: if already active, deactivate; otherwise activate
-    onModeChange(activeMode === toolId ? null : toolId)
+    onModeChange(activeMode === tool.id ? null : tool.id)
   }
 
   return (
@@ -39,8 +64,8 @@ export function MobileToolbar({
           <button
             key={tool.id}
             className={`mobile-tool-btn ${activeMode === tool.id ? 'active' : ''}`}
-            onClick={() => handleToolClick(tool.id)}
-            disabled={isRunning}
+            onClick={() => handleToolClick(tool)}
+            disabled={(isRunning && !tool.whileRunning) || tool.disabled}
             title={tool.label}
           >
             <span className="tool-icon">{tool.icon}</span>
@@ -48,6 +73,13 @@ export function MobileToolbar({
           </button>
         ))}
       </div>
+      <button
+        className="mobile-mute-btn"
+        onClick={onToggleMute}
+        title={muted ? 'Turn sound on' : 'Turn sound off'}
+      >
+        {muted ? '🔇' : '🔊'}
+      </button>
       <button
         className={`mobile-run-btn ${isRunning ? 'running' : 'stopped'}`}
         onClick={onToggleSimulation}
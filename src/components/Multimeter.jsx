@@ -0,0 +1,47 @@
+/**
+ * Multimeter - The meter overlay shown in 📟 Meter mode
+ *
+ * The face is drawn on its own canvas in the notebook's sketch style; the
+ * buttons under it turn the dial between V, A and Ω. The reading itself
+ * comes from engine/Multimeter.js (readMultimeter).
+ */
+
+import { useRef, useEffect } from 'react'
+import { METER_MODES, formatReading } from '../engine/Multimeter.js'
+import { drawMultimeter, METER_WIDTH, METER_HEIGHT } from './renderers/MultimeterRenderer.js'
+
+const MODE_TITLES = {
+  V: 'Volts - click two terminals (red lead first)',
+  A: 'Amps - click a part or a wire while running',
+  'Ω': 'Ohms - click two terminals while stopped'
+}
+
+export function Multimeter({ mode, reading, onModeChange }) {
+  const canvasRef = useRef(null)
+  const display = reading.unit ? formatReading(reading.value, reading.unit) : null
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext('2d')
+    if (!ctx) return
+    ctx.clearRect(0, 0, METER_WIDTH, METER_HEIGHT)
+    drawMultimeter(ctx, { mode, display, message: reading.message })
+  })
+
+  return (
+    <div className="multimeter">
+      <canvas ref={canvasRef} width={METER_WIDTH} height={METER_HEIGHT} aria-label={display || reading.message} />
+      <div className="multimeter-dial">
+        {METER_MODES.map(option => (
+          <button
+            key={option}
+            className={mode === option ? 'active' : ''}
+            onClick={() => onModeChange(option)}
+            title={MODE_TITLES[option]}
+          >
+            {option}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
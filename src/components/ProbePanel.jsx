@@ -0,0 +1,86 @@
+/**
+ * ProbePanel - Scrolling oscilloscope chart of the probed voltages and currents
+ *
+ * Shown once a probe is clipped on (📈 Probe mode, then click a part or a
+ * terminal). The chart follows the newest samples; Pause freezes it on
+ * what was showing so it can be read while the simulation carries on.
+ * Zoom picks how many seconds of history fit across, and CSV downloads
+ * the whole recorded history.
+ */
+
+import { useRef, useState, useEffect } from 'react'
+import { getProbeLabel } from '../engine/Probes.js'
+import { drawProbeChart, CHART_WINDOWS, DEFAULT_CHART_WINDOW } from './renderers/ProbeRenderer.js'
+
+const CHART_HEIGHT = 160
+
+export function ProbePanel({ probes, recorder, components, onRemove }) {
+  const canvasRef = useRef(null)
+  const [frozen, setFrozen] = useState(null) // Traces held while paused
+  const [span, setSpan] = useState(DEFAULT_CHART_WINDOW) // Seconds across the chart
+
+  const getTraces = () => probes.map(probe => ({ color: probe.color, samples: probe.samples.toArray() }))
+
+  // Redraw with every render - the parent re-renders on each simulation tick
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ctx = canvas?.getContext('2d')
+    if (!ctx) return
+
+    canvas.width = canvas.offsetWidth
+    canvas.height = CHART_HEIGHT
+
+    const traces = frozen || getTraces()
+    const latest = Math.max(0, ...traces.map(t => t.samples.length > 0 ? t.samples[t.samples.length - 1].time : 0))
+    drawProbeChart(ctx, traces, { width: canvas.width, height: canvas.height, window: span, end: Math.max(latest, span) })
+  })
+
+  if (probes.length === 0) return null
+
+  const zoom = direction => {
+    const index = CHART_WINDOWS.indexOf(span) + direction
+    if (index >= 0 && index < CHART_WINDOWS.length) setSpan(CHART_WINDOWS[index])
+  }
+
+  const exportCSV = () => {
+    const blob = new Blob([recorder.toCSV(components)], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'circuit-quest-probes.csv'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="probe-panel">
+      <div className="probe-panel-controls">
+        <strong>📈 Probes</strong>
+        <button onClick={() => setFrozen(frozen ? null : getTraces())}>
+          {frozen ? '▶️ Resume' : '⏸️ Pause'}
+        </button>
+        <button onClick={() => zoom(-1)} disabled={span === CHART_WINDOWS[0]} title="Show less time">
+          🔍+
+        </button>
+        <span className="probe-panel-window">{span}s</span>
+        <button onClick={() => zoom(1)} disabled={span === CHART_WINDOWS[CHART_WINDOWS.length - 1]} title="Show more time">
+          🔍−
+        </button>
+        <button onClick={exportCSV} title="Download the recorded history">
+          💾 CSV
+        </button>
+      </div>
+      <canvas ref={canvasRef} className="probe-chart" style={{ height: `${CHART_HEIGHT}px` }} />
+      <ul className="probe-legend">
+        {probes.map(probe => (
+          <li key={probe.id} style={{ color: probe.color }}>
+            {getProbeLabel(probe, components)}{probe.terminal === null ? ' (V, A dashed)' : ' (V)'}
+            <button onClick={() => onRemove(probe.id)} title="Remove probe" aria-label={`Remove ${getProbeLabel(probe, components)} probe`}>
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
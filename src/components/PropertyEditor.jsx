@@ -0,0 +1,40 @@
+/**
+ * PropertyEditor - Pick the value of the selected resistor or capacitor
+ *
+ * Only offers the values the active challenge's allowedParts catalogue
+ * allows (see engine/PartValues.js). Values can't change while the
+ * simulation runs; with a single value on offer it is shown but fixed.
+ */
+
+import { getAllowedValues, getPartValue, isPartAllowed, formatPartValue } from '../engine/PartValues.js'
+
+export function PropertyEditor({ component, allowedParts, isRunning, onChange }) {
+  if (!component) return null
+
+  const values = getAllowedValues(allowedParts, component.type)
+  if (values.length === 0) return null
+
+  const value = getPartValue(component)
+  const label = component.type === 'capacitor' ? '⚡ Capacitance' : '⚡ Resistance'
+  const fixed = values.length < 2
+
+  return (
+    <div className="property-editor">
+      <label>
+        {label}{' '}
+        <select
+          value={value}
+          disabled={isRunning || fixed}
+          onChange={e => onChange(Number(e.target.value))}
+        >
+          {/* Keep a value from elsewhere selectable, so the choice shown is honest */}
+          {!isPartAllowed(allowedParts, component) && <option value={value}>{formatPartValue(component.type, value)} (not allowed)</option>}
+          {values.map(v => (
+            <option key={v} value={v}>{formatPartValue(component.type, v)}</option>
+          ))}
+        </select>
+      </label>
+      {fixed && <span className="property-editor-hint">Only this value in this challenge</span>}
+    </div>
+  )
+}
@@ -1,11 +1,21 @@
 /**
  * Toolbar - Mode-based component toolbar
  *
- * Provides buttons for starting/stopping simulation and selecting
- * component placement modes with visual feedback.
+ * Provides buttons for starting/stopping simulation, choosing its speed
+ * (pause, slow motion, fast-forward) and stepping it while paused,
+ * selecting component placement modes with visual feedback, the
+ * multimeter, clipping on probes for the oscilloscope panel, flipping the
+ * selected component, and a sound on/off toggle.
+ *
+ * Each cell chemistry has its own battery button. Chemistries missing
+ * from allowedChemistries (set by the active challenge) are disabled.
  */
 
-export function Toolbar({ isRunning, onToggleSimulation, onModeChange, activeMode }) {
+import { CELL_CHEMISTRIES } from '../engine/CellChemistry.js'
+import { getBatteryMode } from './CircuitWorkspaceHelpers.js'
+import { SPEEDS, DEFAULT_SPEED, PHYSICS_STEP } from '../engine/SimulationClock.js'
+
+export function Toolbar({ isRunning, onToggleSimulation, onModeChange, activeMode, canFlip = false, onFlip, allowedChemistries = null, muted = false, onToggleMute, speed = DEFAULT_SPEED, onSpeedChange, onStep }) {
   return (
     <div className="toolbar">
       <button
@@ -14,13 +24,38 @@ export function Toolbar({ isRunning, onToggleSimulation, onModeChange, activeMod
       >
         {isRunning ? '⏸️ Stop' : '▶️ Start'}
       </button>
+      {SPEEDS.map(option => (
+        <button
+          key={option}
+          className={speed === option ? 'active' : ''}
+          onClick={() => onSpeedChange(option)}
+          title={option === 0 ? 'Pause the simulation' : `Run the simulation at ${option}× real time`}
+        >
+          {option === 0 ? '⏯️ Pause' : `${option}×`}
+        </button>
+      ))}
       <button
-        disabled={isRunning}
-        className={activeMode === 'battery' ? 'active' : ''}
-        onClick={() => onModeChange(activeMode === 'battery' ? null : 'battery')}
+        disabled={!isRunning || speed !== 0}
+        onClick={onStep}
+        title={`Advance one ${PHYSICS_STEP * 1000}ms step while paused`}
       >
-        🥔 Battery
+        ⏭️ Step
       </button>
+      {Object.values(CELL_CHEMISTRIES).map(cell => {
+        const mode = getBatteryMode(cell.id)
+        const allowed = !allowedChemistries || allowedChemistries.includes(cell.id)
+        return (
+          <button
+            key={cell.id}
+            disabled={isRunning || !allowed}
+            className={activeMode === mode ? 'active' : ''}
+            onClick={() => onModeChange(activeMode === mode ? null : mode)}
+            title={allowed ? `${cell.name} cell (${cell.voltage}V)` : `${cell.name} cells are not allowed in this challenge`}
+          >
+            {cell.emoji} {cell.name}
+          </button>
+        )
+      })}
       <button
         disabled={isRunning}
         className={activeMode === 'led' ? 'active' : ''}
@@ -35,6 +70,14 @@ export function Toolbar({ isRunning, onToggleSimulation, onModeChange, activeMod
       >
         ⚡ Resistor
       </button>
+      <button
+        disabled={isRunning}
+        className={activeMode === 'potentiometer' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'potentiometer' ? null : 'potentiometer')}
+        title="Potentiometer - drag its knob to share the voltage between its ends, even while running"
+      >
+        🎛️ Pot
+      </button>
       <button
         disabled={isRunning}
         className={activeMode === 'capacitor' ? 'active' : ''}
@@ -42,6 +85,14 @@ export function Toolbar({ isRunning, onToggleSimulation, onModeChange, activeMod
       >
         🔋 Capacitor
       </button>
+      <button
+        disabled={isRunning}
+        className={activeMode === 'inductor' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'inductor' ? null : 'inductor')}
+        title="Coil - stores energy in its magnetic field, rings with a capacitor"
+      >
+        🌀 Coil
+      </button>
       <button
         disabled={isRunning}
         className={activeMode === 'lightbulb' ? 'active' : ''}
@@ -49,6 +100,54 @@ export function Toolbar({ isRunning, onToggleSimulation, onModeChange, activeMod
       >
         💡 Bulb
       </button>
+      <button
+        disabled={isRunning}
+        className={activeMode === 'switch' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'switch' ? null : 'switch')}
+        title="Toggle switch - click it while running to flip it"
+      >
+        🎚️ Switch
+      </button>
+      <button
+        disabled={isRunning}
+        className={activeMode === 'pushbutton' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'pushbutton' ? null : 'pushbutton')}
+        title="Push button - hold it down while running to close it"
+      >
+        🔘 Button
+      </button>
+      <button
+        disabled={isRunning}
+        className={activeMode === 'diode' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'diode' ? null : 'diode')}
+        title="Diode - lets current through one way only (about 0.6V drop)"
+      >
+        ▶| Diode
+      </button>
+      <button
+        disabled={isRunning}
+        className={activeMode === 'relay' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'relay' ? null : 'relay')}
+        title="Relay - current through the coil switches COM from NC over to NO"
+      >
+        🧲 Relay
+      </button>
+      <button
+        disabled={isRunning}
+        className={activeMode === 'motor' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'motor' ? null : 'motor')}
+        title="Motor - spins faster with more voltage, slower with a heavier load"
+      >
+        ⚙️ Motor
+      </button>
+      <button
+        disabled={isRunning}
+        className={activeMode === 'buzzer' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'buzzer' ? null : 'buzzer')}
+        title="Buzzer - buzzes louder and higher the more current it gets"
+      >
+        📢 Buzzer
+      </button>
       <button
         disabled={isRunning}
         className={activeMode === 'wire' ? 'active' : ''}
@@ -56,6 +155,33 @@ export function Toolbar({ isRunning, onToggleSimulation, onModeChange, activeMod
       >
         🔌 Wire
       </button>
+      <button
+        className={activeMode === 'meter' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'meter' ? null : 'meter')}
+        title="Multimeter - volts between two terminals, amps through a part or wire, ohms while stopped"
+      >
+        📟 Meter
+      </button>
+      <button
+        className={activeMode === 'probe' ? 'active' : ''}
+        onClick={() => onModeChange(activeMode === 'probe' ? null : 'probe')}
+        title="Probe - click a part to chart its voltage and current, or a terminal for the voltage of its net, even while running"
+      >
+        📈 Probe
+      </button>
+      <button
+        disabled={isRunning || !canFlip}
+        onClick={onFlip}
+        title="Turn the selected component round (F)"
+      >
+        🔄 Flip
+      </button>
+      <button
+        onClick={onToggleMute}
+        title={muted ? 'Turn sound on' : 'Turn sound off'}
+      >
+        {muted ? '🔇 Sound off' : '🔊 Sound on'}
+      </button>
     </div>
   )
 }
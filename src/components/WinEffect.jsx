@@ -1,9 +1,10 @@
 import { useEffect, useState, useRef } from 'react'
+import { getSoundEffects } from '../utils/SoundEffects'
 import './WinEffect.css'
 
 /**
  * WinEffect - Victory celebration animation
- * Shows confetti and banner when challenge is completed
+ * Shows confetti and banner, with a fanfare, when challenge is completed
  */
 export function WinEffect({ show, challengeTitle, onComplete }) {
   const [confetti, setConfetti] = useState([])
@@ -24,6 +25,7 @@ export function WinEffect({ show, challengeTitle, onComplete }) {
 
     // Show banner immediately
     setShowBanner(true)
+    getSoundEffects().playChallengeComplete()
 
     // Generate confetti
     const pieces = []
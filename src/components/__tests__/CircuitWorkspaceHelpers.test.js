@@ -1,5 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { createWiresFromChain, deleteComponent } from '../CircuitWorkspaceHelpers'
+import { createWiresFromChain, deleteComponent, flipComponent, getBatteryMode, getTerminalAt, performUndo, placeComponent, pressSwitch, releaseButtons, warnShortCircuit, SHORT_CIRCUIT_WARNING, getChargedBatteryIds, playCircuitSounds, isOnKnob, turnKnob, changePartValue } from '../CircuitWorkspaceHelpers'
+import { CELL_CHEMISTRIES } from '../../engine/CellChemistry'
+import { DEFAULT_PART_VALUES } from '../../engine/PartValues'
 import { UndoStack, UndoActions } from '../../utils/UndoStack'
 
 describe('CircuitWorkspaceHelpers', () => {
@@ -13,54 +15,53 @@ describe('CircuitWorkspaceHelpers', () => {
       setToast = vi.fn()
     })
 
-    it('should create wires from a chain of components', () => {
-      const chain = ['comp1', 'comp2', 'comp3']
+    const t = (componentId, terminal) => ({ componentId, terminal })
+
+    it('should create wires from a chain of terminals', () => {
+      const chain = [t('bat', '+'), t('led', 'anode'), t('led', 'cathode'), t('bat', '-')]
       createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)
 
       expect(setWires).toHaveBeenCalledWith(expect.any(Array))
       const newWires = setWires.mock.calls[0][0]
+      // Consecutive terminals on the LED trace through it - no wire between them
       expect(newWires).toHaveLength(2)
-      expect(newWires[0]).toMatchObject({ from: 'comp1', to: 'comp2' })
-      expect(newWires[1]).toMatchObject({ from: 'comp2', to: 'comp3' })
+      expect(newWires[0]).toMatchObject({ from: t('bat', '+'), to: t('led', 'anode') })
+      expect(newWires[1]).toMatchObject({ from: t('led', 'cathode'), to: t('bat', '-') })
     })
 
     it('should not create duplicate wires (same direction)', () => {
-      wires = [{ id: 1, from: 'comp1', to: 'comp2' }]
-      const chain = ['comp1', 'comp2', 'comp3']
+      wires = [{ id: 1, from: t('comp1', 'b'), to: t('comp2', 'a') }]
+      const chain = [t('comp1', 'b'), t('comp2', 'a'), t('comp2', 'b'), t('comp3', 'a')]
 
       createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)
 
       const newWires = setWires.mock.calls[0][0]
       // Should only add comp2->comp3 wire, not comp1->comp2 (duplicate)
       expect(newWires).toHaveLength(2) // Original wire + 1 new wire
-      expect(newWires.filter(w => w.from === 'comp2' && w.to === 'comp3')).toHaveLength(1)
-      expect(newWires.filter(w => w.from === 'comp1' && w.to === 'comp2')).toHaveLength(1) // Original
+      expect(newWires[1]).toMatchObject({ from: t('comp2', 'b'), to: t('comp3', 'a') })
     })
 
     it('should not create duplicate wires (reverse direction)', () => {
-      wires = [{ id: 1, from: 'comp2', to: 'comp1' }]
-      const chain = ['comp1', 'comp2', 'comp3']
+      wires = [{ id: 1, from: t('comp2', 'a'), to: t('comp1', 'b') }]
+      const chain = [t('comp1', 'b'), t('comp2', 'a'), t('comp2', 'b'), t('comp3', 'a')]
 
       createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)
 
       const newWires = setWires.mock.calls[0][0]
       // Should only add comp2->comp3 wire, not comp1->comp2 (reverse duplicate)
       expect(newWires).toHaveLength(2) // Original wire + 1 new wire
-      expect(newWires.filter(w => w.from === 'comp2' && w.to === 'comp3')).toHaveLength(1)
-      expect(newWires.filter(w => w.from === 'comp2' && w.to === 'comp1')).toHaveLength(1) // Original
+      expect(newWires[0]).toMatchObject({ from: t('comp2', 'a'), to: t('comp1', 'b') }) // Original
     })
 
-    it('should handle battery -> led -> battery -> led chain without duplicates', () => {
-      wires = []
-      const chain = ['battery1', 'led1', 'battery1', 'led2']
+    it('should allow separate wires to different terminals of the same pair', () => {
+      const chain = [t('bat', '+'), t('led', 'anode'), t('led', 'cathode'), t('bat', '-')]
+      wires = [{ id: 1, from: t('bat', '+'), to: t('led', 'anode') }]
 
       createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)
 
       const newWires = setWires.mock.calls[0][0]
-      expect(newWires).toHaveLength(3)
-      expect(newWires[0]).toMatchObject({ from: 'battery1', to: 'led1' })
-      expect(newWires[1]).toMatchObject({ from: 'led1', to: 'battery1' })
-      expect(newWires[2]).toMatchObject({ from: 'battery1', to: 'led2' })
+      expect(newWires).toHaveLength(2)
+      expect(newWires[1]).toMatchObject({ from: t('led', 'cathode'), to: t('bat', '-') })
 
       // Now try creating same chain again - should not add duplicates
       setWires.mockClear()
@@ -70,21 +71,43 @@ describe('CircuitWorkspaceHelpers', () => {
       expect(setWires).not.toHaveBeenCalled()
     })
 
+    it('should not duplicate a wire repeated within one chain', () => {
+      const chain = [t('bat', '+'), t('led', 'anode'), t('bat', '+')]
+
+      createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)
+
+      expect(setWires.mock.calls[0][0]).toHaveLength(1)
+    })
+
     it('should not call setWires when all wires already exist', () => {
       wires = [
-        { id: 1, from: 'comp1', to: 'comp2' },
-        { id: 2, from: 'comp2', to: 'comp3' }
+        { id: 1, from: t('comp1', 'b'), to: t('comp2', 'a') },
+        { id: 2, from: t('comp2', 'b'), to: t('comp3', 'a') }
       ]
-      const chain = ['comp1', 'comp2', 'comp3']
+      const chain = [t('comp1', 'b'), t('comp2', 'a'), t('comp2', 'b'), t('comp3', 'a')]
 
-      createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)
+      const created = createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)
 
       expect(setWires).not.toHaveBeenCalled()
       expect(setToast).not.toHaveBeenCalled()
+      expect(created).toBe(0)
     })
 
-    it('should not create wire if chain has less than 2 components', () => {
-      const chain = ['comp1']
+    it('should report how many wires it created', () => {
+      const chain = [t('bat', '+'), t('led', 'anode'), t('led', 'cathode'), t('bat', '-')]
+
+      expect(createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)).toBe(2)
+    })
+
+    it('should not create wire if chain has less than 2 terminals', () => {
+      const chain = [t('comp1', 'a')]
+      createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)
+
+      expect(setWires).not.toHaveBeenCalled()
+    })
+
+    it('should not create wire between terminals of one component', () => {
+      const chain = [t('comp1', 'a'), t('comp1', 'b')]
       createWiresFromChain(chain, wires, setWires, undoStack, UndoActions, setToast)
 
       expect(setWires).not.toHaveBeenCalled()
@@ -150,5 +173,335 @@ describe('CircuitWorkspaceHelpers', () => {
       expect(setWires).toHaveBeenCalled()
       expect(wires.find(w => w.id === 10)).toBeUndefined() // Wire from battery to LED deleted
     })
+
+    it('should delete terminal wires connected to deleted components', () => {
+      wires = [
+        { id: 20, from: { componentId: 1, terminal: '+' }, to: { componentId: 2, terminal: 'anode' } },
+        { id: 21, from: { componentId: 3, terminal: 'b' }, to: { componentId: 4, terminal: '+' } }
+      ]
+
+      deleteComponent(1, components, setComponents, wires, setWires, undoStack, UndoActions, setToast)
+
+      expect(wires.map(w => w.id)).toEqual([21])
+      expect(undoStack.peek().data.wires.map(w => w.id)).toEqual([20])
+    })
+  })
+
+  describe('getTerminalAt', () => {
+    const capabilities = { getTouchTargetSize: () => 32 }
+    const components = [
+      { id: 1, type: 'battery', x: 100, y: 100 },
+      { id: 2, type: 'led', x: 300, y: 100 }
+    ]
+
+    it('should find the terminal under the pointer', () => {
+      expect(getTerminalAt(148, 100, components, capabilities)).toEqual({ componentId: 1, terminal: '+' })
+      expect(getTerminalAt(262, 102, components, capabilities)).toEqual({ componentId: 2, terminal: 'anode' })
+    })
+
+    it('should return null away from terminals', () => {
+      expect(getTerminalAt(100, 100, components, capabilities)).toBeNull()
+    })
+
+    it('should use a larger hit radius for touch', () => {
+      const touch = { getTouchTargetSize: () => 60 }
+
+      expect(getTerminalAt(148, 114, components, capabilities)).toBeNull()
+      expect(getTerminalAt(148, 114, components, touch)).toEqual({ componentId: 1, terminal: '+' })
+    })
+  })
+
+  describe('flipComponent', () => {
+    let components, setComponents, wires, setWires, undoStack, setToast
+
+    beforeEach(() => {
+      components = [
+        { id: 1, type: 'battery', x: 100, y: 100 },
+        { id: 2, type: 'led', x: 200, y: 100 }
+      ]
+      wires = [
+        { id: 10, from: { componentId: 1, terminal: '+' }, to: { componentId: 2, terminal: 'cathode' } },
+        { id: 11, from: { componentId: 2, terminal: 'anode' }, to: { componentId: 1, terminal: '-' } }
+      ]
+      setComponents = vi.fn((fn) => { components = fn(components) })
+      setWires = vi.fn((fn) => { wires = fn(wires) })
+      undoStack = new UndoStack()
+      setToast = vi.fn()
+    })
+
+    it('should mirror the component and swap the terminals its wires use', () => {
+      flipComponent(1, components, setComponents, wires, setWires, undoStack, UndoActions, setToast)
+
+      expect(components[1].flipped).toBe(true)
+      expect(wires[0].to).toEqual({ componentId: 2, terminal: 'anode' })
+      expect(wires[1].from).toEqual({ componentId: 2, terminal: 'cathode' })
+      // Other components' ends are untouched
+      expect(wires[0].from).toEqual({ componentId: 1, terminal: '+' })
+    })
+
+    it('should record an undoable flip', () => {
+      flipComponent(1, components, setComponents, wires, setWires, undoStack, UndoActions, setToast)
+
+      expect(undoStack.peek().type).toBe('flip-component')
+      expect(setToast).toHaveBeenCalledWith(expect.objectContaining({ message: '💡 LED flipped' }))
+
+      performUndo(undoStack, setComponents, setWires, setToast, UndoActions)
+
+      expect(components[1].flipped).toBe(false)
+      expect(wires[0].to).toEqual({ componentId: 2, terminal: 'cathode' })
+    })
+
+    it('should leave a relay as it is', () => {
+      components = [{ id: 3, type: 'relay', x: 300, y: 100 }]
+
+      flipComponent(0, components, setComponents, wires, setWires, undoStack, UndoActions, setToast)
+
+      expect(setComponents).not.toHaveBeenCalled()
+      expect(undoStack.peek()).toBeFalsy()
+    })
+  })
+
+  describe('placeComponent - cell chemistries', () => {
+    let setComponents
+
+    beforeEach(() => {
+      setComponents = vi.fn()
+    })
+
+    const place = mode => {
+      placeComponent(mode, 10, 20, [], setComponents, new UndoStack(), UndoActions, vi.fn(), {})
+      return setComponents.mock.calls[0][0][0]
+    }
+
+    it('should place a potato for the plain battery mode', () => {
+      const battery = place('battery')
+
+      expect(battery.type).toBe('battery')
+      expect(battery.chemistry).toBe('potato')
+      expect(battery.voltage).toBe(0.9)
+    })
+
+    it('should place the chemistry named by the mode', () => {
+      const battery = place(getBatteryMode('saltwater'))
+
+      expect(battery.type).toBe('battery')
+      expect(battery.chemistry).toBe('saltwater')
+      expect(battery.voltage).toBe(CELL_CHEMISTRIES.saltwater.voltage)
+      expect(battery.capacity).toBe(CELL_CHEMISTRIES.saltwater.capacity)
+      expect(battery.terminals).toEqual(['-', '+'])
+    })
+
+    it('should map the default potato to the plain battery mode', () => {
+      expect(getBatteryMode('potato')).toBe('battery')
+      expect(getBatteryMode('lemon')).toBe('battery:lemon')
+    })
+  })
+
+  describe('placeComponent - part values', () => {
+    let setComponents
+
+    beforeEach(() => {
+      setComponents = vi.fn()
+    })
+
+    const place = (mode, allowedParts) => {
+      placeComponent(mode, 10, 20, [], setComponents, new UndoStack(), UndoActions, vi.fn(), {}, allowedParts)
+      return setComponents.mock.calls[0][0][0]
+    }
+
+    it('should start resistors and capacitors at the default values', () => {
+      expect(place('resistor').resistance).toBe(DEFAULT_PART_VALUES.resistor)
+      setComponents.mockClear()
+      expect(place('capacitor').capacitance).toBe(DEFAULT_PART_VALUES.capacitor)
+    })
+
+    it('should start at the first value a catalogue without the default offers', () => {
+      expect(place('resistor', { resistor: [1000, 2200] }).resistance).toBe(1000)
+    })
+  })
+
+  describe('pressSwitch / releaseButtons', () => {
+    let components, setComponents
+
+    beforeEach(() => {
+      components = [
+        { id: 1, type: 'switch', closed: false },
+        { id: 2, type: 'pushbutton', pressed: false },
+        { id: 3, type: 'led', brightness: 0 }
+      ]
+      setComponents = vi.fn(update => { components = update(components) })
+    })
+
+    it('should flip a toggle switch on each press', () => {
+      pressSwitch(components[0], setComponents)
+      expect(components[0].closed).toBe(true)
+
+      pressSwitch(components[0], setComponents)
+      expect(components[0].closed).toBe(false)
+    })
+
+    it('should hold a push button closed until released', () => {
+      pressSwitch(components[1], setComponents)
+      expect(components[1].pressed).toBe(true)
+
+      releaseButtons(setComponents)
+      expect(components[1].pressed).toBe(false)
+    })
+
+    it('should ignore other components', () => {
+      const before = components
+
+      expect(pressSwitch(components[2], setComponents)).toBe(false)
+      expect(setComponents).not.toHaveBeenCalled()
+      expect(components).toBe(before)
+    })
+
+    it('should leave components untouched when no button is held', () => {
+      const before = components
+
+      releaseButtons(setComponents)
+
+      expect(components).toBe(before)
+    })
+  })
+
+  describe('isOnKnob / turnKnob', () => {
+    let components, setComponents
+
+    beforeEach(() => {
+      components = [
+        { id: 1, type: 'potentiometer', x: 200, y: 100, position: 0.5 },
+        { id: 2, type: 'resistor', x: 200, y: 100 }
+      ]
+      setComponents = vi.fn(update => { components = update(components) })
+    })
+
+    it('should grab the knob above the wiper', () => {
+      expect(isOnKnob(components[0], 200, 80)).toBe(true)
+      expect(isOnKnob(components[0], 200, 100)).toBe(false)
+      expect(isOnKnob(components[1], 200, 80)).toBe(false)
+    })
+
+    it('should slide the wiper to follow the pointer', () => {
+      turnKnob(components[0], 184, setComponents)
+      expect(components[0].position).toBeCloseTo(0.25)
+
+      turnKnob(components[0], 400, setComponents)
+      expect(components[0].position).toBe(1)
+      expect(components[1]).not.toHaveProperty('position')
+    })
+  })
+
+  describe('changePartValue', () => {
+    let components, setComponents, undoStack, setToast
+
+    beforeEach(() => {
+      components = [
+        { id: 1, type: 'resistor', resistance: 100 },
+        { id: 2, type: 'led', brightness: 0 }
+      ]
+      setComponents = vi.fn(update => { components = update(components) })
+      undoStack = new UndoStack()
+      setToast = vi.fn()
+    })
+
+    it('should set the new value and announce it', () => {
+      changePartValue(0, 2200, components, setComponents, undoStack, UndoActions, setToast)
+
+      expect(components[0].resistance).toBe(2200)
+      expect(setToast).toHaveBeenCalledWith(expect.objectContaining({ message: '⚡ Resistor set to 2.2kΩ' }))
+    })
+
+    it('should restore the old value on undo', () => {
+      changePartValue(0, 2200, components, setComponents, undoStack, UndoActions, setToast)
+
+      performUndo(undoStack, setComponents, vi.fn(), setToast, UndoActions)
+
+      expect(components[0].resistance).toBe(100)
+    })
+
+    it('should ignore parts without a value and unchanged values', () => {
+      changePartValue(1, 2200, components, setComponents, undoStack, UndoActions, setToast)
+      changePartValue(0, 100, components, setComponents, undoStack, UndoActions, setToast)
+
+      expect(setComponents).not.toHaveBeenCalled()
+      expect(undoStack.canUndo()).toBe(false)
+    })
+  })
+
+  describe('warnShortCircuit', () => {
+    it('should explain the first short circuit of a run', () => {
+      const setToast = vi.fn()
+      const warned = { current: false }
+
+      warnShortCircuit([{ id: 1, type: 'battery', shorted: true }], warned, setToast)
+
+      expect(setToast).toHaveBeenCalledWith({ message: SHORT_CIRCUIT_WARNING, show: true, onUndo: null })
+      expect(warned.current).toBe(true)
+    })
+
+    it('should only warn once per run', () => {
+      const setToast = vi.fn()
+      const warned = { current: true }
+
+      warnShortCircuit([{ id: 1, type: 'battery', shorted: true }], warned, setToast)
+
+      expect(setToast).not.toHaveBeenCalled()
+    })
+
+    it('should stay quiet without a short circuit', () => {
+      const setToast = vi.fn()
+      const warned = { current: false }
+
+      warnShortCircuit([], warned, setToast)
+
+      expect(setToast).not.toHaveBeenCalled()
+      expect(warned.current).toBe(false)
+    })
+  })
+
+  describe('playCircuitSounds', () => {
+    const createSounds = () => ({
+      playBatteryDeath: vi.fn(),
+      setBulbHum: vi.fn(),
+      updateBuzzers: vi.fn()
+    })
+
+    it('should groan once for a battery that just ran flat', () => {
+      const sounds = createSounds()
+      const batteries = [{ id: 1, type: 'battery', charge: 0.001 }, { id: 2, type: 'battery', charge: 0 }]
+      const charged = getChargedBatteryIds(batteries)
+
+      batteries[0].charge = 0
+      playCircuitSounds(batteries, charged, sounds)
+      playCircuitSounds(batteries, getChargedBatteryIds(batteries), sounds)
+
+      expect(charged).toEqual(new Set([1]))
+      expect(sounds.playBatteryDeath).toHaveBeenCalledTimes(1)
+    })
+
+    it('should hum with the brightest bulb and sound the buzzers', () => {
+      const sounds = createSounds()
+      const buzzer = { id: 3, type: 'buzzer', pitch: 440, volume: 0.5 }
+
+      playCircuitSounds([
+        { id: 1, type: 'lightbulb', brightness: 0.3 },
+        { id: 2, type: 'lightbulb', brightness: 0.8 },
+        buzzer
+      ], new Set(), sounds)
+
+      expect(sounds.setBulbHum).toHaveBeenCalledWith(0.8)
+      expect(sounds.updateBuzzers).toHaveBeenCalledWith([buzzer])
+    })
+
+    it('should fall quiet with no bulbs or buzzers', () => {
+      const sounds = createSounds()
+
+      playCircuitSounds([], new Set(), sounds)
+
+      expect(sounds.setBulbHum).toHaveBeenCalledWith(0)
+      expect(sounds.updateBuzzers).toHaveBeenCalledWith([])
+      expect(sounds.playBatteryDeath).not.toHaveBeenCalled()
+    })
   })
 })
@@ -297,6 +297,31 @@ describe('ComponentRendering', () => {
       expect(mockCtx.moveTo).toHaveBeenCalledWith(300, 250)
       expect(mockCtx.lineTo).toHaveBeenCalledWith(100, 150)
     })
+
+    it('should draw terminal wires between terminal positions', () => {
+      const wire = {
+        from: { componentId: 1, terminal: '+' },
+        to: { componentId: 2, terminal: 'anode' }
+      }
+      const components = createComponents()
+
+      drawWire(mockCtx, wire, components)
+
+      expect(mockCtx.moveTo).toHaveBeenCalledWith(148, 150)
+      expect(mockCtx.lineTo).toHaveBeenCalledWith(262, 250)
+    })
+
+    it('should not draw terminal wire if a component is missing', () => {
+      const wire = {
+        from: { componentId: 1, terminal: '+' },
+        to: { componentId: 999, terminal: 'anode' }
+      }
+      const components = createComponents()
+
+      drawWire(mockCtx, wire, components)
+
+      expect(mockCtx.beginPath).not.toHaveBeenCalled()
+    })
   })
 
   describe('Module Exports', () => {
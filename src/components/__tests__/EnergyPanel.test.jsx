@@ -0,0 +1,48 @@
+/**
+ * EnergyPanel.test.jsx - React component tests for EnergyPanel
+ *
+ * Tests the energy totals, efficiency and the per-part ledger.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import { EnergyPanel } from '../EnergyPanel.jsx'
+
+describe('EnergyPanel', () => {
+  const components = [{ id: 1, type: 'battery' }, { id: 2, type: 'led' }, { id: 3, type: 'switch' }]
+  const energy = {
+    supplied: 2,
+    dissipated: 1.5,
+    stored: 0.5,
+    useful: 1.2,
+    efficiency: 0.6,
+    imbalance: 0,
+    components: {
+      1: { type: 'battery', supplied: 2, dissipated: 0.01, stored: 0 },
+      2: { type: 'led', supplied: 0, dissipated: 1.2, stored: 0 },
+      3: { type: 'switch', supplied: 0, dissipated: 1e-9, stored: 0 }
+    }
+  }
+
+  it('should show the totals and efficiency', () => {
+    render(<EnergyPanel energy={energy} components={components} />)
+
+    expect(screen.getByText(/Supplied 2 J \| Dissipated 1.5 J/)).toBeInTheDocument()
+    expect(screen.getByText(/Efficiency 60%/)).toBeInTheDocument()
+  })
+
+  it('should list what each part handled, leaving out the negligible', () => {
+    render(<EnergyPanel energy={energy} components={components} />)
+
+    expect(screen.getByText('battery 1: supplied 2 J, dissipated 10 mJ')).toBeInTheDocument()
+    expect(screen.getByText('led 1: dissipated 1.2 J')).toBeInTheDocument()
+    expect(screen.queryByText(/switch 1/)).not.toBeInTheDocument()
+  })
+
+  it('should show no efficiency before anything is supplied', () => {
+    render(<EnergyPanel energy={{ ...energy, supplied: 0, efficiency: null, components: {} }} components={components} />)
+
+    expect(screen.getByText(/Efficiency -/)).toBeInTheDocument()
+    expect(screen.queryByRole('list')).not.toBeInTheDocument()
+  })
+})
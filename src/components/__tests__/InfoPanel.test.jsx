@@ -66,7 +66,7 @@ describe('InfoPanel', () => {
       )
 
       expect(screen.getByText(/Click mode button/i)).toBeInTheDocument()
-      expect(screen.getByText(/Wire mode: Click components in sequence/i)).toBeInTheDocument()
+      expect(screen.getByText(/Wire mode: Click terminals in sequence/i)).toBeInTheDocument()
     })
   })
 
@@ -354,4 +354,65 @@ describe('InfoPanel', () => {
       expect(paragraphs.length).toBeGreaterThanOrEqual(2)
     })
   })
+
+  describe('Open Circuit Warning', () => {
+    it('should warn about loads without a closed loop', () => {
+      render(
+        <InfoPanel
+          isRunning={false}
+          components={[]}
+          wires={[]}
+          selectedComponents={[]}
+          selectedComponent={null}
+          openLoads={[{ id: 1, type: 'led' }, { id: 2, type: 'lightbulb' }]}
+        />
+      )
+
+      expect(screen.getByText(/Open circuit: led, lightbulb/i)).toBeInTheDocument()
+    })
+
+    it('should not warn when every load is in a closed loop', () => {
+      render(
+        <InfoPanel
+          isRunning={false}
+          components={[]}
+          wires={[]}
+          selectedComponents={[]}
+          selectedComponent={null}
+        />
+      )
+
+      expect(screen.queryByText(/Open circuit/i)).not.toBeInTheDocument()
+    })
+  })
+
+  describe('Switch Hint', () => {
+    it('should explain switches are clickable while running', () => {
+      render(
+        <InfoPanel
+          isRunning={true}
+          components={[{ id: 1, type: 'switch', closed: false }]}
+          wires={[]}
+          selectedComponents={[]}
+          selectedComponent={null}
+        />
+      )
+
+      expect(screen.getByText(/Click switches and buttons/i)).toBeInTheDocument()
+    })
+
+    it('should not show the hint in edit mode', () => {
+      render(
+        <InfoPanel
+          isRunning={false}
+          components={[{ id: 1, type: 'pushbutton', pressed: false }]}
+          wires={[]}
+          selectedComponents={[]}
+          selectedComponent={null}
+        />
+      )
+
+      expect(screen.queryByText(/Click switches and buttons/i)).not.toBeInTheDocument()
+    })
+  })
 })
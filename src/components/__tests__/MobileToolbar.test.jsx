@@ -0,0 +1,51 @@
+/**
+ * MobileToolbar.test.jsx - React component tests for MobileToolbar
+ *
+ * Tests the bottom toolbar's placement and instrument modes.
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { MobileToolbar } from '../MobileToolbar.jsx'
+
+describe('MobileToolbar', () => {
+  it('should render nothing on a desktop viewport', () => {
+    const { container } = render(
+      <MobileToolbar activeMode={null} onModeChange={vi.fn()} isRunning={false} isMobile={false} />
+    )
+
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should disable placement tools while running', () => {
+    render(
+      <MobileToolbar activeMode={null} onModeChange={vi.fn()} isRunning={true} isMobile={true} />
+    )
+
+    expect(screen.getByTitle('LED')).toBeDisabled()
+  })
+
+  describe('Meter', () => {
+    it('should select meter mode, even while running', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <MobileToolbar activeMode={null} onModeChange={onModeChange} isRunning={true} isMobile={true} />
+      )
+
+      fireEvent.click(screen.getByTitle('Meter'))
+      expect(onModeChange).toHaveBeenCalledWith('meter')
+    })
+
+    it('should leave meter mode when tapped again', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <MobileToolbar activeMode="meter" onModeChange={onModeChange} isRunning={false} isMobile={true} />
+      )
+
+      fireEvent.click(screen.getByTitle('Meter'))
+      expect(onModeChange).toHaveBeenCalledWith(null)
+    })
+  })
+})
@@ -0,0 +1,41 @@
+/**
+ * Multimeter.test.jsx - React component tests for the Multimeter overlay
+ *
+ * Tests the display text, the meter's prompts and turning the dial.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { Multimeter } from '../Multimeter.jsx'
+
+describe('Multimeter', () => {
+  beforeEach(() => {
+    // jsdom has no canvas drawing
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should show the formatted reading', () => {
+    render(<Multimeter mode="A" reading={{ value: 0.0152, unit: 'A' }} onModeChange={vi.fn()} />)
+
+    expect(screen.getByLabelText('15.2 mA')).toBeInTheDocument()
+  })
+
+  it('should show what the meter needs before it has a reading', () => {
+    render(<Multimeter mode="V" reading={{ message: 'Click a terminal for the red lead' }} onModeChange={vi.fn()} />)
+
+    expect(screen.getByLabelText('Click a terminal for the red lead')).toBeInTheDocument()
+  })
+
+  it('should turn the dial', () => {
+    const onModeChange = vi.fn()
+    render(<Multimeter mode="V" reading={{ message: '' }} onModeChange={onModeChange} />)
+
+    expect(screen.getByRole('button', { name: 'V' })).toHaveClass('active')
+    fireEvent.click(screen.getByRole('button', { name: 'Ω' }))
+    expect(onModeChange).toHaveBeenCalledWith('Ω')
+  })
+})
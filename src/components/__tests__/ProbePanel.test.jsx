@@ -0,0 +1,90 @@
+/**
+ * ProbePanel.test.jsx - React component tests for ProbePanel
+ *
+ * Tests the probe legend, pausing, zooming and CSV export.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { ProbePanel } from '../ProbePanel.jsx'
+import { ProbeRecorder } from '../../engine/Probes.js'
+import { CHART_WINDOWS, DEFAULT_CHART_WINDOW } from '../renderers/ProbeRenderer.js'
+
+describe('ProbePanel', () => {
+  const components = [{ id: 1, type: 'battery' }, { id: 2, type: 'capacitor' }]
+  let recorder
+
+  beforeEach(() => {
+    // jsdom has no canvas drawing
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null)
+    recorder = new ProbeRecorder()
+    recorder.addProbe({ componentId: 2 })
+    recorder.addProbe({ componentId: 1, terminal: '+' })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  const renderPanel = (onRemove = vi.fn()) => render(
+    <ProbePanel probes={recorder.getProbes()} recorder={recorder} components={components} onRemove={onRemove} />
+  )
+
+  it('should render nothing without probes', () => {
+    const { container } = render(
+      <ProbePanel probes={[]} recorder={new ProbeRecorder()} components={components} onRemove={vi.fn()} />
+    )
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should list each probe', () => {
+    renderPanel()
+
+    expect(screen.getByText(/capacitor 1 \(V, A dashed\)/)).toBeInTheDocument()
+    expect(screen.getByText(/battery 1 \+ \(V\)/)).toBeInTheDocument()
+  })
+
+  it('should remove a probe', () => {
+    const onRemove = vi.fn()
+    renderPanel(onRemove)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove capacitor 1 probe' }))
+
+    expect(onRemove).toHaveBeenCalledWith(recorder.getProbes()[0].id)
+  })
+
+  it('should pause and resume the chart', () => {
+    renderPanel()
+
+    fireEvent.click(screen.getByRole('button', { name: /Pause/ }))
+    expect(screen.getByRole('button', { name: /Resume/ })).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: /Resume/ }))
+    expect(screen.getByRole('button', { name: /Pause/ })).toBeInTheDocument()
+  })
+
+  it('should zoom between the chart windows', () => {
+    renderPanel()
+    expect(screen.getByText(`${DEFAULT_CHART_WINDOW}s`)).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: /🔍−/ }))
+    expect(screen.getByText('10s')).toBeInTheDocument()
+
+    CHART_WINDOWS.forEach(() => fireEvent.click(screen.getByRole('button', { name: /🔍\+/ })))
+    expect(screen.getByText(`${CHART_WINDOWS[0]}s`)).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: /🔍\+/ })).toBeDisabled()
+  })
+
+  it('should download the history as CSV', () => {
+    URL.createObjectURL = vi.fn(() => 'blob:probes')
+    URL.revokeObjectURL = vi.fn()
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    renderPanel()
+
+    fireEvent.click(screen.getByRole('button', { name: /CSV/ }))
+
+    expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob))
+    expect(click).toHaveBeenCalled()
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:probes')
+  })
+})
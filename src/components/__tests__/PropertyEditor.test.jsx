@@ -0,0 +1,64 @@
+/**
+ * PropertyEditor.test.jsx - React component tests for PropertyEditor
+ *
+ * Tests picking the value of the selected part from the
+ * challenge's catalogue.
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { PropertyEditor } from '../PropertyEditor.jsx'
+import { STANDARD_PARTS, E6_PARTS } from '../../engine/PartValues.js'
+
+describe('PropertyEditor', () => {
+  it('should render nothing without a part that has a value', () => {
+    const { container, rerender } = render(
+      <PropertyEditor component={null} allowedParts={E6_PARTS} isRunning={false} onChange={vi.fn()} />
+    )
+    expect(container).toBeEmptyDOMElement()
+
+    rerender(<PropertyEditor component={{ type: 'led' }} allowedParts={E6_PARTS} isRunning={false} onChange={vi.fn()} />)
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should offer only the catalogue values', () => {
+    render(
+      <PropertyEditor component={{ type: 'resistor', resistance: 100 }} allowedParts={E6_PARTS} isRunning={false} onChange={vi.fn()} />
+    )
+
+    const options = screen.getAllByRole('option').map(option => option.textContent)
+    expect(options).toHaveLength(E6_PARTS.resistor.length)
+    expect(options).toContain('2.2kΩ')
+    expect(screen.getByRole('combobox')).toHaveValue('100')
+  })
+
+  it('should report the picked value as a number', () => {
+    const onChange = vi.fn()
+    render(
+      <PropertyEditor component={{ type: 'capacitor', capacitance: 0.1 }} allowedParts={E6_PARTS} isRunning={false} onChange={onChange} />
+    )
+
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: '0.022' } })
+
+    expect(onChange).toHaveBeenCalledWith(0.022)
+  })
+
+  it('should fix the value while running or when only one is offered', () => {
+    const { rerender } = render(
+      <PropertyEditor component={{ type: 'resistor', resistance: 100 }} allowedParts={E6_PARTS} isRunning={true} onChange={vi.fn()} />
+    )
+    expect(screen.getByRole('combobox')).toBeDisabled()
+
+    rerender(<PropertyEditor component={{ type: 'resistor', resistance: 100 }} allowedParts={STANDARD_PARTS} isRunning={false} onChange={vi.fn()} />)
+    expect(screen.getByRole('combobox')).toBeDisabled()
+    expect(screen.getByText(/Only this value/)).toBeInTheDocument()
+  })
+
+  it('should flag a value the challenge does not offer', () => {
+    render(
+      <PropertyEditor component={{ type: 'resistor', resistance: 2200 }} allowedParts={STANDARD_PARTS} isRunning={false} onChange={vi.fn()} />
+    )
+
+    expect(screen.getByText('2.2kΩ (not allowed)')).toBeInTheDocument()
+  })
+})
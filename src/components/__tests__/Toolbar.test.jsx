@@ -125,7 +125,7 @@ describe('Toolbar', () => {
         />
       )
 
-      expect(screen.getByRole('button', { name: /Battery/i })).toBeInTheDocument()
+      expect(screen.getByRole('button', { name: /Potato/i })).toBeInTheDocument()
     })
 
     it('should render LED mode button', () => {
@@ -203,7 +203,7 @@ describe('Toolbar', () => {
         />
       )
 
-      expect(screen.getByRole('button', { name: /Battery/i })).toBeDisabled()
+      expect(screen.getByRole('button', { name: /Potato/i })).toBeDisabled()
       expect(screen.getByRole('button', { name: /LED/i })).toBeDisabled()
       expect(screen.getByRole('button', { name: /Resistor/i })).toBeDisabled()
       expect(screen.getByRole('button', { name: /Capacitor/i })).toBeDisabled()
@@ -221,7 +221,7 @@ describe('Toolbar', () => {
         />
       )
 
-      expect(screen.getByRole('button', { name: /Battery/i })).not.toBeDisabled()
+      expect(screen.getByRole('button', { name: /Potato/i })).not.toBeDisabled()
       expect(screen.getByRole('button', { name: /LED/i })).not.toBeDisabled()
       expect(screen.getByRole('button', { name: /Resistor/i })).not.toBeDisabled()
       expect(screen.getByRole('button', { name: /Capacitor/i })).not.toBeDisabled()
@@ -243,7 +243,7 @@ describe('Toolbar', () => {
         />
       )
 
-      fireEvent.click(screen.getByRole('button', { name: /Battery/i }))
+      fireEvent.click(screen.getByRole('button', { name: /Potato/i }))
 
       expect(onModeChange).toHaveBeenCalledWith('battery')
     })
@@ -260,7 +260,7 @@ describe('Toolbar', () => {
         />
       )
 
-      fireEvent.click(screen.getByRole('button', { name: /Battery/i }))
+      fireEvent.click(screen.getByRole('button', { name: /Potato/i }))
 
       expect(onModeChange).toHaveBeenCalledWith(null)
     })
@@ -362,7 +362,7 @@ describe('Toolbar', () => {
         />
       )
 
-      expect(screen.getByRole('button', { name: /Battery/i })).toHaveClass('active')
+      expect(screen.getByRole('button', { name: /Potato/i })).toHaveClass('active')
     })
 
     it('should add "active" class to LED button when LED mode is active', () => {
@@ -440,7 +440,7 @@ describe('Toolbar', () => {
         />
       )
 
-      expect(screen.getByRole('button', { name: /Battery/i })).not.toHaveClass('active')
+      expect(screen.getByRole('button', { name: /Potato/i })).not.toHaveClass('active')
       expect(screen.getByRole('button', { name: /LED/i })).not.toHaveClass('active')
       expect(screen.getByRole('button', { name: /Resistor/i })).not.toHaveClass('active')
       expect(screen.getByRole('button', { name: /Capacitor/i })).not.toHaveClass('active')
@@ -448,4 +448,385 @@ describe('Toolbar', () => {
       expect(screen.getByRole('button', { name: /Wire/i })).not.toHaveClass('active')
     })
   })
+
+  describe('Flip Button', () => {
+    it('should be disabled when nothing is selected', () => {
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode={null}
+        />
+      )
+
+      expect(screen.getByRole('button', { name: /Flip/i })).toBeDisabled()
+    })
+
+    it('should call onFlip when a component is selected', () => {
+      const onFlip = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode={null}
+          canFlip={true}
+          onFlip={onFlip}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /Flip/i }))
+      expect(onFlip).toHaveBeenCalledTimes(1)
+    })
+
+    it('should be disabled while the simulation is running', () => {
+      render(
+        <Toolbar
+          isRunning={true}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode={null}
+          canFlip={true}
+          onFlip={vi.fn()}
+        />
+      )
+
+      expect(screen.getByRole('button', { name: /Flip/i })).toBeDisabled()
+    })
+  })
+
+  describe('Cell Chemistries', () => {
+    it('should render a button per chemistry', () => {
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode={null}
+        />
+      )
+
+      expect(screen.getByRole('button', { name: /Potato/i })).toBeInTheDocument()
+      expect(screen.getByRole('button', { name: /Lemon/i })).toBeInTheDocument()
+      expect(screen.getByRole('button', { name: /Saltwater/i })).toBeInTheDocument()
+    })
+
+    it('should call onModeChange with the chemistry battery mode', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode={null}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /Lemon/i }))
+
+      expect(onModeChange).toHaveBeenCalledWith('battery:lemon')
+    })
+
+    it('should mark the active chemistry', () => {
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode="battery:saltwater"
+        />
+      )
+
+      expect(screen.getByRole('button', { name: /Saltwater/i })).toHaveClass('active')
+      expect(screen.getByRole('button', { name: /Potato/i })).not.toHaveClass('active')
+    })
+
+    it('should disable chemistries the challenge does not allow', () => {
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode={null}
+          allowedChemistries={['lemon']}
+        />
+      )
+
+      expect(screen.getByRole('button', { name: /Lemon/i })).not.toBeDisabled()
+      expect(screen.getByRole('button', { name: /Potato/i })).toBeDisabled()
+      expect(screen.getByRole('button', { name: /Saltwater/i })).toBeDisabled()
+    })
+  })
+
+  describe('Switches', () => {
+    it('should offer switch and push button modes', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode={null}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /Switch/i }))
+      fireEvent.click(screen.getByRole('button', { name: /Button/i }))
+
+      expect(onModeChange).toHaveBeenCalledWith('switch')
+      expect(onModeChange).toHaveBeenCalledWith('pushbutton')
+    })
+
+    it('should not allow placing switches while running', () => {
+      render(
+        <Toolbar
+          isRunning={true}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode={null}
+        />
+      )
+
+      expect(screen.getByRole('button', { name: /Switch/i })).toBeDisabled()
+      expect(screen.getByRole('button', { name: /Button/i })).toBeDisabled()
+    })
+  })
+
+  describe('Diode', () => {
+    it('should toggle diode placement mode', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode="diode"
+        />
+      )
+
+      const diodeButton = screen.getByRole('button', { name: /Diode/i })
+      expect(diodeButton).toHaveClass('active')
+
+      fireEvent.click(diodeButton)
+      expect(onModeChange).toHaveBeenCalledWith(null)
+    })
+  })
+
+  describe('Relay', () => {
+    it('should select relay placement mode', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode={null}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /Relay/i }))
+      expect(onModeChange).toHaveBeenCalledWith('relay')
+    })
+  })
+
+  describe('Coil', () => {
+    it('should select inductor placement mode', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode={null}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /Coil/i }))
+      expect(onModeChange).toHaveBeenCalledWith('inductor')
+    })
+  })
+
+  describe('Motor', () => {
+    it('should select motor placement mode', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode={null}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /Motor/i }))
+      expect(onModeChange).toHaveBeenCalledWith('motor')
+    })
+  })
+
+  describe('Buzzer', () => {
+    it('should select buzzer placement mode', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode={null}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /Buzzer/i }))
+      expect(onModeChange).toHaveBeenCalledWith('buzzer')
+    })
+  })
+
+  describe('Potentiometer', () => {
+    it('should select potentiometer placement mode', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode={null}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /🎛️ Pot/ }))
+      expect(onModeChange).toHaveBeenCalledWith('potentiometer')
+    })
+  })
+
+  describe('Meter', () => {
+    it('should select meter mode, even while running', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={true}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode={null}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /📟 Meter/ }))
+      expect(onModeChange).toHaveBeenCalledWith('meter')
+    })
+  })
+
+  describe('Probe', () => {
+    it('should select probe mode, even while running', () => {
+      const onModeChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={true}
+          onToggleSimulation={vi.fn()}
+          onModeChange={onModeChange}
+          activeMode={null}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /📈 Probe/ }))
+      expect(onModeChange).toHaveBeenCalledWith('probe')
+    })
+  })
+
+  describe('Speed Controls', () => {
+    it('should highlight the current speed and change it', () => {
+      const onSpeedChange = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={true}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode={null}
+          speed={1}
+          onSpeedChange={onSpeedChange}
+        />
+      )
+
+      expect(screen.getByRole('button', { name: '1×' })).toHaveClass('active')
+      fireEvent.click(screen.getByRole('button', { name: '16×' }))
+      fireEvent.click(screen.getByRole('button', { name: /Pause/ }))
+
+      expect(onSpeedChange).toHaveBeenCalledWith(16)
+      expect(onSpeedChange).toHaveBeenCalledWith(0)
+    })
+
+    it('should offer slow motion and fast-forward', () => {
+      render(
+        <Toolbar isRunning={false} onToggleSimulation={vi.fn()} onModeChange={vi.fn()} activeMode={null} />
+      )
+
+      expect(screen.getByRole('button', { name: '0.25×' })).toBeEnabled()
+      expect(screen.getByRole('button', { name: '4×' })).toBeEnabled()
+    })
+
+    it('should only step while running and paused', () => {
+      const onStep = vi.fn()
+      const { rerender } = render(
+        <Toolbar isRunning={true} onToggleSimulation={vi.fn()} onModeChange={vi.fn()} activeMode={null} speed={1} onStep={onStep} />
+      )
+      expect(screen.getByRole('button', { name: /Step/ })).toBeDisabled()
+
+      rerender(
+        <Toolbar isRunning={false} onToggleSimulation={vi.fn()} onModeChange={vi.fn()} activeMode={null} speed={0} onStep={onStep} />
+      )
+      expect(screen.getByRole('button', { name: /Step/ })).toBeDisabled()
+
+      rerender(
+        <Toolbar isRunning={true} onToggleSimulation={vi.fn()} onModeChange={vi.fn()} activeMode={null} speed={0} onStep={onStep} />
+      )
+      fireEvent.click(screen.getByRole('button', { name: /Step/ }))
+      expect(onStep).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('Sound', () => {
+    it('should show sound on and toggle it off', () => {
+      const onToggleMute = vi.fn()
+
+      render(
+        <Toolbar
+          isRunning={false}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode={null}
+          muted={false}
+          onToggleMute={onToggleMute}
+        />
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: /Sound on/i }))
+      expect(onToggleMute).toHaveBeenCalledTimes(1)
+    })
+
+    it('should show muted sound, even while running', () => {
+      render(
+        <Toolbar
+          isRunning={true}
+          onToggleSimulation={vi.fn()}
+          onModeChange={vi.fn()}
+          activeMode={null}
+          muted={true}
+          onToggleMute={vi.fn()}
+        />
+      )
+
+      expect(screen.getByRole('button', { name: /Sound off/i })).not.toBeDisabled()
+    })
+  })
 })
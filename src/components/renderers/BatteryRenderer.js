@@ -1,20 +1,37 @@
 // Component rendering functions for Circuit Quest
 // Hand-drawn sketch aesthetic with visual state feedback
 
+import { getOpenCircuitVoltage, getTerminalVoltage } from '../../engine/BatteryModel.js'
+import { getChemistry } from '../../engine/CellChemistry.js'
+
+// Terminal voltage this far below open-circuit is shown as sagging
+const SAG_THRESHOLD = 0.05
+
+// How far the glow around a fully hot (shorted) cell reaches, in pixels
+const HEAT_GLOW = 12
+
 export function drawBattery(ctx, component) {
   const width = 80
   const height = 120
   const charge = component.charge || 1.0
+  const cell = getChemistry(component.chemistry)
+  const heat = component.heat || 0
+
+  // Red-hot glow behind a shorted cell
+  if (heat > 0) {
+    ctx.save()
+    ctx.globalAlpha = heat * 0.6
+    ctx.fillStyle = '#EF4444'
+    ctx.beginPath()
+    ctx.ellipse(0, 0, width/2 + HEAT_GLOW * heat, height/2 + HEAT_GLOW * heat, 0, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.restore()
+  }
 
-  // Draw potato shape (hand-drawn style)
+  // Draw the cell body (hand-drawn style)
   ctx.strokeStyle = '#4A4A4A'
   ctx.lineWidth = 2
-  ctx.fillStyle = '#C9A675'
-
-  ctx.beginPath()
-  ctx.ellipse(0, 0, width/2, height/2, 0, 0, Math.PI * 2)
-  ctx.fill()
-  ctx.stroke()
+  CELL_BODIES[cell.id](ctx, width, height)
 
   // Draw charge indicator
   const barHeight = height * 0.6
@@ -66,7 +83,84 @@ export function drawBattery(ctx, component) {
 
   // Label
   ctx.font = '12px Courier New'
-  ctx.fillText('🥔 Potato', 0, -height/2 - 10)
-  ctx.fillText(`${(component.voltage || 0.9).toFixed(1)}V`, 0, height/2 + 35)
+  ctx.fillText(`${cell.emoji} ${cell.name}`, 0, -height/2 - 10)
+
+  // Terminal voltage - sags under load
+  const battery = { ...component, charge }
+  const openCircuit = getOpenCircuitVoltage(battery)
+  const terminal = getTerminalVoltage(battery)
+  const sagging = openCircuit > 0 && terminal < openCircuit * (1 - SAG_THRESHOLD)
+  ctx.fillStyle = sagging ? '#F97316' : '#4A4A4A'
+  ctx.fillText(`${terminal.toFixed(1)}V`, 0, height/2 + 35)
+
+  // Fault warning - shorted now, or damaged by an earlier short
+  if (component.shorted || component.fault) {
+    ctx.fillStyle = '#DC2626'
+    ctx.font = 'bold 12px Courier New'
+    ctx.fillText(component.shorted ? '⚠ SHORT CIRCUIT' : '⚠ FAULT', 0, -height/2 - 26)
+  }
+}
+
+/**
+ * Potato: lumpy brown ellipse
+ */
+function drawPotato(ctx, width, height) {
+  ctx.fillStyle = '#C9A675'
+  ctx.beginPath()
+  ctx.ellipse(0, 0, width/2, height/2, 0, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.stroke()
+}
+
+/**
+ * Lemon: yellow ellipse with a pointed tip at each end
+ */
+function drawLemon(ctx, width, height) {
+  ctx.fillStyle = '#FDE047'
+  ctx.beginPath()
+  ctx.ellipse(0, 0, width/2, height/2 - 8, 0, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.stroke()
+
+  // Tips
+  ctx.beginPath()
+  ctx.moveTo(-8, -height/2 + 10)
+  ctx.lineTo(0, -height/2)
+  ctx.lineTo(8, -height/2 + 10)
+  ctx.moveTo(-8, height/2 - 10)
+  ctx.lineTo(0, height/2)
+  ctx.lineTo(8, height/2 - 10)
+  ctx.fill()
+  ctx.stroke()
+}
+
+/**
+ * Saltwater: glass jar of water with zinc and copper strips
+ */
+function drawSaltwater(ctx, width, height) {
+  const waterTop = -height/2 + 25
+
+  // Water
+  ctx.fillStyle = '#BFDBFE'
+  ctx.fillRect(-width/2, waterTop, width, height/2 - waterTop)
+
+  // Electrodes poking out of the water
+  ctx.fillStyle = '#9CA3AF'  // Zinc
+  ctx.fillRect(-width/2 + 6, -height/2 - 6, 6, height - 10)
+  ctx.fillStyle = '#B87333'  // Copper
+  ctx.fillRect(width/2 - 12, -height/2 - 6, 6, height - 10)
+
+  // Glass
+  ctx.beginPath()
+  ctx.moveTo(-width/2, -height/2)
+  ctx.lineTo(-width/2, height/2)
+  ctx.lineTo(width/2, height/2)
+  ctx.lineTo(width/2, -height/2)
+  ctx.stroke()
 }
 
+const CELL_BODIES = {
+  potato: drawPotato,
+  lemon: drawLemon,
+  saltwater: drawSaltwater
+}
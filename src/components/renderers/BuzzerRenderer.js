@@ -0,0 +1,64 @@
+// Buzzer rendering for Circuit Quest
+// Hand-drawn sketch aesthetic: round buzzer disc with sound waves rippling
+// out either side while it sounds
+
+import { getBuzzerVisualState } from '../../engine/VisualState.js'
+
+const RADIUS = 20
+
+/**
+ * Draw a buzzer: more sound waves for a louder buzz, pitch shown below
+ */
+export function drawBuzzer(ctx, component) {
+  const { state, pitch, volume, waves } = getBuzzerVisualState(component)
+  const color = state === 'buzzing' ? '#7C3AED' : '#4A4A4A'
+
+  // Leads out to the terminals
+  ctx.strokeStyle = '#4A4A4A'
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.moveTo(-40, 0)
+  ctx.lineTo(-RADIUS, 0)
+  ctx.moveTo(RADIUS, 0)
+  ctx.lineTo(40, 0)
+  ctx.stroke()
+
+  // Buzzer body with its sound hole
+  ctx.fillStyle = '#1F2937'
+  ctx.strokeStyle = color
+  ctx.beginPath()
+  ctx.arc(0, 0, RADIUS, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.stroke()
+
+  ctx.fillStyle = '#9CA3AF'
+  ctx.beginPath()
+  ctx.arc(0, 0, 4, 0, Math.PI * 2)
+  ctx.fill()
+
+  // Sound waves above the body, fainter when quiet
+  if (waves > 0) {
+    ctx.strokeStyle = color
+    ctx.lineWidth = 1.5
+    ctx.globalAlpha = 0.4 + volume * 0.6
+    for (let i = 1; i <= waves; i++) {
+      ctx.beginPath()
+      ctx.arc(0, 0, RADIUS + i * 6, -Math.PI * 0.75, -Math.PI * 0.25)
+      ctx.stroke()
+    }
+    ctx.globalAlpha = 1
+  }
+
+  // Label and status
+  ctx.fillStyle = '#4A4A4A'
+  ctx.font = '12px Courier New'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText('📢 Buzzer', 0, -RADIUS - 26)
+
+  if (state === 'buzzing') {
+    ctx.fillStyle = color
+    ctx.font = '11px Courier New'
+    ctx.fillText(`${Math.round(pitch)} Hz`, 0, RADIUS + 14)
+  }
+}
@@ -0,0 +1,68 @@
+// Diode rendering for Circuit Quest
+// Hand-drawn sketch aesthetic: triangle pointing the way current may flow,
+// with the cathode bar at its tip
+
+import { getDiodeVisualState } from '../../engine/VisualState.js'
+
+const BODY = 14  // Half-width of the triangle
+
+/**
+ * Draw a diode: green while conducting, red bar while blocking
+ */
+export function drawDiode(ctx, component) {
+  const { state, flowIntensity } = getDiodeVisualState(component)
+  const color = state === 'conducting' ? '#16A34A' : '#4A4A4A'
+
+  // Leads out to the terminals
+  ctx.strokeStyle = color
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.moveTo(-40, 0)
+  ctx.lineTo(-BODY, 0)
+  ctx.moveTo(BODY, 0)
+  ctx.lineTo(40, 0)
+  ctx.stroke()
+
+  // Triangle (anode side) pointing at the cathode
+  ctx.fillStyle = state === 'conducting' ? '#BBF7D0' : '#E0E0E0'
+  ctx.beginPath()
+  ctx.moveTo(-BODY, -BODY)
+  ctx.lineTo(BODY, 0)
+  ctx.lineTo(-BODY, BODY)
+  ctx.closePath()
+  ctx.fill()
+  ctx.stroke()
+
+  // Cathode bar - red when it is holding current back
+  ctx.strokeStyle = state === 'blocking' ? '#DC2626' : color
+  ctx.lineWidth = 3
+  ctx.beginPath()
+  ctx.moveTo(BODY, -BODY)
+  ctx.lineTo(BODY, BODY)
+  ctx.stroke()
+
+  // Flow arrow above the body while conducting
+  if (state === 'conducting') {
+    ctx.strokeStyle = '#16A34A'
+    ctx.lineWidth = 1 + flowIntensity * 2
+    ctx.beginPath()
+    ctx.moveTo(-12, -22)
+    ctx.lineTo(12, -22)
+    ctx.lineTo(6, -27)
+    ctx.moveTo(12, -22)
+    ctx.lineTo(6, -17)
+    ctx.stroke()
+  }
+
+  // Label and status
+  ctx.fillStyle = '#4A4A4A'
+  ctx.font = '12px Courier New'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText('▶| Diode', 0, -38)
+
+  const status = state === 'conducting' ? 'Conducting' : state === 'blocking' ? 'Blocking' : 'Off'
+  ctx.fillStyle = state === 'blocking' ? '#DC2626' : color
+  ctx.font = '11px Courier New'
+  ctx.fillText(status, 0, 28)
+}
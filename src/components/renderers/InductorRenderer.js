@@ -0,0 +1,61 @@
+// Inductor rendering for Circuit Quest
+// Hand-drawn sketch aesthetic: a row of wire loops with magnetic field
+// lines looping round it while current flows
+
+import { getInductorVisualState } from '../../engine/VisualState.js'
+
+const LOOPS = 6
+const LOOP_RADIUS = 6
+
+/**
+ * Draw an inductor: field lines grow with the current it carries
+ */
+export function drawInductor(ctx, component) {
+  const { state, fieldIntensity, energy } = getInductorVisualState(component)
+  const color = state === 'idle' ? '#4A4A4A' : '#2563EB'
+
+  // Leads out to the terminals
+  ctx.strokeStyle = color
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.moveTo(-48, 0)
+  ctx.lineTo(-LOOPS * LOOP_RADIUS, 0)
+  ctx.moveTo(LOOPS * LOOP_RADIUS, 0)
+  ctx.lineTo(48, 0)
+  ctx.stroke()
+
+  // Windings
+  for (let i = 0; i < LOOPS; i++) {
+    const x = -LOOPS * LOOP_RADIUS + LOOP_RADIUS + i * LOOP_RADIUS * 2
+    ctx.beginPath()
+    ctx.arc(x, 0, LOOP_RADIUS, Math.PI, 0)
+    ctx.stroke()
+  }
+
+  // Magnetic field lines above and below, more of them for more current
+  if (fieldIntensity > 0.05) {
+    const lines = Math.ceil(fieldIntensity * 3)
+    ctx.strokeStyle = '#60A5FA'
+    ctx.lineWidth = 1
+    ctx.globalAlpha = 0.3 + fieldIntensity * 0.5
+    for (let i = 1; i <= lines; i++) {
+      ctx.beginPath()
+      ctx.ellipse(0, 0, 40 + i * 4, 10 + i * 6, 0, 0, Math.PI * 2)
+      ctx.stroke()
+    }
+    ctx.globalAlpha = 1
+  }
+
+  // Label and status
+  ctx.fillStyle = '#4A4A4A'
+  ctx.font = '12px Courier New'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText('🌀 Coil', 0, -38)
+
+  if (state !== 'idle') {
+    ctx.fillStyle = color
+    ctx.font = '11px Courier New'
+    ctx.fillText(`${Math.abs(component.current * 1000).toFixed(0)}mA · ${(energy * 1000).toFixed(1)}mJ`, 0, 38)
+  }
+}
@@ -1,6 +1,8 @@
 export function drawLED(ctx, component) {
   const size = 60
   const brightness = component.brightness || 0
+  const reversed = component.reverseBiased === true
+  const burntOut = component.burntOut === true
 
   // Draw outer glow halos when bright (multiple layers)
   if (brightness > 0.1) {
@@ -42,15 +44,28 @@ export function drawLED(ctx, component) {
     ctx.fill()
     ctx.shadowBlur = 0
   } else {
-    ctx.fillStyle = '#E0E0E0'
+    ctx.fillStyle = burntOut ? '#3F3F3F' : '#E0E0E0'  // Charred when burnt out
     ctx.fill()
   }
 
-  // Draw LED outline
-  ctx.strokeStyle = '#4A4A4A'
+  // Draw LED outline (red when wired backwards)
+  ctx.strokeStyle = reversed ? '#DC2626' : '#4A4A4A'
   ctx.lineWidth = 2
   ctx.stroke()
 
+  // Cracked casing where the junction cooked
+  if (burntOut) {
+    ctx.strokeStyle = '#1F1F1F'
+    ctx.beginPath()
+    ctx.moveTo(-12, -18)
+    ctx.lineTo(-2, -4)
+    ctx.lineTo(-8, 6)
+    ctx.lineTo(4, 20)
+    ctx.moveTo(-2, -4)
+    ctx.lineTo(10, -8)
+    ctx.stroke()
+  }
+
   // Draw brightness indicators (enhanced wave patterns with sparkles)
   if (brightness > 0.2) {
     // Radiating light rays
@@ -105,6 +120,20 @@ export function drawLED(ctx, component) {
   ctx.textBaseline = 'middle'
   ctx.fillText('💡 LED', 0, -size/2 - 15)
 
+  if (burntOut) {
+    // Too much current: it failed open and will never light again
+    ctx.fillStyle = '#DC2626'
+    ctx.fillText('Burnt out!', 0, size/2 + 20)
+    return
+  }
+
+  if (reversed) {
+    // Reverse biased: current is blocked, so explain why it is dark
+    ctx.fillStyle = '#DC2626'
+    ctx.fillText('Reversed!', 0, size/2 + 20)
+    return
+  }
+
   const status = brightness > 0.7 ? 'Bright' : brightness > 0.3 ? 'Dim' : brightness > 0 ? 'Faint' : 'Off'
   ctx.fillText(status, 0, size/2 + 20)
 }
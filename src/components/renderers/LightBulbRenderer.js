@@ -1,7 +1,14 @@
+import { getHeatLevel } from '../../engine/Thermal.js'
+
 export function drawLightBulb(ctx, component) {
   const size = 70
   const brightness = component.brightness || 0
   const power = component.power || 0
+  // The filament glows with its temperature - it fades rather than snapping
+  // off - or with the brightness before it has been simulated
+  const filamentHeat = component.temperature !== undefined
+    ? getHeatLevel(component, 'lightbulb')
+    : brightness
 
   // Draw glass bulb (hand-drawn circle)
   ctx.strokeStyle = '#4A4A4A'
@@ -34,8 +41,8 @@ export function drawLightBulb(ctx, component) {
   }
 
   // Draw tungsten filament
-  ctx.strokeStyle = brightness > 0.5 ? '#FFA500' : brightness > 0.2 ? '#FFD700' : '#666666'
-  ctx.lineWidth = brightness > 0.3 ? 2 : 1
+  ctx.strokeStyle = filamentHeat > 0.5 ? '#FFA500' : filamentHeat > 0.2 ? '#FFD700' : '#666666'
+  ctx.lineWidth = filamentHeat > 0.3 ? 2 : 1
 
   // Coiled filament (zigzag inside bulb)
   const filamentHeight = size * 0.5
@@ -49,8 +56,8 @@ export function drawLightBulb(ctx, component) {
   ctx.stroke()
 
   // Filament glow
-  if (brightness > 0.3) {
-    ctx.shadowBlur = 15 * brightness
+  if (filamentHeat > 0.3) {
+    ctx.shadowBlur = 15 * filamentHeat
     ctx.shadowColor = '#FFD700'
     ctx.stroke()
     ctx.shadowBlur = 0
@@ -0,0 +1,75 @@
+// Motor rendering for Circuit Quest
+// Hand-drawn sketch aesthetic: round motor can with a three-spoke rotor
+// that turns with the simulated rotor angle
+
+import { getMotorVisualState } from '../../engine/VisualState.js'
+
+const RADIUS = 28
+const SPOKES = 3
+
+/**
+ * Draw a motor: the rotor turns, with blurred ghost spokes at speed
+ */
+export function drawMotor(ctx, component) {
+  const { state, rpm, speedFraction, angle } = getMotorVisualState(component)
+  const color = state === 'spinning' ? '#2563EB' : state === 'stalled' ? '#DC2626' : '#4A4A4A'
+
+  // Leads out to the terminals
+  ctx.strokeStyle = '#4A4A4A'
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.moveTo(-48, 0)
+  ctx.lineTo(-RADIUS, 0)
+  ctx.moveTo(RADIUS, 0)
+  ctx.lineTo(48, 0)
+  ctx.stroke()
+
+  // Motor can
+  ctx.fillStyle = '#E5E7EB'
+  ctx.strokeStyle = color
+  ctx.beginPath()
+  ctx.arc(0, 0, RADIUS, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.stroke()
+
+  // Ghost spokes trailing behind a fast rotor
+  if (speedFraction > 0.2) {
+    ctx.globalAlpha = speedFraction * 0.3
+    drawSpokes(ctx, angle - Math.PI / SPOKES, color)
+    ctx.globalAlpha = 1
+  }
+  drawSpokes(ctx, angle, color)
+
+  // Shaft
+  ctx.fillStyle = '#4A4A4A'
+  ctx.beginPath()
+  ctx.arc(0, 0, 3, 0, Math.PI * 2)
+  ctx.fill()
+
+  // Label and status
+  ctx.fillStyle = '#4A4A4A'
+  ctx.font = '12px Courier New'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText('⚙️ Motor', 0, -RADIUS - 12)
+
+  const status = state === 'spinning' ? `${Math.round(Math.abs(rpm))} RPM` : state === 'stalled' ? 'Stalled!' : 'Stopped'
+  ctx.fillStyle = color
+  ctx.font = '11px Courier New'
+  ctx.fillText(status, 0, RADIUS + 12)
+}
+
+/**
+ * Draw the rotor spokes at an angle
+ */
+function drawSpokes(ctx, angle, color) {
+  ctx.strokeStyle = color
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  for (let i = 0; i < SPOKES; i++) {
+    const spoke = angle + (i / SPOKES) * Math.PI * 2
+    ctx.moveTo(0, 0)
+    ctx.lineTo(Math.cos(spoke) * (RADIUS - 6), Math.sin(spoke) * (RADIUS - 6))
+  }
+  ctx.stroke()
+}
@@ -0,0 +1,126 @@
+// Multimeter rendering for Circuit Quest
+// Hand-drawn sketch aesthetic: a chunky yellow meter with an LCD window
+// and a dial, and red/black leads clipped onto the circuit
+
+import { getTerminalPosition } from './TerminalRenderer.js'
+import { METER_MODES } from '../../engine/Multimeter.js'
+import { isLegacyWire } from '../../engine/Terminals.js'
+
+export const METER_WIDTH = 180
+export const METER_HEIGHT = 130
+
+const LEAD_COLORS = ['#DC2626', '#1F2937']  // Red lead, black lead
+
+/**
+ * Draw the meter face (on its own canvas, METER_WIDTH × METER_HEIGHT)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} face - { mode, display (reading text or null), message }
+ */
+export function drawMultimeter(ctx, { mode, display, message }) {
+  // Body
+  ctx.fillStyle = '#FACC15'
+  ctx.strokeStyle = '#4A4A4A'
+  ctx.lineWidth = 2
+  ctx.fillRect(4, 4, METER_WIDTH - 8, METER_HEIGHT - 8)
+  ctx.strokeRect(4, 4, METER_WIDTH - 8, METER_HEIGHT - 8)
+
+  // LCD window
+  ctx.fillStyle = '#D9E4C8'
+  ctx.fillRect(16, 14, METER_WIDTH - 32, 44)
+  ctx.strokeRect(16, 14, METER_WIDTH - 32, 44)
+
+  ctx.fillStyle = '#1F2937'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  if (display) {
+    ctx.font = 'bold 22px Courier New'
+    ctx.fillText(display, METER_WIDTH / 2, 36)
+  } else {
+    ctx.font = '14px Courier New'
+    ctx.fillText('- - -', METER_WIDTH / 2, 36)
+  }
+
+  // What the meter needs next, under the window
+  if (message) {
+    ctx.fillStyle = '#4A4A4A'
+    ctx.font = '9px Courier New'
+    ctx.fillText(message, METER_WIDTH / 2, 70, METER_WIDTH - 20)
+  }
+
+  // Dial: one position per function, the selected one ringed
+  METER_MODES.forEach((option, i) => {
+    const x = METER_WIDTH / 2 + (i - 1) * 40
+    const y = 100
+    ctx.fillStyle = option === mode ? '#F97316' : '#FFFFFF'
+    ctx.beginPath()
+    ctx.arc(x, y, 12, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.stroke()
+    ctx.fillStyle = '#1F2937'
+    ctx.font = 'bold 13px Courier New'
+    ctx.fillText(option, x, y)
+  })
+}
+
+/**
+ * Draw where the meter is connected on the circuit canvas: red and black
+ * lead clips on terminals, or a clamp on the part or wire being measured
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} meter - { mode, points, target }
+ * @param {Array} components - Circuit components
+ * @param {Array} wires - Circuit wires
+ */
+export function drawMeterLeads(ctx, meter, components, wires) {
+  ctx.save()
+  ctx.lineWidth = 3
+
+  if (meter.mode === 'A') {
+    const at = getClampPosition(meter.target, components, wires)
+    if (at) {
+      ctx.strokeStyle = '#FACC15'
+      ctx.setLineDash([6, 3])
+      ctx.beginPath()
+      ctx.arc(at.x, at.y, meter.target.wireId !== undefined ? 12 : 38, 0, Math.PI * 2)
+      ctx.stroke()
+      ctx.setLineDash([])
+    }
+  } else {
+    meter.points.forEach((point, i) => {
+      const component = components.find(c => c.id === point.componentId)
+      if (!component) return
+      const at = getTerminalPosition(component, point.terminal)
+      ctx.strokeStyle = LEAD_COLORS[i]
+      ctx.fillStyle = LEAD_COLORS[i]
+      ctx.beginPath()
+      ctx.arc(at.x, at.y, 10, 0, Math.PI * 2)
+      ctx.stroke()
+      ctx.font = 'bold 11px Courier New'
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'bottom'
+      ctx.fillText(i === 0 ? '+' : 'COM', at.x, at.y - 12)
+    })
+  }
+
+  ctx.restore()
+}
+
+/**
+ * Get where the current clamp goes: a part's centre or a wire's middle
+ */
+function getClampPosition(target, components, wires) {
+  if (!target) return null
+
+  if (target.wireId === undefined) {
+    return components.find(c => c.id === target.componentId) || null
+  }
+
+  const wire = wires.find(w => w.id === target.wireId)
+  if (!wire || isLegacyWire(wire)) return null
+  const from = components.find(c => c.id === wire.from.componentId)
+  const to = components.find(c => c.id === wire.to.componentId)
+  if (!from || !to) return null
+
+  const a = getTerminalPosition(from, wire.from.terminal)
+  const b = getTerminalPosition(to, wire.to.terminal)
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+}
@@ -0,0 +1,93 @@
+// Potentiometer rendering for Circuit Quest
+// Hand-drawn sketch aesthetic: a resistor track with a slider knob on top
+// and the wiper arrow pressing onto the track beneath it
+
+import { getPotentiometerVisualState } from '../../engine/VisualState.js'
+
+const TRACK_LENGTH = 64
+const TRACK_HEIGHT = 16
+const KNOB_Y = -20
+export const KNOB_RADIUS = 7
+
+/**
+ * Get where a potentiometer's knob is drawn, relative to its centre
+ * A flipped potentiometer has its a end on the right.
+ */
+export function getKnobOffset(component) {
+  const { position } = getPotentiometerVisualState(component)
+  const mirror = component.flipped ? -1 : 1
+  return { x: (-TRACK_LENGTH / 2 + position * TRACK_LENGTH) * mirror, y: KNOB_Y }
+}
+
+/**
+ * Get the wiper position for the knob dragged to an offset along the track
+ * @param {Object} component - Potentiometer
+ * @param {number} offsetX - Horizontal offset from the component centre
+ * @returns {number} 0 (a end) - 1 (b end)
+ */
+export function getWiperPositionAt(component, offsetX) {
+  const mirror = component.flipped ? -1 : 1
+  const position = (offsetX * mirror + TRACK_LENGTH / 2) / TRACK_LENGTH
+  return Math.max(0, Math.min(position, 1))
+}
+
+/**
+ * Draw a potentiometer: the knob sits over the wiper, leg resistances below
+ */
+export function drawPotentiometer(ctx, component) {
+  const { state, legA, legB } = getPotentiometerVisualState(component)
+  const knob = getKnobOffset(component)
+  const color = state === 'idle' ? '#4A4A4A' : '#2563EB'
+
+  // Leads out to the end terminals
+  ctx.strokeStyle = '#4A4A4A'
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.moveTo(-48, 0)
+  ctx.lineTo(-TRACK_LENGTH / 2, 0)
+  ctx.moveTo(TRACK_LENGTH / 2, 0)
+  ctx.lineTo(48, 0)
+  ctx.stroke()
+
+  // Resistive track
+  ctx.fillStyle = '#E8DCC8'
+  ctx.fillRect(-TRACK_LENGTH / 2, -TRACK_HEIGHT / 2, TRACK_LENGTH, TRACK_HEIGHT)
+  ctx.strokeRect(-TRACK_LENGTH / 2, -TRACK_HEIGHT / 2, TRACK_LENGTH, TRACK_HEIGHT)
+
+  // Wiper: from its terminal below, across, and up onto the track as an arrow
+  const arrowTip = TRACK_HEIGHT / 2
+  ctx.strokeStyle = color
+  ctx.beginPath()
+  ctx.moveTo(0, 40)
+  ctx.lineTo(0, 28)
+  ctx.lineTo(knob.x, 28)
+  ctx.lineTo(knob.x, arrowTip)
+  ctx.moveTo(knob.x - 5, arrowTip + 6)
+  ctx.lineTo(knob.x, arrowTip)
+  ctx.lineTo(knob.x + 5, arrowTip + 6)
+  ctx.stroke()
+
+  // Slider knob riding on top of the track
+  ctx.strokeStyle = '#4A4A4A'
+  ctx.beginPath()
+  ctx.moveTo(knob.x, -TRACK_HEIGHT / 2)
+  ctx.lineTo(knob.x, knob.y)
+  ctx.stroke()
+  ctx.fillStyle = '#F97316'
+  ctx.beginPath()
+  ctx.arc(knob.x, knob.y, KNOB_RADIUS, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.stroke()
+
+  // Label and the two leg resistances, left to right as drawn
+  const [left, right] = component.flipped ? [legB, legA] : [legA, legB]
+  ctx.fillStyle = '#4A4A4A'
+  ctx.font = '12px Courier New'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText('🎛️ Pot', 0, -38)
+
+  ctx.fillStyle = color
+  ctx.font = '11px Courier New'
+  ctx.fillText(`${Math.round(left)}Ω | ${Math.round(right)}Ω`, 0, 54)
+}
@@ -0,0 +1,154 @@
+// Probe rendering for Circuit Quest
+// Hand-drawn sketch aesthetic: a scope chart on graph paper, with probe
+// tags on the parts and terminals being watched
+
+import { getTerminalPosition } from './TerminalRenderer.js'
+
+export const CHART_WINDOWS = [1, 2, 5, 10, 20]  // Seconds of history shown
+export const DEFAULT_CHART_WINDOW = 5
+
+const MARGIN = { left: 44, right: 52, top: 12, bottom: 20 }
+const DIVISIONS = 5
+
+/**
+ * Draw a probe's tag where it is clipped on: a ring around a part, or a
+ * dot on a terminal for a net probe (canvas coordinates, not translated)
+ */
+export function drawProbeMarker(ctx, probe, component) {
+  const at = probe.terminal === null ? component : getTerminalPosition(component, probe.terminal)
+  const radius = probe.terminal === null ? 34 : 9
+
+  ctx.save()
+  ctx.strokeStyle = probe.color
+  ctx.lineWidth = 2
+  ctx.setLineDash([3, 3])
+  ctx.beginPath()
+  ctx.arc(at.x, at.y, radius, 0, Math.PI * 2)
+  ctx.stroke()
+  ctx.setLineDash([])
+
+  ctx.fillStyle = probe.color
+  ctx.font = '12px Courier New'
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'middle'
+  ctx.fillText('📈', at.x + radius * 0.7, at.y - radius * 0.7)
+  ctx.restore()
+}
+
+/**
+ * Get the range a set of values is plotted over
+ * Always includes 0, and never collapses to nothing for a flat trace.
+ * @param {Array<number>} values - Values to fit
+ * @returns {Object} { min, max }
+ */
+export function getChartRange(values) {
+  let min = Math.min(0, ...values)
+  let max = Math.max(0, ...values)
+  if (max - min < 1e-6) max = min + 1
+  // A little headroom so a trace doesn't ride the edge
+  const pad = (max - min) * 0.1
+  return { min: min < 0 ? min - pad : min, max: max + pad }
+}
+
+/**
+ * Draw the scope chart: voltage traces solid against the left axis,
+ * current traces dashed against the right, the newest sample at the right
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} traces - [{ color, samples: [{ time, voltage, current }] }]
+ * @param {Object} view - { width, height, window (seconds shown), end (time at the right edge) }
+ */
+export function drawProbeChart(ctx, traces, { width, height, window, end }) {
+  const plot = {
+    x: MARGIN.left,
+    y: MARGIN.top,
+    width: width - MARGIN.left - MARGIN.right,
+    height: height - MARGIN.top - MARGIN.bottom
+  }
+  const start = end - window
+  const visible = traces.map(trace => ({
+    ...trace,
+    samples: trace.samples.filter(s => s.time >= start && s.time <= end)
+  }))
+
+  const voltages = visible.flatMap(t => t.samples.map(s => s.voltage)).filter(v => v !== null)
+  const currents = visible.flatMap(t => t.samples.map(s => s.current)).filter(v => v !== null)
+  const voltageRange = getChartRange(voltages)
+  const currentRange = getChartRange(currents)
+
+  const xAt = time => plot.x + (time - start) / window * plot.width
+  const yAt = (value, range) => plot.y + plot.height - (value - range.min) / (range.max - range.min) * plot.height
+
+  // Paper and grid
+  ctx.fillStyle = '#FFFEF7'
+  ctx.fillRect(0, 0, width, height)
+  ctx.strokeStyle = '#E0E0E0'
+  ctx.lineWidth = 0.5
+  for (let i = 0; i <= DIVISIONS; i++) {
+    const x = plot.x + plot.width * i / DIVISIONS
+    const y = plot.y + plot.height * i / DIVISIONS
+    ctx.beginPath()
+    ctx.moveTo(x, plot.y)
+    ctx.lineTo(x, plot.y + plot.height)
+    ctx.moveTo(plot.x, y)
+    ctx.lineTo(plot.x + plot.width, y)
+    ctx.stroke()
+  }
+  ctx.strokeStyle = '#4A4A4A'
+  ctx.lineWidth = 1.5
+  ctx.strokeRect(plot.x, plot.y, plot.width, plot.height)
+
+  // Axis labels: volts left, amps right, time along the bottom
+  ctx.fillStyle = '#4A4A4A'
+  ctx.font = '10px Courier New'
+  ctx.textBaseline = 'middle'
+  ctx.textAlign = 'right'
+  ctx.fillText(`${formatAxis(voltageRange.max)}V`, plot.x - 4, plot.y)
+  ctx.fillText(`${formatAxis(voltageRange.min)}V`, plot.x - 4, plot.y + plot.height)
+  if (currents.length > 0) {
+    ctx.textAlign = 'left'
+    ctx.fillText(`${formatAxis(currentRange.max)}A`, plot.x + plot.width + 4, plot.y)
+    ctx.fillText(`${formatAxis(currentRange.min)}A`, plot.x + plot.width + 4, plot.y + plot.height)
+  }
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'top'
+  ctx.fillText(`${formatAxis(Math.max(start, 0))}s`, plot.x, plot.y + plot.height + 4)
+  ctx.fillText(`${formatAxis(end)}s`, plot.x + plot.width, plot.y + plot.height + 4)
+
+  // Traces
+  ctx.lineWidth = 2
+  visible.forEach(trace => {
+    ctx.strokeStyle = trace.color
+    drawTrace(ctx, trace.samples, 'voltage', s => xAt(s.time), s => yAt(s.voltage, voltageRange))
+    ctx.setLineDash([4, 3])
+    drawTrace(ctx, trace.samples, 'current', s => xAt(s.time), s => yAt(s.current, currentRange))
+    ctx.setLineDash([])
+  })
+}
+
+/**
+ * Draw one quantity of a trace as a line, broken where it has no value
+ */
+function drawTrace(ctx, samples, quantity, xOf, yOf) {
+  let drawing = false
+  ctx.beginPath()
+  samples.forEach(sample => {
+    if (sample[quantity] === null) {
+      drawing = false
+      return
+    }
+    if (drawing) {
+      ctx.lineTo(xOf(sample), yOf(sample))
+    } else {
+      ctx.moveTo(xOf(sample), yOf(sample))
+      drawing = true
+    }
+  })
+  ctx.stroke()
+}
+
+/**
+ * Print an axis value with up to three significant figures
+ */
+function formatAxis(value) {
+  return String(Number(value.toPrecision(3)))
+}
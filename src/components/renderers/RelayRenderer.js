@@ -0,0 +1,101 @@
+// Relay rendering for Circuit Quest
+// Hand-drawn sketch aesthetic: coil on the left, changeover contact on the
+// right with an armature that swings across as the relay pulls in
+
+const PIVOT = { x: 10, y: 24 }        // Armature pivot, wired to com
+const ARM_LENGTH = 29
+const NC_ANGLE = -0.98                // Resting on the nc contact
+const NO_ANGLE = -1.75                // Pulled in onto the no contact
+
+/**
+ * Get the point the armature reaches at an angle
+ */
+function armTip(angle) {
+  return {
+    x: PIVOT.x + Math.cos(angle) * ARM_LENGTH,
+    y: PIVOT.y + Math.sin(angle) * ARM_LENGTH
+  }
+}
+
+/**
+ * Draw the coil: a column of loops between the two coil terminals,
+ * orange while it carries enough current to hold the relay in
+ */
+function drawCoil(ctx, energised) {
+  ctx.strokeStyle = energised ? '#F97316' : '#4A4A4A'
+  ctx.lineWidth = 2
+
+  // Leads from the coil terminals
+  ctx.beginPath()
+  ctx.moveTo(-48, -20)
+  ctx.lineTo(-22, -20)
+  ctx.moveTo(-48, 20)
+  ctx.lineTo(-22, 20)
+  ctx.stroke()
+
+  // Windings
+  for (let i = 0; i < 4; i++) {
+    ctx.beginPath()
+    ctx.arc(-22, -15 + i * 10, 5, -Math.PI / 2, Math.PI / 2)
+    ctx.stroke()
+  }
+}
+
+/**
+ * Draw a relay
+ */
+export function drawRelay(ctx, component) {
+  const armature = component.armature || 0
+  const nc = armTip(NC_ANGLE)
+  const no = armTip(NO_ANGLE)
+
+  // Housing
+  ctx.strokeStyle = '#4A4A4A'
+  ctx.lineWidth = 1.5
+  ctx.setLineDash([4, 3])
+  ctx.strokeRect(-36, -32, 72, 64)
+  ctx.setLineDash([])
+
+  drawCoil(ctx, component.closed)
+
+  // Contact leads: com to the pivot, no and nc to their posts
+  ctx.strokeStyle = '#4A4A4A'
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.moveTo(48, 24)
+  ctx.lineTo(PIVOT.x, PIVOT.y)
+  ctx.moveTo(48, -24)
+  ctx.lineTo(no.x, -24)
+  ctx.lineTo(no.x, no.y)
+  ctx.moveTo(48, 0)
+  ctx.lineTo(nc.x, nc.y)
+  ctx.stroke()
+
+  // Contact posts
+  ctx.fillStyle = '#4A4A4A'
+  ;[no, nc, PIVOT].forEach(({ x, y }) => {
+    ctx.beginPath()
+    ctx.arc(x, y, 3, 0, Math.PI * 2)
+    ctx.fill()
+  })
+
+  // Armature, part way across while it travels
+  const tip = armTip(NC_ANGLE + (NO_ANGLE - NC_ANGLE) * armature)
+  ctx.strokeStyle = component.closed ? '#16A34A' : '#4A4A4A'
+  ctx.lineWidth = 3
+  ctx.beginPath()
+  ctx.moveTo(PIVOT.x, PIVOT.y)
+  ctx.lineTo(tip.x, tip.y)
+  ctx.stroke()
+
+  // Label and status
+  ctx.fillStyle = '#4A4A4A'
+  ctx.font = '12px Courier New'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText('🧲 Relay', 0, -44)
+
+  ctx.fillStyle = component.closed ? '#16A34A' : '#6B7280'
+  ctx.font = '11px Courier New'
+  ctx.fillText(component.closed ? 'ENERGISED' : 'RELEASED', 0, 44)
+}
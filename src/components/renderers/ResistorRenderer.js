@@ -1,12 +1,28 @@
+import { getHeatLevel } from '../../engine/Thermal.js'
+import { E_SERIES } from '../../engine/PartValues.js'
+
+// Resistor colour code, digit 0 (black) to 9 (white)
+const BAND_COLORS = ['#000000', '#8B4513', '#DC2626', '#F97316', '#FBBF24', '#16A34A', '#2563EB', '#7C3AED', '#6B7280', '#F5F5F5']
+
+/**
+ * Get the colour bands printed on a resistor: first digit, second digit, multiplier
+ * @param {number} resistance - Ohms
+ * @returns {Array<string>} Band colours, none for values that aren't E12 parts of 10Ω and up
+ */
+export function getColorBands(resistance) {
+  const exponent = Math.floor(Math.log10(resistance)) - 1
+  const digits = Math.round(resistance / Math.pow(10, exponent))
+  if (exponent < 0 || exponent > 9 || !E_SERIES.E12.includes(digits / 10)) return []
+  return [BAND_COLORS[Math.floor(digits / 10)], BAND_COLORS[digits % 10], BAND_COLORS[exponent]]
+}
+
 export function drawResistor(ctx, component) {
   const width = 80
   const height = 30
   const resistance = component.resistance || 100
-  const current = component.current || 0
 
-  // Calculate heat level for visual feedback
-  const powerDissipated = current * current * resistance  // P = I²R
-  const heatLevel = Math.min(powerDissipated / 2.0, 1.0)
+  // Heat level for visual feedback follows the resistor's temperature
+  const heatLevel = getHeatLevel({ ...component, resistance }, 'resistor')
 
   // Draw resistor body with zigzag pattern
   ctx.strokeStyle = '#4A4A4A'
@@ -33,20 +49,8 @@ export function drawResistor(ctx, component) {
     ctx.fillRect(x - 3, -height/2, 6, height)
   }
 
-  // Simplified color bands for common resistances
-  if (resistance === 100) {
-    drawBand(-width/2 + 15, '#8B4513')  // Brown (1)
-    drawBand(-width/2 + 27, '#000000')  // Black (0)
-    drawBand(-width/2 + 39, '#8B4513')  // Brown (×10)
-  } else if (resistance === 220) {
-    drawBand(-width/2 + 15, '#DC2626')  // Red (2)
-    drawBand(-width/2 + 27, '#DC2626')  // Red (2)
-    drawBand(-width/2 + 39, '#8B4513')  // Brown (×10)
-  } else if (resistance === 1000) {
-    drawBand(-width/2 + 15, '#8B4513')  // Brown (1)
-    drawBand(-width/2 + 27, '#000000')  // Black (0)
-    drawBand(-width/2 + 39, '#DC2626')  // Red (×100)
-  }
+  // Colour code: two digits and a multiplier
+  getColorBands(resistance).forEach((color, i) => drawBand(-width/2 + 15 + i * 12, color))
 
   // Draw heat shimmer effect if hot
   if (heatLevel > 0.5) {
@@ -0,0 +1,95 @@
+// Switch and push button rendering for Circuit Quest
+// Hand-drawn sketch aesthetic; both can be clicked while the simulation runs
+
+import { isSwitchClosed } from '../../engine/Switches.js'
+
+const CONTACT_X = 28  // Contact posts either side of the centre
+
+/**
+ * Draw the two contact posts and leads shared by switches and buttons
+ */
+function drawContacts(ctx) {
+  ctx.strokeStyle = '#4A4A4A'
+  ctx.lineWidth = 2
+
+  // Leads out to the terminals
+  ctx.beginPath()
+  ctx.moveTo(-40, 0)
+  ctx.lineTo(-CONTACT_X, 0)
+  ctx.moveTo(CONTACT_X, 0)
+  ctx.lineTo(40, 0)
+  ctx.stroke()
+
+  // Contact posts
+  ctx.fillStyle = '#4A4A4A'
+  ctx.beginPath()
+  ctx.arc(-CONTACT_X, 0, 4, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.beginPath()
+  ctx.arc(CONTACT_X, 0, 4, 0, Math.PI * 2)
+  ctx.fill()
+}
+
+/**
+ * Draw the ON/OFF status label under a switch or button
+ */
+function drawStatus(ctx, closed, label) {
+  ctx.fillStyle = closed ? '#16A34A' : '#6B7280'
+  ctx.font = '11px Courier New'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(label, 0, 28)
+}
+
+/**
+ * Draw a toggle switch: a lever that lies on both contacts when closed
+ * and swings up off the right-hand contact when open
+ */
+export function drawSwitch(ctx, component) {
+  const closed = isSwitchClosed(component)
+
+  drawContacts(ctx)
+
+  // Lever pivots on the left contact
+  const angle = closed ? 0 : -Math.PI / 6
+  const length = CONTACT_X * 2
+  ctx.strokeStyle = closed ? '#16A34A' : '#4A4A4A'
+  ctx.lineWidth = 3
+  ctx.beginPath()
+  ctx.moveTo(-CONTACT_X, 0)
+  ctx.lineTo(-CONTACT_X + Math.cos(angle) * length, Math.sin(angle) * length)
+  ctx.stroke()
+
+  drawStatus(ctx, closed, closed ? 'ON' : 'OFF')
+}
+
+/**
+ * Draw a push button: a bridge held above the contacts by a spring,
+ * pressed down onto them while held
+ */
+export function drawPushButton(ctx, component) {
+  const pressed = isSwitchClosed(component)
+  const bridgeY = pressed ? -4 : -16
+
+  drawContacts(ctx)
+
+  // Bridge across the contacts
+  ctx.strokeStyle = pressed ? '#16A34A' : '#4A4A4A'
+  ctx.lineWidth = 3
+  ctx.beginPath()
+  ctx.moveTo(-CONTACT_X, bridgeY)
+  ctx.lineTo(CONTACT_X, bridgeY)
+  ctx.stroke()
+
+  // Plunger and cap
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.moveTo(0, bridgeY)
+  ctx.lineTo(0, bridgeY - 10)
+  ctx.stroke()
+  ctx.fillStyle = '#DC2626'
+  ctx.fillRect(-10, bridgeY - 16, 20, 6)
+  ctx.strokeRect(-10, bridgeY - 16, 20, 6)
+
+  drawStatus(ctx, pressed, pressed ? 'PRESSED' : 'PUSH')
+}
@@ -0,0 +1,113 @@
+/**
+ * TerminalRenderer - Terminal layout and rendering
+ *
+ * Terminals are the contact points wires attach to. Offsets are relative
+ * to the component centre and sit just outside each component's body.
+ * A flipped component (component.flipped) has its layout mirrored.
+ */
+
+import { getTerminals } from '../../engine/Terminals.js'
+
+export const TERMINAL_RADIUS = 5
+
+const TERMINAL_OFFSETS = {
+  battery: { '-': { x: -48, y: 0 }, '+': { x: 48, y: 0 } },
+  led: { anode: { x: -38, y: 0 }, cathode: { x: 38, y: 0 } },
+  resistor: { a: { x: -48, y: 0 }, b: { x: 48, y: 0 } },
+  potentiometer: { a: { x: -48, y: 0 }, wiper: { x: 0, y: 40 }, b: { x: 48, y: 0 } },
+  capacitor: { '+': { x: -15, y: 48 }, '-': { x: 15, y: 48 } },
+  inductor: { a: { x: -48, y: 0 }, b: { x: 48, y: 0 } },
+  lightbulb: { a: { x: -22, y: 38 }, b: { x: 22, y: 38 } },
+  switch: { a: { x: -40, y: 0 }, b: { x: 40, y: 0 } },
+  pushbutton: { a: { x: -40, y: 0 }, b: { x: 40, y: 0 } },
+  diode: { anode: { x: -40, y: 0 }, cathode: { x: 40, y: 0 } },
+  motor: { a: { x: -48, y: 0 }, b: { x: 48, y: 0 } },
+  buzzer: { a: { x: -40, y: 0 }, b: { x: 40, y: 0 } },
+  relay: {
+    coil1: { x: -48, y: -20 },
+    coil2: { x: -48, y: 20 },
+    com: { x: 48, y: 24 },
+    no: { x: 48, y: -24 },
+    nc: { x: 48, y: 0 }
+  }
+}
+
+// Polarity (and relay contact) marks drawn next to terminals
+const TERMINAL_LABELS = { '+': '+', '-': '-', anode: '+', cathode: '-', com: 'COM', no: 'NO', nc: 'NC' }
+
+/**
+ * Get a terminal's offset from the component centre
+ * Unknown types spread their terminals evenly left to right.
+ */
+function getTerminalOffset(component, terminal) {
+  const mirror = component.flipped ? -1 : 1
+  const offsets = TERMINAL_OFFSETS[component.type]
+  if (offsets && offsets[terminal]) {
+    return { x: offsets[terminal].x * mirror, y: offsets[terminal].y }
+  }
+
+  const terminals = getTerminals(component)
+  const index = Math.max(0, terminals.indexOf(terminal))
+  const spacing = terminals.length > 1 ? 80 / (terminals.length - 1) : 0
+  return { x: (-40 + index * spacing) * mirror, y: 0 }
+}
+
+/**
+ * Get a terminal's position in canvas coordinates
+ */
+export function getTerminalPosition(component, terminal) {
+  const offset = getTerminalOffset(component, terminal)
+  return { x: component.x + offset.x, y: component.y + offset.y }
+}
+
+/**
+ * Draw a component's terminals (context already translated to its centre)
+ * Highlighted terminals are drawn larger so they are easy to hit in wire mode.
+ */
+export function drawTerminals(ctx, component, highlight = false) {
+  const radius = highlight ? TERMINAL_RADIUS + 2 : TERMINAL_RADIUS
+
+  getTerminals(component).forEach(terminal => {
+    const { x, y } = getTerminalOffset(component, terminal)
+
+    ctx.fillStyle = highlight ? '#F59E0B' : '#B0B0B0'
+    ctx.strokeStyle = '#2C3E50'
+    ctx.lineWidth = 1.5
+    ctx.beginPath()
+    ctx.arc(x, y, radius, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.stroke()
+
+    // Polarity labels
+    const label = TERMINAL_LABELS[terminal]
+    if (label) {
+      ctx.fillStyle = label === '+' ? '#DC2626' : '#2C3E50'
+      ctx.font = 'bold 12px Arial'
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'middle'
+      ctx.fillText(label, x, y - radius - 7)
+    }
+  })
+}
+
+/**
+ * Mark a load that has no closed loop back to a source
+ * (context already translated to its centre)
+ */
+export function drawOpenCircuitMarker(ctx) {
+  ctx.save()
+  ctx.strokeStyle = '#DC2626'
+  ctx.lineWidth = 2
+  ctx.setLineDash([4, 4])
+  ctx.beginPath()
+  ctx.arc(0, 0, 52, 0, Math.PI * 2)
+  ctx.stroke()
+  ctx.setLineDash([])
+
+  ctx.fillStyle = '#DC2626'
+  ctx.font = 'bold 11px Arial'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText('⚠ Open circuit', 0, -62)
+  ctx.restore()
+}
@@ -1,12 +1,13 @@
 /**
  * BatteryRenderer.test.js - Unit tests for battery drawing function
  *
- * Tests the drawBattery function that renders potato battery visualization:
- * - Potato shape (ellipse)
+ * Tests the drawBattery function that renders battery cell visualization:
+ * - Potato shape (ellipse), lemon and saltwater jar art per chemistry
  * - Charge indicator bar with gradient
  * - Charge percentage text
- * - Voltage label
+ * - Terminal voltage label (highlighted when sagging under load)
  * - Empty state handling
+ * - Short-circuit glow and fault label
  *
  * Note: These are canvas rendering tests focused on verifying expected
  * canvas method calls rather than visual output.
@@ -26,6 +27,9 @@ describe('BatteryRenderer', () => {
       font: '',
       textAlign: '',
       textBaseline: '',
+      globalAlpha: 1,
+      save: vi.fn(),
+      restore: vi.fn(),
       beginPath: vi.fn(),
       ellipse: vi.fn(),
       fill: vi.fn(),
@@ -33,6 +37,8 @@ describe('BatteryRenderer', () => {
       strokeRect: vi.fn(),
       fillRect: vi.fn(),
       fillText: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
       createLinearGradient: vi.fn(() => ({
         addColorStop: vi.fn()
       }))
@@ -73,6 +79,31 @@ describe('BatteryRenderer', () => {
     })
   })
 
+  describe('Cell Chemistries', () => {
+    it('should draw a lemon with pointed tips', () => {
+      drawBattery(mockCtx, { charge: 1.0, chemistry: 'lemon', voltage: 0.95 })
+
+      expect(mockCtx.ellipse).toHaveBeenCalled()
+      expect(mockCtx.lineTo).toHaveBeenCalled()
+      expect(mockCtx.fillText).toHaveBeenCalledWith('🍋 Lemon', expect.anything(), expect.anything())
+    })
+
+    it('should draw a saltwater jar instead of an ellipse', () => {
+      drawBattery(mockCtx, { charge: 1.0, chemistry: 'saltwater', voltage: 0.7 })
+
+      expect(mockCtx.ellipse).not.toHaveBeenCalled()
+      expect(mockCtx.lineTo).toHaveBeenCalled()
+      expect(mockCtx.fillText).toHaveBeenCalledWith('🧂 Saltwater', expect.anything(), expect.anything())
+      expect(mockCtx.fillText).toHaveBeenCalledWith('0.7V', expect.anything(), expect.anything())
+    })
+
+    it('should draw unknown chemistries as a potato', () => {
+      drawBattery(mockCtx, { charge: 1.0, chemistry: 'banana' })
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('🥔 Potato', expect.anything(), expect.anything())
+    })
+  })
+
   describe('Charge Indicator', () => {
     it('should draw charge bar background', () => {
       const component = { charge: 0.5, voltage: 0.9 }
@@ -224,6 +255,31 @@ describe('BatteryRenderer', () => {
       expect(mockCtx.fillText).toHaveBeenCalledWith('0.9V', expect.anything(), expect.anything())
     })
 
+    it('should display terminal voltage under load', () => {
+      const component = { charge: 1.0, voltage: 0.9, terminalVoltage: 0.62 }
+
+      drawBattery(mockCtx, component)
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('0.6V', expect.anything(), expect.anything())
+      expect(mockCtx.fillStyle).toBe('#F97316') // Sagging
+    })
+
+    it('should not highlight a lightly loaded battery', () => {
+      const component = { charge: 1.0, voltage: 0.9, terminalVoltage: 0.89 }
+
+      drawBattery(mockCtx, component)
+
+      expect(mockCtx.fillStyle).toBe('#4A4A4A')
+    })
+
+    it('should show lower voltage when nearly flat', () => {
+      const component = { charge: 0.02, voltage: 0.9 }
+
+      drawBattery(mockCtx, component)
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('0.8V', expect.anything(), expect.anything())
+    })
+
     it('should display potato emoji label', () => {
       const component = { charge: 1.0, voltage: 0.9 }
 
@@ -241,6 +297,41 @@ describe('BatteryRenderer', () => {
     })
   })
 
+  describe('Short Circuit', () => {
+    it('should glow red around a hot cell', () => {
+      drawBattery(mockCtx, { charge: 0.5, voltage: 0.9, heat: 1, shorted: true })
+
+      expect(mockCtx.save).toHaveBeenCalled()
+      expect(mockCtx.ellipse).toHaveBeenCalledWith(0, 0, 52, 72, 0, 0, Math.PI * 2)
+      expect(mockCtx.restore).toHaveBeenCalled()
+    })
+
+    it('should not glow when cold', () => {
+      drawBattery(mockCtx, { charge: 0.5, voltage: 0.9 })
+
+      expect(mockCtx.save).not.toHaveBeenCalled()
+    })
+
+    it('should label a shorted cell', () => {
+      drawBattery(mockCtx, { charge: 0.5, voltage: 0.9, heat: 0.5, shorted: true, fault: true })
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('⚠ SHORT CIRCUIT', 0, -86)
+    })
+
+    it('should keep a fault label once the short is gone', () => {
+      drawBattery(mockCtx, { charge: 0.5, voltage: 0.9, shorted: false, fault: true })
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('⚠ FAULT', 0, -86)
+      expect(mockCtx.fillText).not.toHaveBeenCalledWith('⚠ SHORT CIRCUIT', expect.anything(), expect.anything())
+    })
+
+    it('should not label a healthy cell', () => {
+      drawBattery(mockCtx, { charge: 0.5, voltage: 0.9 })
+
+      expect(mockCtx.fillText).not.toHaveBeenCalledWith(expect.stringContaining('⚠'), expect.anything(), expect.anything())
+    })
+  })
+
   describe('Default Values', () => {
     it('should default charge to 1.0 if not provided', () => {
       const component = { voltage: 0.9 }
@@ -0,0 +1,72 @@
+/**
+ * BuzzerRenderer.test.js - Unit tests for buzzer drawing
+ *
+ * Tests the drawBuzzer function:
+ * - Leads, body and label
+ * - Sound waves only while it sounds, more of them when louder
+ * - Pitch shown while buzzing
+ *
+ * Note: These are canvas rendering tests focused on verifying expected
+ * canvas method calls rather than visual output.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { drawBuzzer } from '../BuzzerRenderer.js'
+
+describe('BuzzerRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      globalAlpha: 1,
+      beginPath: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
+      arc: vi.fn(),
+      fill: vi.fn(),
+      stroke: vi.fn(),
+      fillText: vi.fn()
+    }
+  })
+
+  it('should draw the body, leads and label', () => {
+    drawBuzzer(mockCtx, { type: 'buzzer' })
+
+    expect(mockCtx.arc).toHaveBeenCalledWith(0, 0, 20, 0, Math.PI * 2)
+    expect(mockCtx.moveTo).toHaveBeenCalledWith(-40, 0)
+    expect(mockCtx.lineTo).toHaveBeenCalledWith(40, 0)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('📢 Buzzer', 0, -46)
+  })
+
+  it('should draw no sound waves or pitch while silent', () => {
+    drawBuzzer(mockCtx, { type: 'buzzer', current: 0.002 })
+
+    // Body and sound hole only
+    expect(mockCtx.arc).toHaveBeenCalledTimes(2)
+    expect(mockCtx.fillText).toHaveBeenCalledTimes(1)
+  })
+
+  it('should draw more sound waves when louder', () => {
+    drawBuzzer(mockCtx, { type: 'buzzer', pitch: 300, volume: 0.1, current: 0.01 })
+    const quiet = mockCtx.arc.mock.calls.length
+    mockCtx.arc.mockClear()
+
+    drawBuzzer(mockCtx, { type: 'buzzer', pitch: 880, volume: 1, current: 0.06 })
+
+    expect(quiet).toBe(3)
+    expect(mockCtx.arc).toHaveBeenCalledTimes(5)
+    expect(mockCtx.globalAlpha).toBe(1)
+  })
+
+  it('should show the pitch while buzzing', () => {
+    drawBuzzer(mockCtx, { type: 'buzzer', pitch: 440.4, volume: 0.5, current: 0.03 })
+
+    expect(mockCtx.fillText).toHaveBeenCalledWith('440 Hz', 0, 34)
+  })
+})
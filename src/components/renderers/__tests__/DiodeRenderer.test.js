@@ -0,0 +1,61 @@
+/**
+ * DiodeRenderer.test.js - Unit tests for diode drawing
+ *
+ * Tests the drawDiode function:
+ * - Leads, triangle and cathode bar
+ * - Flow arrow only while conducting
+ * - Red cathode bar and status while blocking
+ *
+ * Note: These are canvas rendering tests focused on verifying expected
+ * canvas method calls rather than visual output.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { drawDiode } from '../DiodeRenderer.js'
+
+describe('DiodeRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      beginPath: vi.fn(),
+      closePath: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
+      fill: vi.fn(),
+      stroke: vi.fn(),
+      fillText: vi.fn()
+    }
+  })
+
+  it('should draw the triangle pointing at the cathode bar', () => {
+    drawDiode(mockCtx, { type: 'diode' })
+
+    expect(mockCtx.lineTo).toHaveBeenCalledWith(14, 0)
+    expect(mockCtx.moveTo).toHaveBeenCalledWith(14, -14)
+    expect(mockCtx.lineTo).toHaveBeenCalledWith(14, 14)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('▶| Diode', 0, -38)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('Off', 0, 28)
+  })
+
+  it('should draw a flow arrow while conducting', () => {
+    drawDiode(mockCtx, { type: 'diode', conducting: true, current: 0.02 })
+
+    expect(mockCtx.moveTo).toHaveBeenCalledWith(-12, -22)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('Conducting', 0, 28)
+  })
+
+  it('should show blocking in red without a flow arrow', () => {
+    drawDiode(mockCtx, { type: 'diode', blocking: true })
+
+    expect(mockCtx.moveTo).not.toHaveBeenCalledWith(-12, -22)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('Blocking', 0, 28)
+    expect(mockCtx.fillStyle).toBe('#DC2626')
+  })
+})
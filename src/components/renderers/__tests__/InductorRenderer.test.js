@@ -0,0 +1,71 @@
+/**
+ * InductorRenderer.test.js - Unit tests for inductor (coil) drawing
+ *
+ * Tests the drawInductor function:
+ * - Leads, windings and label
+ * - Field lines only while current flows, more for more current
+ * - Current and stored energy readout
+ *
+ * Note: These are canvas rendering tests focused on verifying expected
+ * canvas method calls rather than visual output.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { drawInductor } from '../InductorRenderer.js'
+
+describe('InductorRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      globalAlpha: 1,
+      beginPath: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
+      arc: vi.fn(),
+      ellipse: vi.fn(),
+      stroke: vi.fn(),
+      fillText: vi.fn()
+    }
+  })
+
+  it('should draw leads, six windings and the label', () => {
+    drawInductor(mockCtx, { type: 'inductor' })
+
+    expect(mockCtx.moveTo).toHaveBeenCalledWith(-48, 0)
+    expect(mockCtx.lineTo).toHaveBeenCalledWith(48, 0)
+    expect(mockCtx.arc).toHaveBeenCalledTimes(6)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('🌀 Coil', 0, -38)
+  })
+
+  it('should not draw field lines without current', () => {
+    drawInductor(mockCtx, { type: 'inductor', current: 0 })
+
+    expect(mockCtx.ellipse).not.toHaveBeenCalled()
+    expect(mockCtx.fillText).toHaveBeenCalledTimes(1)
+  })
+
+  it('should draw more field lines for more current', () => {
+    drawInductor(mockCtx, { type: 'inductor', current: 0.02, voltage: 1 })
+    const weak = mockCtx.ellipse.mock.calls.length
+    mockCtx.ellipse.mockClear()
+
+    drawInductor(mockCtx, { type: 'inductor', current: 0.1, voltage: 1 })
+
+    expect(weak).toBe(1)
+    expect(mockCtx.ellipse).toHaveBeenCalledTimes(3)
+    expect(mockCtx.globalAlpha).toBe(1) // Reset after field lines
+  })
+
+  it('should show the current and stored energy', () => {
+    drawInductor(mockCtx, { type: 'inductor', current: -0.1, voltage: 1, inductance: 1.0 })
+
+    expect(mockCtx.fillText).toHaveBeenCalledWith('100mA · 5.0mJ', 0, 38)
+  })
+})
@@ -6,7 +6,9 @@
  * - Outer glow halos (multi-layer radial gradients)
  * - Radiating light rays based on brightness
  * - Sparkles for high brightness (>0.6)
- * - Status text (Off/Faint/Dim/Bright)
+ * - Status text (Off/Faint/Dim/Bright/Reversed!/Burnt out!)
+ * - Reverse-bias warning (red outline)
+ * - Charred, cracked body when burnt out
  * - Shadow blur effects
  *
  * Note: These are canvas rendering tests focused on verifying expected
@@ -561,4 +563,60 @@ describe('LEDRenderer', () => {
       expect(drawLED.length).toBe(2)
     })
   })
+
+  describe('Reverse Bias', () => {
+    it('should display "Reversed!" status for a reverse-biased LED', () => {
+      const component = { brightness: 0, reverseBiased: true }
+
+      drawLED(mockCtx, component)
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('Reversed!', 0, 50)
+      expect(mockCtx.fillText).not.toHaveBeenCalledWith('Off', 0, 50)
+    })
+
+    it('should draw a red outline when reverse biased', () => {
+      const strokeStyles = []
+      Object.defineProperty(mockCtx, 'strokeStyle', {
+        set: (value) => { strokeStyles.push(value) },
+        get: () => strokeStyles[strokeStyles.length - 1],
+        configurable: true
+      })
+
+      drawLED(mockCtx, { brightness: 0, reverseBiased: true })
+
+      expect(strokeStyles).toContain('#DC2626')
+      expect(strokeStyles).not.toContain('#4A4A4A')
+    })
+  })
+
+  describe('Burnt Out', () => {
+    it('should display "Burnt out!" instead of any other status', () => {
+      drawLED(mockCtx, { brightness: 0, reverseBiased: true, burntOut: true })
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('Burnt out!', 0, 50)
+      expect(mockCtx.fillText).not.toHaveBeenCalledWith('Reversed!', 0, 50)
+      expect(mockCtx.fillText).not.toHaveBeenCalledWith('Off', 0, 50)
+    })
+
+    it('should fill the body charred and crack it', () => {
+      const fillStyles = []
+      Object.defineProperty(mockCtx, 'fillStyle', {
+        set: (value) => { fillStyles.push(value) },
+        get: () => fillStyles[fillStyles.length - 1],
+        configurable: true
+      })
+
+      drawLED(mockCtx, { brightness: 0, burntOut: true })
+
+      expect(fillStyles).toContain('#3F3F3F')
+      expect(fillStyles).not.toContain('#E0E0E0')
+      expect(mockCtx.moveTo).toHaveBeenCalledWith(-12, -18)
+    })
+
+    it('should not crack a working LED', () => {
+      drawLED(mockCtx, { brightness: 0 })
+
+      expect(mockCtx.moveTo).not.toHaveBeenCalled()
+    })
+  })
 })
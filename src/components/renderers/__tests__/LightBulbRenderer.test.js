@@ -4,7 +4,7 @@
  * Tests the drawLightBulb function that renders incandescent bulb visualization:
  * - Glass bulb outline (circle with brightness-based fill)
  * - Outer glow halos (multi-layer radial gradients)
- * - Tungsten filament (zigzag pattern with heat-based color)
+ * - Tungsten filament (zigzag pattern with temperature-based color)
  * - Threaded screw base (copper color with threading lines)
  * - Light rays radiating outward (for bright bulbs)
  * - Shadow blur effects
@@ -295,6 +295,37 @@ describe('LightBulbRenderer', () => {
       // brightness 0.2 NOT > 0.3, so no shadow
       expect(maxShadowBlur).toBe(0)
     })
+
+    it('should keep glowing orange while a switched-off filament cools', () => {
+      const component = { brightness: 0, power: 0, temperature: 2000 }
+      const strokeStyles = []
+
+      Object.defineProperty(mockCtx, 'strokeStyle', {
+        set: (value) => { strokeStyles.push(value) },
+        get: () => strokeStyles[strokeStyles.length - 1],
+        configurable: true
+      })
+
+      drawLightBulb(mockCtx, component)
+
+      // 2000°C is ~80% of white hot, so orange even though no light is given
+      expect(strokeStyles.some(style => style === '#FFA500')).toBe(true)
+    })
+
+    it('should stay gray while a switched-on filament is still cold', () => {
+      const component = { brightness: 0.9, power: 1.0, temperature: 20 }
+      const strokeStyles = []
+
+      Object.defineProperty(mockCtx, 'strokeStyle', {
+        set: (value) => { strokeStyles.push(value) },
+        get: () => strokeStyles[strokeStyles.length - 1],
+        configurable: true
+      })
+
+      drawLightBulb(mockCtx, component)
+
+      expect(strokeStyles.some(style => style === '#666666')).toBe(true)
+    })
   })
 
   describe('Screw Base', () => {
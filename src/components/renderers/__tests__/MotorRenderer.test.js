@@ -0,0 +1,74 @@
+/**
+ * MotorRenderer.test.js - Unit tests for motor drawing
+ *
+ * Tests the drawMotor function:
+ * - Leads, can and label
+ * - Rotor spokes drawn at the simulated rotor angle
+ * - Ghost spokes only at speed
+ * - RPM, stalled and stopped status
+ *
+ * Note: These are canvas rendering tests focused on verifying expected
+ * canvas method calls rather than visual output.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { drawMotor } from '../MotorRenderer.js'
+
+describe('MotorRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      globalAlpha: 1,
+      beginPath: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
+      arc: vi.fn(),
+      fill: vi.fn(),
+      stroke: vi.fn(),
+      fillText: vi.fn()
+    }
+  })
+
+  it('should draw the can, leads and label', () => {
+    drawMotor(mockCtx, { type: 'motor' })
+
+    expect(mockCtx.arc).toHaveBeenCalledWith(0, 0, 28, 0, Math.PI * 2)
+    expect(mockCtx.moveTo).toHaveBeenCalledWith(-48, 0)
+    expect(mockCtx.lineTo).toHaveBeenCalledWith(48, 0)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('⚙️ Motor', 0, -40)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('Stopped', 0, 40)
+  })
+
+  it('should draw the spokes at the rotor angle', () => {
+    drawMotor(mockCtx, { type: 'motor', angle: Math.PI / 2 })
+
+    // First spoke points straight down at 90°
+    const [x, y] = mockCtx.lineTo.mock.calls.find(([, y]) => y > 20)
+    expect(x).toBeCloseTo(0, 5)
+    expect(y).toBeCloseTo(22, 5)
+  })
+
+  it('should add ghost spokes and show RPM at speed', () => {
+    drawMotor(mockCtx, { type: 'motor', rpm: 2100.4, current: 0.04 })
+
+    // 2 leads, 3 spokes and 3 ghost spokes
+    expect(mockCtx.lineTo).toHaveBeenCalledTimes(8)
+    expect(mockCtx.globalAlpha).toBe(1)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('2100 RPM', 0, 40)
+  })
+
+  it('should show a stalled motor in red', () => {
+    drawMotor(mockCtx, { type: 'motor', rpm: 0, current: 0.27 })
+
+    expect(mockCtx.lineTo).toHaveBeenCalledTimes(5)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('Stalled!', 0, 40)
+    expect(mockCtx.fillStyle).toBe('#DC2626')
+  })
+})
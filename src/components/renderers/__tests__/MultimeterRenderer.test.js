@@ -0,0 +1,98 @@
+/**
+ * MultimeterRenderer.test.js - Unit tests for the meter face and leads
+ *
+ * Tests:
+ * - The reading, or a placeholder and the meter's message, in the window
+ * - The selected dial position highlighted
+ * - Lead clips on terminals and the clamp on a part or wire
+ *
+ * Note: These are canvas rendering tests focused on verifying expected
+ * canvas method calls rather than visual output.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { drawMultimeter, drawMeterLeads } from '../MultimeterRenderer.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+describe('MultimeterRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      save: vi.fn(),
+      restore: vi.fn(),
+      beginPath: vi.fn(),
+      arc: vi.fn(),
+      fill: vi.fn(),
+      stroke: vi.fn(),
+      fillRect: vi.fn(),
+      strokeRect: vi.fn(),
+      fillText: vi.fn(),
+      setLineDash: vi.fn()
+    }
+  })
+
+  const texts = () => mockCtx.fillText.mock.calls.map(call => call[0])
+
+  describe('drawMultimeter', () => {
+    it('should show the reading and the dial', () => {
+      drawMultimeter(mockCtx, { mode: 'V', display: '1.23 V' })
+
+      expect(texts()).toEqual(['1.23 V', 'V', 'A', 'Ω'])
+    })
+
+    it('should show a placeholder and what the meter needs', () => {
+      drawMultimeter(mockCtx, { mode: 'A', display: null, message: 'Click a part or a wire' })
+
+      expect(texts().slice(0, 2)).toEqual(['- - -', 'Click a part or a wire'])
+    })
+
+    it('should highlight the selected dial position', () => {
+      const fills = []
+      mockCtx.fill = vi.fn(() => fills.push(mockCtx.fillStyle))
+
+      drawMultimeter(mockCtx, { mode: 'Ω', display: 'OL' })
+
+      expect(fills).toEqual(['#FFFFFF', '#FFFFFF', '#F97316'])
+    })
+  })
+
+  describe('drawMeterLeads', () => {
+    const components = [
+      { id: 1, type: 'resistor', x: 100, y: 100, rotation: 0 },
+      { id: 2, type: 'resistor', x: 300, y: 100, rotation: 0 }
+    ]
+    const wires = [{ id: 10, from: end(1, 'b'), to: end(2, 'a') }]
+
+    it('should clip the red and black leads onto terminals', () => {
+      drawMeterLeads(mockCtx, { mode: 'V', points: [end(1, 'a'), end(2, 'b')], target: null }, components, wires)
+
+      expect(mockCtx.arc).toHaveBeenCalledTimes(2)
+      expect(texts()).toEqual(['+', 'COM'])
+    })
+
+    it('should skip leads on deleted parts', () => {
+      drawMeterLeads(mockCtx, { mode: 'Ω', points: [end(9, 'a')], target: null }, components, wires)
+
+      expect(mockCtx.arc).not.toHaveBeenCalled()
+    })
+
+    it('should clamp around a part or the middle of a wire', () => {
+      drawMeterLeads(mockCtx, { mode: 'A', points: [], target: { componentId: 1 } }, components, wires)
+      expect(mockCtx.arc).toHaveBeenLastCalledWith(100, 100, 38, 0, Math.PI * 2)
+
+      drawMeterLeads(mockCtx, { mode: 'A', points: [], target: { wireId: 10 } }, components, wires)
+      const [x, y, radius] = mockCtx.arc.mock.calls[1]
+      expect(x).toBeCloseTo(200)
+      expect(y).toBeCloseTo(100)
+      expect(radius).toBe(12)
+    })
+  })
+})
@@ -0,0 +1,73 @@
+/**
+ * PotentiometerRenderer.test.js - Unit tests for potentiometer drawing
+ *
+ * Tests:
+ * - Knob placed along the track by the wiper position, mirrored when flipped
+ * - Dragging the knob back to a wiper position
+ * - Track, knob, label and leg resistances
+ *
+ * Note: These are canvas rendering tests focused on verifying expected
+ * canvas method calls rather than visual output.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { drawPotentiometer, getKnobOffset, getWiperPositionAt, KNOB_RADIUS } from '../PotentiometerRenderer.js'
+
+describe('PotentiometerRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      beginPath: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
+      arc: vi.fn(),
+      fill: vi.fn(),
+      stroke: vi.fn(),
+      fillRect: vi.fn(),
+      strokeRect: vi.fn(),
+      fillText: vi.fn()
+    }
+  })
+
+  it('should place the knob along the track by the wiper position', () => {
+    expect(getKnobOffset({ position: 0 })).toEqual({ x: -32, y: -20 })
+    expect(getKnobOffset({ position: 0.5 }).x).toBeCloseTo(0)
+    expect(getKnobOffset({ position: 1 }).x).toBe(32)
+  })
+
+  it('should mirror the knob when flipped', () => {
+    expect(getKnobOffset({ position: 0.25, flipped: true }).x).toBe(16)
+  })
+
+  it('should turn a knob drag back into a wiper position', () => {
+    expect(getWiperPositionAt({}, -16)).toBeCloseTo(0.25)
+    expect(getWiperPositionAt({ flipped: true }, -16)).toBeCloseTo(0.75)
+    expect(getWiperPositionAt({}, -100)).toBe(0)
+    expect(getWiperPositionAt({}, 100)).toBe(1)
+  })
+
+  it('should draw the leads, track, knob and label', () => {
+    drawPotentiometer(mockCtx, { type: 'potentiometer', position: 0.5 })
+
+    expect(mockCtx.moveTo).toHaveBeenCalledWith(-48, 0)
+    expect(mockCtx.lineTo).toHaveBeenCalledWith(48, 0)
+    expect(mockCtx.fillRect).toHaveBeenCalledWith(-32, -8, 64, 16)
+    expect(mockCtx.arc).toHaveBeenCalledWith(0, -20, KNOB_RADIUS, 0, Math.PI * 2)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('🎛️ Pot', 0, -38)
+  })
+
+  it('should show the leg resistances left to right as drawn', () => {
+    drawPotentiometer(mockCtx, { type: 'potentiometer', position: 0.25 })
+    drawPotentiometer(mockCtx, { type: 'potentiometer', position: 0.25, flipped: true })
+
+    expect(mockCtx.fillText).toHaveBeenCalledWith('51Ω | 151Ω', 0, 54)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('151Ω | 51Ω', 0, 54)
+  })
+})
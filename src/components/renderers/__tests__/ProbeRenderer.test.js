@@ -0,0 +1,117 @@
+/**
+ * ProbeRenderer.test.js - Unit tests for the probe chart and probe tags
+ *
+ * Tests:
+ * - Value ranges that always include zero and never collapse
+ * - Voltage traces solid, current traces dashed, gaps where a trace has no value
+ * - Only the samples inside the time window drawn
+ * - Probe tags on parts and terminals
+ *
+ * Note: These are canvas rendering tests focused on verifying expected
+ * canvas method calls rather than visual output.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { drawProbeChart, drawProbeMarker, getChartRange } from '../ProbeRenderer.js'
+
+describe('ProbeRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      save: vi.fn(),
+      restore: vi.fn(),
+      beginPath: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
+      arc: vi.fn(),
+      stroke: vi.fn(),
+      fillRect: vi.fn(),
+      strokeRect: vi.fn(),
+      fillText: vi.fn(),
+      setLineDash: vi.fn()
+    }
+  })
+
+  const view = { width: 496, height: 132, window: 1, end: 1 }
+
+  describe('getChartRange', () => {
+    it('should always include zero', () => {
+      const range = getChartRange([2, 3])
+      expect(range.min).toBe(0)
+      expect(range.max).toBeGreaterThan(3)
+    })
+
+    it('should open up a flat or empty trace', () => {
+      expect(getChartRange([]).max).toBeGreaterThan(0)
+      expect(getChartRange([0, 0]).max).toBeGreaterThan(0)
+    })
+
+    it('should fit negative values', () => {
+      expect(getChartRange([-2, 1]).min).toBeLessThan(-2)
+    })
+  })
+
+  describe('drawProbeChart', () => {
+    it('should draw voltage solid and current dashed', () => {
+      const samples = [0.2, 0.4, 0.6].map(time => ({ time, voltage: time, current: 1 - time }))
+
+      drawProbeChart(mockCtx, [{ color: '#2563EB', samples }], view)
+
+      expect(mockCtx.setLineDash).toHaveBeenCalledWith([4, 3])
+      expect(mockCtx.fillText).toHaveBeenCalledWith(expect.stringMatching(/V$/), expect.any(Number), expect.any(Number))
+      expect(mockCtx.fillText).toHaveBeenCalledWith(expect.stringMatching(/A$/), expect.any(Number), expect.any(Number))
+    })
+
+    it('should place the window end at the right edge', () => {
+      const samples = [{ time: 1, voltage: 0, current: null }]
+
+      drawProbeChart(mockCtx, [{ color: '#2563EB', samples }], view)
+
+      // Plot runs from x = 44 to x = 496 - 52
+      expect(mockCtx.moveTo).toHaveBeenCalledWith(444, expect.any(Number))
+    })
+
+    it('should leave out samples before the window', () => {
+      const samples = [{ time: 0.5, voltage: 1, current: null }, { time: 2, voltage: 1, current: null }]
+
+      drawProbeChart(mockCtx, [{ color: '#2563EB', samples }], { ...view, end: 2 })
+
+      // Nothing drawn left of the plot (x = 44)
+      const xs = [...mockCtx.moveTo.mock.calls, ...mockCtx.lineTo.mock.calls].map(([x]) => x)
+      expect(Math.min(...xs)).toBe(44)
+    })
+
+    it('should leave out the amps axis with only net probes', () => {
+      const samples = [{ time: 0.5, voltage: 1, current: null }]
+
+      drawProbeChart(mockCtx, [{ color: '#2563EB', samples }], view)
+
+      const labels = mockCtx.fillText.mock.calls.map(([text]) => text)
+      expect(labels.some(text => text.endsWith('A'))).toBe(false)
+    })
+  })
+
+  describe('drawProbeMarker', () => {
+    it('should ring a probed part', () => {
+      drawProbeMarker(mockCtx, { terminal: null, color: '#DC2626' }, { type: 'led', x: 100, y: 50 })
+
+      expect(mockCtx.arc).toHaveBeenCalledWith(100, 50, 34, 0, Math.PI * 2)
+      expect(mockCtx.strokeStyle).toBe('#DC2626')
+    })
+
+    it('should mark a probed terminal', () => {
+      drawProbeMarker(mockCtx, { terminal: 'anode', color: '#DC2626' }, { type: 'led', x: 100, y: 50 })
+
+      const [x, , radius] = mockCtx.arc.mock.calls[0]
+      expect(x).not.toBe(100)
+      expect(radius).toBe(9)
+    })
+  })
+})
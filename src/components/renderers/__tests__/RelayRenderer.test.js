@@ -0,0 +1,76 @@
+/**
+ * RelayRenderer.test.js - Unit tests for relay drawing
+ *
+ * Tests the drawRelay function:
+ * - Coil windings and housing
+ * - Armature resting on nc, pulled onto no, or part way while travelling
+ * - RELEASED/ENERGISED status labels
+ *
+ * Note: These are canvas rendering tests focused on verifying expected
+ * canvas method calls rather than visual output.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { drawRelay } from '../RelayRenderer.js'
+
+describe('RelayRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      beginPath: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
+      arc: vi.fn(),
+      fill: vi.fn(),
+      stroke: vi.fn(),
+      strokeRect: vi.fn(),
+      setLineDash: vi.fn(),
+      fillText: vi.fn()
+    }
+  })
+
+  // Last line drawn is the armature: pivot → tip
+  const armatureTip = () => mockCtx.lineTo.mock.calls[mockCtx.lineTo.mock.calls.length - 1]
+
+  it('should draw the housing, coil windings and label', () => {
+    drawRelay(mockCtx, { type: 'relay' })
+
+    expect(mockCtx.strokeRect).toHaveBeenCalledWith(-36, -32, 72, 64)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('🧲 Relay', 0, -44)
+    expect(mockCtx.fillText).toHaveBeenCalledWith('RELEASED', 0, 44)
+  })
+
+  it('should rest the armature on the nc contact when released', () => {
+    drawRelay(mockCtx, { type: 'relay', armature: 0 })
+    const [x, y] = armatureTip()
+
+    // nc lead runs from (48, 0) to the post the armature rests on
+    expect(mockCtx.lineTo).toHaveBeenCalledWith(x, y)
+    expect(mockCtx.moveTo).toHaveBeenCalledWith(48, 0)
+    expect(x).toBeGreaterThan(20)
+  })
+
+  it('should swing the armature towards the coil as it pulls in', () => {
+    drawRelay(mockCtx, { type: 'relay', armature: 0 })
+    const released = armatureTip()
+
+    mockCtx.lineTo.mockClear()
+    drawRelay(mockCtx, { type: 'relay', armature: 0.5 })
+    const travelling = armatureTip()
+
+    mockCtx.lineTo.mockClear()
+    drawRelay(mockCtx, { type: 'relay', armature: 1, closed: true })
+    const pulledIn = armatureTip()
+
+    expect(travelling[0]).toBeLessThan(released[0])
+    expect(pulledIn[0]).toBeLessThan(travelling[0])
+    expect(mockCtx.fillText).toHaveBeenCalledWith('ENERGISED', 0, 44)
+  })
+})
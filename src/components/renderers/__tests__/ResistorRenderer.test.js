@@ -3,8 +3,8 @@
  *
  * Tests the drawResistor function that renders resistor visualization:
  * - Resistor body rectangle (80x30px)
- * - Color bands for resistance values (100Ω, 220Ω, 1kΩ)
- * - Heat-based body color (beige → yellow → orange → red)
+ * - Color bands for E-series resistance values (100Ω, 220Ω, 1kΩ, 4.7kΩ)
+ * - Heat-based body color (beige → yellow → orange → red), following temperature
  * - Heat shimmer effect for hot resistors (>0.5 heat level)
  * - Power dissipation calculation (P = I²R)
  * - Status text (Cool/Warm/Hot/OVERHEAT!)
@@ -14,7 +14,7 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { drawResistor } from '../ResistorRenderer.js'
+import { drawResistor, getColorBands } from '../ResistorRenderer.js'
 
 describe('ResistorRenderer', () => {
   let mockCtx
@@ -199,6 +199,22 @@ describe('ResistorRenderer', () => {
       // P = (0.15)² × 100 = 2.25W, heat = 1.0 > 0.9
       expect(fillStyles.some(style => style === '#DC2626')).toBe(true)
     })
+
+    it('should stay red while a switched-off resistor cools', () => {
+      const component = { resistance: 100, current: 0, temperature: 210 }
+      const fillStyles = []
+
+      Object.defineProperty(mockCtx, 'fillStyle', {
+        set: (value) => { fillStyles.push(value) },
+        get: () => fillStyles[fillStyles.length - 1],
+        configurable: true
+      })
+
+      drawResistor(mockCtx, component)
+
+      // 190°C above ambient of a 200°C full rise, heat = 0.95 > 0.9
+      expect(fillStyles.some(style => style === '#DC2626')).toBe(true)
+    })
   })
 
   describe('Color Bands for Resistance Values', () => {
@@ -283,6 +299,13 @@ describe('ResistorRenderer', () => {
       expect(mockCtx.fillRect).toHaveBeenCalledTimes(1)
     })
 
+    it('should colour code any E-series value', () => {
+      // Yellow (4), violet (7), red (×100)
+      expect(getColorBands(4700)).toEqual(['#FBBF24', '#7C3AED', '#DC2626'])
+      // Brown (1), green (5), black (×1)
+      expect(getColorBands(15)).toEqual(['#8B4513', '#16A34A', '#000000'])
+    })
+
     it('should position bands correctly on resistor body', () => {
       const component = { resistance: 100, current: 0 }
 
@@ -0,0 +1,88 @@
+/**
+ * SwitchRenderer.test.js - Unit tests for switch and push button drawing
+ *
+ * Tests the drawSwitch and drawPushButton functions:
+ * - Contact posts and leads
+ * - Toggle lever flat (closed) or raised (open)
+ * - Push button bridge down (pressed) or up (released)
+ * - ON/OFF and PUSH/PRESSED status labels
+ *
+ * Note: These are canvas rendering tests focused on verifying expected
+ * canvas method calls rather than visual output.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { drawSwitch, drawPushButton } from '../SwitchRenderer.js'
+
+describe('SwitchRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      beginPath: vi.fn(),
+      moveTo: vi.fn(),
+      lineTo: vi.fn(),
+      arc: vi.fn(),
+      fill: vi.fn(),
+      stroke: vi.fn(),
+      fillRect: vi.fn(),
+      strokeRect: vi.fn(),
+      fillText: vi.fn()
+    }
+  })
+
+  describe('drawSwitch', () => {
+    it('should draw both contact posts', () => {
+      drawSwitch(mockCtx, { type: 'switch', closed: false })
+
+      expect(mockCtx.arc).toHaveBeenCalledWith(-28, 0, 4, 0, Math.PI * 2)
+      expect(mockCtx.arc).toHaveBeenCalledWith(28, 0, 4, 0, Math.PI * 2)
+    })
+
+    it('should lay the lever on the far contact when closed', () => {
+      drawSwitch(mockCtx, { type: 'switch', closed: true })
+
+      const [x, y] = mockCtx.lineTo.mock.calls[mockCtx.lineTo.mock.calls.length - 1]
+      expect(x).toBeCloseTo(28)
+      expect(y).toBeCloseTo(0)
+      expect(mockCtx.fillText).toHaveBeenCalledWith('ON', 0, 28)
+    })
+
+    it('should raise the lever when open', () => {
+      drawSwitch(mockCtx, { type: 'switch', closed: false })
+
+      const [, y] = mockCtx.lineTo.mock.calls[mockCtx.lineTo.mock.calls.length - 1]
+      expect(y).toBeLessThan(0)
+      expect(mockCtx.fillText).toHaveBeenCalledWith('OFF', 0, 28)
+    })
+  })
+
+  describe('drawPushButton', () => {
+    it('should hold the bridge above the contacts when released', () => {
+      drawPushButton(mockCtx, { type: 'pushbutton', pressed: false })
+
+      expect(mockCtx.moveTo).toHaveBeenCalledWith(-28, -16)
+      expect(mockCtx.fillText).toHaveBeenCalledWith('PUSH', 0, 28)
+    })
+
+    it('should press the bridge onto the contacts while held', () => {
+      drawPushButton(mockCtx, { type: 'pushbutton', pressed: true })
+
+      expect(mockCtx.moveTo).toHaveBeenCalledWith(-28, -4)
+      expect(mockCtx.fillText).toHaveBeenCalledWith('PRESSED', 0, 28)
+    })
+
+    it('should draw a red cap', () => {
+      drawPushButton(mockCtx, { type: 'pushbutton', pressed: false })
+
+      expect(mockCtx.fillRect).toHaveBeenCalled()
+      expect(mockCtx.fillStyle).toBe('#6B7280') // Status label drawn last
+    })
+  })
+})
@@ -0,0 +1,121 @@
+/**
+ * TerminalRenderer.test.js - Unit tests for terminal layout and drawing
+ *
+ * Tests the terminal helpers used for wiring:
+ * - Terminal positions in canvas coordinates per component type
+ * - Fallback layout for unknown component types
+ * - One contact circle per terminal, with +/- labels (LED anode/cathode too)
+ * - Mirrored layout for flipped components
+ * - Highlighted (wire mode) terminals drawn larger
+ * - Open circuit marker for loads without a closed loop
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { getTerminalPosition, drawTerminals, drawOpenCircuitMarker, TERMINAL_RADIUS } from '../TerminalRenderer.js'
+
+describe('TerminalRenderer', () => {
+  let mockCtx
+
+  beforeEach(() => {
+    mockCtx = {
+      strokeStyle: '',
+      lineWidth: 0,
+      fillStyle: '',
+      font: '',
+      textAlign: '',
+      textBaseline: '',
+      beginPath: vi.fn(),
+      arc: vi.fn(),
+      fill: vi.fn(),
+      stroke: vi.fn(),
+      fillText: vi.fn(),
+      save: vi.fn(),
+      restore: vi.fn(),
+      setLineDash: vi.fn()
+    }
+  })
+
+  describe('getTerminalPosition', () => {
+    it('should place battery terminals either side of the body', () => {
+      const battery = { id: 1, type: 'battery', x: 100, y: 200 }
+
+      expect(getTerminalPosition(battery, '-')).toEqual({ x: 52, y: 200 })
+      expect(getTerminalPosition(battery, '+')).toEqual({ x: 148, y: 200 })
+    })
+
+    it('should place LED anode on the left and cathode on the right', () => {
+      const led = { id: 1, type: 'led', x: 0, y: 0 }
+
+      expect(getTerminalPosition(led, 'anode').x).toBeLessThan(0)
+      expect(getTerminalPosition(led, 'cathode').x).toBeGreaterThan(0)
+    })
+
+    it('should place bulb terminals below the glass', () => {
+      const bulb = { id: 1, type: 'lightbulb', x: 0, y: 0 }
+
+      expect(getTerminalPosition(bulb, 'a').y).toBeGreaterThan(0)
+      expect(getTerminalPosition(bulb, 'b').y).toBeGreaterThan(0)
+    })
+
+    it('should mirror terminals of a flipped component', () => {
+      const led = { id: 1, type: 'led', x: 0, y: 0, flipped: true }
+
+      expect(getTerminalPosition(led, 'anode')).toEqual({ x: 38, y: 0 })
+      expect(getTerminalPosition(led, 'cathode')).toEqual({ x: -38, y: 0 })
+    })
+
+    it('should spread terminals of unknown types evenly', () => {
+      const part = { id: 1, type: 'mystery', x: 0, y: 0, terminals: ['x', 'y', 'z'] }
+
+      expect(getTerminalPosition(part, 'x')).toEqual({ x: -40, y: 0 })
+      expect(getTerminalPosition(part, 'y')).toEqual({ x: 0, y: 0 })
+      expect(getTerminalPosition(part, 'z')).toEqual({ x: 40, y: 0 })
+    })
+  })
+
+  describe('drawTerminals', () => {
+    it('should draw one circle per terminal', () => {
+      drawTerminals(mockCtx, { id: 1, type: 'resistor', x: 0, y: 0 })
+
+      expect(mockCtx.arc).toHaveBeenCalledTimes(2)
+      expect(mockCtx.arc).toHaveBeenCalledWith(-48, 0, TERMINAL_RADIUS, 0, Math.PI * 2)
+    })
+
+    it('should label polarised terminals', () => {
+      drawTerminals(mockCtx, { id: 1, type: 'battery', x: 0, y: 0 })
+
+      const labels = mockCtx.fillText.mock.calls.map(call => call[0])
+      expect(labels).toEqual(['-', '+'])
+    })
+
+    it('should mark LED anode + and cathode -', () => {
+      drawTerminals(mockCtx, { id: 1, type: 'led', x: 0, y: 0 })
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('+', -38, -12)
+      expect(mockCtx.fillText).toHaveBeenCalledWith('-', 38, -12)
+    })
+
+    it('should not label non-polarised terminals', () => {
+      drawTerminals(mockCtx, { id: 1, type: 'resistor', x: 0, y: 0 })
+
+      expect(mockCtx.fillText).not.toHaveBeenCalled()
+    })
+
+    it('should draw larger terminals when highlighted', () => {
+      drawTerminals(mockCtx, { id: 1, type: 'resistor', x: 0, y: 0 }, true)
+
+      expect(mockCtx.arc).toHaveBeenCalledWith(-48, 0, TERMINAL_RADIUS + 2, 0, Math.PI * 2)
+    })
+  })
+
+  describe('drawOpenCircuitMarker', () => {
+    it('should draw a red ring and warning label', () => {
+      drawOpenCircuitMarker(mockCtx)
+
+      expect(mockCtx.strokeStyle).toBe('#DC2626')
+      expect(mockCtx.arc).toHaveBeenCalledTimes(1)
+      expect(mockCtx.fillText).toHaveBeenCalledWith('⚠ Open circuit', 0, -62)
+      expect(mockCtx.restore).toHaveBeenCalled()
+    })
+  })
+})
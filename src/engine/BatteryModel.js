@@ -0,0 +1,119 @@
+/**
+ * BatteryModel - Open-circuit voltage and internal resistance of cells
+ *
+ * A battery is modelled as an EMF behind an internal resistance:
+ *
+ *   - ──(EMF)── internal ──R_int── +
+ *
+ * The EMF is the open-circuit voltage (OCV), which depends on how much
+ * charge is left and follows the cell chemistry's discharge curve (see
+ * CellChemistry). Under load the internal resistance drops part of the
+ * EMF, so the terminal voltage sags - the harder the load pulls, the
+ * further it sags.
+ *
+ * battery.voltage is the rated (fresh, unloaded) voltage, and
+ * battery.chemistry picks the cell type (potato when missing). The solver
+ * writes battery.terminalVoltage and battery.current back after each step.
+ *
+ * A battery whose terminals are joined with (almost) no resistance is
+ * short-circuited: it pushes the largest current it can, so it drains in
+ * moments and heats up. The solver flags it with battery.shorted, and
+ * battery.heat / battery.fault track the damage.
+ */
+
+import { CELL_CHEMISTRIES, getChemistry } from './CellChemistry.js'
+
+// Potato cell: zinc/copper electrodes through potato flesh
+export const BATTERY_INTERNAL_RESISTANCE = CELL_CHEMISTRIES.potato.internalResistance  // Ohms
+
+// Short circuit: terminal voltage sagged by this fraction of the OCV
+export const SHORT_CIRCUIT_SAG = 0.9
+export const SHORT_CIRCUIT_HEAT_TIME = 0.05  // Seconds shorted to get fully hot
+export const SHORT_CIRCUIT_COOL_TIME = 2     // Seconds to cool back down
+
+/**
+ * Get the open-circuit voltage fraction for a state of charge
+ * @param {number} charge - Remaining charge (0-1)
+ * @param {string} chemistry - Cell chemistry id (default potato)
+ * @returns {number} Fraction of rated voltage, 0 when depleted
+ */
+export function getOCVFraction(charge, chemistry) {
+  if (!(charge > 0)) return 0
+  if (charge >= 1) return 1
+
+  const { curve } = getChemistry(chemistry)
+  const upper = curve.findIndex(([c]) => c >= charge)
+  const [c0, f0] = curve[upper - 1]
+  const [c1, f1] = curve[upper]
+  return f0 + (f1 - f0) * (charge - c0) / (c1 - c0)
+}
+
+/**
+ * Get a battery's open-circuit voltage (its EMF)
+ * @param {Object} battery - Battery component
+ * @returns {number} Volts - a depleted potato gives nothing
+ */
+export function getOpenCircuitVoltage(battery) {
+  const rated = battery.voltage || getChemistry(battery.chemistry).voltage
+  return rated * getOCVFraction(battery.charge, battery.chemistry)
+}
+
+/**
+ * Get a battery's internal resistance
+ * @param {Object} battery - Battery component
+ * @returns {number} Ohms
+ */
+export function getInternalResistance(battery) {
+  return battery.internalResistance || getChemistry(battery.chemistry).internalResistance
+}
+
+/**
+ * Get a battery's capacity relative to a potato
+ * Charge drains more slowly from a bigger cell.
+ * @param {Object} battery - Battery component
+ * @returns {number} Capacity (potato = 1)
+ */
+export function getCapacity(battery) {
+  return battery.capacity || getChemistry(battery.chemistry).capacity
+}
+
+/**
+ * Get the voltage a battery shows at its terminals
+ * Falls back to the open-circuit voltage before the battery has been solved.
+ * @param {Object} battery - Battery component
+ * @returns {number} Volts
+ */
+export function getTerminalVoltage(battery) {
+  return battery.terminalVoltage !== undefined
+    ? battery.terminalVoltage
+    : getOpenCircuitVoltage(battery)
+}
+
+/**
+ * Check whether a battery is short-circuited
+ * With next to no resistance between its terminals, the whole EMF is
+ * dropped across the internal resistance: the current is as large as the
+ * cell can give and the terminal voltage collapses towards zero.
+ * @param {Object} battery - Solved battery component
+ * @returns {boolean} True if current flows and the terminals are near 0V
+ */
+export function isShortCircuited(battery) {
+  const openCircuit = getOpenCircuitVoltage(battery)
+  return battery.current > 0 && openCircuit > 0 &&
+    getTerminalVoltage(battery) < openCircuit * (1 - SHORT_CIRCUIT_SAG)
+}
+
+/**
+ * Heat a shorted battery up, or let it cool down
+ * Sets battery.heat (0 cold - 1 too hot to touch) and latches
+ * battery.fault once it has been shorted, until the circuit is reset.
+ * @param {Object} battery - Battery component (battery.shorted already set)
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function updateBatteryHeat(battery, deltaTime) {
+  const heat = battery.heat || 0
+  battery.heat = battery.shorted
+    ? Math.min(1, heat + deltaTime / SHORT_CIRCUIT_HEAT_TIME)
+    : Math.max(0, heat - deltaTime / SHORT_CIRCUIT_COOL_TIME)
+  if (battery.shorted) battery.fault = true
+}
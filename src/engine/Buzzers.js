@@ -0,0 +1,64 @@
+/**
+ * Buzzers - Little electromagnetic buzzers
+ *
+ * Electrically a buzzer is just the resistance of its coil. The current
+ * through it sets how it sounds: nothing below BUZZER_MIN_CURRENT, then
+ * louder and higher pitched the more current it gets, up to full volume
+ * at BUZZER_HIGH_PITCH once it carries BUZZER_FULL_CURRENT. Pitch climbs
+ * by octaves (each extra milliamp raises it by the same musical step),
+ * which is how the ear hears an even rise.
+ *
+ * The solver writes buzzer.voltage, buzzer.current, buzzer.pitch (Hz),
+ * buzzer.volume (0-1) and buzzer.sounding after each step; SoundEffects
+ * turns those into sound.
+ */
+
+export const BUZZER_RESISTANCE = 50         // Ohms of coil
+export const BUZZER_MIN_CURRENT = 0.005     // 5mA to make a sound at all
+export const BUZZER_FULL_CURRENT = 0.06     // 60mA for full volume
+export const BUZZER_LOW_PITCH = 220         // Hz, just sounding
+export const BUZZER_HIGH_PITCH = 880        // Hz, at full current
+
+/**
+ * Stamp a buzzer into a nodal system
+ * @param {NodalSystem} system - System being built
+ * @param {Object} nodes - Buzzer nodes { a, b }
+ */
+export function stampBuzzer(system, nodes) {
+  system.addResistor(nodes.a, nodes.b, BUZZER_RESISTANCE)
+}
+
+/**
+ * Get how hard a current drives a buzzer
+ * @param {number} current - Amps through it (either way)
+ * @returns {number} 0 when silent - 1 at full current and above
+ */
+export function getBuzzerLevel(current) {
+  const level = (Math.abs(current) - BUZZER_MIN_CURRENT) / (BUZZER_FULL_CURRENT - BUZZER_MIN_CURRENT)
+  return Math.max(0, Math.min(level, 1))
+}
+
+/**
+ * Get the pitch a buzzer sounds at for a current
+ * @param {number} current - Amps through it (either way)
+ * @returns {number} Hz (0 when silent)
+ */
+export function getBuzzerPitch(current) {
+  if (Math.abs(current) < BUZZER_MIN_CURRENT) return 0
+  return BUZZER_LOW_PITCH * Math.pow(BUZZER_HIGH_PITCH / BUZZER_LOW_PITCH, getBuzzerLevel(current))
+}
+
+/**
+ * Write the solved operating point and sound onto a buzzer
+ * @param {Object} buzzer - Buzzer component
+ * @param {number} voltage - V(a) - V(b)
+ */
+export function updateBuzzer(buzzer, voltage) {
+  const current = voltage / BUZZER_RESISTANCE
+
+  buzzer.voltage = voltage
+  buzzer.current = current
+  buzzer.pitch = getBuzzerPitch(current)
+  buzzer.volume = getBuzzerLevel(current)
+  buzzer.sounding = buzzer.pitch > 0
+}
@@ -1,13 +1,62 @@
 /**
  * CapacitorSimulation - RC time constant modeling
  *
- * Simulates capacitor charging/discharging with proper RC time constants.
- * Handles three modes:
- * 1. Charging: Battery connected (V(t) = Vs × (1 - e^(-t/RC)))
- * 2. Discharging: Through resistor (V(t) = V0 × e^(-t/RC))
- * 3. Leakage: Self-discharge when disconnected
+ * Two ways of stepping capacitors:
+ * - stampCapacitor/updateCapacitor: companion model used by the nodal
+ *   solver (CircuitSolver), so capacitors interact with the rest of the
+ *   circuit in the same solve
+ * - simulateCapacitors: standalone single-RC approximation with three modes
+ *   1. Charging: Battery connected (V(t) = Vs × (1 - e^(-t/RC)))
+ *   2. Discharging: Through resistor (V(t) = V0 × e^(-t/RC))
+ *   3. Leakage: Self-discharge when disconnected
  */
 
+// Series resistance of leads and wiring
+export const CAPACITOR_ESR = 10  // Ohms
+// Real capacitors have leakage resistance (~1MΩ to 100MΩ)
+export const LEAKAGE_RESISTANCE = 10000000  // 10MΩ
+const DEFAULT_CAPACITANCE = 0.001  // 1mF
+const DEFAULT_MAX_VOLTAGE = 10.0
+
+/**
+ * Stamp a capacitor into a nodal system (backward-Euler companion model)
+ *
+ * + ──ESR── internal ──┬── C/dt ──┬── -
+ *                      └─ I=C·V0/dt ─┘
+ *
+ * @param {NodalSystem} system - System being built
+ * @param {Object} capacitor - Capacitor component
+ * @param {Object} nodes - Capacitor nodes { '+', '-' }
+ * @param {number} internal - Internal node between ESR and plates
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function stampCapacitor(system, capacitor, nodes, internal, deltaTime) {
+  const capacitance = capacitor.capacitance || DEFAULT_CAPACITANCE
+  const conductance = capacitance / Math.max(deltaTime, 1e-6)
+  const voltage = capacitor.voltage || 0
+
+  system.addResistor(nodes['+'], internal, CAPACITOR_ESR)
+  system.addConductance(internal, nodes['-'], conductance + 1 / LEAKAGE_RESISTANCE)
+  // Stored charge pushes current out of the positive plate
+  system.addCurrentSource(nodes['-'], internal, conductance * voltage)
+}
+
+/**
+ * Update a capacitor from the solved plate voltage
+ * @param {Object} capacitor - Capacitor component
+ * @param {number} voltage - Solved voltage across the plates
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function updateCapacitor(capacitor, voltage, deltaTime) {
+  const capacitance = capacitor.capacitance || DEFAULT_CAPACITANCE
+  const previous = capacitor.voltage || 0
+  const maxVoltage = capacitor.maxVoltage || DEFAULT_MAX_VOLTAGE
+
+  // Clamp voltage to max rating
+  capacitor.voltage = Math.max(-maxVoltage, Math.min(voltage, maxVoltage))
+  capacitor.current = deltaTime > 0 ? capacitance * (capacitor.voltage - previous) / deltaTime : 0
+}
+
 /**
  * Simulate all capacitors in the circuit
  * Updates capacitor voltages based on connected components and RC time constants
@@ -69,9 +118,7 @@ export function simulateCapacitors(components, wires, deltaTime, findConnectedCo
       capacitor.voltage *= dischargeFactor
     } else if (capacitor.voltage > 0) {
       // Self-discharge (leakage) when disconnected
-      // Real capacitors have leakage resistance (~1MΩ to 100MΩ)
       // Use 10MΩ leakage resistance for gradual discharge
-      const LEAKAGE_RESISTANCE = 10000000  // 10MΩ
       const capacitance = capacitor.capacitance || 0.001
       const leakageTimeConstant = LEAKAGE_RESISTANCE * capacitance
 
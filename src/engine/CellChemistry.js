@@ -0,0 +1,66 @@
+/**
+ * CellChemistry - Catalogue of home-made battery cells
+ *
+ * Every cell is a pair of zinc and copper electrodes in an electrolyte;
+ * the electrolyte decides how it behaves:
+ * - voltage: rated open-circuit voltage when fresh
+ * - capacity: how much charge it holds, relative to a potato
+ * - internalResistance: Ohms - how badly it sags under load
+ * - curve: open-circuit voltage as a fraction of rated voltage, by
+ *   remaining charge (ascending [charge, fraction] points)
+ *
+ * Values are scaled to the game's parts (e.g. the 0.36Ω bulb), not to
+ * bench measurements.
+ */
+
+export const CELL_CHEMISTRIES = {
+  potato: {
+    id: 'potato',
+    name: 'Potato',
+    emoji: '🥔',
+    voltage: 0.9,
+    capacity: 1.0,
+    internalResistance: 0.005,
+    // Long gentle plateau, falls away at the very end
+    curve: [[0.0, 0.6], [0.02, 0.9], [0.1, 0.97], [1.0, 1.0]]
+  },
+  lemon: {
+    id: 'lemon',
+    name: 'Lemon',
+    emoji: '🍋',
+    voltage: 0.95,
+    capacity: 0.6,
+    internalResistance: 0.008,
+    // Citric acid is used up steadily - the voltage slopes the whole way
+    curve: [[0.0, 0.5], [0.1, 0.8], [0.5, 0.93], [1.0, 1.0]]
+  },
+  saltwater: {
+    id: 'saltwater',
+    name: 'Saltwater',
+    emoji: '🧂',
+    voltage: 0.7,
+    capacity: 3.0,
+    internalResistance: 0.02,
+    // A whole jar of electrolyte - flat until the zinc is nearly gone
+    curve: [[0.0, 0.7], [0.05, 0.95], [1.0, 1.0]]
+  }
+}
+
+export const DEFAULT_CHEMISTRY = 'potato'
+
+/**
+ * Get a cell chemistry (unknown or missing ids fall back to potato)
+ * @param {string} chemistry - Chemistry id
+ * @returns {Object} Chemistry from CELL_CHEMISTRIES
+ */
+export function getChemistry(chemistry) {
+  return CELL_CHEMISTRIES[chemistry] || CELL_CHEMISTRIES[DEFAULT_CHEMISTRY]
+}
+
+/**
+ * Get the ids of all chemistries, in toolbar order
+ * @returns {Array<string>} Chemistry ids
+ */
+export function getChemistryIds() {
+  return Object.keys(CELL_CHEMISTRIES)
+}
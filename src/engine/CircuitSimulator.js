@@ -1,19 +1,43 @@
-import { simulateCapacitors } from './CapacitorSimulation.js'
 import {
   getBatteryVisualState,
   getLEDVisualState,
   getResistorVisualState,
   getCapacitorVisualState,
-  getLightBulbVisualState
+  getInductorVisualState,
+  getLightBulbVisualState,
+  getDiodeVisualState,
+  getMotorVisualState,
+  getBuzzerVisualState,
+  getPotentiometerVisualState
 } from './VisualState.js'
 import { GraphAnalyzer } from './GraphAnalyzer.js'
-import { simulateCircuit, simulateLightBulb } from './CircuitSolver.js'
+import { solveCircuit } from './CircuitSolver.js'
+import { getOpenCircuitVoltage } from './BatteryModel.js'
+import { AMBIENT_TEMPERATURE } from './Thermal.js'
+import { isSwitch } from './Switches.js'
+import { DigitalSimulator } from './DigitalSimulator.js'
+import { EnergyLedger } from './EnergyLedger.js'
+import { isLogicComponent, UNDEFINED } from './DigitalLogic.js'
 
 export class CircuitSimulator {
   constructor() {
     this.components = []
     this.wires = []
     this.graph = null
+    this.relayClickCallbacks = []
+    this.digital = new DigitalSimulator()
+    this.energy = new EnergyLedger()
+    this.nets = null          // Nets and node voltages from the last step
+    this.nodeVoltages = null
+  }
+
+  /**
+   * Register a callback for relay clicks (contacts changing over)
+   * @param {Function} callback - Called with (relay) after the step it clicked in;
+   *   relay.closed tells whether it pulled in or dropped out
+   */
+  onRelayClick(callback) {
+    this.relayClickCallbacks.push(callback)
   }
 
   /**
@@ -36,34 +60,101 @@ export class CircuitSimulator {
 
   /**
    * Reset circuit to initial state
-   * - Batteries: full charge (1.0)
+   * - Batteries: full charge (1.0), unloaded, cooled down with no fault
    * - Capacitors: empty (voltage = 0)
-   * - Resistors: cold (current = 0)
-   * - LEDs: off (brightness = 0)
-   * - Light bulbs: off (brightness = 0, current = 0, power = 0)
+   * - Inductors: no current, field collapsed
+   * - Resistors: cold (current = 0, ambient temperature)
+   * - Potentiometers: no current (the wiper stays where it was turned)
+   * - LEDs: off (brightness = 0, not reverse biased), repaired unless
+   *   options.keepBurnout (burnt-out LEDs stay dead and damage carries over)
+   * - Light bulbs: off (brightness = 0, current = 0, power = 0), filament cold
+   * - Diodes: not conducting
+   * - Motors: stopped, rotor back at its starting angle
+   * - Buzzers: silent
+   * - Relays: released, armature at rest
+   * - Logic components: undefined levels, pending logic events dropped
+   * - Push buttons: released (toggle switches keep their position)
+   * - Energy ledger: emptied
    * @param {Array} components - Components to reset
+   * @param {Object} options - { keepBurnout } from the challenge rules
    * @returns {Array} Reset components
    */
-  resetCircuit(components) {
+  resetCircuit(components, { keepBurnout = false } = {}) {
+    this.digital.reset()
+    this.energy.clear()
+
     return components.map(comp => {
       const reset = { ...comp }
 
       if (comp.type === 'battery') {
         reset.charge = 1.0 // Full charge
+        reset.current = 0
+        reset.terminalVoltage = getOpenCircuitVoltage(reset)
+        reset.shorted = false
+        reset.heat = 0 // Cooled down, fault cleared
+        reset.fault = false
       } else if (comp.type === 'capacitor') {
         reset.voltage = 0 // Empty
+      } else if (comp.type === 'inductor') {
+        reset.current = 0 // No field
+        reset.voltage = 0
       } else if (comp.type === 'resistor') {
         reset.current = 0 // Cold
         reset.voltageDrop = 0
+        reset.temperature = AMBIENT_TEMPERATURE
+      } else if (comp.type === 'potentiometer') {
+        reset.current = 0 // Wiper keeps its position
+        reset.currentA = 0
+        reset.currentB = 0
+        reset.wiperCurrent = 0
+        reset.voltage = 0
       } else if (comp.type === 'led') {
         reset.brightness = 0 // Off
         reset.voltage = 0
         reset.current = 0
+        reset.reverseBiased = false
+        if (!keepBurnout) {
+          reset.damage = 0 // Good as new
+          reset.burntOut = false
+        }
       } else if (comp.type === 'lightbulb') {
         reset.brightness = 0 // Off
         reset.current = 0
         reset.power = 0
         reset.voltage = 0
+        reset.temperature = AMBIENT_TEMPERATURE // Filament cold again
+      } else if (comp.type === 'diode') {
+        reset.voltage = 0
+        reset.current = 0
+        reset.conducting = false
+        reset.blocking = false
+      } else if (comp.type === 'motor') {
+        reset.speed = 0 // Spun down
+        reset.rpm = 0
+        reset.angle = 0
+        reset.voltage = 0
+        reset.current = 0
+        reset.backEmf = 0
+      } else if (comp.type === 'buzzer') {
+        reset.voltage = 0 // Silent
+        reset.current = 0
+        reset.pitch = 0
+        reset.volume = 0
+        reset.sounding = false
+      } else if (comp.type === 'relay') {
+        reset.closed = false // Spring holds the armature out
+        reset.travel = 0
+        reset.armature = 0
+        reset.coilCurrent = 0
+        reset.current = 0
+      } else if (isLogicComponent(comp)) {
+        reset.output = UNDEFINED
+        reset.inputs = {}
+      } else if (comp.type === 'pushbutton') {
+        reset.pressed = false // Springs back open
+        reset.current = 0
+      } else if (comp.type === 'switch') {
+        reset.current = 0
       }
 
       return reset
@@ -82,85 +173,161 @@ export class CircuitSimulator {
 
     // Reset all component states
     this.components.forEach(comp => {
-      if (comp.type === 'led') {
+      if (comp.type === 'battery') {
+        // Unwired batteries sit at their open-circuit voltage
+        comp.current = 0
+        comp.terminalVoltage = getOpenCircuitVoltage(comp)
+        comp.shorted = false
+      } else if (comp.type === 'led') {
         comp.brightness = 0
         comp.voltage = 0
         comp.current = 0
+        comp.reverseBiased = false
       } else if (comp.type === 'resistor') {
         comp.voltageDrop = 0
         comp.current = 0
+      } else if (comp.type === 'potentiometer') {
+        comp.current = 0
+        comp.currentA = 0
+        comp.currentB = 0
+        comp.wiperCurrent = 0
+        comp.voltage = 0
       } else if (comp.type === 'lightbulb') {
         comp.brightness = 0
         comp.voltage = 0
         comp.current = 0
         comp.power = 0
+      } else if (comp.type === 'inductor') {
+        comp.voltage = 0 // Current carries on in the field
+      } else if (comp.type === 'diode') {
+        comp.voltage = 0
+        comp.current = 0
+        comp.conducting = false
+        comp.blocking = false
+      } else if (comp.type === 'motor') {
+        // The rotor keeps its speed and angle between steps
+        comp.voltage = 0
+        comp.current = 0
+      } else if (comp.type === 'buzzer') {
+        comp.voltage = 0
+        comp.current = 0
+        comp.pitch = 0
+        comp.volume = 0
+        comp.sounding = false
+      } else if (comp.type === 'relay') {
+        // Contacts and armature keep their position between steps
+        comp.coilCurrent = 0
+        comp.current = 0
+      } else if (isSwitch(comp)) {
+        comp.current = 0
       }
     })
 
-    // Update capacitors (charge/discharge based on connected circuits)
-    simulateCapacitors(this.components, this.wires, deltaTime, (comp) => this.findConnectedComponents(comp))
-
-    // Find all circuits (battery connected to components via wires)
-    const circuits = this.findCircuits()
-
-    circuits.forEach(circuit => {
-      if (circuit.type === 'led') {
-        simulateCircuit(circuit, {
-          analyzeBatteryTopology: this.analyzeBatteryTopology.bind(this),
-          isCapacitorInSeriesWithLED: this.isCapacitorInSeriesWithLED.bind(this),
-          findResistorsInPath: this.findResistorsInPath.bind(this),
-          deltaTime: this.deltaTime
-        })
-      } else if (circuit.type === 'lightbulb') {
-        simulateLightBulb(circuit, {
-          deltaTime: this.deltaTime
-        })
-      }
+    // Solve the whole circuit (nodal analysis), step capacitors and relays,
+    // then run the logic against the analog result
+    const nets = this.graph.buildNets()
+    this.digital.prepare(this.components, nets)
+    const { nodeVoltages, clickedRelays, energy } = solveCircuit(this.components, nets, deltaTime)
+    this.nets = nets
+    this.nodeVoltages = nodeVoltages
+    this.energy.record(energy, this.components)
+    this.digital.step(nodeVoltages, deltaTime)
+    clickedRelays.forEach(relay => {
+      this.relayClickCallbacks.forEach(callback => callback(relay))
     })
 
     return this.components
   }
 
   /**
-   * Find all circuits (load components connected to voltage sources)
-   * Analyzes topology to determine series/parallel configurations
+   * Get the voltage of the net a terminal is on, measured from ground
+   * Ground is the - terminal of the first battery, where a scope's ground
+   * clip would go; without a battery it is the solver's reference node.
+   * @param {*} componentId - Component the terminal belongs to
+   * @param {string} terminal - Terminal name
+   * @returns {number|null} Volts, or null before the first step or for an
+   *   unknown terminal
+   */
+  getNetVoltage(componentId, terminal) {
+    const node = this.nets?.terminals.get(componentId)?.[terminal]
+    if (node === undefined) return null
+
+    const battery = this.components.find(c => c.type === 'battery')
+    const ground = battery ? this.nets.terminals.get(battery.id)?.['-'] ?? 0 : 0
+    return this.nodeVoltages[node] - this.nodeVoltages[ground]
+  }
+
+  /**
+   * Get the energy supplied, dissipated and stored since the last reset
+   * @returns {Object} Totals from EnergyLedger.getTotals()
+   */
+  getEnergyLedger() {
+    return this.energy.getTotals()
+  }
+
+  /**
+   * Find all circuits (load components in a closed loop with voltage sources)
+   * Topology query only - simulate() solves the whole circuit at once
+   * A load only counts when a loop runs from a source through it and back;
+   * sources reached through a single wire with no return path are ignored.
    * @returns {Array} Array of circuit objects with batteries, capacitors, and loads
    */
   findCircuits() {
     const circuits = []
-    const leds = this.components.filter(c => c.type === 'led')
-    const bulbs = this.components.filter(c => c.type === 'lightbulb')
+    const loadLoops = this.graph.findLoadLoops()
 
-    // For each LED, find all voltage sources (batteries + charged capacitors) and other LEDs in the same circuit
-    leds.forEach(led => {
-      const connectedComponents = this.findConnectedComponents(led)
-      const batteries = connectedComponents.filter(c => c.type === 'battery')
-      const capacitors = connectedComponents.filter(c => c.type === 'capacitor' && c.voltage > 0.1) // Treat charged capacitors as voltage sources
-      const ledsInCircuit = connectedComponents.filter(c => c.type === 'led')
+    // Sources and LEDs sharing at least one closed loop with the load
+    const loopComponents = load => {
+      const ids = new Set(loadLoops.get(load.id).flat())
+      return this.components.filter(c => ids.has(c.id))
+    }
+
+    // For each LED, find all voltage sources (batteries + charged capacitors) and other LEDs in the same loops
+    this.components.filter(c => c.type === 'led').forEach(led => {
+      const loopMembers = loopComponents(led)
+      const batteries = loopMembers.filter(c => c.type === 'battery')
+      const capacitors = loopMembers.filter(c => c.type === 'capacitor' && c.voltage > 0.1) // Treat charged capacitors as voltage sources
+      const ledsInCircuit = loopMembers.filter(c => c.type === 'led')
 
       if (batteries.length > 0 || capacitors.length > 0) {
         // Determine if this LED is in series or parallel with other LEDs
         const isParallel = this.isParallelConfiguration(led, batteries)
-        circuits.push({ batteries, capacitors, led, totalLEDs: ledsInCircuit.length, isParallel, type: 'led' })
+        circuits.push({ batteries, capacitors, led, totalLEDs: ledsInCircuit.length, isParallel, type: 'led', loops: loadLoops.get(led.id) })
       }
     })
 
     // For each light bulb, find voltage sources (batteries + charged capacitors)
-    bulbs.forEach(bulb => {
-      const connectedComponents = this.findConnectedComponents(bulb)
-      const batteries = connectedComponents.filter(c => c.type === 'battery')
-      const capacitors = connectedComponents.filter(c => c.type === 'capacitor' && c.voltage > 0.1)
+    this.components.filter(c => c.type === 'lightbulb').forEach(bulb => {
+      const loopMembers = loopComponents(bulb)
+      const batteries = loopMembers.filter(c => c.type === 'battery')
+      const capacitors = loopMembers.filter(c => c.type === 'capacitor' && c.voltage > 0.1)
 
       if (batteries.length > 0 || capacitors.length > 0) {
         // Analyze battery topology (series/parallel chains)
         const batteryTopology = this.analyzeBatteryTopology(batteries, bulb)
-        circuits.push({ batteries, capacitors, bulb, batteryTopology, type: 'lightbulb' })
+        circuits.push({ batteries, capacitors, bulb, batteryTopology, type: 'lightbulb', loops: loadLoops.get(bulb.id) })
       }
     })
 
     return circuits
   }
 
+  /**
+   * Find loads (LEDs, bulbs, motors, buzzers) that are not part of a closed loop with a source
+   * @returns {Array} Array of open-circuit load components
+   */
+  findOpenLoads() {
+    return this.graph.findOpenLoads()
+  }
+
+  /**
+   * Find batteries shorted out in the last step
+   * @returns {Array} Array of short-circuited battery components
+   */
+  findShortCircuits() {
+    return this.components.filter(comp => comp.type === 'battery' && comp.shorted)
+  }
+
   /**
    * Analyze battery topology (series chains in parallel)
    * Detects how batteries are connected and calculates effective voltage
@@ -212,7 +379,7 @@ export class CircuitSimulator {
 
     // Calculate voltage per chain (series batteries add voltage)
     const voltagePerChain = seriesChains.length > 0
-      ? seriesChains[0].reduce((sum, bat) => sum + (bat.charge > 0 ? bat.voltage : 0), 0)
+      ? seriesChains[0].reduce((sum, bat) => sum + getOpenCircuitVoltage(bat), 0)
       : 0
 
     // Parallel chains all connect to the same load
@@ -244,14 +411,8 @@ export class CircuitSimulator {
     // - If LED has NO direct LED neighbors → parallel (gets full voltage)
     // - If LED has LED neighbors → series (voltage divided among LEDs)
     //
-    // This heuristic works for Act 1 scope (potato + LEDs):
-    // ✓ Battery → LED (single, parallel)
-    // ✓ Battery → [LED1, LED2, LED3] (all parallel)
-    // ✓ Battery → LED1 → LED2 → LED3 (all series)
-    // ✓ Battery → LED1 → [LED2, LED3] (LED1 series, LED2/LED3 treated as series too)
-    //
-    // Limitation: Complex mixed topologies need proper circuit analysis
-    // (nodal/mesh) which is out of scope until Act 2+ (relays, logic gates)
+    // Only a topology hint for the UI - simulate() uses nodal analysis
+    // and does not depend on this classification
 
     const neighbors = this.getConnectedComponents(led.id)
     const connectedLEDs = neighbors.filter(id => {
@@ -360,6 +521,15 @@ export class CircuitSimulator {
     return getCapacitorVisualState(capacitor)
   }
 
+  /**
+   * Get visual rendering state for inductor
+   * @param {Object} inductor - Inductor component
+   * @returns {Object} Visual state (field strength, stored energy, etc.)
+   */
+  getInductorVisualState(inductor) {
+    return getInductorVisualState(inductor)
+  }
+
   /**
    * Get visual rendering state for light bulb
    * @param {Object} bulb - Light bulb component
@@ -369,6 +539,42 @@ export class CircuitSimulator {
     return getLightBulbVisualState(bulb)
   }
 
+  /**
+   * Get visual rendering state for diode
+   * @param {Object} diode - Diode component
+   * @returns {Object} Visual state (conducting/blocking, current, etc.)
+   */
+  getDiodeVisualState(diode) {
+    return getDiodeVisualState(diode)
+  }
+
+  /**
+   * Get visual rendering state for motor
+   * @param {Object} motor - Motor component
+   * @returns {Object} Visual state (RPM, spin, stalled, etc.)
+   */
+  getMotorVisualState(motor) {
+    return getMotorVisualState(motor)
+  }
+
+  /**
+   * Get visual rendering state for buzzer
+   * @param {Object} buzzer - Buzzer component
+   * @returns {Object} Visual state (sounding, pitch, sound waves, etc.)
+   */
+  getBuzzerVisualState(buzzer) {
+    return getBuzzerVisualState(buzzer)
+  }
+
+  /**
+   * Get visual rendering state for potentiometer
+   * @param {Object} pot - Potentiometer component
+   * @returns {Object} Visual state (wiper position, leg resistances, etc.)
+   */
+  getPotentiometerVisualState(pot) {
+    return getPotentiometerVisualState(pot)
+  }
+
   // Helper formulas
   /**
    * Calculate voltage divider output
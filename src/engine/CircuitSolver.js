@@ -1,307 +1,545 @@
 /**
- * CircuitSolver - LED and light bulb circuit simulation
+ * CircuitSolver - Nodal analysis of the whole circuit
  *
- * Handles the physics calculations for powering LEDs and light bulbs
- * from batteries and capacitors. Separated from CircuitSimulator
- * for better organization.
+ * Turns the component graph into a conductance matrix (see NodalAnalysis),
+ * solves it for node voltages and branch currents, and writes
+ * voltage/current/brightness back onto the components.
+ *
+ * Component models:
+ * - Battery: charge-dependent open-circuit voltage behind its internal
+ *   resistance (see BatteryModel), so the terminal voltage sags under load.
+ *   A potato cannot be recharged, so a battery that would be driven
+ *   backwards (e.g. a weaker chain in parallel with a stronger one) stops
+ *   conducting. A battery shorted by bare wire pushes the most current it
+ *   can, so it drains in moments and is flagged shorted (see BatteryModel)
+ *   Chains in parallel still share their load's drain by voltage (see
+ *   shareChainDrain)
+ * - Resistor: linear resistance, warming up as it dissipates (see Thermal)
+ * - Potentiometer: two resistances meeting at the wiper, split by where
+ *   the wiper sits; it can be turned while running (see Potentiometers)
+ * - Light bulb: filament resistance that rises with its temperature, so a
+ *   cold bulb draws an inrush current as it switches on (see Thermal)
+ * - LED: polarised piecewise model - conducts only from anode to cathode:
+ *   open below LED_MIN_VOLTAGE (and whenever reverse biased), held at
+ *   LED_MIN_VOLTAGE while the circuit cannot push more current than 100Ω
+ *   would draw there, 100Ω above it, current-limited at MAX_LED_CURRENT.
+ *   Driving it past that limit damages it until it burns out open for
+ *   good (see LEDDamage)
+ * - Capacitor: backward-Euler companion model behind a 10Ω ESR
+ * - Inductor: the same companion model for the current through its
+ *   winding, so a coil and a capacitor ring together (see InductorSimulation)
+ * - Switch / push button: tiny contact resistance when closed, nothing
+ *   when open (see Switches)
+ * - Diode: blocks until its ~0.6V forward drop is overcome, then conducts
+ *   anode to cathode only (see Diodes)
+ * - Buzzer: coil resistance; the current through it sets its pitch and
+ *   volume (see Buzzers)
+ * - Motor: winding resistance behind the back-EMF of its spinning rotor,
+ *   which speeds up or slows down with the current (see Motors)
+ * - Relay: coil resistance on one side, a closed changeover contact on the
+ *   other; the coil current moves the contact for the next step (see Relays)
+ * - Logic component: weak input pull-downs; an output that reaches analog
+ *   parts drives its level's voltage behind an output resistance (see
+ *   DigitalLogic) - the logic itself runs in DigitalSimulator
+ *
+ * Series/parallel behaviour is not guessed: it falls out of the solve.
+ *
+ * The power in the final solve is shared out per component for the energy
+ * ledger (see EnergyLedger), and a battery's charge drains by the energy
+ * it supplied.
  */
 
+import { NodalSystem } from './NodalAnalysis.js'
+import { stampCapacitor, updateCapacitor } from './CapacitorSimulation.js'
+import { stampInductor, updateInductor } from './InductorSimulation.js'
+import {
+  getOpenCircuitVoltage,
+  getInternalResistance,
+  getCapacity,
+  isShortCircuited,
+  updateBatteryHeat
+} from './BatteryModel.js'
+import { isSwitch, stampSwitch, updateSwitch } from './Switches.js'
+import { stampDiode, nextDiodeRegion, updateDiode } from './Diodes.js'
+import { stampRelay, updateRelay, getRelayContact } from './Relays.js'
+import { getMotorRegion, stampMotor, nextMotorRegion, updateMotor } from './Motors.js'
+import { stampBuzzer, updateBuzzer } from './Buzzers.js'
+import { stampPotentiometer, updatePotentiometer } from './Potentiometers.js'
+import { isLogicComponent, stampLogicComponent } from './DigitalLogic.js'
+import { updateLEDDamage, isBurntOut } from './LEDDamage.js'
+import {
+  AMBIENT_TEMPERATURE,
+  isThermal,
+  updateTemperature,
+  getFilamentResistance,
+  settleFilamentResistance
+} from './Thermal.js'
+import { getStepEnergy } from './EnergyLedger.js'
+
+// Battery characteristics
+// Energy a fresh potato holds, in joules (capacity scales it for other
+// cells). Gives reasonable lifetimes: LEDs ~560s, bulbs ~1.5s
+export const BATTERY_ENERGY = 10
+
+// LED characteristics
+export const LED_RESISTANCE = 100           // Ohms
+export const LED_FORWARD_VOLTAGE = 2.0      // Typical LED forward voltage
+export const LED_MIN_VOLTAGE = 0.5          // Below this the LED does not conduct
+export const MAX_LED_CURRENT = 0.020        // 20mA
+
+// Light bulb characteristics
+export const BULB_MIN_VOLTAGE = 2.5         // Minimum voltage for visible glow
+export const DEFAULT_BULB_RESISTANCE = 50   // Ohms
+
+// Every LED has a very high parallel leakage resistance so identical
+// LEDs in series still split the voltage evenly when they are off
+const LED_LEAKAGE_RESISTANCE = 1e6
+
+// Battery current below this is solver noise, not charge or discharge
+const CURRENT_EPSILON = 1e-9
+
+// Reported currents are rounded to this; anything finer is rounding error
+// in the solve, so parts in series report exactly the same current
+const CURRENT_RESOLUTION = 1e-12
+
+// Filament resistance counts as settled once an iteration moves it less than this fraction
+const FILAMENT_TOLERANCE = 1e-6
+
+// LED, diode and motor regions and blocked batteries can flip, and
+// filament resistances move, while the operating point settles
+const MAX_ITERATIONS = 20
+
 /**
- * Simulate an LED circuit
- * @param {Object} circuit - Circuit data { batteries, capacitors, led, totalLEDs, isParallel }
- * @param {Object} context - Helper methods { analyzeBatteryTopology, isCapacitorInSeriesWithLED, findResistorsInPath, deltaTime }
+ * Solve the circuit for one time step
+ * @param {Array} components - All circuit components (updated in place)
+ * @param {Object} nets - Result of GraphAnalyzer.buildNets() { nodeCount, terminals }
+ *   with terminal nodes named as in Terminals.COMPONENT_TERMINALS
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {Object} { nodeVoltages, clickedRelays, energy } - node voltages
+ *   of the final solve, the relays whose contacts changed over this step,
+ *   and component id → { supplied, dissipated, stored } joules for the step
  */
-export function simulateCircuit(circuit, context) {
-  const { batteries = [], capacitors = [], led, totalLEDs, isParallel } = circuit
-  const { analyzeBatteryTopology, isCapacitorInSeriesWithLED, findResistorsInPath, deltaTime } = context
-
-  // Analyze battery topology to find series chains in parallel
-  const batteryTopology = analyzeBatteryTopology(batteries, led)
-  const { seriesChains } = batteryTopology
-
-  // Calculate total voltage - for parallel chains, use the highest voltage
-  // (or a weighted combination based on current distribution)
-  let batteryVoltage = 0
-  let minCharge = 1.0
-
-  if (seriesChains.length === 1) {
-    // Simple case: all batteries in series
-    seriesChains[0].forEach(battery => {
-      batteryVoltage += battery.voltage * (battery.charge > 0 ? 1 : 0)
-      minCharge = Math.min(minCharge, battery.charge)
+export function solveCircuit(components, nets, deltaTime) {
+  const { terminals } = nets
+  let nodeCount = nets.nodeCount
+
+  // Batteries, capacitors, inductors and analog-driving logic outputs need
+  // an internal node for their series resistance
+  const internalNodes = new Map()
+  components.forEach(comp => {
+    const needsInternal = comp.type === 'battery' || comp.type === 'capacitor' || comp.type === 'inductor' ||
+      (isLogicComponent(comp) && comp.drivesAnalog)
+    if (needsInternal && terminals.has(comp.id)) {
+      internalNodes.set(comp.id, nodeCount++)
+    }
+  })
+
+  const leds = components.filter(c => c.type === 'led' && terminals.has(c.id) && !isBurntOut(c))
+  const ledRegions = new Map(leds.map(led => [led.id, 'on']))
+  // Current each LED would draw if nothing limited it (last solved 'on')
+  const ledDrives = new Map()
+  const diodes = components.filter(c => c.type === 'diode' && terminals.has(c.id))
+  const diodeRegions = new Map(diodes.map(diode => [diode.id, 'off']))
+  const motors = components.filter(c => c.type === 'motor' && terminals.has(c.id))
+  const motorRegions = new Map(motors.map(motor => [motor.id, getMotorRegion(motor)]))
+  const blockedBatteries = new Set()
+  // Start each filament at the resistance it ended the last step with (cold when new)
+  const bulbs = components.filter(c => c.type === 'lightbulb' && terminals.has(c.id))
+  const bulbResistances = new Map(bulbs.map(bulb => [
+    bulb.id,
+    getFilamentResistance(getRatedResistance(bulb), bulb.temperature ?? AMBIENT_TEMPERATURE)
+  ]))
+
+  let system = null
+  let solution = null
+  let sources = new Map()
+  let ledSources = new Map()
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    system = new NodalSystem(nodeCount)
+    sources = new Map()
+    ledSources = new Map()
+
+    components.forEach(comp => {
+      const nodes = terminals.get(comp.id)
+      if (!nodes) return
+      system.setOwner(comp.id)
+
+      if (comp.type === 'battery') {
+        if (blockedBatteries.has(comp.id)) return
+        const internal = internalNodes.get(comp.id)
+        sources.set(comp.id, system.addVoltageSource(internal, nodes['-'], getOpenCircuitVoltage(comp)))
+        system.addResistor(internal, nodes['+'], getInternalResistance(comp))
+      } else if (comp.type === 'resistor') {
+        system.addResistor(nodes.a, nodes.b, comp.resistance)
+      } else if (comp.type === 'potentiometer') {
+        stampPotentiometer(system, comp, nodes)
+      } else if (comp.type === 'lightbulb') {
+        system.addResistor(nodes.a, nodes.b, bulbResistances.get(comp.id))
+      } else if (comp.type === 'led') {
+        // A burnt-out LED is an open circuit
+        const source = stampLED(system, nodes, isBurntOut(comp) ? 'off' : ledRegions.get(comp.id))
+        if (source !== undefined) ledSources.set(comp.id, source)
+      } else if (comp.type === 'capacitor') {
+        stampCapacitor(system, comp, nodes, internalNodes.get(comp.id), deltaTime)
+      } else if (comp.type === 'inductor') {
+        stampInductor(system, comp, nodes, internalNodes.get(comp.id), deltaTime)
+      } else if (isSwitch(comp)) {
+        stampSwitch(system, comp, nodes)
+      } else if (comp.type === 'diode') {
+        stampDiode(system, nodes, diodeRegions.get(comp.id))
+      } else if (comp.type === 'buzzer') {
+        stampBuzzer(system, nodes)
+      } else if (comp.type === 'motor') {
+        stampMotor(system, comp, nodes, motorRegions.get(comp.id), deltaTime)
+      } else if (comp.type === 'relay') {
+        stampRelay(system, comp, nodes)
+      } else if (isLogicComponent(comp)) {
+        stampLogicComponent(system, comp, nodes, internalNodes.get(comp.id))
+      }
     })
-  } else if (seriesChains.length > 1) {
-    // Parallel chains: use highest voltage chain (dominant voltage source)
-    // In reality, parallel voltage sources with different voltages create complex current flows
-    // For simplicity, we'll use the highest voltage and distribute current based on voltage
-    seriesChains.forEach(chain => {
-      const chainVoltage = chain.reduce((sum, bat) => sum + (bat.charge > 0 ? bat.voltage : 0), 0)
-      batteryVoltage = Math.max(batteryVoltage, chainVoltage)
-      chain.forEach(bat => {
-        minCharge = Math.min(minCharge, bat.charge)
-      })
+
+    solution = system.solve()
+
+    // Re-evaluate LED, diode and motor regions and battery blocking against the new operating point
+    let changed = false
+    components.forEach(comp => {
+      if (comp.type !== 'battery' || !terminals.has(comp.id)) return
+      const nodes = terminals.get(comp.id)
+      const blocked = blockedBatteries.has(comp.id)
+      const shouldBlock = blocked
+        ? solution.nodeVoltages[nodes['+']] - solution.nodeVoltages[nodes['-']] >= getOpenCircuitVoltage(comp)
+        : solution.sourceCurrents[sources.get(comp.id)] < -CURRENT_EPSILON
+      if (shouldBlock !== blocked) {
+        if (shouldBlock) blockedBatteries.add(comp.id)
+        else blockedBatteries.delete(comp.id)
+        changed = true
+      }
+    })
+    leds.forEach(led => {
+      const nodes = terminals.get(led.id)
+      const voltage = solution.nodeVoltages[nodes.anode] - solution.nodeVoltages[nodes.cathode]
+      const region = ledRegions.get(led.id)
+      const current = region === 'threshold'
+        ? -solution.sourceCurrents[ledSources.get(led.id)]
+        : 0
+      if (region === 'on') ledDrives.set(led.id, voltage / LED_RESISTANCE)
+      const next = nextLEDRegion(region, voltage, current)
+      if (next !== region) {
+        ledRegions.set(led.id, next)
+        changed = true
+      }
     })
-  }
 
-  // Handle capacitors based on their configuration:
-  // - Series with LED: oppose battery (blocks DC when charged)
-  // - Parallel with LED: add to voltage (smoothing/boost)
-  // - No battery: act as voltage source (discharge mode)
-  let totalVoltage = batteryVoltage
-
-  if (batteries.length > 0) {
-    // Check each capacitor: series or parallel?
-    capacitors.forEach(capacitor => {
-      const inSeries = isCapacitorInSeriesWithLED(capacitor, led, batteries)
-      if (inSeries) {
-        // Series: capacitor opposes battery voltage as it charges
-        totalVoltage -= capacitor.voltage
-      } else {
-        // Parallel: capacitor adds to voltage (both provide power)
-        totalVoltage += capacitor.voltage
+    diodes.forEach(diode => {
+      const nodes = terminals.get(diode.id)
+      const region = diodeRegions.get(diode.id)
+      const next = nextDiodeRegion(region, solution.nodeVoltages[nodes.anode] - solution.nodeVoltages[nodes.cathode])
+      if (next !== region) {
+        diodeRegions.set(diode.id, next)
+        changed = true
       }
     })
-  } else {
-    // No battery: capacitor acts as voltage source (discharge mode)
-    capacitors.forEach(capacitor => {
-      totalVoltage += capacitor.voltage
+
+    motors.forEach(motor => {
+      const nodes = terminals.get(motor.id)
+      const region = motorRegions.get(motor.id)
+      const next = nextMotorRegion(motor, region, solution.nodeVoltages[nodes.a] - solution.nodeVoltages[nodes.b], deltaTime)
+      if (next !== region) {
+        motorRegions.set(motor.id, next)
+        changed = true
+      }
+    })
+
+    // Filament resistance the step's heating settles at, given the new voltage
+    bulbs.forEach(bulb => {
+      const nodes = terminals.get(bulb.id)
+      const voltage = solution.nodeVoltages[nodes.a] - solution.nodeVoltages[nodes.b]
+      const resistance = bulbResistances.get(bulb.id)
+      const next = settleFilamentResistance(bulb, getRatedResistance(bulb), voltage, deltaTime)
+      if (Math.abs(next - resistance) > resistance * FILAMENT_TOLERANCE) {
+        bulbResistances.set(bulb.id, next)
+        changed = true
+      }
     })
+
+    if (!changed) break
   }
 
-  // Find resistors in THIS LED's branch (not all connected resistors)
-  const resistorsInPath = findResistorsInPath(led, batteries)
+  const { nodeVoltages } = solution
+  const across = (a, b) => nodeVoltages[a] - nodeVoltages[b]
+  const clickedRelays = []
+  const powers = system.getPowers(solution)
+  const drains = shareChainDrain(components, terminals, powers, id =>
+    sources.has(id) && solution.sourceCurrents[sources.get(id)] > CURRENT_EPSILON)
+
+  components.forEach(comp => {
+    const nodes = terminals.get(comp.id)
+    if (!nodes) {
+      if (isThermal(comp)) updateTemperature(comp, 0, deltaTime)  // Unwired parts cool down
+      return
+    }
+
+    if (comp.type === 'battery') {
+      // Terminal voltage under load (a blocked battery just sees the circuit)
+      comp.terminalVoltage = across(nodes['+'], nodes['-'])
+      comp.current = 0
+      comp.shorted = false
+      if (sources.has(comp.id)) {
+        const current = solution.sourceCurrents[sources.get(comp.id)]
+        comp.current = roundCurrent(Math.max(0, current))
+        comp.shorted = isShortCircuited(comp)
+      }
+      const drainRate = (drains.get(comp.id) || 0) * deltaTime / (BATTERY_ENERGY * getCapacity(comp))
+      comp.charge = Math.max(0, comp.charge - drainRate)
+      updateBatteryHeat(comp, deltaTime)
+    } else if (comp.type === 'resistor') {
+      const voltageDrop = Math.abs(across(nodes.a, nodes.b))
+      comp.voltageDrop = voltageDrop
+      comp.current = roundCurrent(voltageDrop / comp.resistance)
+      updateTemperature(comp, voltageDrop * comp.current, deltaTime)
+    } else if (comp.type === 'potentiometer') {
+      updatePotentiometer(comp, across(nodes.a, nodes.wiper), across(nodes.wiper, nodes.b))
+    } else if (comp.type === 'lightbulb') {
+      updateLightBulb(comp, Math.abs(across(nodes.a, nodes.b)), bulbResistances.get(comp.id), deltaTime)
+    } else if (comp.type === 'led') {
+      const voltage = across(nodes.anode, nodes.cathode)
+      const region = isBurntOut(comp) ? 'off' : ledRegions.get(comp.id)
+      const heldCurrent = region === 'threshold'
+        ? -solution.sourceCurrents[ledSources.get(comp.id)]
+        : 0
+      updateLED(comp, voltage, region, heldCurrent)
+      if (region === 'on' || region === 'limited') {
+        updateLEDDamage(comp, ledDrives.get(comp.id) || 0, deltaTime)
+      }
+    } else if (comp.type === 'capacitor') {
+      updateCapacitor(comp, across(internalNodes.get(comp.id), nodes['-']), deltaTime)
+    } else if (comp.type === 'inductor') {
+      updateInductor(comp, across(internalNodes.get(comp.id), nodes.b), deltaTime)
+    } else if (isSwitch(comp)) {
+      updateSwitch(comp, across(nodes.a, nodes.b))
+    } else if (comp.type === 'diode') {
+      updateDiode(comp, across(nodes.anode, nodes.cathode), diodeRegions.get(comp.id))
+    } else if (comp.type === 'buzzer') {
+      updateBuzzer(comp, across(nodes.a, nodes.b))
+    } else if (comp.type === 'motor') {
+      updateMotor(comp, across(nodes.a, nodes.b), motorRegions.get(comp.id), deltaTime)
+    } else if (comp.type === 'relay') {
+      const contactVoltage = across(nodes.com, nodes[getRelayContact(comp)])
+      if (updateRelay(comp, across(nodes.coil1, nodes.coil2), contactVoltage, deltaTime)) {
+        clickedRelays.push(comp)
+      }
+    }
+  })
 
-  // Calculate total resistance in THIS LED's branch
-  const LED_RESISTANCE = 100  // Ohms
-  let totalResistance = LED_RESISTANCE
+  // Shared out once every part has been updated, so capacitors and
+  // inductors report what their fields took this step
+  const energy = new Map()
+  components.forEach(comp => {
+    if (terminals.has(comp.id)) energy.set(comp.id, getStepEnergy(comp, powers.get(comp.id), deltaTime))
+  })
 
-  resistorsInPath.forEach(resistor => {
-    totalResistance += resistor.resistance
+  return { nodeVoltages, clickedRelays, energy }
+}
+
+/**
+ * Work out the power each battery drains by this step
+ *
+ * A battery drains by the power it supplied, except in chains joined in
+ * parallel (series chains of batteries across the same two nodes): those
+ * share what the group supplied the way the game always has, each chain
+ * taking a part in proportion to its voltage. The strongest chain still
+ * drains fastest, but a weaker one held idle by it wears down too, rather
+ * than sitting at full charge beside a flat chain.
+ * @param {Array} components - All circuit components
+ * @param {Map} terminals - Component id → { terminal: node }
+ * @param {Map} powers - Component id → { supplied, absorbed } watts
+ * @param {Function} isSupplying - Whether a battery pushed current out this step
+ * @returns {Map} Battery id → watts
+ */
+function shareChainDrain(components, terminals, powers, isSupplying) {
+  const batteries = components.filter(c => c.type === 'battery' && terminals.has(c.id))
+  const drains = new Map(batteries.map(battery => [
+    battery.id,
+    isSupplying(battery.id) ? powers.get(battery.id).supplied : 0
+  ]))
+
+  // Two batteries are in series when one's + and the next one's - share a
+  // node with nothing else on it
+  const attached = new Map()
+  terminals.forEach(nodes => Object.values(nodes).forEach(node => {
+    attached.set(node, (attached.get(node) || 0) + 1)
+  }))
+  const nextInChain = new Map()
+  batteries.forEach(battery => {
+    const node = terminals.get(battery.id)['-']
+    if (attached.get(node) === 2) nextInChain.set(node, battery)
+  })
+  const hasPrevious = new Set()
+  batteries.forEach(battery => {
+    const next = nextInChain.get(terminals.get(battery.id)['+'])
+    if (next && next !== battery) hasPrevious.add(next.id)
   })
 
-  // For series LEDs, each LED adds resistance
-  if (!isParallel && totalLEDs > 1) {
-    totalResistance += LED_RESISTANCE * (totalLEDs - 1)
-  }
+  const groups = new Map()
+  batteries.filter(battery => !hasPrevious.has(battery.id)).forEach(first => {
+    const chain = [first]
+    let next = nextInChain.get(terminals.get(first.id)['+'])
+    while (next && !chain.includes(next)) {
+      chain.push(next)
+      next = nextInChain.get(terminals.get(next.id)['+'])
+    }
+    const key = `${terminals.get(first.id)['-']}:${terminals.get(chain[chain.length - 1].id)['+']}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(chain)
+  })
 
-  // LED characteristics
-  const LED_FORWARD_VOLTAGE = 2.0  // Typical LED forward voltage
-  const MAX_LED_CURRENT = 0.020     // 20mA
+  groups.forEach(chains => {
+    if (chains.length < 2) return
+    const supplied = chains.flat().reduce((sum, battery) => sum + drains.get(battery.id), 0)
+    const voltages = chains.map(chain => chain.reduce((sum, battery) => sum + getOpenCircuitVoltage(battery), 0))
+    const weight = voltages.reduce((sum, voltage) => sum + voltage * voltage, 0)
+    if (!(supplied > 0) || !(weight > 0)) return
+
+    // Chain current in proportion to its voltage, scaled so the group
+    // drains by exactly what it supplied
+    chains.forEach((chain, i) => {
+      const current = supplied * voltages[i] / weight
+      chain.forEach(battery => drains.set(battery.id, getOpenCircuitVoltage(battery) * current))
+    })
+  })
 
-  // Voltage calculation depends on configuration
-  // Parallel: each LED gets full voltage
-  // Series: voltage is divided across all components
-  let availableVoltage = totalVoltage
+  return drains
+}
 
-  if (!isParallel && totalLEDs > 1) {
-    availableVoltage = totalVoltage / totalLEDs
-  }
+/**
+ * Round a solved current to CURRENT_RESOLUTION
+ * @param {number} current - Amps
+ * @returns {number} Amps
+ */
+function roundCurrent(current) {
+  return Math.round(current / CURRENT_RESOLUTION) * CURRENT_RESOLUTION
+}
 
-  // Check if voltage is sufficient to light LED (even dimly)
-  if (availableVoltage < 0.5) {
-    // Not enough voltage at all
-    led.brightness = 0
-    led.voltage = availableVoltage
-    led.current = 0
-    return
+/**
+ * Stamp an LED for its current region
+ * Current only ever flows from anode to cathode; a reverse-biased LED
+ * settles in the 'off' region.
+ * @param {NodalSystem} system - System being built
+ * @param {Object} nodes - LED nodes { anode, cathode }
+ * @param {string} region - 'off' | 'threshold' | 'on' | 'limited'
+ * @returns {number|undefined} Voltage source index in the 'threshold' region
+ */
+function stampLED(system, nodes, region) {
+  system.addResistor(nodes.anode, nodes.cathode, LED_LEAKAGE_RESISTANCE)
+
+  if (region === 'threshold') {
+    return system.addVoltageSource(nodes.anode, nodes.cathode, LED_MIN_VOLTAGE)
+  } else if (region === 'on') {
+    system.addResistor(nodes.anode, nodes.cathode, LED_RESISTANCE)
+  } else if (region === 'limited') {
+    system.addCurrentSource(nodes.anode, nodes.cathode, MAX_LED_CURRENT)
   }
+}
 
-  // Calculate current using Ohm's law: I = V / R
-  let current = totalVoltage / totalResistance
-
-  // Limit current to max LED current
-  current = Math.min(current, MAX_LED_CURRENT)
+/**
+ * Decide the LED region for the next iteration
+ *
+ * The regions form one continuous, rising I-V curve, so there is always
+ * exactly one operating point to settle on.
+ * @param {string} region - Region used for the last solve
+ * @param {number} voltage - Anode-to-cathode voltage in the last solve
+ * @param {number} current - Current through a held ('threshold') LED
+ * @returns {string} Next region
+ */
+function nextLEDRegion(region, voltage, current) {
+  const thresholdCurrent = LED_MIN_VOLTAGE / LED_RESISTANCE
 
-  // Calculate voltage drops in THIS LED's branch
-  resistorsInPath.forEach(resistor => {
-    resistor.voltageDrop = current * resistor.resistance
-    resistor.current = current
-  })
+  if (region === 'threshold') {
+    if (current < 0) return 'off'
+    if (current > thresholdCurrent) return 'on'
+    return region
+  }
+  if (region === 'off') return voltage > LED_MIN_VOLTAGE ? 'threshold' : region
+  if (voltage < LED_MIN_VOLTAGE) return 'threshold'
+  if (region === 'on' && voltage / LED_RESISTANCE > MAX_LED_CURRENT) return 'limited'
+  if (region === 'limited' && voltage / LED_RESISTANCE < MAX_LED_CURRENT) return 'on'
+  return region
+}
 
-  // Calculate voltage across LED (after resistor drops in this branch)
-  let ledVoltage = totalVoltage
-  resistorsInPath.forEach(resistor => {
-    ledVoltage -= resistor.voltageDrop
-  })
+/**
+ * Write the solved operating point onto an LED
+ * @param {Object} led - LED component
+ * @param {number} voltage - Anode-to-cathode voltage (negative when reversed)
+ * @param {string} region - Final LED region
+ * @param {number} heldCurrent - Current through a held ('threshold') LED
+ */
+function updateLED(led, voltage, region, heldCurrent) {
+  led.voltage = voltage
+  // Wired the wrong way round with enough voltage to light it otherwise
+  led.reverseBiased = voltage <= -LED_MIN_VOLTAGE
 
-  // For series LEDs, divide remaining voltage
-  if (!isParallel && totalLEDs > 1) {
-    ledVoltage = ledVoltage / totalLEDs
+  if (region === 'off') {
+    led.current = 0
+    led.brightness = 0
+    return
   }
 
-  const voltage = ledVoltage
+  const current = region === 'threshold'
+    ? Math.max(0, heldCurrent) + voltage / LED_LEAKAGE_RESISTANCE
+    : Math.min(voltage / LED_RESISTANCE, MAX_LED_CURRENT)
 
-  // Calculate LED brightness (0-1 scale)
   // LED gets brighter as current increases
   let brightness = current / MAX_LED_CURRENT
 
-  // Apply forward voltage threshold (more gradual)
+  // Below the forward voltage only a dim glow is possible
   if (voltage < LED_FORWARD_VOLTAGE) {
-    // Scale brightness based on voltage (allows dim glow at low voltage)
     brightness *= (voltage / LED_FORWARD_VOLTAGE) * 0.8
   }
 
-  // Clamp brightness
-  brightness = Math.max(0, Math.min(1, brightness))
-
-  // Update LED state
-  led.brightness = brightness
-  led.voltage = voltage
-  led.current = current
-
-  // Drain batteries based on current draw, distributed by series chain voltage
-  // For parallel LEDs, each LED draws current, so multiply by number of parallel LEDs
-  const parallelMultiplier = isParallel ? totalLEDs : 1
-  const totalCurrent = current * parallelMultiplier
-
-  if (batteries.length > 0) {
-    // Calculate voltage of each series chain
-    const chainVoltages = seriesChains.map(chain =>
-      chain.reduce((sum, bat) => sum + (bat.charge > 0 ? bat.voltage : 0), 0)
-    )
-    const totalChainVoltage = chainVoltages.reduce((sum, v) => sum + v, 0)
-
-    // Distribute current based on each chain's voltage contribution
-    // Higher voltage chains supply more current (parallel resistor network behavior)
-    seriesChains.forEach((chain, index) => {
-      const chainVoltage = chainVoltages[index]
-      if (totalChainVoltage === 0) return
-
-      // Current from this chain is proportional to its voltage
-      const chainCurrentFraction = chainVoltage / totalChainVoltage
-      const chainCurrent = totalCurrent * chainCurrentFraction
-
-      // All batteries in a series chain get the same current
-      // Each parallel chain discharges independently based on its own current
-      // Scale drain by deltaTime to make it framerate-independent
-      // Factor of 0.09 gives reasonable lifetimes: LEDs ~560s, bulbs ~1.5s
-      const drainRate = chainCurrent * deltaTime * 0.09
-      chain.forEach(battery => {
-        battery.charge = Math.max(0, battery.charge - drainRate)
-      })
-    })
-  }
+  led.current = roundCurrent(current)
+  led.brightness = Math.max(0, Math.min(1, brightness))
+}
 
-  // Discharge capacitors when powering LED (only if no battery, or if series with battery)
-  if (capacitors.length > 0 && batteries.length === 0) {
-    // Only discharge capacitors if they're the sole power source
-    // If battery is present, battery charges/powers and capacitor just charges
-    capacitors.forEach(capacitor => {
-      const capacitance = capacitor.capacitance || 0.001
-      const dischargeCurrent = current * parallelMultiplier / capacitors.length
-      const voltageDrop = (dischargeCurrent * deltaTime) / capacitance
-      capacitor.voltage = Math.max(0, capacitor.voltage - voltageDrop)
-    })
-  }
+/**
+ * Get a light bulb's rated (white hot) resistance
+ * @param {Object} bulb - Light bulb component
+ * @returns {number} Ohms
+ */
+function getRatedResistance(bulb) {
+  return bulb.resistance || DEFAULT_BULB_RESISTANCE
 }
 
 /**
- * Simulate a light bulb circuit
- * @param {Object} circuit - Circuit data { batteries, capacitors, bulb, batteryTopology }
- * @param {Object} context - Helper methods { deltaTime }
+ * Write the solved operating point onto a light bulb
+ * @param {Object} bulb - Light bulb component
+ * @param {number} voltage - Voltage across the bulb
+ * @param {number} resistance - Filament resistance it was solved with
+ * @param {number} deltaTime - Time step in seconds
  */
-export function simulateLightBulb(circuit, context) {
-  const { batteries = [], capacitors = [], bulb, batteryTopology } = circuit
-  const { deltaTime } = context
-
-  // Use battery topology analysis for accurate series/parallel handling
-  let totalVoltage = 0
-
-  if (batteryTopology) {
-    // Use analyzed topology
-    totalVoltage = batteryTopology.voltage
-  } else {
-    // Fallback: treat all batteries as series (old behavior)
-    batteries.forEach(battery => {
-      totalVoltage += battery.voltage * (battery.charge > 0 ? 1 : 0)
-    })
-  }
+function updateLightBulb(bulb, voltage, resistance, deltaTime) {
+  const current = voltage / resistance
 
-  // Add capacitor voltage
-  capacitors.forEach(capacitor => {
-    totalVoltage += capacitor.voltage
-  })
+  // Power dissipated as light and heat: P = I²R
+  const power = current * current * resistance
 
-  // Light bulb characteristics
-  const BULB_MIN_VOLTAGE = 2.5  // Minimum voltage for visible glow
-  const bulbResistance = bulb.resistance || 50  // Ohms (lower than LED)
+  bulb.voltage = voltage
+  bulb.current = roundCurrent(current)
+  bulb.power = power
+  updateTemperature(bulb, power, deltaTime)
 
-  // Check if voltage is sufficient
-  if (totalVoltage < BULB_MIN_VOLTAGE) {
+  if (voltage < BULB_MIN_VOLTAGE) {
     bulb.brightness = 0
-    bulb.voltage = totalVoltage
-    bulb.current = 0
     return
   }
 
-  // Calculate current using Ohm's law: I = V / R
-  const current = totalVoltage / bulbResistance
-
-  // Calculate power dissipated (as light and heat)
-  const power = current * current * bulbResistance  // P = I²R
-
-  // Brightness is based on power (incandescent: more power = more light)
-  // Normalized to 0-1 scale (1W = full brightness)
+  // Incandescent: more power = more light (1W = full brightness)
   let brightness = Math.min(power / 1.0, 1.0)
 
-  // Apply voltage-based scaling for dim operation
-  if (totalVoltage < 4.0) {
-    brightness *= (totalVoltage / 4.0) * 0.7
+  // Dim operation at low voltage
+  if (voltage < 4.0) {
+    brightness *= (voltage / 4.0) * 0.7
   }
 
-  // Update bulb state
   bulb.brightness = Math.max(0, Math.min(1, brightness))
-  bulb.voltage = totalVoltage
-  bulb.current = current
-  bulb.power = power
-
-  // Drain batteries (bulbs draw more current than LEDs)
-  // For parallel chains: current is divided among chains
-  // For series chains: all batteries in chain drain at same rate
-  const totalSources = batteries.length + capacitors.length
-
-  if (batteries.length > 0 && batteryTopology && batteryTopology.seriesChains) {
-    // Use topology analysis to drain batteries correctly per chain
-    const { seriesChains } = batteryTopology
-
-    seriesChains.forEach((chain) => {
-      // Calculate voltage of each chain to determine current distribution
-      const chainVoltage = chain.reduce((sum, bat) => sum + (bat.charge > 0 ? bat.voltage : 0), 0)
-      const totalChainVoltage = seriesChains.reduce((sum, ch) =>
-        sum + ch.reduce((s, b) => s + (b.charge > 0 ? b.voltage : 0), 0), 0
-      )
-
-      // Current from this chain is proportional to its voltage
-      const chainCurrentFraction = totalChainVoltage > 0 ? chainVoltage / totalChainVoltage : 1 / seriesChains.length
-      const chainCurrent = current * chainCurrentFraction
-
-      // All batteries in a series chain carry the same current
-      // Each battery in the chain drains based on the chain's current
-      // Scale drain by deltaTime to make it framerate-independent
-      // Factor of 0.09 gives reasonable lifetimes: LEDs ~560s, bulbs ~1.5s
-      const drainRate = chainCurrent * deltaTime * 0.09
-
-      chain.forEach(battery => {
-        battery.charge = Math.max(0, battery.charge - drainRate)
-      })
-    })
-  } else if (batteries.length > 0) {
-    // Fallback for circuits without topology analysis
-    // Assume all batteries in series (old behavior for compatibility)
-    const drainRate = current * deltaTime * 0.09 / totalSources
-
-    batteries.forEach(battery => {
-      battery.charge = Math.max(0, battery.charge - drainRate)
-    })
-  }
-
-  // Discharge capacitors when powering bulb
-  if (capacitors.length > 0) {
-    capacitors.forEach(capacitor => {
-      const capacitance = capacitor.capacitance || 0.001
-      const dischargeCurrent = current / totalSources
-      const voltageDrop = (dischargeCurrent * deltaTime) / capacitance
-      capacitor.voltage = Math.max(0, capacitor.voltage - voltageDrop)
-    })
-  }
 }
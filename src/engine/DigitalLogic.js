@@ -0,0 +1,148 @@
+/**
+ * DigitalLogic - Logic levels, gates and the analog boundary
+ *
+ * Logic components work on levels instead of voltages:
+ * - HIGH / LOW: a definite 1 or 0
+ * - UNDEFINED: contested, between the thresholds, or not referenced to gnd
+ *
+ * Gates follow three-valued logic, so an UNDEFINED input only spreads
+ * when it could change the answer (LOW AND anything is still LOW).
+ *
+ * Every logic component has a gnd terminal. Gate-to-gate wiring is purely
+ * digital (see DigitalSimulator) and ignores it; where a port meets analog
+ * parts the levels convert at fixed thresholds, measured from gnd:
+ * - Analog → digital: >= LOGIC_HIGH_THRESHOLD is HIGH, <= LOGIC_LOW_THRESHOLD
+ *   is LOW, anything between is UNDEFINED
+ * - Digital → analog: the output drives LOGIC_OUTPUT_VOLTAGE (HIGH) or 0V
+ *   (LOW) behind LOGIC_OUTPUT_RESISTANCE, and lets go when UNDEFINED
+ *
+ * Inputs have a weak pull-down to gnd, so an input wired to nothing (or
+ * through an open switch) reads LOW rather than floating.
+ */
+
+export const HIGH = 'high'
+export const LOW = 'low'
+export const UNDEFINED = 'undefined'
+
+// Analog boundary (volts from the component's gnd terminal)
+export const LOGIC_HIGH_THRESHOLD = 1.6
+export const LOGIC_LOW_THRESHOLD = 0.8
+export const LOGIC_OUTPUT_VOLTAGE = 2.7      // Three potatoes' worth
+export const LOGIC_OUTPUT_RESISTANCE = 50    // Ohms
+export const LOGIC_PULL_DOWN_RESISTANCE = 1e5  // Ohms, input to gnd
+
+// Propagation delays
+export const GATE_DELAY = 0.001              // Seconds
+export const LATCH_DELAY = 0.002             // Seconds
+
+const and = (a, b) => {
+  if (a === LOW || b === LOW) return LOW
+  return a === HIGH && b === HIGH ? HIGH : UNDEFINED
+}
+
+const or = (a, b) => {
+  if (a === HIGH || b === HIGH) return HIGH
+  return a === LOW && b === LOW ? LOW : UNDEFINED
+}
+
+const not = a => {
+  if (a === HIGH) return LOW
+  return a === LOW ? HIGH : UNDEFINED
+}
+
+const xor = (a, b) => {
+  if (a === UNDEFINED || b === UNDEFINED) return UNDEFINED
+  return a === b ? LOW : HIGH
+}
+
+/**
+ * Set/reset latch: set drives q HIGH, reset drives it LOW, neither holds
+ * it, and both at once is forbidden (UNDEFINED)
+ */
+const latch = ([set, reset], held) => {
+  if (set === LOW && reset === LOW) return held
+  if (set === HIGH && reset === LOW) return HIGH
+  if (set === LOW && reset === HIGH) return LOW
+  return UNDEFINED
+}
+
+export const LOGIC_COMPONENTS = {
+  and: { inputs: ['in1', 'in2'], output: 'out', delay: GATE_DELAY, evaluate: ([a, b]) => and(a, b) },
+  or: { inputs: ['in1', 'in2'], output: 'out', delay: GATE_DELAY, evaluate: ([a, b]) => or(a, b) },
+  xor: { inputs: ['in1', 'in2'], output: 'out', delay: GATE_DELAY, evaluate: ([a, b]) => xor(a, b) },
+  not: { inputs: ['in'], output: 'out', delay: GATE_DELAY, evaluate: ([a]) => not(a) },
+  latch: { inputs: ['set', 'reset'], output: 'q', delay: LATCH_DELAY, evaluate: latch }
+}
+
+export const LOGIC_TYPES = Object.keys(LOGIC_COMPONENTS)
+
+/**
+ * Check if a component has logic ports
+ * @param {Object} component - Component
+ * @returns {boolean} True for gates and latches
+ */
+export function isLogicComponent(component) {
+  return LOGIC_TYPES.includes(component.type)
+}
+
+/**
+ * Get a logic component's ports and behaviour
+ * @param {Object} component - Logic component
+ * @returns {Object} { inputs, output, delay, evaluate }
+ */
+export function getLogicDefinition(component) {
+  return LOGIC_COMPONENTS[component.type]
+}
+
+/**
+ * Work out a logic component's output for a set of inputs
+ * @param {Object} component - Logic component
+ * @param {Array<string>} inputs - Input levels, in port order
+ * @param {string} held - Level the output is heading for (what a latch holds)
+ * @returns {string} Output level
+ */
+export function evaluateLogic(component, inputs, held = UNDEFINED) {
+  return getLogicDefinition(component).evaluate(inputs, held)
+}
+
+/**
+ * Convert an analog voltage to a logic level
+ * @param {number} voltage - Volts from the reading component's gnd
+ * @returns {string} HIGH, LOW or UNDEFINED
+ */
+export function voltageToLogic(voltage) {
+  if (voltage >= LOGIC_HIGH_THRESHOLD) return HIGH
+  if (voltage <= LOGIC_LOW_THRESHOLD) return LOW
+  return UNDEFINED
+}
+
+/**
+ * Convert a logic level to the voltage an output drives
+ * @param {string} level - Logic level
+ * @returns {number|null} Volts from gnd, or null when the output lets go
+ */
+export function logicToVoltage(level) {
+  if (level === HIGH) return LOGIC_OUTPUT_VOLTAGE
+  if (level === LOW) return 0
+  return null
+}
+
+/**
+ * Stamp a logic component's analog side into a nodal system
+ * Input pull-downs always; the output only when it reaches analog parts
+ * (component.drivesAnalog, see DigitalSimulator).
+ * @param {NodalSystem} system - System being built
+ * @param {Object} component - Logic component (component.output is its level)
+ * @param {Object} nodes - Component nodes by terminal name
+ * @param {number} internal - Internal node behind the output resistance
+ */
+export function stampLogicComponent(system, component, nodes, internal) {
+  const { inputs } = getLogicDefinition(component)
+  inputs.forEach(port => system.addResistor(nodes[port], nodes.gnd, LOGIC_PULL_DOWN_RESISTANCE))
+
+  const voltage = logicToVoltage(component.output)
+  if (!component.drivesAnalog || voltage === null) return
+
+  system.addVoltageSource(internal, nodes.gnd, voltage)
+  system.addResistor(internal, nodes[getLogicDefinition(component).output], LOGIC_OUTPUT_RESISTANCE)
+}
@@ -0,0 +1,151 @@
+/**
+ * DigitalSimulator - Event-driven simulation of logic components
+ *
+ * Runs alongside the analog solver each step:
+ * 1. prepare() sorts the nets into purely digital nets and boundary nets
+ *    (nets that also reach analog parts), and marks outputs that must be
+ *    stamped into the analog solve (component.drivesAnalog)
+ * 2. The analog solver runs, driving boundary nets from those outputs
+ * 3. step() reads boundary inputs through the voltage thresholds, then
+ *    propagates output changes through the LogicScheduler up to the end
+ *    of the step
+ *
+ * An input's level comes from, in order: the logic outputs on its net (all
+ * agreeing, or UNDEFINED if they fight), the analog voltage on a boundary
+ * net (measured from the reader's gnd - UNDEFINED if gnd is not wired to
+ * the analog side), and otherwise LOW from the input's pull-down.
+ *
+ * Writes component.inputs ({ port: level }) and component.output.
+ */
+
+import { LOW, UNDEFINED, isLogicComponent, getLogicDefinition, evaluateLogic, voltageToLogic } from './DigitalLogic.js'
+import { LogicScheduler } from './LogicScheduler.js'
+
+export class DigitalSimulator {
+  constructor() {
+    this.scheduler = new LogicScheduler()
+    this.components = []
+    this.byId = new Map()
+    this.netInfo = new Map()
+    this.terminals = new Map()
+    this.nodeVoltages = []
+  }
+
+  /**
+   * Clear pending events and time (outputs are reset by the caller)
+   */
+  reset() {
+    this.scheduler.clear()
+  }
+
+  /**
+   * Analyse the nets for this step
+   * @param {Array} components - All circuit components
+   * @param {Object} nets - Result of GraphAnalyzer.buildNets()
+   */
+  prepare(components, nets) {
+    this.components = components.filter(isLogicComponent)
+    this.byId = new Map(this.components.map(c => [c.id, c]))
+    this.terminals = nets.terminals
+    this.netInfo = new Map()
+
+    const info = net => {
+      if (!this.netInfo.has(net)) this.netInfo.set(net, { drivers: [], readers: [], analog: false })
+      return this.netInfo.get(net)
+    }
+
+    components.forEach(comp => {
+      const nodes = nets.terminals.get(comp.id)
+      if (!nodes) return
+
+      if (!isLogicComponent(comp)) {
+        Object.values(nodes).forEach(net => { info(net).analog = true })
+        return
+      }
+
+      const { inputs, output } = getLogicDefinition(comp)
+      info(nodes[output]).drivers.push(comp)
+      inputs.forEach(port => info(nodes[port]).readers.push(comp))
+    })
+
+    this.components.forEach(comp => {
+      const nodes = this.terminals.get(comp.id)
+      comp.drivesAnalog = info(nodes[getLogicDefinition(comp).output]).analog
+    })
+  }
+
+  /**
+   * Advance the logic by one time step
+   * @param {Array<number>} nodeVoltages - Node voltages from the analog solve
+   * @param {number} deltaTime - Time step in seconds
+   */
+  step(nodeVoltages, deltaTime) {
+    this.nodeVoltages = nodeVoltages || []
+    const endTime = this.scheduler.time + deltaTime
+
+    // Inputs changed at the boundary (or by editing) take effect from now
+    this.components.forEach(comp => this.evaluate(comp))
+
+    this.scheduler.runUntil(endTime, event => {
+      const comp = this.byId.get(event.componentId)
+      if (!comp) return
+
+      comp.output = event.level
+      const net = this.terminals.get(comp.id)[getLogicDefinition(comp).output]
+      this.netInfo.get(net).readers.forEach(reader => this.evaluate(reader))
+    })
+
+    this.components.forEach(comp => {
+      const { inputs } = getLogicDefinition(comp)
+      const levels = this.readInputs(comp)
+      comp.inputs = Object.fromEntries(inputs.map((port, i) => [port, levels[i]]))
+      if (comp.output === undefined) comp.output = UNDEFINED
+    })
+  }
+
+  /**
+   * Re-evaluate a component and schedule its output if it is going to change
+   * @param {Object} comp - Logic component
+   */
+  evaluate(comp) {
+    const current = this.scheduler.getScheduledLevel(comp.id) ?? comp.output ?? UNDEFINED
+    const next = evaluateLogic(comp, this.readInputs(comp), current)
+    if (next !== current) {
+      this.scheduler.schedule(getLogicDefinition(comp).delay, comp.id, next)
+    }
+  }
+
+  /**
+   * Read a component's input levels
+   * @param {Object} comp - Logic component
+   * @returns {Array<string>} Levels in port order
+   */
+  readInputs(comp) {
+    const nodes = this.terminals.get(comp.id)
+    return getLogicDefinition(comp).inputs.map(port => this.readNet(nodes[port], nodes.gnd))
+  }
+
+  /**
+   * Get the level on a net as seen by an input
+   * @param {number} net - Net the input is on
+   * @param {number} gnd - Net the reader's gnd terminal is on
+   * @returns {string} Logic level
+   */
+  readNet(net, gnd) {
+    const { drivers, analog } = this.netInfo.get(net)
+
+    if (drivers.length > 0) {
+      const level = drivers[0].output ?? UNDEFINED
+      return drivers.every(d => (d.output ?? UNDEFINED) === level) ? level : UNDEFINED
+    }
+
+    if (analog) {
+      const gndInfo = this.netInfo.get(gnd)
+      return gndInfo && gndInfo.analog
+        ? voltageToLogic(this.nodeVoltages[net] - this.nodeVoltages[gnd])
+        : UNDEFINED
+    }
+
+    return LOW
+  }
+}
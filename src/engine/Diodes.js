@@ -0,0 +1,70 @@
+/**
+ * Diodes - Silicon rectifier diodes
+ *
+ * A diode lets current through from anode to cathode once the forward
+ * voltage (about 0.6V) is overcome, and blocks it the other way - e.g. to
+ * stop a charged capacitor draining back into the battery that charged it.
+ *
+ * Piecewise model, re-evaluated by the solver until it settles:
+ * - 'off': only a very high leakage resistance (blocking)
+ * - 'on': DIODE_FORWARD_VOLTAGE in series with DIODE_ON_RESISTANCE,
+ *   stamped as its Norton equivalent so no extra node is needed
+ *
+ * The solver writes diode.voltage (anode - cathode), diode.current,
+ * diode.conducting and diode.blocking back after each step.
+ */
+
+export const DIODE_FORWARD_VOLTAGE = 0.6    // Volts
+export const DIODE_ON_RESISTANCE = 0.05     // Ohms
+
+// Keeps series diodes splitting the voltage evenly when they are off
+const DIODE_LEAKAGE_RESISTANCE = 1e8
+
+// Reverse voltage below this is solver noise rather than blocking
+const BLOCKING_VOLTAGE = 0.1
+
+/**
+ * Stamp a diode for its current region
+ * @param {NodalSystem} system - System being built
+ * @param {Object} nodes - Diode nodes { anode, cathode }
+ * @param {string} region - 'off' | 'on'
+ */
+export function stampDiode(system, nodes, region) {
+  system.addResistor(nodes.anode, nodes.cathode, DIODE_LEAKAGE_RESISTANCE)
+
+  if (region === 'on') {
+    // I = (V - Vf) / R_on: a conductance plus a current source backing it off by Vf
+    const conductance = 1 / DIODE_ON_RESISTANCE
+    system.addConductance(nodes.anode, nodes.cathode, conductance)
+    system.addCurrentSource(nodes.cathode, nodes.anode, DIODE_FORWARD_VOLTAGE * conductance)
+  }
+}
+
+/**
+ * Decide the diode region for the next iteration
+ * @param {string} region - Region used for the last solve
+ * @param {number} voltage - Anode-to-cathode voltage in the last solve
+ * @returns {string} Next region
+ */
+export function nextDiodeRegion(region, voltage) {
+  if (region === 'off') return voltage > DIODE_FORWARD_VOLTAGE ? 'on' : region
+  // An 'on' diode below its forward voltage would be conducting backwards
+  return voltage < DIODE_FORWARD_VOLTAGE ? 'off' : region
+}
+
+/**
+ * Write the solved operating point onto a diode
+ * @param {Object} diode - Diode component
+ * @param {number} voltage - Anode-to-cathode voltage (negative when reversed)
+ * @param {string} region - Final diode region
+ */
+export function updateDiode(diode, voltage, region) {
+  const conducting = region === 'on'
+
+  diode.voltage = voltage
+  diode.current = conducting
+    ? Math.max(0, (voltage - DIODE_FORWARD_VOLTAGE) / DIODE_ON_RESISTANCE)
+    : 0
+  diode.conducting = conducting
+  diode.blocking = voltage <= -BLOCKING_VOLTAGE
+}
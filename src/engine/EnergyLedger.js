@@ -0,0 +1,106 @@
+/**
+ * EnergyLedger - Where the circuit's energy comes from and where it goes
+ *
+ * After each solve the power in the network is shared out per component
+ * (see NodalSystem.getPowers) and integrated over the step:
+ * - supplied: what batteries and logic outputs put into the circuit
+ * - dissipated: what leaves it - heat in resistors, battery internal
+ *   resistance and capacitor ESR, light from LEDs and bulbs, sound from
+ *   buzzers, and motion from motors
+ * - stored: what capacitors hold in their electric field and inductors in
+ *   their magnetic field (negative while they give it back)
+ *
+ * Energy is conserved, so supplied = dissipated + stored over any run; the
+ * ledger's imbalance is what is left of that after rounding.
+ */
+
+import { isLogicComponent } from './DigitalLogic.js'
+
+// Parts doing the job the circuit is built for - what efficiency counts as useful
+export const OUTPUT_TYPES = ['led', 'lightbulb', 'motor', 'buzzer']
+
+/**
+ * Work out the energy a component handled over one step
+ * @param {Object} component - Component after its update for the step
+ * @param {Object} power - Its entry from NodalSystem.getPowers (watts)
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {Object} { supplied, dissipated, stored } in joules
+ */
+export function getStepEnergy(component, power, deltaTime) {
+  const { absorbed = 0, supplied = 0 } = power || {}
+
+  // A source's voltage source puts energy in, its resistance loses some
+  if (component.type === 'battery' || isLogicComponent(component)) {
+    return { supplied: supplied * deltaTime, dissipated: absorbed * deltaTime, stored: 0 }
+  }
+
+  // Everything else only takes energy (an LED held at its threshold is a
+  // voltage source taking current in)
+  const taken = (absorbed - supplied) * deltaTime
+  const stored = getStoringPower(component) * deltaTime
+  return { supplied: 0, dissipated: taken - stored, stored }
+}
+
+/**
+ * Get the power going into a capacitor's plates or an inductor's field
+ */
+function getStoringPower(component) {
+  if (component.type !== 'capacitor' && component.type !== 'inductor') return 0
+  return (component.voltage || 0) * (component.current || 0)
+}
+
+/**
+ * Running totals of the energy each component has handled
+ */
+export class EnergyLedger {
+  constructor() {
+    this.entries = new Map()
+  }
+
+  /**
+   * Add one step's energy
+   * @param {Map} stepEnergy - Component id → { supplied, dissipated, stored } (joules)
+   * @param {Array} components - Circuit components (for their types)
+   */
+  record(stepEnergy, components) {
+    components.forEach(component => {
+      const energy = stepEnergy.get(component.id)
+      if (!energy) return
+
+      const entry = this.entries.get(component.id) ||
+        { type: component.type, supplied: 0, dissipated: 0, stored: 0 }
+      entry.supplied += energy.supplied
+      entry.dissipated += energy.dissipated
+      entry.stored += energy.stored
+      this.entries.set(component.id, entry)
+    })
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+
+  /**
+   * Get the totals since the ledger was cleared
+   * @returns {Object} { supplied, dissipated, stored, useful, efficiency,
+   *   imbalance, components } - joules; useful is what the OUTPUT_TYPES
+   *   parts dissipated, efficiency is useful / supplied (null before
+   *   anything was supplied), and components maps each id to its
+   *   { type, supplied, dissipated, stored }
+   */
+  getTotals() {
+    const totals = { supplied: 0, dissipated: 0, stored: 0, useful: 0, components: {} }
+
+    this.entries.forEach((entry, id) => {
+      totals.supplied += entry.supplied
+      totals.dissipated += entry.dissipated
+      totals.stored += entry.stored
+      if (OUTPUT_TYPES.includes(entry.type)) totals.useful += entry.dissipated
+      totals.components[id] = { ...entry }
+    })
+
+    totals.efficiency = totals.supplied > 0 ? totals.useful / totals.supplied : null
+    totals.imbalance = totals.supplied - totals.dissipated - totals.stored
+    return totals
+  }
+}
@@ -5,6 +5,19 @@
  * analyzing circuit topology, and path finding in the component graph.
  */
 
+import { getTerminals, getTerminalPairs, getWireComponentIds, migrateWires } from './Terminals.js'
+import { LOGIC_TYPES } from './DigitalLogic.js'
+
+// Components that consume energy and should only run in a closed loop
+export const LOAD_TYPES = ['led', 'lightbulb', 'motor', 'buzzer']
+
+// Components that can push current around a loop (logic outputs drive
+// analog parts from their gnd terminal)
+export const SOURCE_TYPES = ['battery', 'capacitor', ...LOGIC_TYPES]
+
+// Upper bound on loops reported per load (keeps dense meshes cheap)
+const MAX_LOOPS_PER_LOAD = 32
+
 export class GraphAnalyzer {
   constructor(components, wires) {
     this.components = components
@@ -17,23 +30,172 @@ export class GraphAnalyzer {
   getConnectedComponentIds(compId) {
     const connected = []
     for (const wire of this.wires) {
-      if (wire.from === compId) {
-        connected.push(wire.to)
-      } else if (wire.to === compId) {
-        connected.push(wire.from)
+      const [from, to] = getWireComponentIds(wire)
+      if (from === compId) {
+        connected.push(to)
+      } else if (to === compId) {
+        connected.push(from)
       }
     }
     return connected
   }
 
+  /**
+   * Build electrical nets (nodes) from terminal wires for nodal analysis
+   *
+   * Each terminal starts on a net of its own and every wire merges the nets
+   * of its two terminals, so a terminal without a wire is left open. Old
+   * centre-to-centre wires are migrated first (see Terminals.migrateWires).
+   * Node 0 is a reference node that no terminal is on; the solver gives
+   * each separate group of nets its own reference.
+   *
+   * Returns { nodeCount, terminals } where terminals maps component id to
+   * { [terminalName]: node number }.
+   */
+  buildNets() {
+    const parent = new Map()
+    const find = key => {
+      if (!parent.has(key)) parent.set(key, key)
+      let root = key
+      while (parent.get(root) !== root) root = parent.get(root)
+      parent.set(key, root)
+      return root
+    }
+    const union = (a, b) => {
+      const ra = find(a)
+      const rb = find(b)
+      if (ra !== rb) parent.set(rb, ra)
+    }
+
+    const ids = new Set(this.components.map(c => c.id))
+    for (const wire of migrateWires(this.components, this.wires)) {
+      const { from, to } = wire
+      if (!ids.has(from.componentId) || !ids.has(to.componentId)) continue
+      union(`${from.componentId}:${from.terminal}`, `${to.componentId}:${to.terminal}`)
+    }
+
+    // Number the nets after the reference node
+    const nodeOf = new Map()
+    const node = key => {
+      const root = find(key)
+      if (!nodeOf.has(root)) nodeOf.set(root, nodeOf.size + 1)
+      return nodeOf.get(root)
+    }
+
+    const terminals = new Map()
+    this.components.forEach(comp => {
+      const nodes = {}
+      getTerminals(comp).forEach(terminal => {
+        nodes[terminal] = node(`${comp.id}:${terminal}`)
+      })
+      terminals.set(comp.id, nodes)
+    })
+
+    return { nodeCount: nodeOf.size + 1, terminals }
+  }
+
+  /**
+   * Find the closed loops a load belongs to
+   *
+   * A loop leaves the load through its last terminal and returns to its
+   * first terminal through other components, visiting each net once, and
+   * must pass through at least one source. A load that is only connected
+   * by one side (or whose loop contains no source) has no loops.
+   *
+   * Returns an array of loops; each loop is an array of component ids in
+   * order around the loop, starting with the load.
+   */
+  findLoops(load) {
+    return this.findLoopsInNets(load, this.buildNets())
+  }
+
+  /**
+   * Find the closed loops of every load in the circuit
+   * Returns Map of load id → loops (see findLoops)
+   */
+  findLoadLoops() {
+    const nets = this.buildNets()
+    const loops = new Map()
+    this.components
+      .filter(c => LOAD_TYPES.includes(c.type))
+      .forEach(load => loops.set(load.id, this.findLoopsInNets(load, nets)))
+    return loops
+  }
+
+  /**
+   * Find loads that are not part of any closed loop with a source
+   * Returns array of load components
+   */
+  findOpenLoads() {
+    const loops = this.findLoadLoops()
+    return this.components.filter(c => loops.has(c.id) && loops.get(c.id).length === 0)
+  }
+
+  /**
+   * Depth-first search for loops through a load over prebuilt nets
+   * Every other component joins the nets of each pair of its terminals
+   * that current can pass between (see Terminals.getTerminalPairs).
+   */
+  findLoopsInNets(load, nets) {
+    const loadNodes = nets.terminals.get(load.id)
+    if (!loadNodes) return []
+
+    const loadTerminals = getTerminals(load)
+    const start = loadNodes[loadTerminals[loadTerminals.length - 1]]
+    const end = loadNodes[loadTerminals[0]]
+
+    // Adjacency: net → [{ component, net }]
+    const adjacency = new Map()
+    const link = (a, b, component) => {
+      if (!adjacency.has(a)) adjacency.set(a, [])
+      adjacency.get(a).push({ component, net: b })
+    }
+    this.components.forEach(comp => {
+      if (comp.id === load.id) return
+      const nodes = nets.terminals.get(comp.id)
+      if (!nodes) return
+      getTerminalPairs(comp).forEach(([a, b]) => {
+        if (nodes[a] === nodes[b]) return
+        link(nodes[a], nodes[b], comp)
+        link(nodes[b], nodes[a], comp)
+      })
+    })
+
+    const loops = []
+    const visitedNets = new Set([start])
+    const path = []
+
+    const visit = net => {
+      if (loops.length >= MAX_LOOPS_PER_LOAD) return
+      if (net === end) {
+        if (path.some(c => SOURCE_TYPES.includes(c.type))) {
+          loops.push([load.id, ...path.map(c => c.id)])
+        }
+        return
+      }
+      for (const edge of adjacency.get(net) || []) {
+        if (visitedNets.has(edge.net) || path.includes(edge.component)) continue
+        visitedNets.add(edge.net)
+        path.push(edge.component)
+        visit(edge.net)
+        path.pop()
+        visitedNets.delete(edge.net)
+      }
+    }
+
+    if (start !== end) visit(start)
+    return loops
+  }
+
   /**
    * Check if two components are directly connected via a wire
    */
   isConnected(comp1, comp2) {
     for (const wire of this.wires) {
+      const [from, to] = getWireComponentIds(wire)
       if (
-        (wire.from === comp1.id && wire.to === comp2.id) ||
-        (wire.from === comp2.id && wire.to === comp1.id)
+        (from === comp1.id && to === comp2.id) ||
+        (from === comp2.id && to === comp1.id)
       ) {
         return true
       }
@@ -162,9 +324,10 @@ export class GraphAnalyzer {
     // Check if there's a direct wire from battery to LED
     // In parallel circuits, battery connects to both cap and LED directly
     // In series circuits, battery only connects to one component (the first in chain)
-    const hasDirectWireToLED = this.wires.some(wire =>
-      (wire.from === battery.id && wire.to === led.id)
-    )
+    const hasDirectWireToLED = this.wires.some(wire => {
+      const [from, to] = getWireComponentIds(wire)
+      return from === battery.id && to === led.id
+    })
 
     if (hasDirectWireToLED) {
       // Direct wire from battery to LED means parallel topology
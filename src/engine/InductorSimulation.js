@@ -0,0 +1,77 @@
+/**
+ * InductorSimulation - Wire coils storing energy in their magnetic field
+ *
+ * An inductor resists changes in the current through it (V = L dI/dt),
+ * the mirror image of a capacitor resisting changes in its voltage. Its
+ * state is the current it carries (inductor.current, a → b), which carries
+ * on from step to step.
+ *
+ * stampInductor/updateInductor step it in the nodal solver (CircuitSolver)
+ * with the same backward-Euler companion model as stampCapacitor, so an
+ * inductor and a capacitor wired together swap energy back and forth and
+ * ring at f = 1/(2π√LC) (see getResonantFrequency).
+ */
+
+// Resistance of the copper winding
+export const INDUCTOR_RESISTANCE = 1  // Ohms
+// Losses across the coil give its current somewhere to go when the circuit
+// is broken, instead of an unbounded spark
+export const COIL_LEAKAGE_RESISTANCE = 10000  // 10kΩ
+const DEFAULT_INDUCTANCE = 1.0  // 1H
+
+/**
+ * Stamp an inductor into a nodal system (backward-Euler companion model)
+ *
+ * a ──winding── internal ──┬── dt/L ──┬── b
+ *                          └─ I=I0 ───┘
+ * (the leakage resistance runs straight across from a to b)
+ *
+ * @param {NodalSystem} system - System being built
+ * @param {Object} inductor - Inductor component
+ * @param {Object} nodes - Inductor nodes { a, b }
+ * @param {number} internal - Internal node between winding and field
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function stampInductor(system, inductor, nodes, internal, deltaTime) {
+  const inductance = inductor.inductance || DEFAULT_INDUCTANCE
+  const conductance = Math.max(deltaTime, 1e-6) / inductance
+
+  system.addResistor(nodes.a, internal, INDUCTOR_RESISTANCE)
+  system.addConductance(internal, nodes.b, conductance)
+  system.addResistor(nodes.a, nodes.b, COIL_LEAKAGE_RESISTANCE)
+  // The field keeps the last step's current flowing from a to b
+  system.addCurrentSource(internal, nodes.b, inductor.current || 0)
+}
+
+/**
+ * Update an inductor from the solved voltage across its field
+ * @param {Object} inductor - Inductor component
+ * @param {number} voltage - Solved voltage across the field (winding excluded)
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function updateInductor(inductor, voltage, deltaTime) {
+  const inductance = inductor.inductance || DEFAULT_INDUCTANCE
+
+  inductor.voltage = voltage
+  inductor.current = (inductor.current || 0) + voltage * Math.max(deltaTime, 1e-6) / inductance
+}
+
+/**
+ * Get the energy stored in an inductor's field
+ * @param {Object} inductor - Inductor component
+ * @returns {number} Joules (½LI²)
+ */
+export function getInductorEnergy(inductor) {
+  const current = inductor.current || 0
+  return 0.5 * (inductor.inductance || DEFAULT_INDUCTANCE) * current * current
+}
+
+/**
+ * Get the frequency an inductor and capacitor ring at together
+ * @param {number} inductance - Henries
+ * @param {number} capacitance - Farads
+ * @returns {number} Hertz (1/(2π√LC))
+ */
+export function getResonantFrequency(inductance, capacitance) {
+  return 1 / (2 * Math.PI * Math.sqrt(inductance * capacitance))
+}
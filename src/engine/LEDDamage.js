@@ -0,0 +1,44 @@
+/**
+ * LEDDamage - Over-current damage and burnout of LEDs
+ *
+ * An LED gives its full brightness at MAX_LED_CURRENT (see CircuitSolver)
+ * and will take up to twice that - its rated maximum - without harm.
+ * Pushing it harder doesn't make it any brighter, it cooks the junction:
+ * every moment the circuit drives more than LED_RATED_CURRENT through it
+ * adds damage in proportion to how far over it is,
+ *
+ *   damage += (drive / LED_RATED_CURRENT - 1) * dt / LED_BURNOUT_TIME
+ *
+ * so twice the rating burns an LED out in LED_BURNOUT_TIME, and a resistor
+ * keeping it within the rating keeps it safe forever.
+ *
+ * Once led.damage reaches 1 the LED is burnt out for good (led.burntOut):
+ * the solver treats it as an open circuit and it draws charred. Only
+ * resetCircuit can bring it back, and only when the challenge allows it.
+ */
+
+export const LED_RATED_CURRENT = 0.040  // 40mA absolute maximum
+export const LED_BURNOUT_TIME = 1.0     // Seconds at twice the rating
+
+/**
+ * Add over-current damage to an LED, burning it out at full damage
+ * @param {Object} led - LED component
+ * @param {number} driveCurrent - Current the circuit pushes through it (amps)
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function updateLEDDamage(led, driveCurrent, deltaTime) {
+  const overdrive = driveCurrent / LED_RATED_CURRENT - 1
+  if (overdrive <= 0 || led.burntOut) return
+
+  led.damage = Math.min(1, (led.damage || 0) + overdrive * deltaTime / LED_BURNOUT_TIME)
+  if (led.damage >= 1) led.burntOut = true
+}
+
+/**
+ * Check whether an LED has burnt out
+ * @param {Object} led - LED component
+ * @returns {boolean} True once the LED has failed open
+ */
+export function isBurntOut(led) {
+  return led.burntOut === true
+}
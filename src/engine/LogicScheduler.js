@@ -0,0 +1,81 @@
+/**
+ * LogicScheduler - Event queue for the digital logic layer
+ *
+ * Logic outputs do not change the instant their inputs do: each change is
+ * scheduled as an event after the component's propagation delay, and
+ * events are applied strictly in time order (ties in the order they were
+ * scheduled). Only changes are scheduled, so a circuit that has settled
+ * costs nothing to run.
+ */
+
+// Guards against a runaway oscillation in one run
+const MAX_EVENTS_PER_RUN = 10000
+
+export class LogicScheduler {
+  constructor() {
+    this.clear()
+  }
+
+  /**
+   * Drop all pending events and go back to time 0
+   */
+  clear() {
+    this.time = 0
+    this.queue = []
+    this.sequence = 0
+    this.scheduled = new Map()
+  }
+
+  /**
+   * Schedule an output change after a delay from the current time
+   * @param {number} delay - Seconds from now
+   * @param {*} componentId - Component whose output changes
+   * @param {string} level - New output level
+   */
+  schedule(delay, componentId, level) {
+    const event = { time: this.time + delay, sequence: this.sequence++, componentId, level }
+
+    // Keep the queue sorted by time, then by scheduling order
+    let index = this.queue.length
+    while (index > 0 && this.queue[index - 1].time > event.time) index--
+    this.queue.splice(index, 0, event)
+
+    this.scheduled.set(componentId, level)
+  }
+
+  /**
+   * Get the level a component's output was last scheduled to take
+   * @param {*} componentId - Component id
+   * @returns {string|undefined} Level, or undefined if never scheduled
+   */
+  getScheduledLevel(componentId) {
+    return this.scheduled.get(componentId)
+  }
+
+  /**
+   * Check if any events are waiting
+   * @returns {boolean} True if the queue is not empty
+   */
+  hasPendingEvents() {
+    return this.queue.length > 0
+  }
+
+  /**
+   * Apply every event up to a time, in order
+   * Handlers may schedule further events; those due before endTime run too.
+   * @param {number} endTime - Time to run to (seconds)
+   * @param {Function} onEvent - Called with each event { time, componentId, level }
+   * @returns {number} Number of events applied
+   */
+  runUntil(endTime, onEvent) {
+    let count = 0
+    while (this.queue.length > 0 && this.queue[0].time <= endTime && count < MAX_EVENTS_PER_RUN) {
+      const event = this.queue.shift()
+      this.time = event.time
+      onEvent(event)
+      count++
+    }
+    this.time = endTime
+    return count
+  }
+}
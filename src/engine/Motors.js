@@ -0,0 +1,177 @@
+/**
+ * Motors - Small brushed DC motors
+ *
+ * Electrically a motor is its winding resistance in series with the
+ * back-EMF its spinning rotor generates (MOTOR_CONSTANT × speed), so the
+ * faster it turns the less current it draws. Mechanically the current
+ * drives the rotor with torque MOTOR_CONSTANT × current against its
+ * inertia, friction and whatever mechanical load (motor.load, N·m) it has
+ * to turn. With no load it speeds up until the back-EMF nearly matches the
+ * voltage; a heavier load settles it at a slower speed and a higher current.
+ *
+ * Each step is integrated implicitly: the back-EMF is taken at the speed
+ * the rotor reaches by the end of the step, which makes the motor a
+ * resistance (winding plus MOTOR_CONSTANT² dt / inertia) behind a fixed
+ * EMF, stamped as its Norton equivalent. Regions, re-evaluated by the
+ * solver until they settle:
+ * - 'stalled': rotor held by friction, just the winding resistance
+ * - 'forward' / 'reverse': turning a → b current's way or the other
+ *
+ * State kept on the component:
+ * - speed: rad/s (negative in reverse), rpm: revolutions per minute
+ * - angle: rotor position in radians, for animation
+ * - voltage / current / backEmf: solved electrical operating point
+ */
+
+export const MOTOR_RESISTANCE = 10        // Ohms of winding
+export const MOTOR_CONSTANT = 0.01        // V per rad/s (and N·m per A)
+export const MOTOR_INERTIA = 1e-5         // kg·m² of rotor
+export const MOTOR_FRICTION = 0.0002      // N·m of brush friction (20mA to start)
+export const MOTOR_DAMPING = 1e-6         // N·m per rad/s of air drag
+
+const RPM_PER_RAD_PER_SECOND = 60 / (2 * Math.PI)
+
+/**
+ * Get the torque holding a motor back, whichever way it turns
+ * @param {Object} motor - Motor component
+ * @returns {number} N·m (friction plus mechanical load)
+ */
+function getResistingTorque(motor) {
+  return MOTOR_FRICTION + Math.max(0, motor.load || 0)
+}
+
+/**
+ * Get the region a motor starts a step in
+ * @param {Object} motor - Motor component (motor.speed from the last step)
+ * @returns {string} 'stalled' | 'forward' | 'reverse'
+ */
+export function getMotorRegion(motor) {
+  const speed = motor.speed || 0
+  if (speed > 0) return 'forward'
+  if (speed < 0) return 'reverse'
+  return 'stalled'
+}
+
+/**
+ * Get a motor's Thevenin equivalent for a step
+ * V(a) - V(b) = emf + resistance × current
+ * @param {Object} motor - Motor component (motor.speed at the start of the step)
+ * @param {string} region - 'stalled' | 'forward' | 'reverse'
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {Object} { resistance, emf }
+ */
+function getMotorModel(motor, region, deltaTime) {
+  if (region === 'stalled') return { resistance: MOTOR_RESISTANCE, emf: 0 }
+
+  const direction = region === 'forward' ? 1 : -1
+  const keep = 1 / (1 + deltaTime * MOTOR_DAMPING / MOTOR_INERTIA)  // Speed left after drag
+  const coast = (motor.speed || 0) - direction * deltaTime * getResistingTorque(motor) / MOTOR_INERTIA
+
+  return {
+    resistance: MOTOR_RESISTANCE + MOTOR_CONSTANT * MOTOR_CONSTANT * deltaTime * keep / MOTOR_INERTIA,
+    emf: MOTOR_CONSTANT * keep * coast
+  }
+}
+
+/**
+ * Stamp a motor for its current region
+ * @param {NodalSystem} system - System being built
+ * @param {Object} motor - Motor component
+ * @param {Object} nodes - Motor nodes { a, b }
+ * @param {string} region - 'stalled' | 'forward' | 'reverse'
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function stampMotor(system, motor, nodes, region, deltaTime) {
+  const { resistance, emf } = getMotorModel(motor, region, deltaTime)
+  // I = (V - emf) / R: a conductance plus a current source backing it off by the emf
+  const conductance = 1 / resistance
+  system.addConductance(nodes.a, nodes.b, conductance)
+  system.addCurrentSource(nodes.b, nodes.a, emf * conductance)
+}
+
+/**
+ * Get the current through a motor (a → b) from the voltage across it
+ * @param {Object} motor - Motor component
+ * @param {number} voltage - V(a) - V(b)
+ * @param {string} region - Region it was solved in
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {number} Amps
+ */
+export function getMotorCurrent(motor, voltage, region, deltaTime) {
+  const { resistance, emf } = getMotorModel(motor, region, deltaTime)
+  return (voltage - emf) / resistance
+}
+
+/**
+ * Work out a motor's speed at the end of a step
+ * @param {Object} motor - Motor component (motor.speed at the start of the step)
+ * @param {number} current - Current through it (a → b)
+ * @param {string} region - Region it was solved in
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {number} rad/s
+ */
+function getNextSpeed(motor, current, region, deltaTime) {
+  if (region === 'stalled') return 0
+  const direction = region === 'forward' ? 1 : -1
+  const keep = 1 / (1 + deltaTime * MOTOR_DAMPING / MOTOR_INERTIA)
+  const torque = MOTOR_CONSTANT * current - direction * getResistingTorque(motor)
+  return keep * ((motor.speed || 0) + deltaTime * torque / MOTOR_INERTIA)
+}
+
+/**
+ * Decide the motor region for the next iteration
+ * A held rotor breaks free once its torque beats friction and load; a
+ * turning one stalls when they would stop it within the step.
+ * @param {Object} motor - Motor component
+ * @param {string} region - Region used for the last solve
+ * @param {number} voltage - V(a) - V(b) in the last solve
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {string} Next region
+ */
+export function nextMotorRegion(motor, region, voltage, deltaTime) {
+  const current = getMotorCurrent(motor, voltage, region, deltaTime)
+
+  if (region === 'stalled') {
+    if (MOTOR_CONSTANT * Math.abs(current) <= getResistingTorque(motor)) return region
+    return current > 0 ? 'forward' : 'reverse'
+  }
+
+  const direction = region === 'forward' ? 1 : -1
+  return direction * getNextSpeed(motor, current, region, deltaTime) < 0 ? 'stalled' : region
+}
+
+/**
+ * Write the solved operating point onto a motor and turn its rotor
+ * @param {Object} motor - Motor component
+ * @param {number} voltage - V(a) - V(b)
+ * @param {string} region - Final motor region
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function updateMotor(motor, voltage, region, deltaTime) {
+  const current = getMotorCurrent(motor, voltage, region, deltaTime)
+  // Friction stops a rotor, it never turns it back
+  const direction = region === 'reverse' ? -1 : 1
+  const speed = direction * Math.max(0, direction * getNextSpeed(motor, current, region, deltaTime))
+
+  motor.voltage = voltage
+  motor.current = current
+  motor.speed = speed
+  motor.rpm = speed * RPM_PER_RAD_PER_SECOND
+  motor.backEmf = MOTOR_CONSTANT * speed
+  motor.angle = ((motor.angle || 0) + speed * deltaTime) % (2 * Math.PI)
+}
+
+/**
+ * Get the speed a motor settles at on a steady voltage
+ * @param {number} voltage - Volts across the motor
+ * @param {number} load - Mechanical load in N·m (default none)
+ * @returns {number} RPM (0 when it cannot overcome friction and load)
+ */
+export function getSteadyRPM(voltage, load = 0) {
+  const torque = MOTOR_FRICTION + load
+  const drive = Math.abs(voltage) - MOTOR_RESISTANCE * torque / MOTOR_CONSTANT
+  if (drive <= 0) return 0
+  // V = R·I + k·ω with k·I = torque + b·ω
+  const speed = drive / (MOTOR_CONSTANT + MOTOR_RESISTANCE * MOTOR_DAMPING / MOTOR_CONSTANT)
+  return speed * RPM_PER_RAD_PER_SECOND
+}
@@ -0,0 +1,225 @@
+/**
+ * Multimeter - Voltage, current and resistance readings on the circuit
+ *
+ * Three functions, set on the meter's dial:
+ * - V: the potential difference between two points (red lead minus black
+ *   lead), from the node voltages of the last simulation step
+ * - A: the current through a part or a wire, from the last step
+ * - Ω: the resistance between two points with the circuit unpowered, so
+ *   only while the simulation is stopped. Like a real ohmmeter it pushes a
+ *   small test current through the passive parts: resistors, pots, bulb
+ *   filaments (cold), coils, windings and closed contacts. Cells,
+ *   capacitors, LEDs, diodes and logic chips don't pass it
+ *
+ * A wire has no resistance of its own, so the solver never works out its
+ * current. It is read from the part at whichever end the wire is the only
+ * connection; with other wires joined at both ends the current could
+ * split any way between them, and the meter says so.
+ */
+
+import { GraphAnalyzer } from './GraphAnalyzer.js'
+import { NodalSystem } from './NodalAnalysis.js'
+import { DEFAULT_BULB_RESISTANCE } from './CircuitSolver.js'
+import { getComponentReading } from './Probes.js'
+import { isLegacyWire, isSameTerminal } from './Terminals.js'
+import { stampPotentiometer } from './Potentiometers.js'
+import { isSwitch, stampSwitch } from './Switches.js'
+import { stampRelay, getRelayContact } from './Relays.js'
+import { stampBuzzer } from './Buzzers.js'
+import { MOTOR_RESISTANCE } from './Motors.js'
+import { INDUCTOR_RESISTANCE } from './InductorSimulation.js'
+import { getFilamentResistance, AMBIENT_TEMPERATURE } from './Thermal.js'
+
+export const METER_MODES = ['V', 'A', 'Ω']
+export const OVER_LIMIT = 'OL'  // What the display shows for an open circuit
+
+const TEST_CURRENT = 0.001  // Amps the ohmmeter pushes through
+
+/**
+ * Get the current flowing through one terminal of a part
+ * @param {Object} component - Component (after a simulation step)
+ * @param {string} terminal - Terminal name
+ * @returns {number|null} Amps (magnitude), or null if the part has no reading
+ */
+export function getTerminalCurrent(component, terminal) {
+  if (component.type === 'potentiometer') {
+    const currents = { a: component.currentA, wiper: component.wiperCurrent, b: component.currentB }
+    return Math.abs(currents[terminal] || 0)
+  }
+
+  if (component.type === 'relay') {
+    if (terminal === 'coil1' || terminal === 'coil2') return Math.abs(component.coilCurrent || 0)
+    // Only com and the contact it rests on carry the switched current
+    const carrying = terminal === 'com' || terminal === getRelayContact(component)
+    return carrying ? Math.abs(component.current || 0) : 0
+  }
+
+  const { current } = getComponentReading(component)
+  return current === null ? null : Math.abs(current)
+}
+
+/**
+ * Measure the voltage between two points
+ * @param {CircuitSimulator} simulator - Simulator after a step
+ * @param {Object} red - { componentId, terminal } of the red lead
+ * @param {Object} black - { componentId, terminal } of the black lead
+ * @returns {number|null} V(red) - V(black), or null before a step
+ */
+export function measureVoltage(simulator, red, black) {
+  const high = simulator.getNetVoltage(red.componentId, red.terminal)
+  const low = simulator.getNetVoltage(black.componentId, black.terminal)
+  return high === null || low === null ? null : high - low
+}
+
+/**
+ * Measure the current through a part or a wire
+ * @param {Array} components - Components (after a simulation step)
+ * @param {Array} wires - Wires
+ * @param {Object} target - { componentId } or { wireId }
+ * @returns {number|null} Amps, or null when it can't be told (see top)
+ */
+export function measureCurrent(components, wires, target) {
+  if (target.componentId !== undefined) {
+    const component = components.find(c => c.id === target.componentId)
+    const current = component ? getComponentReading(component).current : null
+    return current === null ? null : Math.abs(current)
+  }
+
+  const wire = wires.find(w => w.id === target.wireId)
+  if (!wire || isLegacyWire(wire)) return null
+
+  // Read it from the part at an end where nothing else is wired
+  for (const end of [wire.from, wire.to]) {
+    const alone = wires.filter(w => !isLegacyWire(w) && (isSameTerminal(w.from, end) || isSameTerminal(w.to, end))).length === 1
+    const component = components.find(c => c.id === end.componentId)
+    if (alone && component) return getTerminalCurrent(component, end.terminal)
+  }
+  return null
+}
+
+/**
+ * Measure the resistance between two points of the unpowered circuit
+ * @param {Array} components - Components
+ * @param {Array} wires - Wires
+ * @param {Object} red - { componentId, terminal } of the red lead
+ * @param {Object} black - { componentId, terminal } of the black lead
+ * @returns {number} Ohms, Infinity when nothing conducts between them
+ */
+export function measureResistance(components, wires, red, black) {
+  const { nodeCount, terminals } = new GraphAnalyzer(components, wires).buildNets()
+  const from = terminals.get(red.componentId)?.[red.terminal]
+  const to = terminals.get(black.componentId)?.[black.terminal]
+  if (from === undefined || to === undefined) return Infinity
+  if (from === to) return 0
+
+  const system = new NodalSystem(nodeCount)
+  components.forEach(comp => stampPassive(system, comp, terminals.get(comp.id)))
+  if (!isConnected(system, from, to)) return Infinity
+
+  // Push the test current in at the red lead and out at the black
+  system.addCurrentSource(to, from, TEST_CURRENT)
+  const { nodeVoltages } = system.solve()
+  return (nodeVoltages[from] - nodeVoltages[to]) / TEST_CURRENT
+}
+
+/**
+ * Take a reading for the meter's current setup
+ * @param {Object} meter - { mode, points: [red, black], target }
+ * @param {Object} circuit - { simulator, components, wires, isRunning }
+ * @returns {Object} { value, unit } once there is a reading, otherwise
+ *   { message } saying what is still needed
+ */
+export function readMultimeter(meter, { simulator, components, wires, isRunning }) {
+  if (meter.mode === 'A') {
+    if (!meter.target) return { message: 'Click a part or a wire' }
+    if (!isRunning) return { message: 'Start the simulation to measure current' }
+    const value = measureCurrent(components, wires, meter.target)
+    if (value === null) return { message: 'Current splits at both ends - measure a part instead' }
+    return { value, unit: 'A' }
+  }
+
+  if (meter.points.length < 2) {
+    return { message: meter.points.length === 0 ? 'Click a terminal for the red lead' : 'Click a terminal for the black lead' }
+  }
+  const [red, black] = meter.points
+
+  if (meter.mode === 'Ω') {
+    if (isRunning) return { message: 'Stop the simulation to measure resistance' }
+    return { value: measureResistance(components, wires, red, black), unit: 'Ω' }
+  }
+
+  if (!isRunning) return { message: 'Start the simulation to measure voltage' }
+  const value = measureVoltage(simulator, red, black)
+  return value === null ? { message: 'Waiting for the simulation' } : { value, unit: 'V' }
+}
+
+/**
+ * Format a reading for the meter's display: 1.23 V, 15.2 mA, 2.2 kΩ, OL
+ * @param {number} value - Reading
+ * @param {string} unit - 'V', 'A' or 'Ω'
+ * @returns {string} Display text
+ */
+export function formatReading(value, unit) {
+  if (!Number.isFinite(value)) return OVER_LIMIT
+
+  const size = Math.abs(value)
+  let scaled = value
+  let prefix = ''
+  if (size >= 1e6) {
+    scaled = value / 1e6
+    prefix = 'M'
+  } else if (size >= 1e3) {
+    scaled = value / 1e3
+    prefix = 'k'
+  } else if (size > 0 && size < 1) {
+    scaled = value * 1e3
+    prefix = 'm'
+  }
+  return `${Number(scaled.toPrecision(3))} ${prefix}${unit}`
+}
+
+/**
+ * Stamp the resistance a part shows an ohmmeter (nothing for parts that
+ * don't pass a test current)
+ */
+function stampPassive(system, comp, nodes) {
+  if (!nodes) return
+
+  if (comp.type === 'resistor') {
+    system.addResistor(nodes.a, nodes.b, comp.resistance)
+  } else if (comp.type === 'potentiometer') {
+    stampPotentiometer(system, comp, nodes)
+  } else if (comp.type === 'lightbulb') {
+    const rated = comp.resistance || DEFAULT_BULB_RESISTANCE
+    system.addResistor(nodes.a, nodes.b, getFilamentResistance(rated, comp.temperature ?? AMBIENT_TEMPERATURE))
+  } else if (comp.type === 'inductor') {
+    system.addResistor(nodes.a, nodes.b, INDUCTOR_RESISTANCE)
+  } else if (comp.type === 'motor') {
+    system.addResistor(nodes.a, nodes.b, MOTOR_RESISTANCE)
+  } else if (comp.type === 'buzzer') {
+    stampBuzzer(system, nodes)
+  } else if (comp.type === 'relay') {
+    stampRelay(system, comp, nodes)
+  } else if (isSwitch(comp)) {
+    stampSwitch(system, comp, nodes)
+  }
+}
+
+/**
+ * Check whether the stamped resistances join two nodes
+ */
+function isConnected(system, from, to) {
+  const reached = new Set([from])
+  const queue = [from]
+  while (queue.length > 0) {
+    const node = queue.shift()
+    system.conductances.forEach(({ a, b }) => {
+      const next = a === node ? b : b === node ? a : null
+      if (next !== null && !reached.has(next)) {
+        reached.add(next)
+        queue.push(next)
+      }
+    })
+  }
+  return reached.has(to)
+}
@@ -0,0 +1,269 @@
+/**
+ * NodalAnalysis - Modified nodal analysis (MNA) core
+ *
+ * Builds the conductance matrix for a network of nodes and solves it
+ * for node voltages and voltage-source branch currents.
+ *
+ * Node 0 is always ground (0V) and is not part of the unknowns.
+ * Unknown vector layout: [V(1) .. V(n-1), I(source 0) .. I(source m-1)]
+ *
+ * Every stamp remembers the owner set when it was added (see setOwner),
+ * so the solved power can be shared out per component (see getPowers).
+ */
+
+export class NodalSystem {
+  /**
+   * @param {number} nodeCount - Number of nodes including ground (node 0)
+   */
+  constructor(nodeCount) {
+    this.nodeCount = nodeCount
+    this.conductances = []
+    this.currentSources = []
+    this.voltageSources = []
+    this.owner = null
+  }
+
+  /**
+   * Set who the stamps added from now on belong to
+   * @param {*} owner - Usually the id of the component being stamped
+   */
+  setOwner(owner) {
+    this.owner = owner
+  }
+
+  /**
+   * Stamp a conductance between two nodes
+   * @param {number} a - First node
+   * @param {number} b - Second node
+   * @param {number} conductance - Conductance in siemens (1/Ω)
+   */
+  addConductance(a, b, conductance) {
+    if (a === b || !(conductance > 0)) return
+    this.conductances.push({ a, b, conductance, owner: this.owner })
+  }
+
+  /**
+   * Stamp a resistor between two nodes
+   * @param {number} a - First node
+   * @param {number} b - Second node
+   * @param {number} resistance - Resistance in ohms
+   */
+  addResistor(a, b, resistance) {
+    this.addConductance(a, b, 1 / Math.max(resistance, 1e-9))
+  }
+
+  /**
+   * Stamp an ideal current source pushing current from node `from` to node `to`
+   * through the source (i.e. it leaves `from` and enters `to`)
+   * @param {number} from - Node the current is drawn from
+   * @param {number} to - Node the current is delivered to
+   * @param {number} current - Current in amperes
+   */
+  addCurrentSource(from, to, current) {
+    if (from === to || current === 0) return
+    this.currentSources.push({ from, to, current, owner: this.owner })
+  }
+
+  /**
+   * Stamp an ideal voltage source: V(pos) - V(neg) = voltage
+   * @param {number} pos - Positive node
+   * @param {number} neg - Negative node
+   * @param {number} voltage - Source voltage
+   * @returns {number} Source index (use with solution.sourceCurrents)
+   */
+  addVoltageSource(pos, neg, voltage) {
+    this.voltageSources.push({ pos, neg, voltage, owner: this.owner })
+    return this.voltageSources.length - 1
+  }
+
+  /**
+   * Solve the network
+   * @returns {Object} { nodeVoltages: Array, sourceCurrents: Array }
+   *   sourceCurrents[k] is the current flowing out of the positive
+   *   terminal of voltage source k into the external circuit
+   */
+  solve() {
+    const n = this.nodeCount - 1
+    const m = this.voltageSources.length
+    const size = n + m
+    const matrix = Array.from({ length: size }, () => new Array(size).fill(0))
+    const rhs = new Array(size).fill(0)
+
+    // Unknown index for a node, -1 for ground
+    const index = node => node - 1
+
+    // Tie each isolated group of nodes (e.g. a disconnected resistor) to
+    // ground through a single conductance. With no other path to ground no current flows through
+    // the tie, it only gives the group a reference potential.
+    this.findFloatingGroups().forEach(node => {
+      matrix[index(node)][index(node)] += 1
+    })
+
+    this.conductances.forEach(({ a, b, conductance }) => {
+      const ia = index(a)
+      const ib = index(b)
+      if (ia >= 0) matrix[ia][ia] += conductance
+      if (ib >= 0) matrix[ib][ib] += conductance
+      if (ia >= 0 && ib >= 0) {
+        matrix[ia][ib] -= conductance
+        matrix[ib][ia] -= conductance
+      }
+    })
+
+    this.currentSources.forEach(({ from, to, current }) => {
+      const ifrom = index(from)
+      const ito = index(to)
+      if (ifrom >= 0) rhs[ifrom] -= current
+      if (ito >= 0) rhs[ito] += current
+    })
+
+    this.voltageSources.forEach(({ pos, neg, voltage }, k) => {
+      const row = n + k
+      const ipos = index(pos)
+      const ineg = index(neg)
+      // Branch current unknown flows from pos through the source to neg
+      if (ipos >= 0) {
+        matrix[ipos][row] += 1
+        matrix[row][ipos] += 1
+      }
+      if (ineg >= 0) {
+        matrix[ineg][row] -= 1
+        matrix[row][ineg] -= 1
+      }
+      rhs[row] = voltage
+    })
+
+    const solution = solveLinearSystem(matrix, rhs)
+
+    const nodeVoltages = [0]
+    for (let i = 0; i < n; i++) {
+      nodeVoltages.push(solution[i])
+    }
+
+    // MNA branch current is measured entering the positive terminal,
+    // flip it so a discharging source reports positive current
+    const sourceCurrents = this.voltageSources.map((_, k) => -solution[n + k])
+
+    return { nodeVoltages, sourceCurrents }
+  }
+
+  /**
+   * Share out the power in a solved network by owner
+   * What the voltage sources put in, the conductances and current sources
+   * take out (Tellegen's theorem), so over all owners the two balance.
+   * @param {Object} solution - Result of solve()
+   * @returns {Map} owner → { absorbed, supplied } in watts: absorbed by its
+   *   conductances and current sources, supplied by its voltage sources
+   *   (negative when current is pushed back into them)
+   */
+  getPowers({ nodeVoltages, sourceCurrents }) {
+    const powers = new Map()
+    const entry = owner => {
+      if (!powers.has(owner)) powers.set(owner, { absorbed: 0, supplied: 0 })
+      return powers.get(owner)
+    }
+
+    this.conductances.forEach(({ a, b, conductance, owner }) => {
+      const voltage = nodeVoltages[a] - nodeVoltages[b]
+      entry(owner).absorbed += voltage * voltage * conductance
+    })
+    this.currentSources.forEach(({ from, to, current, owner }) => {
+      entry(owner).absorbed += (nodeVoltages[from] - nodeVoltages[to]) * current
+    })
+    this.voltageSources.forEach(({ pos, neg, owner }, k) => {
+      entry(owner).supplied += (nodeVoltages[pos] - nodeVoltages[neg]) * sourceCurrents[k]
+    })
+    return powers
+  }
+
+  /**
+   * Find one representative node for every group of nodes that has no
+   * conductive or voltage-source path to ground
+   * @private
+   */
+  findFloatingGroups() {
+    const parent = Array.from({ length: this.nodeCount }, (_, i) => i)
+    const find = node => {
+      while (parent[node] !== node) {
+        parent[node] = parent[parent[node]]
+        node = parent[node]
+      }
+      return node
+    }
+    const union = (a, b) => {
+      const ra = find(a)
+      const rb = find(b)
+      // Keep ground (0) as the root of its group
+      if (ra < rb) parent[rb] = ra
+      else if (rb < ra) parent[ra] = rb
+    }
+
+    this.conductances.forEach(({ a, b }) => union(a, b))
+    this.voltageSources.forEach(({ pos, neg }) => union(pos, neg))
+
+    const representatives = new Set()
+    for (let node = 1; node < this.nodeCount; node++) {
+      const root = find(node)
+      if (root !== 0) representatives.add(root)
+    }
+    return [...representatives]
+  }
+}
+
+/**
+ * Solve A·x = b using Gaussian elimination with partial pivoting
+ * Singular pivots are treated as zero (the unknown is left at 0)
+ * @param {Array<Array<number>>} matrix - Square coefficient matrix (modified in place)
+ * @param {Array<number>} rhs - Right-hand side (modified in place)
+ * @returns {Array<number>} Solution vector
+ */
+export function solveLinearSystem(matrix, rhs) {
+  const size = rhs.length
+  const singular = new Array(size).fill(false)
+
+  for (let col = 0; col < size; col++) {
+    // Find pivot row
+    let pivot = col
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+        pivot = row
+      }
+    }
+
+    if (Math.abs(matrix[pivot][col]) < 1e-18) {
+      singular[col] = true
+      continue
+    }
+
+    if (pivot !== col) {
+      const row = matrix[pivot]
+      matrix[pivot] = matrix[col]
+      matrix[col] = row
+      const value = rhs[pivot]
+      rhs[pivot] = rhs[col]
+      rhs[col] = value
+    }
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = matrix[row][col] / matrix[col][col]
+      if (factor === 0) continue
+      for (let k = col; k < size; k++) {
+        matrix[row][k] -= factor * matrix[col][k]
+      }
+      rhs[row] -= factor * rhs[col]
+    }
+  }
+
+  // Back substitution
+  const x = new Array(size).fill(0)
+  for (let row = size - 1; row >= 0; row--) {
+    if (singular[row]) continue
+    let sum = rhs[row]
+    for (let k = row + 1; k < size; k++) {
+      sum -= matrix[row][k] * x[k]
+    }
+    x[row] = sum / matrix[row][row]
+  }
+
+  return x
+}
@@ -0,0 +1,145 @@
+/**
+ * PartValues - Catalogue of resistor and capacitor values
+ *
+ * Real resistors and capacitors come in standard E-series values: each
+ * decade is split into the same handful of steps (E6: 1.0, 1.5, 2.2, 3.3,
+ * 4.7, 6.8), so neighbouring values are roughly evenly spaced on a log scale.
+ *
+ * Each challenge declares an allowedParts catalogue listing the values
+ * its parts may take, { resistor: [ohms], capacitor: [farads] }. The
+ * property editor offers nothing else and the challenge check rejects any
+ * other value, so every challenge stays solvable with its own parts. Every catalogue includes the default values
+ * (100Ω, 100mF).
+ */
+
+export const E_SERIES = {
+  E6: [1.0, 1.5, 2.2, 3.3, 4.7, 6.8],
+  E12: [1.0, 1.2, 1.5, 1.8, 2.2, 2.7, 3.3, 3.9, 4.7, 5.6, 6.8, 8.2]
+}
+
+// Which property holds the value of each part that has one
+export const PART_PROPERTIES = {
+  resistor: 'resistance',
+  capacitor: 'capacitance'
+}
+
+export const DEFAULT_PART_VALUES = {
+  resistor: 100,    // Ohms
+  capacitor: 0.1    // Farads (100mF)
+}
+
+/**
+ * Get the E-series values between two limits
+ * @param {string} series - 'E6' or 'E12'
+ * @param {number} min - Smallest value (inclusive)
+ * @param {number} max - Largest value (inclusive)
+ * @returns {Array<number>} Values in ascending order
+ */
+export function getESeriesValues(series, min, max) {
+  const steps = E_SERIES[series]
+  const values = []
+  for (let decade = Math.pow(10, Math.floor(Math.log10(min))); decade <= max; decade *= 10) {
+    steps.forEach(step => {
+      // Round away floating point error (3.3 * 0.01 is not quite 0.033)
+      const value = Number((step * decade).toPrecision(2))
+      if (value >= min && value <= max) values.push(value)
+    })
+  }
+  return values
+}
+
+// The one value of each part the early challenges are designed around
+export const STANDARD_PARTS = {
+  resistor: [DEFAULT_PART_VALUES.resistor],
+  capacitor: [DEFAULT_PART_VALUES.capacitor]
+}
+
+// A full kit: E6 resistors 10Ω - 10kΩ and capacitors 10mF - 1F
+export const E6_PARTS = {
+  resistor: getESeriesValues('E6', 10, 10000),
+  capacitor: getESeriesValues('E6', 0.01, 1)
+}
+
+/**
+ * Get the value a part is set to
+ * @param {Object} component - Component
+ * @returns {number|null} Ohms or farads, or null for parts without a value
+ */
+export function getPartValue(component) {
+  const property = PART_PROPERTIES[component.type]
+  if (!property) return null
+  return component[property] ?? DEFAULT_PART_VALUES[component.type]
+}
+
+/**
+ * Get the values a catalogue allows for a part type
+ * @param {Object} allowedParts - Challenge catalogue (see STANDARD_PARTS)
+ * @param {string} type - Component type
+ * @returns {Array<number>} Allowed values (empty for parts without a value)
+ */
+export function getAllowedValues(allowedParts, type) {
+  if (!PART_PROPERTIES[type]) return []
+  return allowedParts?.[type] || STANDARD_PARTS[type]
+}
+
+/**
+ * Get the value a newly placed part starts at: the default value when the
+ * catalogue offers it, otherwise the catalogue's first value
+ * @param {Object} allowedParts - Challenge catalogue
+ * @param {string} type - Component type with a value (see PART_PROPERTIES)
+ * @returns {number} Ohms or farads
+ */
+export function getStartingValue(allowedParts, type) {
+  const values = getAllowedValues(allowedParts, type)
+  return values.includes(DEFAULT_PART_VALUES[type]) ? DEFAULT_PART_VALUES[type] : values[0]
+}
+
+/**
+ * Check whether a catalogue allows a part's value
+ * Parts without a value are always allowed.
+ * @param {Object} allowedParts - Challenge catalogue
+ * @param {Object} component - Component
+ * @returns {boolean} True if allowed
+ */
+export function isPartAllowed(allowedParts, component) {
+  const value = getPartValue(component)
+  return value === null || getAllowedValues(allowedParts, component.type).includes(value)
+}
+
+/**
+ * Format a resistance the way it is printed on parts: 100Ω, 2.2kΩ, 1MΩ
+ * @param {number} ohms - Resistance
+ * @returns {string} Formatted value
+ */
+export function formatResistance(ohms) {
+  if (ohms >= 1e6) return `${trim(ohms / 1e6)}MΩ`
+  if (ohms >= 1e3) return `${trim(ohms / 1e3)}kΩ`
+  return `${trim(ohms)}Ω`
+}
+
+/**
+ * Format a capacitance: 100mF, 1F
+ * @param {number} farads - Capacitance
+ * @returns {string} Formatted value
+ */
+export function formatCapacitance(farads) {
+  if (farads >= 1) return `${trim(farads)}F`
+  return `${trim(farads * 1000)}mF`
+}
+
+/**
+ * Format a part's value for display
+ * @param {string} type - Component type
+ * @param {number} value - Ohms or farads
+ * @returns {string} Formatted value
+ */
+export function formatPartValue(type, value) {
+  return type === 'capacitor' ? formatCapacitance(value) : formatResistance(value)
+}
+
+/**
+ * Print a number with at most two decimals and no trailing zeros
+ */
+function trim(value) {
+  return String(Number(value.toFixed(2)))
+}
@@ -0,0 +1,90 @@
+/**
+ * Potentiometers - Variable resistors with a sliding wiper
+ *
+ * A potentiometer is one resistive track between its ends (a and b) with a
+ * wiper contact that slides along it. pot.position says where the wiper
+ * sits: 0 at the a end, 1 at the b end. That splits the track into two
+ * legs, a → wiper and wiper → b, which always add up to POT_RESISTANCE:
+ *
+ * - Wired end to end it is a plain resistor
+ * - Wired a (or b) to wiper it is a variable resistor
+ * - Wired across a supply with a load hung off the wiper it is a voltage
+ *   divider: the wiper taps off the fraction of the voltage set by position
+ *
+ * The wiper can be moved while the simulation runs; the next step solves
+ * with the new legs. Even at the very end of the track the wiper keeps a
+ * little contact resistance (POT_END_RESISTANCE).
+ *
+ * The solver writes pot.currentA (a → wiper), pot.currentB (wiper → b),
+ * pot.wiperCurrent (out through the wiper), pot.current and pot.voltage
+ * (a - b) after each step.
+ */
+
+export const POT_RESISTANCE = 200       // Ohms end to end
+export const POT_END_RESISTANCE = 1     // Ohms of wiper contact
+export const DEFAULT_POT_POSITION = 0.5
+
+/**
+ * Get where a potentiometer's wiper sits
+ * @param {Object} pot - Potentiometer component
+ * @returns {number} 0 (a end) - 1 (b end)
+ */
+export function getWiperPosition(pot) {
+  return Math.max(0, Math.min(pot.position ?? DEFAULT_POT_POSITION, 1))
+}
+
+/**
+ * Get the resistance of each leg of a potentiometer's track
+ * @param {Object} pot - Potentiometer component
+ * @returns {Object} { a, b } ohms from the wiper to each end
+ */
+export function getPotLegs(pot) {
+  const position = getWiperPosition(pot)
+  return {
+    a: POT_END_RESISTANCE + position * POT_RESISTANCE,
+    b: POT_END_RESISTANCE + (1 - position) * POT_RESISTANCE
+  }
+}
+
+/**
+ * Stamp a potentiometer as its two legs meeting at the wiper
+ * @param {NodalSystem} system - System being built
+ * @param {Object} pot - Potentiometer component
+ * @param {Object} nodes - Potentiometer nodes { a, wiper, b }
+ */
+export function stampPotentiometer(system, pot, nodes) {
+  const legs = getPotLegs(pot)
+  system.addResistor(nodes.a, nodes.wiper, legs.a)
+  system.addResistor(nodes.wiper, nodes.b, legs.b)
+}
+
+/**
+ * Write the solved currents onto a potentiometer
+ * @param {Object} pot - Potentiometer component
+ * @param {number} voltageA - V(a) - V(wiper)
+ * @param {number} voltageB - V(wiper) - V(b)
+ */
+export function updatePotentiometer(pot, voltageA, voltageB) {
+  const legs = getPotLegs(pot)
+  const currentA = voltageA / legs.a
+  const currentB = voltageB / legs.b
+
+  pot.currentA = currentA
+  pot.currentB = currentB
+  pot.wiperCurrent = currentA - currentB
+  pot.current = Math.max(Math.abs(currentA), Math.abs(currentB))
+  pot.voltage = voltageA + voltageB
+}
+
+/**
+ * Check if a potentiometer is working as a voltage divider
+ * Both legs carry current and some of it leaves through the wiper.
+ * @param {Object} pot - Potentiometer component (solved)
+ * @param {number} minCurrent - Smallest current that counts (default 0.1mA)
+ * @returns {boolean} True when dividing
+ */
+export function isDividing(pot, minCurrent = 0.0001) {
+  return Math.abs(pot.currentA || 0) >= minCurrent &&
+    Math.abs(pot.currentB || 0) >= minCurrent &&
+    Math.abs(pot.wiperCurrent || 0) >= minCurrent
+}
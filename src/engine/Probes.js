@@ -0,0 +1,266 @@
+/**
+ * Probes - Voltage and current history for the oscilloscope panel
+ *
+ * A probe clips onto either:
+ * - a component ({ componentId }): the voltage across it and the current
+ *   through it, as the simulator writes them onto the part
+ * - a net ({ componentId, terminal }): the voltage of everything wired to
+ *   that terminal, measured from ground (see CircuitSimulator.getNetVoltage).
+ *   A net has no single current, so net probes record voltage only
+ *
+ * The recorder takes a sample from every probe after each physics step -
+ * or is handed the samples the simulation worker took (see addSamples).
+ * Samples go into a fixed-size ring buffer per probe, so the oldest fall
+ * away and memory stays flat however long the simulation runs.
+ */
+
+export const PROBE_HISTORY = 2000  // Samples per probe (20s of 10ms steps)
+export const PROBE_COLORS = ['#2563EB', '#DC2626', '#16A34A', '#9333EA', '#EA580C', '#0891B2']
+
+// Where a part keeps the voltage across it / current through it, when not
+// plain voltage/current
+const VOLTAGE_PROPERTIES = {
+  battery: 'terminalVoltage',
+  resistor: 'voltageDrop'
+}
+const CURRENT_PROPERTIES = {
+  relay: 'coilCurrent'
+}
+
+/**
+ * Fixed-capacity buffer that overwrites its oldest item when full
+ */
+export class RingBuffer {
+  /**
+   * @param {number} capacity - Most items held at once
+   */
+  constructor(capacity) {
+    this.capacity = capacity
+    this.items = new Array(capacity)
+    this.start = 0   // Index of the oldest item
+    this.size = 0
+  }
+
+  push(item) {
+    const index = (this.start + this.size) % this.capacity
+    this.items[index] = item
+    if (this.size < this.capacity) {
+      this.size++
+    } else {
+      this.start = (this.start + 1) % this.capacity
+    }
+  }
+
+  /**
+   * Get the items held, oldest first
+   * @returns {Array} Items
+   */
+  toArray() {
+    const items = []
+    for (let i = 0; i < this.size; i++) {
+      items.push(this.items[(this.start + i) % this.capacity])
+    }
+    return items
+  }
+
+  clear() {
+    this.start = 0
+    this.size = 0
+  }
+}
+
+/**
+ * Read a component's voltage and current
+ * @param {Object} component - Component (after a simulation step)
+ * @returns {Object} { voltage, current } - null for what the part doesn't have
+ */
+export function getComponentReading(component) {
+  const voltage = component[VOLTAGE_PROPERTIES[component.type] || 'voltage']
+  const current = component[CURRENT_PROPERTIES[component.type] || 'current']
+  return {
+    voltage: typeof voltage === 'number' ? voltage : null,
+    current: typeof current === 'number' ? current : null
+  }
+}
+
+/**
+ * Take a probe's reading from a simulator that just stepped
+ * @param {Object} probe - Probe (or just its { componentId, terminal })
+ * @param {CircuitSimulator} simulator - Simulator after a step
+ * @returns {Object|null} { voltage, current }, or null if the part is gone
+ */
+export function readProbe(probe, simulator) {
+  const component = simulator.components.find(c => c.id === probe.componentId)
+  if (!component) return null
+
+  return probe.terminal === null
+    ? getComponentReading(component)
+    : { voltage: simulator.getNetVoltage(probe.componentId, probe.terminal), current: null }
+}
+
+/**
+ * Check whether a probe is clipped onto a target
+ * @param {Object} probe - Probe
+ * @param {Object} target - { componentId, terminal? }
+ * @returns {boolean} True if it is
+ */
+export function isProbeOn(probe, target) {
+  return probe.componentId === target.componentId && probe.terminal === (target.terminal ?? null)
+}
+
+/**
+ * Name a probe after what it is clipped onto: "led 1", "battery 2 +"
+ * Parts are numbered by type, in the order they were placed.
+ * @param {Object} probe - Probe
+ * @param {Array} components - Circuit components
+ * @returns {string} Label
+ */
+export function getProbeLabel(probe, components) {
+  const component = components.find(c => c.id === probe.componentId)
+  if (!component) return 'removed part'
+
+  const number = components.filter(c => c.type === component.type).indexOf(component) + 1
+  const name = `${component.type} ${number}`
+  return probe.terminal === null ? name : `${name} ${probe.terminal}`
+}
+
+export class ProbeRecorder {
+  /**
+   * @param {number} capacity - Samples kept per probe
+   */
+  constructor(capacity = PROBE_HISTORY) {
+    this.capacity = capacity
+    this.probes = []
+    this.nextId = 1
+  }
+
+  /**
+   * Get the probes in the order they were clipped on
+   * @returns {Array} Probes { id, componentId, terminal, color, samples }
+   */
+  getProbes() {
+    return [...this.probes]
+  }
+
+  /**
+   * Clip a probe onto a component or net (or get the one already there)
+   * @param {Object} target - { componentId } or { componentId, terminal }
+   * @returns {Object} Probe
+   */
+  addProbe(target) {
+    const existing = this.probes.find(probe => isProbeOn(probe, target))
+    if (existing) return existing
+
+    const used = this.probes.map(probe => probe.color)
+    const probe = {
+      id: this.nextId++,
+      componentId: target.componentId,
+      terminal: target.terminal ?? null,
+      color: PROBE_COLORS.find(color => !used.includes(color)) ||
+        PROBE_COLORS[this.probes.length % PROBE_COLORS.length],
+      samples: new RingBuffer(this.capacity)
+    }
+    this.probes.push(probe)
+    return probe
+  }
+
+  removeProbe(id) {
+    this.probes = this.probes.filter(probe => probe.id !== id)
+  }
+
+  /**
+   * Clip a probe on, or take off the one already there
+   * @param {Object} target - { componentId, terminal? }
+   * @returns {Object|null} The new probe, or null if one was removed
+   */
+  toggleProbe(target) {
+    const existing = this.probes.find(probe => isProbeOn(probe, target))
+    if (existing) {
+      this.removeProbe(existing.id)
+      return null
+    }
+    return this.addProbe(target)
+  }
+
+  /**
+   * Take off probes whose component is no longer in the circuit
+   * @param {Array} components - Circuit components
+   * @returns {boolean} True if any were removed
+   */
+  removeMissing(components) {
+    const count = this.probes.length
+    this.probes = this.probes.filter(probe => components.some(c => c.id === probe.componentId))
+    return this.probes.length !== count
+  }
+
+  /**
+   * Sample every probe after a simulation step
+   * @param {number} time - Simulated seconds since the run started
+   * @param {CircuitSimulator} simulator - Simulator that just stepped
+   */
+  record(time, simulator) {
+    this.probes.forEach(probe => {
+      const reading = readProbe(probe, simulator)
+      if (reading) probe.samples.push({ time, ...reading })
+    })
+  }
+
+  /**
+   * Add samples taken elsewhere
+   * @param {Array} samples - { time, readings: { [probeId]: { voltage, current } } }
+   *   per step; probes taken off since are skipped
+   */
+  addSamples(samples) {
+    samples.forEach(({ time, readings }) => {
+      this.probes.forEach(probe => {
+        const reading = readings[probe.id]
+        if (reading) probe.samples.push({ time, ...reading })
+      })
+    })
+  }
+
+  /**
+   * Forget the history, keeping the probes (a new run starts afresh)
+   */
+  clear() {
+    this.probes.forEach(probe => probe.samples.clear())
+  }
+
+  /**
+   * Export the history as CSV: one row per sample time, a voltage and a
+   * current column per probe (empty where a probe has no sample)
+   * @param {Array} components - Circuit components (for the column names)
+   * @returns {string} CSV text
+   */
+  toCSV(components) {
+    const header = ['time (s)']
+    const rows = new Map()
+
+    this.probes.forEach((probe, index) => {
+      const label = getProbeLabel(probe, components)
+      header.push(`${label} (V)`, `${label} (A)`)
+
+      probe.samples.toArray().forEach(sample => {
+        const key = sample.time.toFixed(3)
+        if (!rows.has(key)) rows.set(key, new Array(this.probes.length * 2).fill(''))
+        const row = rows.get(key)
+        row[index * 2] = sample.voltage ?? ''
+        row[index * 2 + 1] = sample.current ?? ''
+      })
+    })
+
+    const lines = [...rows.entries()]
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([time, values]) => [time, ...values].join(','))
+
+    return [header.map(csvField).join(','), ...lines].join('\n') + '\n'
+  }
+}
+
+/**
+ * Quote a CSV field if it needs it
+ */
+function csvField(value) {
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
@@ -0,0 +1,87 @@
+/**
+ * Relays - Electromagnetic relays
+ *
+ * A relay is a coil that works a changeover contact:
+ * - Coil side (coil1, coil2): a plain resistance; the current through it
+ *   magnetises the core
+ * - Contact side (com, no, nc): com is joined to nc while the relay is
+ *   released and to no while it is energised
+ *
+ * Coil current at or above RELAY_PULL_IN_CURRENT pulls the armature in;
+ * it only lets go again once the current falls to RELAY_DROP_OUT_CURRENT
+ * (hysteresis), so a wavering coil current does not make it chatter. The
+ * armature takes RELAY_SWITCH_TIME to travel either way, and the contacts
+ * only change over when it arrives - that is the relay's click.
+ *
+ * State kept on the component:
+ * - closed: contacts changed over to no (energised)
+ * - travel: seconds the armature has been moving towards the other side
+ * - armature: 0 (released) to 1 (pulled in), for animation
+ * - coilCurrent / current: solved coil and contact currents
+ */
+
+import { CONTACT_RESISTANCE } from './Switches.js'
+
+export const RELAY_COIL_RESISTANCE = 60       // Ohms
+export const RELAY_PULL_IN_CURRENT = 0.030    // 30mA
+export const RELAY_DROP_OUT_CURRENT = 0.015   // 15mA
+export const RELAY_SWITCH_TIME = 0.05         // Seconds of armature travel
+
+/**
+ * Get the contact terminal com is currently joined to
+ * @param {Object} relay - Relay component
+ * @returns {string} 'no' when energised, 'nc' when released
+ */
+export function getRelayContact(relay) {
+  return relay.closed ? 'no' : 'nc'
+}
+
+/**
+ * Stamp a relay's coil and closed contact into a nodal system
+ * @param {NodalSystem} system - System being built
+ * @param {Object} relay - Relay component
+ * @param {Object} nodes - Relay nodes { coil1, coil2, com, no, nc }
+ */
+export function stampRelay(system, relay, nodes) {
+  system.addResistor(nodes.coil1, nodes.coil2, RELAY_COIL_RESISTANCE)
+  system.addResistor(nodes.com, nodes[getRelayContact(relay)], CONTACT_RESISTANCE)
+}
+
+/**
+ * Update a relay from the solved operating point and move its armature
+ * Contacts changing over take effect from the next solve.
+ * @param {Object} relay - Relay component
+ * @param {number} coilVoltage - Voltage across the coil
+ * @param {number} contactVoltage - Voltage across the closed contact
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {boolean} True if the contacts changed over (clicked)
+ */
+export function updateRelay(relay, coilVoltage, contactVoltage, deltaTime) {
+  const coilCurrent = Math.abs(coilVoltage) / RELAY_COIL_RESISTANCE
+  relay.coilCurrent = coilCurrent
+  relay.current = Math.abs(contactVoltage) / CONTACT_RESISTANCE
+
+  const closed = !!relay.closed
+  const energised = closed
+    ? coilCurrent > RELAY_DROP_OUT_CURRENT
+    : coilCurrent >= RELAY_PULL_IN_CURRENT
+
+  if (energised === closed) {
+    // Settled (or sprung back before reaching the other side)
+    relay.travel = 0
+    relay.armature = closed ? 1 : 0
+    return false
+  }
+
+  relay.travel = (relay.travel || 0) + deltaTime
+  if (relay.travel < RELAY_SWITCH_TIME) {
+    const progress = relay.travel / RELAY_SWITCH_TIME
+    relay.armature = closed ? 1 - progress : progress
+    return false
+  }
+
+  relay.closed = !closed
+  relay.travel = 0
+  relay.armature = relay.closed ? 1 : 0
+  return true
+}
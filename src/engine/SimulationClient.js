@@ -0,0 +1,226 @@
+/**
+ * SimulationClient - The workspace's side of the simulation message protocol
+ *
+ * Sends the simulation its messages (see SimulationHost for the protocol)
+ * and keeps a copy of the circuit up to date from the diffs that come
+ * back. The copy answers what the UI would otherwise ask the simulator -
+ * components, getNetVoltage, findShortCircuits, getEnergyLedger - so the
+ * probes, the multimeter and the energy panel work the same with the
+ * engine off the main thread.
+ *
+ * createSimulationClient() runs the host in a Web Worker. Where there are
+ * no workers (tests run under jsdom) the host runs in-process instead and
+ * answers each message before send returns, so the engine code runs
+ * synchronously.
+ *
+ *   simulation.onDiff((diff, before) => setComponents(prev => applyChanges(prev, diff.changes)))
+ *   simulation.start({ components, wires })
+ *   simulation.step(10, PHYSICS_STEP)
+ */
+
+import { createSimulationHost } from './SimulationHost.js'
+import { EnergyLedger } from './EnergyLedger.js'
+import { isSwitch } from './Switches.js'
+
+export class SimulationClient {
+  /**
+   * @param {Object} port - Worker, or anything with postMessage and onmessage
+   */
+  constructor(port) {
+    this.port = port
+    this.port.onmessage = event => this.receive(event.data)
+    this.components = []
+    this.wires = []
+    this.netVoltages = {}
+    this.energy = new EnergyLedger().getTotals()
+    this.run = 0            // Numbers each start, so late diffs from a stopped run are dropped
+    this.running = false
+    this.pending = 0        // Step messages not answered yet
+    this.controls = {}      // Control settings as last sent
+    this.listeners = []
+  }
+
+  /**
+   * Register a callback for the results of each step message
+   * @param {Function} listener - Called with (diff, before): the diff
+   *   message (see SimulationHost) and the components before it applied
+   * @returns {Function} Call to unregister it
+   */
+  onDiff(listener) {
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener)
+    }
+  }
+
+  /**
+   * Load a circuit and start stepping it
+   * @param {Object} circuit - { components, wires }, already reset
+   * @param {Object} options - { challengeId } of a timed challenge to check after each step
+   */
+  start({ components, wires }, { challengeId = null } = {}) {
+    this.run++
+    this.running = true
+    this.pending = 0
+    this.components = components
+    this.wires = wires
+    this.netVoltages = {}
+    this.energy = new EnergyLedger().getTotals()
+    this.controls = getControls(components)
+    this.send({ type: 'load', components, wires })
+    this.send({ type: 'start', run: this.run, challengeId })
+  }
+
+  stop() {
+    this.running = false
+    this.pending = 0
+    this.send({ type: 'stop' })
+  }
+
+  /**
+   * Pass on switches, buttons and knobs the player has changed since the
+   * last call
+   * @param {Array} components - Components as the UI has them
+   */
+  setControls(components) {
+    const controls = getControls(components)
+    const changes = {}
+    Object.keys(controls).forEach(id => {
+      if (JSON.stringify(controls[id]) !== JSON.stringify(this.controls[id])) changes[id] = controls[id]
+    })
+    this.controls = controls
+    if (Object.keys(changes).length > 0) this.send({ type: 'edit', changes })
+  }
+
+  /**
+   * Ask for physics steps; the diff comes back through onDiff
+   * @param {number} count - Steps to run
+   * @param {number} step - Simulated seconds per step
+   * @param {Array} probes - Probes to sample after each step
+   */
+  step(count, step, probes = []) {
+    this.pending++
+    this.send({
+      type: 'step',
+      count,
+      step,
+      probes: probes.map(({ id, componentId, terminal }) => ({ id, componentId, terminal }))
+    })
+  }
+
+  /**
+   * Ask for the whole state; the copy is replaced when it arrives
+   */
+  requestSnapshot() {
+    this.send({ type: 'snapshot' })
+  }
+
+  isRunning() {
+    return this.running
+  }
+
+  /**
+   * Check whether a step is still being worked on
+   * @returns {boolean} True while a step message is unanswered
+   */
+  isBusy() {
+    return this.pending > 0
+  }
+
+  send(message) {
+    this.port.postMessage(message)
+  }
+
+  receive(message) {
+    if (message.type === 'snapshot') {
+      this.components = message.components
+      this.wires = message.wires
+      this.netVoltages = message.netVoltages
+      this.energy = message.energy
+      return
+    }
+
+    // Left over from a run that has since stopped
+    if (message.type !== 'diff' || !this.running || message.run !== this.run) return
+
+    this.pending = Math.max(0, this.pending - 1)
+    const before = this.components
+    this.components = applyChanges(before, message.changes)
+    this.netVoltages = message.netVoltages
+    this.energy = message.energy
+    this.listeners.forEach(listener => listener(message, before))
+  }
+
+  /**
+   * Get the voltage of the net a terminal is on, from the last step
+   * (see CircuitSimulator.getNetVoltage)
+   * @returns {number|null} Volts, or null before the first step
+   */
+  getNetVoltage(componentId, terminal) {
+    return this.netVoltages[componentId]?.[terminal] ?? null
+  }
+
+  /**
+   * Get the batteries shorted in the last step (see CircuitSimulator.findShortCircuits)
+   * @returns {Array} Shorted batteries
+   */
+  findShortCircuits() {
+    return this.components.filter(comp => comp.type === 'battery' && comp.shorted)
+  }
+
+  /**
+   * Get the energy totals from the last step (see EnergyLedger.getTotals)
+   * @returns {Object} Totals
+   */
+  getEnergyLedger() {
+    return this.energy
+  }
+}
+
+/**
+ * Apply a diff's changes to a list of components
+ * Changed parts are copied; the rest are kept as they are.
+ * @param {Array} components - Components
+ * @param {Object} changes - { [id]: { property: value } }
+ * @returns {Array} Updated components
+ */
+export function applyChanges(components, changes) {
+  return components.map(comp => changes[comp.id] ? { ...comp, ...changes[comp.id] } : comp)
+}
+
+/**
+ * Create a client with the simulation in a Web Worker (in-process where
+ * there are no workers)
+ * @returns {SimulationClient} Client
+ */
+export function createSimulationClient() {
+  if (typeof Worker !== 'undefined') {
+    return new SimulationClient(new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' }))
+  }
+  return new SimulationClient(createLocalPort())
+}
+
+/**
+ * Create a port to a host running in-process
+ * Messages are copied both ways, as posting to a worker would.
+ * @returns {Object} { postMessage, onmessage }
+ */
+export function createLocalPort() {
+  const port = { onmessage: null }
+  const host = createSimulationHost(message => port.onmessage?.({ data: structuredClone(message) }))
+  port.postMessage = message => host(structuredClone(message))
+  return port
+}
+
+/**
+ * Get the settings the player controls while running: switch and button
+ * positions and potentiometer knobs
+ */
+function getControls(components) {
+  const controls = {}
+  components.forEach(comp => {
+    if (isSwitch(comp)) controls[comp.id] = comp.type === 'pushbutton' ? { pressed: comp.pressed } : { closed: comp.closed }
+    else if (comp.type === 'potentiometer') controls[comp.id] = { position: comp.position }
+  })
+  return controls
+}
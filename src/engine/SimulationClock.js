@@ -0,0 +1,111 @@
+/**
+ * SimulationClock - Fixed-timestep clock for running the simulation
+ *
+ * The physics always advances in steps of PHYSICS_STEP simulated seconds,
+ * however often the workspace happens to tick. Each tick reports the real
+ * time now; the clock turns the real time elapsed since the last tick,
+ * scaled by the speed, into a whole number of steps and carries the
+ * leftover fraction of a step to the next tick. So simulated time keeps
+ * pace with real time (times the speed) whether ticks come early, late or
+ * throttled to once a second in a background tab.
+ *
+ * Speed 0 pauses: nothing advances except steps asked for with stepOnce().
+ * A long gap between ticks (e.g. a suspended tab) is replayed in batches:
+ * one tick runs at most MAX_STEPS_PER_TICK steps and the rest stays owed
+ * for the ticks after it, so no simulated time is lost.
+ */
+
+export const PHYSICS_STEP = 0.01   // Simulated seconds per step
+export const MAX_STEPS_PER_TICK = 500  // Physics steps one tick may run
+export const SPEEDS = [0, 0.25, 1, 4, 16]
+export const DEFAULT_SPEED = 1
+
+export class SimulationClock {
+  /**
+   * @param {number} step - Simulated seconds per physics step
+   */
+  constructor(step = PHYSICS_STEP) {
+    this.step = step
+    this.speed = DEFAULT_SPEED
+    this.time = 0            // Simulated seconds since start
+    this.lastTick = null     // Real time (ms) of the last tick, null until started
+    this.accumulator = 0     // Simulated seconds owed but not yet stepped
+    this.pendingSteps = 0    // Single steps asked for
+  }
+
+  /**
+   * Start timing from now, with no simulated time elapsed
+   * @param {number} now - Real time in ms (e.g. performance.now())
+   */
+  start(now) {
+    this.time = 0
+    this.accumulator = 0
+    this.pendingSteps = 0
+    this.lastTick = now
+  }
+
+  /**
+   * Stop timing; the next start() begins afresh
+   */
+  reset() {
+    this.time = 0
+    this.accumulator = 0
+    this.pendingSteps = 0
+    this.lastTick = null
+  }
+
+  getSpeed() {
+    return this.speed
+  }
+
+  /**
+   * Set how many simulated seconds pass per real second (0 pauses)
+   * @param {number} speed - One of SPEEDS (anything else is ignored)
+   */
+  setSpeed(speed) {
+    if (!SPEEDS.includes(speed)) return
+    this.speed = speed
+    // Time owed at the old speed is not paid at the new one
+    this.accumulator = 0
+  }
+
+  isPaused() {
+    return this.speed === 0
+  }
+
+  /**
+   * Ask for a single physics step on the next tick (for stepping while paused)
+   */
+  stepOnce() {
+    this.pendingSteps++
+  }
+
+  /**
+   * Get the simulated time since start
+   * @returns {number} Seconds
+   */
+  getTime() {
+    return this.time
+  }
+
+  /**
+   * Work out how many physics steps are due at a tick
+   * @param {number} now - Real time in ms (e.g. performance.now())
+   * @returns {number} Steps to run now, each of this.step seconds
+   */
+  tick(now) {
+    if (this.lastTick === null) this.lastTick = now
+    const elapsed = Math.max((now - this.lastTick) / 1000, 0)
+    this.lastTick = now
+
+    this.accumulator += elapsed * this.speed
+    // A hair of tolerance so rounding error doesn't hold back a whole step
+    const due = Math.min(Math.floor(this.accumulator / this.step + 1e-9), MAX_STEPS_PER_TICK)
+    this.accumulator = Math.max(this.accumulator - due * this.step, 0)
+
+    const steps = due + this.pendingSteps
+    this.pendingSteps = 0
+    this.time += steps * this.step
+    return steps
+  }
+}
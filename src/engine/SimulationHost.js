@@ -0,0 +1,181 @@
+/**
+ * SimulationHost - The engine's side of the simulation message protocol
+ *
+ * Owns a CircuitSimulator and answers the messages the workspace sends
+ * through a SimulationClient. In the browser it runs inside a Web Worker
+ * (SimulationWorker.js), so solving never holds up dragging and drawing;
+ * in tests the client talks to it directly and it answers synchronously.
+ *
+ * Messages in ({ type, ... }):
+ * - load { components, wires }: a new circuit, on a fresh simulator
+ * - edit { changes }: { [id]: { property: value } } merged into the parts
+ *   before the next physics step - switches flipped, buttons pressed and
+ *   knobs turned while running. A part changed again before a step has seen
+ *   its last change waits for the step after, so a quick tap of a push
+ *   button (pressed, then released) still reaches the solver
+ * - start { run, challengeId }: steps are taken from now on; a timed
+ *   challenge has its condition checked after every step
+ * - stop: steps are ignored until the next start
+ * - step { count, step, probes }: run count physics steps of step seconds,
+ *   sampling the probes ({ id, componentId, terminal }) after each one
+ * - snapshot: send the whole state
+ *
+ * Messages out:
+ * - snapshot { run, time, components, wires, netVoltages, energy }
+ * - diff { run, time, step, changes, netVoltages, energy, samples,
+ *   conditions, relayClicks } after each step message: changes holds only
+ *   the properties that changed since the last message, conditions the
+ *   timed challenge's condition after each step and relayClicks whether
+ *   each relay that changed over pulled in
+ *
+ * Node voltages go out whole ({ [id]: { terminal: volts from ground } })
+ * so the UI can answer getNetVoltage for probes and the multimeter.
+ */
+
+import { CircuitSimulator } from './CircuitSimulator.js'
+import { getTerminals } from './Terminals.js'
+import { readProbe } from './Probes.js'
+import { getChallengeDefinitions } from '../challenges/ChallengeDefinitions.js'
+import { isChallengeConditionMet } from '../challenges/ChallengeSystem.js'
+
+/**
+ * Create a host answering protocol messages
+ * @param {Function} post - Called with each outgoing message
+ * @returns {Function} Message handler - pass it each incoming message
+ */
+export function createSimulationHost(post) {
+  let simulator = new CircuitSimulator()
+  let posted = new Map()      // Component id → properties as last sent
+  let relayClicks = []
+  let edits = []              // Queued changes, one batch applied per step
+  let running = false
+  let run = null
+  let challenge = null
+  let time = 0
+
+  const load = ({ components = [], wires = [] }) => {
+    simulator = new CircuitSimulator()
+    simulator.onRelayClick(relay => relayClicks.push(relay.closed))
+    simulator.setComponents(components)
+    simulator.setWires(wires)
+    posted = new Map(components.map(comp => [comp.id, { ...comp }]))
+    edits = []
+    time = 0
+  }
+
+  const edit = ({ changes }) => {
+    const queued = edits[edits.length - 1]
+    if (queued && Object.keys(changes).every(id => !queued[id])) {
+      Object.assign(queued, changes)
+    } else {
+      edits.push({ ...changes })
+    }
+  }
+
+  const applyEdits = changes => {
+    simulator.components.forEach(comp => {
+      if (changes[comp.id]) Object.assign(comp, changes[comp.id])
+    })
+  }
+
+  const step = ({ count, step, probes = [] }) => {
+    const samples = []
+    const conditions = []
+    relayClicks = []
+
+    for (let i = 0; i < count; i++) {
+      if (edits.length > 0) applyEdits(edits.shift())
+      simulator.simulate(step)
+      time += step
+
+      const readings = {}
+      probes.forEach(probe => {
+        const reading = readProbe(probe, simulator)
+        if (reading) readings[probe.id] = reading
+      })
+      samples.push({ time, readings })
+
+      if (challenge?.requiresTime) {
+        conditions.push(isChallengeConditionMet(challenge, { components: simulator.components, wires: simulator.wires }))
+      }
+    }
+
+    post({
+      type: 'diff',
+      run,
+      time,
+      step,
+      changes: takeChanges(),
+      netVoltages: getNetVoltages(simulator),
+      energy: simulator.getEnergyLedger(),
+      samples,
+      conditions,
+      relayClicks
+    })
+  }
+
+  // What changed on each part since the last message
+  const takeChanges = () => {
+    const changes = {}
+    simulator.components.forEach(comp => {
+      const before = posted.get(comp.id) || {}
+      const changed = Object.keys(comp).filter(key => !isSameValue(comp[key], before[key]))
+      if (changed.length === 0) return
+      changes[comp.id] = Object.fromEntries(changed.map(key => [key, comp[key]]))
+      posted.set(comp.id, { ...comp })
+    })
+    return changes
+  }
+
+  return message => {
+    if (message.type === 'load') {
+      load(message)
+    } else if (message.type === 'edit') {
+      edit(message)
+    } else if (message.type === 'start') {
+      running = true
+      run = message.run ?? null
+      challenge = getChallengeDefinitions().find(c => c.id === message.challengeId) || null
+    } else if (message.type === 'stop') {
+      running = false
+    } else if (message.type === 'step') {
+      if (running) step(message)
+    } else if (message.type === 'snapshot') {
+      post({
+        type: 'snapshot',
+        run,
+        time,
+        components: simulator.components,
+        wires: simulator.wires,
+        netVoltages: getNetVoltages(simulator),
+        energy: simulator.getEnergyLedger()
+      })
+    }
+  }
+}
+
+/**
+ * Get the voltage of every terminal's net from ground (empty before a step)
+ * @param {CircuitSimulator} simulator - Simulator
+ * @returns {Object} { [componentId]: { [terminal]: volts } }
+ */
+function getNetVoltages(simulator) {
+  const voltages = {}
+  simulator.components.forEach(comp => {
+    const terminals = {}
+    getTerminals(comp).forEach(terminal => {
+      const voltage = simulator.getNetVoltage(comp.id, terminal)
+      if (voltage !== null) terminals[terminal] = voltage
+    })
+    voltages[comp.id] = terminals
+  })
+  return voltages
+}
+
+/**
+ * Compare two property values (logic inputs are plain objects)
+ */
+function isSameValue(a, b) {
+  if (typeof a === 'object' && a !== null) return JSON.stringify(a) === JSON.stringify(b)
+  return a === b
+}
@@ -0,0 +1,170 @@
+/**
+ * SimulationRunner - Run a circuit over time without the UI
+ *
+ * runSimulation() does what pressing Start in the workspace does, as fast
+ * as the machine allows: the circuit is reset, then stepped in fixed
+ * physics steps of simulated time for the whole duration. It works on a
+ * copy, so the circuit passed in is left untouched.
+ *
+ * Every sampleInterval simulated seconds (100ms by default, the
+ * workspace's tick) it records each component's numeric properties into
+ * a time series and, when given a challenge, validates the circuit the way
+ * the workspace does on each tick. Timed challenges have their timer
+ * advanced on every step, just as in play; for challenges where the player
+ * presses Start Timer, startTimer presses it as the run begins. The
+ * challenge is judged on its own rules only - saved progress and locking
+ * play no part, and nothing is saved.
+ *
+ *   const { components, series, validation } = runSimulation(circuit, {
+ *     duration: 60,
+ *     challengeId: 'battery-blues'
+ *   })
+ *   series.components[bulbId].brightness   // one value per series.time entry
+ */
+
+import { CircuitSimulator } from './CircuitSimulator.js'
+import { PHYSICS_STEP } from './SimulationClock.js'
+import { getChallengeDefinitions } from '../challenges/ChallengeDefinitions.js'
+import { evaluateChallenge, isChallengeConditionMet } from '../challenges/ChallengeSystem.js'
+import { TimeTracker } from '../challenges/TimeTracker.js'
+
+export const DEFAULT_SAMPLE_INTERVAL = 0.1  // Simulated seconds between samples
+
+// Where a part sits on the canvas, not how it behaves
+const LAYOUT_PROPERTIES = ['x', 'y', 'rotation']
+
+/**
+ * Run a circuit for a stretch of simulated time
+ * @param {Object} circuit - { components, wires }
+ * @param {Object} options - Run settings
+ * @param {number} options.duration - Simulated seconds to run for
+ * @param {number} options.step - Simulated seconds per physics step
+ * @param {number} options.sampleInterval - Simulated seconds between samples
+ * @param {string} options.challengeId - Challenge to validate against (optional)
+ * @param {boolean} options.startTimer - Start a manual-start challenge's timer
+ *   at the beginning of the run (it never starts otherwise)
+ * @returns {Object} {
+ *   time: simulated seconds run,
+ *   steps: physics steps run,
+ *   components: final component states,
+ *   wires,
+ *   series: { time: [seconds], components: { [id]: { [property]: [values] } } },
+ *   energy: energy totals over the run (see EnergyLedger.getTotals),
+ *   validation: challenge outcome (see getValidation), or null without a challenge
+ * }
+ */
+export function runSimulation(circuit, {
+  duration = 1,
+  step = PHYSICS_STEP,
+  sampleInterval = DEFAULT_SAMPLE_INTERVAL,
+  challengeId = null,
+  startTimer = false
+} = {}) {
+  const challenge = challengeId ? getChallengeDefinitions().find(c => c.id === challengeId) : null
+  const { components: start, wires } = JSON.parse(JSON.stringify(circuit))
+
+  const simulator = new CircuitSimulator()
+  const components = simulator.resetCircuit(start || [], { keepBurnout: challenge?.keepBurnout === true })
+  simulator.setComponents(components)
+  simulator.setWires(wires || [])
+
+  const totalSteps = Math.max(Math.round(duration / step), 0)
+  const stepsPerSample = Math.max(Math.round(sampleInterval / step), 1)
+  const series = { time: [], components: {} }
+  const outcome = challenge ? { result: null, completedAt: null, tracker: new TimeTracker() } : null
+  let updated = components
+
+  if (startTimer && challenge?.requiresManualStart) {
+    outcome.tracker.start()
+  }
+
+  for (let i = 1; i <= totalSteps; i++) {
+    updated = simulator.simulate(step)
+    const time = i * step
+
+    if (challenge?.requiresTime && outcome.completedAt === null) {
+      const conditionMet = isChallengeConditionMet(challenge, { components: updated, wires })
+      outcome.tracker.track(conditionMet, step, challenge.requiresManualStart)
+      if (outcome.tracker.running && outcome.tracker.hasReachedGoal(challenge.goalTime)) {
+        outcome.completedAt = time
+        outcome.tracker.stop()
+      }
+    }
+
+    if (i % stepsPerSample === 0 || i === totalSteps) {
+      recordSample(series, updated, time)
+      if (challenge) checkChallenge(challenge, outcome, { components: updated, wires }, time)
+    }
+  }
+
+  return {
+    time: totalSteps * step,
+    steps: totalSteps,
+    components: updated,
+    wires,
+    series,
+    energy: simulator.getEnergyLedger(),
+    validation: challengeId ? getValidation(challenge, outcome) : null
+  }
+}
+
+/**
+ * Add every component's numeric properties at one moment to the series
+ * A property first seen partway through is padded with nulls before it.
+ */
+function recordSample(series, components, time) {
+  const sample = series.time.length
+  series.time.push(time)
+
+  components.forEach(comp => {
+    const history = series.components[comp.id] || (series.components[comp.id] = {})
+
+    Object.keys(comp).forEach(property => {
+      if (LAYOUT_PROPERTIES.includes(property) || typeof comp[property] !== 'number') return
+      if (!history[property]) history[property] = new Array(sample).fill(null)
+    })
+
+    Object.keys(history).forEach(property => {
+      const value = comp[property]
+      history[property].push(typeof value === 'number' ? value : null)
+    })
+  })
+}
+
+/**
+ * Validate the circuit at a sample, as the workspace does on each tick
+ * Untimed challenges complete the first time they validate.
+ */
+function checkChallenge(challenge, outcome, circuit, time) {
+  // A completed challenge keeps the result it finished with
+  if (outcome.completedAt !== null) return
+
+  outcome.result = evaluateChallenge(challenge, circuit)
+  if (outcome.result.success && !challenge.requiresTime && !challenge.requiresManualStart) {
+    outcome.completedAt = time
+  }
+}
+
+/**
+ * Summarise how the challenge went over the run
+ * @returns {Object} The last validation result (or the one it completed
+ *   with) plus { success, completedAt } and for timed challenges
+ *   { conditionTime, failed }
+ */
+function getValidation(challenge, outcome) {
+  if (!challenge) return { success: false, message: 'Challenge not found' }
+
+  const result = outcome.result || { success: false, message: 'The simulation did not run' }
+  const validation = {
+    ...result,
+    success: outcome.completedAt !== null,
+    completedAt: outcome.completedAt
+  }
+
+  if (challenge.requiresTime) {
+    validation.conditionTime = outcome.tracker.getConditionTime()
+    validation.failed = outcome.tracker.failed
+  }
+
+  return validation
+}
@@ -0,0 +1,13 @@
+/**
+ * SimulationWorker - Web Worker running the circuit simulation
+ *
+ * Keeps the engine off the main thread. See SimulationHost for the
+ * messages it understands and sends back, and SimulationClient for the
+ * workspace's side.
+ */
+
+import { createSimulationHost } from './SimulationHost.js'
+
+const handle = createSimulationHost(message => self.postMessage(message))
+
+self.onmessage = event => handle(event.data)
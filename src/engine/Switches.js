@@ -0,0 +1,57 @@
+/**
+ * Switches - Toggle switches and momentary push buttons
+ *
+ * Both are two-terminal contacts the player operates while the
+ * simulation runs:
+ * - Toggle switch (type 'switch'): component.closed flips on each press
+ *   and stays put
+ * - Push button (type 'pushbutton'): component.pressed is true only while
+ *   it is held down, and it springs open when released
+ *
+ * A closed contact is a tiny resistance; an open one is not stamped at
+ * all, which breaks the branch it sits in.
+ */
+
+export const SWITCH_TYPES = ['switch', 'pushbutton']
+
+// Resistance of closed contacts
+export const CONTACT_RESISTANCE = 0.001  // Ohms
+
+/**
+ * Check if a component is a switch or push button
+ * @param {Object} component - Component
+ * @returns {boolean} True if the player can operate it
+ */
+export function isSwitch(component) {
+  return SWITCH_TYPES.includes(component.type)
+}
+
+/**
+ * Check if a switch or push button is conducting
+ * @param {Object} component - Switch or push button
+ * @returns {boolean} True if the contacts are closed
+ */
+export function isSwitchClosed(component) {
+  return component.type === 'pushbutton' ? !!component.pressed : !!component.closed
+}
+
+/**
+ * Stamp a switch into a nodal system (nothing when open)
+ * @param {NodalSystem} system - System being built
+ * @param {Object} component - Switch or push button
+ * @param {Object} nodes - Switch nodes { a, b }
+ */
+export function stampSwitch(system, component, nodes) {
+  if (isSwitchClosed(component)) {
+    system.addResistor(nodes.a, nodes.b, CONTACT_RESISTANCE)
+  }
+}
+
+/**
+ * Update a switch from the solved voltage across its contacts
+ * @param {Object} component - Switch or push button
+ * @param {number} voltage - Voltage across the contacts
+ */
+export function updateSwitch(component, voltage) {
+  component.current = isSwitchClosed(component) ? Math.abs(voltage) / CONTACT_RESISTANCE : 0
+}
@@ -0,0 +1,236 @@
+/**
+ * Terminals - Named connection points of circuit components
+ *
+ * Every component type declares its terminals. Wires connect one terminal
+ * to another: { id, from: { componentId, terminal }, to: { componentId, terminal } }
+ *
+ * Terminals are listed in the direction conventional current flows through
+ * the component in normal operation: it enters through the first terminal
+ * and leaves through the second (a battery pushes current out of +).
+ *
+ * Older circuits used centre-to-centre wires { id, from, to } with component
+ * ids. migrateWires() turns those into terminal wires.
+ */
+
+export const COMPONENT_TERMINALS = {
+  battery: ['-', '+'],
+  led: ['anode', 'cathode'],
+  resistor: ['a', 'b'],
+  potentiometer: ['a', 'wiper', 'b'],
+  capacitor: ['+', '-'],
+  inductor: ['a', 'b'],
+  lightbulb: ['a', 'b'],
+  switch: ['a', 'b'],
+  pushbutton: ['a', 'b'],
+  diode: ['anode', 'cathode'],
+  motor: ['a', 'b'],
+  buzzer: ['a', 'b'],
+  relay: ['coil1', 'coil2', 'com', 'no', 'nc'],
+  and: ['in1', 'in2', 'out', 'gnd'],
+  or: ['in1', 'in2', 'out', 'gnd'],
+  xor: ['in1', 'in2', 'out', 'gnd'],
+  not: ['in', 'out', 'gnd'],
+  latch: ['set', 'reset', 'q', 'gnd']
+}
+
+const DEFAULT_TERMINALS = ['a', 'b']
+
+// Terminal pairs a component can pass current between, for components
+// that are not one conducting path (others join every pair of terminals)
+export const INTERNAL_PATHS = {
+  relay: [['coil1', 'coil2'], ['com', 'no'], ['com', 'nc']],
+  // Logic inputs draw no current; outputs drive against gnd
+  and: [['out', 'gnd']],
+  or: [['out', 'gnd']],
+  xor: [['out', 'gnd']],
+  not: [['out', 'gnd']],
+  latch: [['q', 'gnd']]
+}
+
+/**
+ * Get the terminal names of a component
+ * @param {Object} component - Component (or { type })
+ * @returns {Array<string>} Terminal names
+ */
+export function getTerminals(component) {
+  return component.terminals || COMPONENT_TERMINALS[component.type] || DEFAULT_TERMINALS
+}
+
+/**
+ * Get the terminal pairs current can pass between inside a component
+ * @param {Object} component - Component (or { type })
+ * @returns {Array<Array<string>>} [terminal, terminal] pairs
+ */
+export function getTerminalPairs(component) {
+  if (INTERNAL_PATHS[component.type]) return INTERNAL_PATHS[component.type]
+
+  const terminals = getTerminals(component)
+  const pairs = []
+  for (let i = 0; i < terminals.length; i++) {
+    for (let j = i + 1; j < terminals.length; j++) {
+      pairs.push([terminals[i], terminals[j]])
+    }
+  }
+  return pairs
+}
+
+/**
+ * Check if a component can be turned round
+ * Components with several internal paths (e.g. relays) have no mirrored layout.
+ * @param {Object} component - Component (or { type })
+ * @returns {boolean} True if flipping it makes sense
+ */
+export function isFlippable(component) {
+  return !INTERNAL_PATHS[component.type]
+}
+
+/**
+ * Get the terminal that takes a terminal's place when a component is
+ * turned round (first ↔ last, e.g. an LED's anode ↔ cathode)
+ * @param {Object} component - Component (or { type })
+ * @param {string} terminal - Terminal name
+ * @returns {string} Terminal name at the mirrored position
+ */
+export function getFlippedTerminal(component, terminal) {
+  const terminals = getTerminals(component)
+  const index = terminals.indexOf(terminal)
+  return index === -1 ? terminal : terminals[terminals.length - 1 - index]
+}
+
+/**
+ * Check if a wire uses the old centre-to-centre format
+ * @param {Object} wire - Wire object
+ * @returns {boolean} True if from/to are component ids
+ */
+export function isLegacyWire(wire) {
+  return typeof wire.from !== 'object' || typeof wire.to !== 'object'
+}
+
+/**
+ * Get the ids of the two components a wire connects (either format)
+ * @param {Object} wire - Wire object
+ * @returns {Array} [fromComponentId, toComponentId]
+ */
+export function getWireComponentIds(wire) {
+  if (isLegacyWire(wire)) return [wire.from, wire.to]
+  return [wire.from.componentId, wire.to.componentId]
+}
+
+/**
+ * Check if a wire is attached to a component (either format)
+ * @param {Object} wire - Wire object
+ * @param {*} componentId - Component id
+ * @returns {boolean} True if either end is on the component
+ */
+export function wireTouchesComponent(wire, componentId) {
+  return getWireComponentIds(wire).includes(componentId)
+}
+
+/**
+ * Check if two wire ends are the same terminal
+ * @param {Object} a - { componentId, terminal }
+ * @param {Object} b - { componentId, terminal }
+ * @returns {boolean} True if equal
+ */
+export function isSameTerminal(a, b) {
+  return a.componentId === b.componentId && a.terminal === b.terminal
+}
+
+/**
+ * Convert old centre-to-centre wires to terminal wires
+ *
+ * A legacy wire joined the output of `from` to the input of `to`, and every
+ * side of a wired component left without a wire returned to a shared
+ * ground. The migration keeps that circuit: it wires the second terminal of
+ * `from` to the first terminal of `to`, then adds explicit return wires
+ * joining all unused terminals of those components. Components without any
+ * wire stay unconnected. Terminal wires are passed through unchanged.
+ *
+ * Batteries wired one to the next formed a series chain, and a part wired
+ * from any battery in it was powered by the whole chain, so such a wire
+ * starts from the + of the chain's last battery.
+ *
+ * @param {Array} components - Circuit components
+ * @param {Array} wires - Wires in either format
+ * @returns {Array} Terminal wires
+ */
+export function migrateWires(components, wires) {
+  if (!wires.some(isLegacyWire)) return wires
+
+  const byId = new Map(components.map(c => [c.id, c]))
+  const migrated = []
+  const legacyComponents = new Set()
+
+  wires.forEach(wire => {
+    if (!isLegacyWire(wire)) {
+      migrated.push(wire)
+      return
+    }
+
+    const fromComp = byId.get(wire.from)
+    const toComp = byId.get(wire.to)
+    if (!fromComp || !toComp || fromComp === toComp) return
+
+    const source = fromComp.type === 'battery' && toComp.type !== 'battery'
+      ? getChainEnd(fromComp, wires, byId)
+      : fromComp
+    const fromTerminals = getTerminals(source)
+    migrated.push({
+      id: wire.id,
+      from: { componentId: source.id, terminal: fromTerminals[fromTerminals.length - 1] },
+      to: { componentId: toComp.id, terminal: getTerminals(toComp)[0] }
+    })
+    legacyComponents.add(fromComp)
+    legacyComponents.add(toComp)
+  })
+
+  // Make the implicit return path explicit
+  const used = new Set()
+  migrated.forEach(wire => {
+    used.add(`${wire.from.componentId}:${wire.from.terminal}`)
+    used.add(`${wire.to.componentId}:${wire.to.terminal}`)
+  })
+
+  const unused = []
+  components.forEach(comp => {
+    if (!legacyComponents.has(comp)) return
+    getTerminals(comp).forEach(terminal => {
+      if (!used.has(`${comp.id}:${terminal}`)) {
+        unused.push({ componentId: comp.id, terminal })
+      }
+    })
+  })
+
+  const numericIds = migrated.map(w => w.id).filter(id => typeof id === 'number')
+  let nextId = Math.max(0, ...numericIds) + 1
+
+  unused.slice(1).forEach(end => {
+    migrated.push({ id: nextId++, from: unused[0], to: end })
+  })
+
+  return migrated
+}
+
+/**
+ * Follow legacy battery-to-battery wires to the last battery of a chain
+ * @param {Object} battery - Battery to start from
+ * @param {Array} wires - Wires in either format
+ * @param {Map} byId - Component id → component
+ * @returns {Object} Last battery in the chain (the battery itself if none follow)
+ */
+function getChainEnd(battery, wires, byId) {
+  const chain = new Set([battery])
+  const nextBattery = from => wires
+    .filter(wire => isLegacyWire(wire) && wire.from === from.id)
+    .map(wire => byId.get(wire.to))
+    .find(comp => comp?.type === 'battery' && !chain.has(comp))
+
+  let end = battery
+  let next = nextBattery(end)
+  while (next) {
+    chain.add(next)
+    end = next
+    next = nextBattery(end)
+  }
+  return end
+}
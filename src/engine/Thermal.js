@@ -0,0 +1,158 @@
+/**
+ * Thermal - Temperature of parts that turn electrical power into heat
+ *
+ * Each dissipating part has a heat capacity (how much energy it takes to
+ * warm it up) and a thermal conductance to the air around it (how fast it
+ * sheds heat). Its temperature follows Newton's law of cooling:
+ *
+ *   C dT/dt = P - k (T - ambient)
+ *
+ * so it settles at ambient + P/k with a time constant of C/k. Each step is
+ * integrated exactly for constant power, so large time steps stay stable.
+ *
+ * Parts are described by:
+ * - fullPower: watts that, held steady, make it as hot as it shows
+ * - fullRise: °C above ambient it settles at with fullPower (heat level 1)
+ * - timeConstant: seconds to get ~63% of the way to a new temperature
+ * - maxRise: hottest it can get (optional)
+ *
+ * A bulb's tungsten filament conducts much better cold than white hot, so
+ * its resistance rises with temperature (see getFilamentResistance). The
+ * solver settles each bulb's end-of-step temperature together with the
+ * rest of the circuit (see settleFilamentResistance), so switching a cold
+ * bulb on draws an inrush current that dies away as the filament heats up.
+ *
+ * The solver writes component.temperature (°C) after each step.
+ */
+
+export const AMBIENT_TEMPERATURE = 20  // °C
+
+// A cold filament has this fraction of its hot resistance
+export const FILAMENT_COLD_RESISTANCE_RATIO = 0.1
+
+export const THERMAL_PROPERTIES = {
+  // 0.5W = warm, 1W = hot, 2W = overheating
+  resistor: { fullPower: 2.0, fullRise: 200, timeConstant: 2.0 },
+  // 1W = white hot at full brightness; past that the extra power leaves as light
+  lightbulb: { fullPower: 1.0, fullRise: 2480, timeConstant: 0.05, maxRise: 2480 }
+}
+
+/**
+ * Check if a component has a temperature
+ * @param {Object} component - Component
+ * @returns {boolean} True for resistors and bulbs
+ */
+export function isThermal(component) {
+  return component.type in THERMAL_PROPERTIES
+}
+
+/**
+ * Get a component's temperature
+ * Before it has been simulated, a part is taken to be at the temperature
+ * its present power would hold it at.
+ * @param {Object} component - Resistor or bulb
+ * @param {string} type - Thermal properties to use (default component.type)
+ * @returns {number} °C
+ */
+export function getTemperature(component, type = component.type) {
+  if (component.temperature !== undefined) return component.temperature
+  return getSteadyTemperature(type, component.power ?? getPower(component))
+}
+
+/**
+ * Get the temperature a steady power would settle a part at
+ * @param {string} type - 'resistor' | 'lightbulb'
+ * @param {number} power - Watts
+ * @returns {number} °C
+ */
+export function getSteadyTemperature(type, power) {
+  const { fullPower, fullRise, maxRise = Infinity } = THERMAL_PROPERTIES[type]
+  return AMBIENT_TEMPERATURE + Math.min(Math.max(0, power) * fullRise / fullPower, maxRise)
+}
+
+/**
+ * Work out a component's temperature after a step at a steady power
+ * @param {Object} component - Resistor or bulb (component.temperature at the start)
+ * @param {number} power - Watts dissipated through the step
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {number} °C at the end of the step
+ */
+export function stepTemperature(component, power, deltaTime) {
+  const start = component.temperature ?? AMBIENT_TEMPERATURE
+  const target = getSteadyTemperature(component.type, power)
+  const approach = 1 - Math.exp(-deltaTime / THERMAL_PROPERTIES[component.type].timeConstant)
+  return start + (target - start) * approach
+}
+
+/**
+ * Advance a component's temperature by one step
+ * @param {Object} component - Resistor or bulb
+ * @param {number} power - Watts dissipated through the step
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function updateTemperature(component, power, deltaTime) {
+  component.temperature = stepTemperature(component, power, deltaTime)
+}
+
+/**
+ * Get how hot a component is on its own scale
+ * @param {Object} component - Resistor or bulb
+ * @param {string} type - Thermal properties to use (default component.type)
+ * @returns {number} 0 at ambient - 1 at full heat
+ */
+export function getHeatLevel(component, type = component.type) {
+  const { fullRise } = THERMAL_PROPERTIES[type]
+  const rise = getTemperature(component, type) - AMBIENT_TEMPERATURE
+  return Math.max(0, Math.min(rise / fullRise, 1))
+}
+
+/**
+ * Get a bulb filament's resistance at a temperature
+ * Rises in a straight line from FILAMENT_COLD_RESISTANCE_RATIO of the
+ * bulb's rated resistance when cold to all of it when white hot.
+ * @param {number} resistance - Rated (hot) resistance in ohms
+ * @param {number} temperature - Filament temperature in °C
+ * @returns {number} Ohms
+ */
+export function getFilamentResistance(resistance, temperature) {
+  const { fullRise } = THERMAL_PROPERTIES.lightbulb
+  const heat = Math.max(0, Math.min((temperature - AMBIENT_TEMPERATURE) / fullRise, 1))
+  return resistance * (FILAMENT_COLD_RESISTANCE_RATIO + (1 - FILAMENT_COLD_RESISTANCE_RATIO) * heat)
+}
+
+/**
+ * Get the filament resistance a bulb settles at across a step
+ * Solves for the resistance whose I²R heating over the step brings the
+ * filament to the temperature giving that same resistance, with the
+ * voltage across the bulb held fixed.
+ * @param {Object} bulb - Light bulb (bulb.temperature at the start of the step)
+ * @param {number} resistance - Rated (hot) resistance in ohms
+ * @param {number} voltage - Voltage across the bulb
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {number} Ohms
+ */
+export function settleFilamentResistance(bulb, resistance, voltage, deltaTime) {
+  const { fullPower, fullRise, timeConstant } = THERMAL_PROPERTIES.lightbulb
+  const cold = FILAMENT_COLD_RESISTANCE_RATIO
+  const held = Math.exp(-deltaTime / timeConstant)  // Share of the starting heat kept
+  const start = Math.max(0, Math.min(((bulb.temperature ?? AMBIENT_TEMPERATURE) - AMBIENT_TEMPERATURE) / fullRise, 1))
+
+  // At full power or more it heats as fast as it can
+  const hottest = resistance * (cold + (1 - cold) * (held * start + 1 - held))
+  if (voltage * voltage / hottest >= fullPower) return hottest
+
+  // Otherwise R = rated × (cold + (1 - cold) × (held × start + (1 - held) × V² / (R × fullPower)))
+  const b = resistance * (cold + (1 - cold) * held * start)
+  const c = resistance * (1 - cold) * (1 - held) * voltage * voltage / fullPower
+  return (b + Math.sqrt(b * b + 4 * c)) / 2
+}
+
+/**
+ * Get the power a component dissipates from its current
+ * @param {Object} component - Resistor or bulb
+ * @returns {number} Watts (I²R)
+ */
+function getPower(component) {
+  const current = component.current || 0
+  return current * current * (component.resistance || 0)
+}
@@ -10,17 +10,23 @@
  * NO facial expressions or anthropomorphism - only physical state indicators
  */
 
+import { getTemperature, getHeatLevel } from './Thermal.js'
+import { getInductorEnergy } from './InductorSimulation.js'
+import { getWiperPosition, getPotLegs } from './Potentiometers.js'
+
 /**
  * Calculate visual rendering state for battery
  * @param {Object} battery - Battery component with charge property
- * @returns {Object} Visual state { chargePercent, chargeBarFill, state, glowIntensity }
+ * @returns {Object} Visual state { chargePercent, chargeBarFill, state, glowIntensity, shorted, heat, fault }
  */
 export function getBatteryVisualState(battery) {
   const chargePercent = Math.round(battery.charge * 100)
   const chargeBarFill = battery.charge
+  const shorted = battery.shorted === true
 
   let state
-  if (battery.charge > 0.75) state = 'full'
+  if (shorted) state = 'shorted'  // Terminals joined by bare wire - draining fast
+  else if (battery.charge > 0.75) state = 'full'
   else if (battery.charge > 0.5) state = 'medium'
   else if (battery.charge > 0.25) state = 'low'
   else if (battery.charge > 0) state = 'depleted'
@@ -30,23 +36,30 @@ export function getBatteryVisualState(battery) {
     chargePercent,
     chargeBarFill,
     state,
-    glowIntensity: battery.charge * 0.5  // Dim glow based on charge
+    glowIntensity: battery.charge * 0.5,  // Dim glow based on charge
+    shorted,
+    heat: battery.heat || 0,
+    fault: battery.fault === true
   }
 }
 
 /**
  * Calculate visual rendering state for LED
- * @param {Object} led - LED component with brightness property
- * @returns {Object} Visual state { brightness, brightnessPercent, glowIntensity, glowRadius, state }
+ * @param {Object} led - LED component with brightness, reverseBiased and damage properties
+ * @returns {Object} Visual state { brightness, brightnessPercent, glowIntensity, glowRadius, reverseBiased, damage, burntOut, state }
  */
 export function getLEDVisualState(led) {
   const brightness = led.brightness || 0
   const brightnessPercent = Math.round(brightness * 100)
   const glowIntensity = brightness
   const glowRadius = 5 + brightness * 15  // 5px base + up to 15px
+  const reverseBiased = led.reverseBiased === true
+  const burntOut = led.burntOut === true
 
   let state
-  if (brightness === 0) state = 'off'
+  if (burntOut) state = 'burnt'  // Over-current destroyed it - open for good
+  else if (reverseBiased) state = 'reverse'  // Wired backwards - blocks current
+  else if (brightness === 0) state = 'off'
   else if (brightness < 0.4) state = 'dim'
   else if (brightness < 0.8) state = 'medium'
   else state = 'bright'
@@ -56,14 +69,17 @@ export function getLEDVisualState(led) {
     brightnessPercent,
     glowIntensity,
     glowRadius,
+    reverseBiased,
+    damage: led.damage || 0,
+    burntOut,
     state
   }
 }
 
 /**
  * Calculate visual rendering state for resistor
- * @param {Object} resistor - Resistor component with current and resistance properties
- * @returns {Object} Visual state { powerDissipated, heatLevel, state, voltageDrop, current }
+ * @param {Object} resistor - Resistor component with current, resistance and temperature properties
+ * @returns {Object} Visual state { powerDissipated, heatLevel, temperature, state, voltageDrop, current }
  */
 export function getResistorVisualState(resistor) {
   const current = resistor.current || 0
@@ -72,9 +88,10 @@ export function getResistorVisualState(resistor) {
   // P = I² × R (power dissipated as heat)
   const powerDissipated = current * current * resistance
 
-  // Heat level (0-1 scale)
-  // 0.5W = warm, 1W = hot, 2W+ = very hot
-  let heatLevel = Math.min(powerDissipated / 2.0, 1.0)
+  // Heat level (0-1 scale) follows the temperature, which lags the power:
+  // held at 0.5W = warm, 1W = hot, 2W+ = very hot
+  const temperature = getTemperature(resistor, 'resistor')
+  const heatLevel = getHeatLevel(resistor, 'resistor')
 
   let state
   if (heatLevel < 0.25) state = 'cool'
@@ -85,12 +102,38 @@ export function getResistorVisualState(resistor) {
   return {
     powerDissipated,
     heatLevel,
+    temperature,
     state,
     voltageDrop: resistor.voltageDrop || 0,
     current
   }
 }
 
+/**
+ * Calculate visual rendering state for potentiometer
+ * @param {Object} pot - Potentiometer component with position and current properties
+ * @returns {Object} Visual state { position, legA, legB, current, wiperCurrent, state }
+ */
+export function getPotentiometerVisualState(pot) {
+  const { a, b } = getPotLegs(pot)
+  const current = pot.current || 0
+  const wiperCurrent = pot.wiperCurrent || 0
+
+  let state
+  if (current < 0.0001) state = 'idle'
+  else if (Math.abs(wiperCurrent) >= 0.0001) state = 'tapped'  // Current taken off at the wiper
+  else state = 'conducting'
+
+  return {
+    position: getWiperPosition(pot),
+    legA: a,
+    legB: b,
+    current,
+    wiperCurrent,
+    state
+  }
+}
+
 /**
  * Calculate visual rendering state for capacitor
  * @param {Object} capacitor - Capacitor component with voltage and maxVoltage properties
@@ -117,10 +160,92 @@ export function getCapacitorVisualState(capacitor) {
   }
 }
 
+/**
+ * Calculate visual rendering state for inductor
+ * @param {Object} inductor - Inductor component with current, voltage and inductance properties
+ * @returns {Object} Visual state { current, voltage, energy, fieldIntensity, direction, state }
+ */
+export function getInductorVisualState(inductor) {
+  const current = inductor.current || 0
+  const voltage = inductor.voltage || 0
+  const energy = getInductorEnergy(inductor)
+
+  // Field line strength (0-1 scale): 100mA = full
+  const fieldIntensity = Math.min(Math.abs(current) / 0.1, 1.0)
+  // Field builds while the voltage pushes the current up, collapses while it falls
+  let state
+  if (Math.abs(current) < 0.001) state = 'idle'
+  else if (voltage * current > 0) state = 'charging'
+  else state = 'discharging'
+
+  return {
+    current,
+    voltage,
+    energy,
+    fieldIntensity,
+    direction: Math.sign(current),
+    state
+  }
+}
+
+/**
+ * Calculate visual rendering state for motor
+ * @param {Object} motor - Motor component with rpm, current and angle properties
+ * @returns {Object} Visual state { rpm, speedFraction, direction, angle, current, state }
+ */
+export function getMotorVisualState(motor) {
+  const rpm = motor.rpm || 0
+  const current = motor.current || 0
+
+  // Spin blur strength (0-1 scale): 3000 RPM = full
+  const speedFraction = Math.min(Math.abs(rpm) / 3000, 1.0)
+
+  let state
+  if (Math.abs(rpm) >= 1) state = 'spinning'
+  else if (Math.abs(current) > 0.001) state = 'stalled'  // Powered but held by its load
+  else state = 'stopped'
+
+  return {
+    rpm,
+    speedFraction,
+    direction: Math.sign(rpm),
+    angle: motor.angle || 0,
+    current,
+    state
+  }
+}
+
+/**
+ * Calculate visual rendering state for buzzer
+ * @param {Object} buzzer - Buzzer component with pitch, volume and current properties
+ * @returns {Object} Visual state { pitch, volume, waves, current, state }
+ */
+export function getBuzzerVisualState(buzzer) {
+  const pitch = buzzer.pitch || 0
+  const volume = buzzer.volume || 0
+  const current = buzzer.current || 0
+
+  // Sound wave arcs drawn beside it (0-3): louder = more
+  const waves = pitch > 0 ? Math.max(1, Math.ceil(volume * 3)) : 0
+
+  let state
+  if (pitch > 0) state = 'buzzing'
+  else if (Math.abs(current) > 0.0001) state = 'weak'  // Powered, too little current to sound
+  else state = 'silent'
+
+  return {
+    pitch,
+    volume,
+    waves,
+    current,
+    state
+  }
+}
+
 /**
  * Calculate visual rendering state for light bulb
- * @param {Object} bulb - Light bulb component with brightness and power properties
- * @returns {Object} Visual state { brightness, brightnessPercent, glowIntensity, filamentHeat, state, power }
+ * @param {Object} bulb - Light bulb component with brightness, power and temperature properties
+ * @returns {Object} Visual state { brightness, brightnessPercent, glowIntensity, filamentHeat, temperature, state, power }
  */
 export function getLightBulbVisualState(bulb) {
   const brightness = bulb.brightness || 0
@@ -128,8 +253,9 @@ export function getLightBulbVisualState(bulb) {
   const glowIntensity = brightness
   const power = bulb.power || 0
 
-  // Filament heat based on power dissipation (incandescent heats up)
-  const filamentHeat = Math.min(power / 1.0, 1.0)
+  // Filament heat follows its temperature (white hot once held at 1W)
+  const temperature = getTemperature(bulb, 'lightbulb')
+  const filamentHeat = getHeatLevel(bulb, 'lightbulb')
 
   let state
   if (brightness === 0) state = 'off'
@@ -142,7 +268,33 @@ export function getLightBulbVisualState(bulb) {
     brightnessPercent,
     glowIntensity,
     filamentHeat,
+    temperature,
     state,
     power
   }
 }
+
+/**
+ * Calculate visual rendering state for diode
+ * @param {Object} diode - Diode component with current, conducting and blocking properties
+ * @returns {Object} Visual state { current, voltage, flowIntensity, state }
+ */
+export function getDiodeVisualState(diode) {
+  const current = diode.current || 0
+  const voltage = diode.voltage || 0
+
+  // Flow arrow strength (0-1 scale): 100mA = full
+  const flowIntensity = Math.min(current / 0.1, 1.0)
+
+  let state
+  if (diode.conducting && current > 0) state = 'conducting'
+  else if (diode.blocking) state = 'blocking'  // Reverse biased - holds current back
+  else state = 'off'
+
+  return {
+    current,
+    voltage,
+    flowIntensity,
+    state
+  }
+}
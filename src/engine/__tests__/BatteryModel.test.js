@@ -0,0 +1,162 @@
+/**
+ * BatteryModel.test.js - Unit tests for the battery cell model
+ *
+ * Tests:
+ * - Open-circuit voltage curve by state of charge and chemistry
+ * - Internal resistance and capacity defaults
+ * - Terminal voltage fallback before a battery is solved
+ * - Short-circuit detection, heating and the latched fault
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  BATTERY_INTERNAL_RESISTANCE,
+  getOCVFraction,
+  getOpenCircuitVoltage,
+  getInternalResistance,
+  getCapacity,
+  getTerminalVoltage,
+  isShortCircuited,
+  updateBatteryHeat,
+  SHORT_CIRCUIT_HEAT_TIME,
+  SHORT_CIRCUIT_COOL_TIME
+} from '../BatteryModel.js'
+import { CELL_CHEMISTRIES, getChemistryIds } from '../CellChemistry.js'
+
+describe('BatteryModel', () => {
+  describe('getOCVFraction', () => {
+    it('should give the full rated voltage when fresh', () => {
+      expect(getOCVFraction(1.0)).toBe(1)
+    })
+
+    it('should give nothing when depleted', () => {
+      expect(getOCVFraction(0)).toBe(0)
+      expect(getOCVFraction(undefined)).toBe(0)
+    })
+
+    it('should stay on a gentle plateau for most of the charge', () => {
+      expect(getOCVFraction(0.5)).toBeGreaterThan(0.97)
+      expect(getOCVFraction(0.1)).toBeCloseTo(0.97, 5)
+    })
+
+    it('should fall away near empty', () => {
+      expect(getOCVFraction(0.02)).toBeCloseTo(0.9, 5)
+      expect(getOCVFraction(0.01)).toBeCloseTo(0.75, 5)
+    })
+
+    it('should never rise as charge drops, for every chemistry', () => {
+      getChemistryIds().forEach(chemistry => {
+        let previous = getOCVFraction(1, chemistry)
+        for (let charge = 0.99; charge > 0; charge -= 0.01) {
+          const fraction = getOCVFraction(charge, chemistry)
+          expect(fraction).toBeLessThanOrEqual(previous)
+          previous = fraction
+        }
+      })
+    })
+
+    it('should follow the chemistry\'s own curve', () => {
+      // Half-used lemon has sagged; half-used saltwater jar has not
+      expect(getOCVFraction(0.5, 'lemon')).toBeCloseTo(0.93, 5)
+      expect(getOCVFraction(0.5, 'saltwater')).toBeGreaterThan(0.97)
+    })
+  })
+
+  describe('getOpenCircuitVoltage', () => {
+    it('should scale the rated voltage by the curve', () => {
+      expect(getOpenCircuitVoltage({ voltage: 0.9, charge: 1.0 })).toBeCloseTo(0.9, 5)
+      expect(getOpenCircuitVoltage({ voltage: 0.9, charge: 0.02 })).toBeCloseTo(0.81, 5)
+    })
+
+    it('should default to a 0.9V potato', () => {
+      expect(getOpenCircuitVoltage({ charge: 1.0 })).toBeCloseTo(0.9, 5)
+    })
+
+    it('should default to the chemistry\'s rated voltage', () => {
+      expect(getOpenCircuitVoltage({ charge: 1.0, chemistry: 'saltwater' })).toBeCloseTo(0.7, 5)
+    })
+  })
+
+  describe('getInternalResistance', () => {
+    it('should use the battery\'s own value', () => {
+      expect(getInternalResistance({ internalResistance: 2 })).toBe(2)
+    })
+
+    it('should default to the potato internal resistance', () => {
+      expect(getInternalResistance({})).toBe(BATTERY_INTERNAL_RESISTANCE)
+    })
+
+    it('should default to the chemistry\'s internal resistance', () => {
+      expect(getInternalResistance({ chemistry: 'lemon' })).toBe(CELL_CHEMISTRIES.lemon.internalResistance)
+    })
+  })
+
+  describe('getCapacity', () => {
+    it('should use the battery\'s own value', () => {
+      expect(getCapacity({ capacity: 4 })).toBe(4)
+    })
+
+    it('should default to the chemistry\'s capacity', () => {
+      expect(getCapacity({})).toBe(1)
+      expect(getCapacity({ chemistry: 'saltwater' })).toBe(CELL_CHEMISTRIES.saltwater.capacity)
+    })
+  })
+
+  describe('getTerminalVoltage', () => {
+    it('should use the solved terminal voltage', () => {
+      expect(getTerminalVoltage({ voltage: 0.9, charge: 1.0, terminalVoltage: 0.7 })).toBe(0.7)
+    })
+
+    it('should fall back to the open-circuit voltage', () => {
+      expect(getTerminalVoltage({ voltage: 0.9, charge: 1.0 })).toBeCloseTo(0.9, 5)
+    })
+  })
+
+  describe('isShortCircuited', () => {
+    it('should flag a battery whose terminal voltage has collapsed under load', () => {
+      expect(isShortCircuited({ voltage: 0.9, charge: 1.0, current: 180, terminalVoltage: 0 })).toBe(true)
+    })
+
+    it('should not flag a battery sagging under an ordinary load', () => {
+      expect(isShortCircuited({ voltage: 0.9, charge: 1.0, current: 2.4, terminalVoltage: 0.88 })).toBe(false)
+    })
+
+    it('should not flag a battery with no current or no charge', () => {
+      expect(isShortCircuited({ voltage: 0.9, charge: 1.0, current: 0, terminalVoltage: 0 })).toBe(false)
+      expect(isShortCircuited({ voltage: 0.9, charge: 0, current: 0, terminalVoltage: 0 })).toBe(false)
+    })
+  })
+
+  describe('updateBatteryHeat', () => {
+    it('should heat a shorted battery and latch the fault', () => {
+      const battery = { shorted: true }
+
+      updateBatteryHeat(battery, SHORT_CIRCUIT_HEAT_TIME / 2)
+      expect(battery.heat).toBeCloseTo(0.5, 5)
+      expect(battery.fault).toBe(true)
+
+      updateBatteryHeat(battery, SHORT_CIRCUIT_HEAT_TIME)
+      expect(battery.heat).toBe(1)
+    })
+
+    it('should cool down once the short is gone but keep the fault', () => {
+      const battery = { shorted: false, heat: 1, fault: true }
+
+      updateBatteryHeat(battery, SHORT_CIRCUIT_COOL_TIME / 4)
+      expect(battery.heat).toBeCloseTo(0.75, 5)
+
+      updateBatteryHeat(battery, SHORT_CIRCUIT_COOL_TIME)
+      expect(battery.heat).toBe(0)
+      expect(battery.fault).toBe(true)
+    })
+
+    it('should leave a healthy battery cold', () => {
+      const battery = { shorted: false }
+
+      updateBatteryHeat(battery, 0.01)
+
+      expect(battery.heat).toBe(0)
+      expect(battery.fault).toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * Buzzers.test.js - Unit tests for buzzers
+ *
+ * Tests:
+ * - Silence below the minimum current
+ * - Pitch and volume rising with the current, capped at full
+ * - Buzzers in a circuit, louder with more cells
+ * - Reset back to silence
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  BUZZER_RESISTANCE,
+  BUZZER_MIN_CURRENT,
+  BUZZER_FULL_CURRENT,
+  BUZZER_LOW_PITCH,
+  BUZZER_HIGH_PITCH,
+  stampBuzzer,
+  getBuzzerLevel,
+  getBuzzerPitch,
+  updateBuzzer
+} from '../Buzzers.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Potatoes in series (ids 1..count) → buzzer (50) → back
+const build = (count) => {
+  const simulator = new CircuitSimulator()
+  const batteries = Array.from({ length: count }, (_, i) => ({ id: i + 1, type: 'battery', voltage: 0.9, charge: 1.0 }))
+  const buzzer = { id: 50, type: 'buzzer' }
+  simulator.setComponents([...batteries, buzzer])
+  simulator.setWires([
+    ...batteries.slice(1).map((b, i) => ({ id: 100 + i, from: end(i + 1, '+'), to: end(b.id, '-') })),
+    { id: 200, from: end(count, '+'), to: end(50, 'a') },
+    { id: 201, from: end(50, 'b'), to: end(1, '-') }
+  ])
+  return { simulator, buzzer }
+}
+
+describe('Buzzers', () => {
+  it('should stamp its coil resistance', () => {
+    const system = { addResistor: vi.fn() }
+
+    stampBuzzer(system, { a: 1, b: 2 })
+
+    expect(system.addResistor).toHaveBeenCalledWith(1, 2, BUZZER_RESISTANCE)
+  })
+
+  it('should stay silent below the minimum current', () => {
+    expect(getBuzzerPitch(BUZZER_MIN_CURRENT * 0.9)).toBe(0)
+    expect(getBuzzerLevel(BUZZER_MIN_CURRENT * 0.9)).toBe(0)
+  })
+
+  it('should rise from the low pitch to the high pitch at full current', () => {
+    expect(getBuzzerPitch(BUZZER_MIN_CURRENT)).toBeCloseTo(BUZZER_LOW_PITCH)
+    expect(getBuzzerPitch(BUZZER_FULL_CURRENT)).toBeCloseTo(BUZZER_HIGH_PITCH)
+    expect(getBuzzerPitch(BUZZER_FULL_CURRENT * 2)).toBeCloseTo(BUZZER_HIGH_PITCH)
+    expect(getBuzzerLevel(BUZZER_FULL_CURRENT * 2)).toBe(1)
+  })
+
+  it('should climb by octaves, halfway up the current an octave up', () => {
+    const halfway = (BUZZER_MIN_CURRENT + BUZZER_FULL_CURRENT) / 2
+
+    expect(getBuzzerPitch(halfway)).toBeCloseTo(Math.sqrt(BUZZER_LOW_PITCH * BUZZER_HIGH_PITCH))
+    expect(getBuzzerLevel(halfway)).toBeCloseTo(0.5)
+  })
+
+  it('should sound the same whichever way round it is wired', () => {
+    const forward = {}
+    const backward = {}
+
+    updateBuzzer(forward, 2)
+    updateBuzzer(backward, -2)
+
+    expect(forward.current).toBeCloseTo(2 / BUZZER_RESISTANCE)
+    expect(backward.pitch).toBeCloseTo(forward.pitch)
+    expect(backward.volume).toBeCloseTo(forward.volume)
+    expect(forward.sounding).toBe(true)
+  })
+
+  it('should buzz louder and higher with more cells', () => {
+    const one = build(1)
+    const three = build(3)
+
+    one.simulator.simulate(0.1)
+    three.simulator.simulate(0.1)
+
+    expect(one.buzzer.sounding).toBe(true)
+    expect(three.buzzer.pitch).toBeGreaterThan(one.buzzer.pitch)
+    expect(three.buzzer.volume).toBeGreaterThan(one.buzzer.volume)
+  })
+
+  it('should fall silent on reset', () => {
+    const { simulator, buzzer } = build(2)
+    simulator.simulate(0.1)
+
+    const [reset] = simulator.resetCircuit([buzzer])
+
+    expect(reset.pitch).toBe(0)
+    expect(reset.volume).toBe(0)
+    expect(reset.current).toBe(0)
+    expect(reset.sounding).toBe(false)
+  })
+})
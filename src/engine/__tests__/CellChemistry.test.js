@@ -0,0 +1,58 @@
+/**
+ * CellChemistry.test.js - Unit tests for the cell chemistry catalogue
+ *
+ * Tests:
+ * - Every chemistry declares the values the battery model needs
+ * - Discharge curves run from empty to full
+ * - Lookup with fallback to potato
+ */
+
+import { describe, it, expect } from 'vitest'
+import { CELL_CHEMISTRIES, DEFAULT_CHEMISTRY, getChemistry, getChemistryIds } from '../CellChemistry.js'
+
+describe('CellChemistry', () => {
+  describe('CELL_CHEMISTRIES', () => {
+    it('should offer potato, lemon and saltwater cells', () => {
+      expect(getChemistryIds()).toEqual(['potato', 'lemon', 'saltwater'])
+    })
+
+    it('should give every chemistry a voltage, capacity, resistance and art label', () => {
+      Object.entries(CELL_CHEMISTRIES).forEach(([id, cell]) => {
+        expect(cell.id).toBe(id)
+        expect(cell.name).toBeTruthy()
+        expect(cell.emoji).toBeTruthy()
+        expect(cell.voltage).toBeGreaterThan(0)
+        expect(cell.capacity).toBeGreaterThan(0)
+        expect(cell.internalResistance).toBeGreaterThan(0)
+      })
+    })
+
+    it('should have discharge curves from empty to full', () => {
+      Object.values(CELL_CHEMISTRIES).forEach(cell => {
+        const charges = cell.curve.map(([charge]) => charge)
+
+        expect(charges[0]).toBe(0)
+        expect(charges[charges.length - 1]).toBe(1)
+        expect(cell.curve[cell.curve.length - 1][1]).toBe(1)
+        charges.slice(1).forEach((charge, i) => expect(charge).toBeGreaterThan(charges[i]))
+      })
+    })
+
+    it('should keep the potato as the classic 0.9V cell', () => {
+      expect(DEFAULT_CHEMISTRY).toBe('potato')
+      expect(CELL_CHEMISTRIES.potato.voltage).toBe(0.9)
+      expect(CELL_CHEMISTRIES.potato.capacity).toBe(1)
+    })
+  })
+
+  describe('getChemistry', () => {
+    it('should look up a chemistry by id', () => {
+      expect(getChemistry('lemon')).toBe(CELL_CHEMISTRIES.lemon)
+    })
+
+    it('should fall back to potato for missing or unknown ids', () => {
+      expect(getChemistry(undefined)).toBe(CELL_CHEMISTRIES.potato)
+      expect(getChemistry('banana')).toBe(CELL_CHEMISTRIES.potato)
+    })
+  })
+})
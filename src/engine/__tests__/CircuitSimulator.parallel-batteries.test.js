@@ -110,11 +110,6 @@ describe('CircuitSimulator - Parallel Batteries', () => {
     const charge2 = simulator2.components.filter(c => c.type === 'battery')
       .reduce((sum, b) => sum + b.charge, 0)
 
-    // Log drain rates for debugging
-    console.log('After 40 seconds:')
-    console.log(`  3 series batteries: ${charge1.toFixed(2)} / 3.00 charge remaining (${(charge1/3*100).toFixed(1)}%)`)
-    console.log(`  3x3 parallel batteries: ${charge2.toFixed(2)} / 9.00 charge remaining (${(charge2/9*100).toFixed(1)}%)`)
-
     // Parallel configuration should have MORE charge remaining (3x more capacity)
     // Circuit 1: 3 batteries = 3.0 total charge
     // Circuit 2: 9 batteries = 9.0 total charge
@@ -20,6 +20,24 @@ describe('CircuitSimulator - Reset Functionality', () => {
     expect(resetBattery.charge).toBe(1.0) // Full charge
   })
 
+  it('should reset a sagging battery to its unloaded voltage', () => {
+    const simulator = new CircuitSimulator()
+
+    const battery = {
+      id: 1,
+      type: 'battery',
+      charge: 0.3,
+      voltage: 0.9,
+      terminalVoltage: 0.5, // Sagging under load
+      current: 40
+    }
+
+    const [resetBattery] = simulator.resetCircuit([battery])
+
+    expect(resetBattery.terminalVoltage).toBeCloseTo(0.9, 5)
+    expect(resetBattery.current).toBe(0)
+  })
+
   it('should reset charged capacitors to empty', () => {
     const simulator = new CircuitSimulator()
 
@@ -142,4 +160,17 @@ describe('CircuitSimulator - Reset Functionality', () => {
     expect(components.find(c => c.id === 3).voltage).toBe(0)
     expect(components.find(c => c.id === 4).current).toBe(0)
   })
+  it('should release push buttons but keep toggle switch positions', () => {
+    const simulator = new CircuitSimulator()
+
+    const toggle = { id: 1, type: 'switch', closed: true, current: 0.2, x: 100, y: 100 }
+    const button = { id: 2, type: 'pushbutton', pressed: true, current: 0.2, x: 200, y: 100 }
+
+    const components = simulator.resetCircuit([toggle, button])
+
+    expect(components.find(c => c.id === 1).closed).toBe(true)
+    expect(components.find(c => c.id === 1).current).toBe(0)
+    expect(components.find(c => c.id === 2).pressed).toBe(false)
+    expect(components.find(c => c.id === 2).current).toBe(0)
+  })
 })
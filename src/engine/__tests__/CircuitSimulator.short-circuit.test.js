@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { CircuitSimulator } from '../CircuitSimulator'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+/**
+ * Short Circuit Tests
+ *
+ * A battery with bare wire (or a closed switch) from + back to - is shorted:
+ * - It is flagged shorted and found by findShortCircuits()
+ * - It drains far faster than under a real load
+ * - It heats up and keeps a fault until the circuit is reset
+ */
+describe('CircuitSimulator - Short Circuits', () => {
+  const shortedPotato = () => {
+    const simulator = new CircuitSimulator()
+    const battery = { id: 1, type: 'battery', charge: 1.0, voltage: 0.9 }
+    simulator.setComponents([battery])
+    simulator.setWires([{ id: 10, from: end(1, '+'), to: end(1, '-') }])
+    return { simulator, battery }
+  }
+
+  it('should flag a battery wired + to - as shorted', () => {
+    const { simulator, battery } = shortedPotato()
+
+    simulator.simulate(0.01)
+
+    expect(battery.shorted).toBe(true)
+    expect(battery.terminalVoltage).toBeCloseTo(0, 5)
+    expect(simulator.findShortCircuits()).toEqual([battery])
+  })
+
+  it('should flag a series chain shorted through a closed switch', () => {
+    const simulator = new CircuitSimulator()
+    const batteries = [1, 2].map(id => ({ id, type: 'battery', charge: 1.0, voltage: 0.9 }))
+    const toggle = { id: 3, type: 'switch', closed: true }
+    simulator.setComponents([...batteries, toggle])
+    simulator.setWires([
+      { id: 10, from: end(1, '+'), to: end(2, '-') },
+      { id: 11, from: end(2, '+'), to: end(3, 'a') },
+      { id: 12, from: end(3, 'b'), to: end(1, '-') }
+    ])
+
+    simulator.simulate(0.01)
+    expect(simulator.findShortCircuits()).toHaveLength(2)
+
+    toggle.closed = false
+    simulator.simulate(0.01)
+    expect(simulator.findShortCircuits()).toHaveLength(0)
+  })
+
+  it('should not flag a battery driving a bulb', () => {
+    const simulator = new CircuitSimulator()
+    const battery = { id: 1, type: 'battery', charge: 1.0, voltage: 0.9 }
+    const bulb = { id: 2, type: 'lightbulb', brightness: 0, resistance: 0.36 }
+    simulator.setComponents([battery, bulb])
+    simulator.setWires([
+      { id: 10, from: end(1, '+'), to: end(2, 'a') },
+      { id: 11, from: end(2, 'b'), to: end(1, '-') }
+    ])
+
+    simulator.simulate(0.01)
+
+    expect(battery.shorted).toBe(false)
+    expect(battery.heat).toBe(0)
+    expect(simulator.findShortCircuits()).toHaveLength(0)
+  })
+
+  it('should drain a shorted battery within a fraction of a second', () => {
+    const { simulator, battery } = shortedPotato()
+
+    for (let i = 0; i < 20; i++) simulator.simulate(0.01)
+
+    expect(battery.charge).toBe(0)
+  })
+
+  it('should heat up and keep the fault after the battery dies', () => {
+    const { simulator, battery } = shortedPotato()
+
+    simulator.simulate(0.01)
+    expect(battery.heat).toBeGreaterThan(0)
+    expect(battery.fault).toBe(true)
+
+    for (let i = 0; i < 20; i++) simulator.simulate(0.01)
+    expect(battery.shorted).toBe(false)  // Nothing left to push
+    expect(battery.fault).toBe(true)
+  })
+
+  it('should clear the short, heat and fault on reset', () => {
+    const { simulator, battery } = shortedPotato()
+
+    simulator.simulate(0.01)
+    const [reset] = simulator.resetCircuit([battery])
+
+    expect(reset.shorted).toBe(false)
+    expect(reset.heat).toBe(0)
+    expect(reset.fault).toBe(false)
+    expect(reset.charge).toBe(1.0)
+  })
+})
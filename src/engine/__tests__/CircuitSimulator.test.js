@@ -215,7 +215,11 @@ describe('CircuitSimulator', () => {
     it('should power LED from charged capacitor (no battery)', () => {
       const capacitor = { id: 1, type: 'capacitor', voltage: 3.0, capacitance: 0.001 }
       const led = { id: 2, type: 'led', brightness: 0 }
-      const wires = [{ from: 1, to: 2 }, { from: 2, to: 1 }]
+      // Capacitor + feeds the LED anode
+      const wires = [
+        { from: { componentId: 1, terminal: '+' }, to: { componentId: 2, terminal: 'anode' } },
+        { from: { componentId: 2, terminal: 'cathode' }, to: { componentId: 1, terminal: '-' } }
+      ]
 
       simulator.setComponents([capacitor, led])
       simulator.setWires(wires)
@@ -335,6 +339,27 @@ describe('CircuitSimulator', () => {
       expect(circuits).toHaveLength(0) // No valid circuit
     })
 
+    it('should not create circuit when no wire returns to the source', () => {
+      const battery = { id: 1, type: 'battery', voltage: 3.0, charge: 1.0 }
+      const led = { id: 2, type: 'led', brightness: 0 }
+      const wires = [{
+        id: 10,
+        from: { componentId: 1, terminal: '+' },
+        to: { componentId: 2, terminal: 'anode' }
+      }]
+
+      simulator.setComponents([battery, led])
+      simulator.setWires(wires)
+
+      expect(simulator.findCircuits()).toHaveLength(0)
+      expect(simulator.findOpenLoads()).toEqual([led])
+
+      simulator.simulate(0.1)
+      expect(led.brightness).toBe(0)
+      expect(led.current).toBeCloseTo(0, 9)
+      expect(battery.charge).toBe(1.0)
+    })
+
     it('should not create circuit for LED without power source', () => {
       const led = { id: 1, type: 'led', brightness: 0 }
       const resistor = { id: 2, type: 'resistor', resistance: 100 }
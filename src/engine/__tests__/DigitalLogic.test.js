@@ -0,0 +1,146 @@
+/**
+ * DigitalLogic.test.js - Unit tests for logic levels and gates
+ *
+ * Tests:
+ * - Three-valued truth tables for AND, OR, NOT and XOR
+ * - Set/reset latch holding, setting, resetting and the forbidden state
+ * - Threshold conversion between voltages and levels
+ * - Stamping input pull-downs and analog-driving outputs
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  HIGH,
+  LOW,
+  UNDEFINED,
+  evaluateLogic,
+  isLogicComponent,
+  voltageToLogic,
+  logicToVoltage,
+  stampLogicComponent,
+  LOGIC_HIGH_THRESHOLD,
+  LOGIC_LOW_THRESHOLD,
+  LOGIC_OUTPUT_VOLTAGE,
+  LOGIC_OUTPUT_RESISTANCE,
+  LOGIC_PULL_DOWN_RESISTANCE
+} from '../DigitalLogic.js'
+
+const gate = type => ({ type })
+
+describe('DigitalLogic', () => {
+  describe('isLogicComponent', () => {
+    it('should recognise gates and latches only', () => {
+      expect(isLogicComponent(gate('and'))).toBe(true)
+      expect(isLogicComponent(gate('latch'))).toBe(true)
+      expect(isLogicComponent(gate('relay'))).toBe(false)
+    })
+  })
+
+  describe('gates', () => {
+    it('should follow the AND truth table', () => {
+      expect(evaluateLogic(gate('and'), [LOW, LOW])).toBe(LOW)
+      expect(evaluateLogic(gate('and'), [HIGH, LOW])).toBe(LOW)
+      expect(evaluateLogic(gate('and'), [HIGH, HIGH])).toBe(HIGH)
+    })
+
+    it('should follow the OR truth table', () => {
+      expect(evaluateLogic(gate('or'), [LOW, LOW])).toBe(LOW)
+      expect(evaluateLogic(gate('or'), [LOW, HIGH])).toBe(HIGH)
+      expect(evaluateLogic(gate('or'), [HIGH, HIGH])).toBe(HIGH)
+    })
+
+    it('should follow the XOR truth table', () => {
+      expect(evaluateLogic(gate('xor'), [LOW, LOW])).toBe(LOW)
+      expect(evaluateLogic(gate('xor'), [HIGH, LOW])).toBe(HIGH)
+      expect(evaluateLogic(gate('xor'), [HIGH, HIGH])).toBe(LOW)
+    })
+
+    it('should invert with NOT', () => {
+      expect(evaluateLogic(gate('not'), [LOW])).toBe(HIGH)
+      expect(evaluateLogic(gate('not'), [HIGH])).toBe(LOW)
+      expect(evaluateLogic(gate('not'), [UNDEFINED])).toBe(UNDEFINED)
+    })
+
+    it('should only spread UNDEFINED when it could change the answer', () => {
+      expect(evaluateLogic(gate('and'), [LOW, UNDEFINED])).toBe(LOW)
+      expect(evaluateLogic(gate('and'), [HIGH, UNDEFINED])).toBe(UNDEFINED)
+      expect(evaluateLogic(gate('or'), [HIGH, UNDEFINED])).toBe(HIGH)
+      expect(evaluateLogic(gate('or'), [LOW, UNDEFINED])).toBe(UNDEFINED)
+      expect(evaluateLogic(gate('xor'), [LOW, UNDEFINED])).toBe(UNDEFINED)
+    })
+  })
+
+  describe('latch', () => {
+    const latch = gate('latch')
+
+    it('should set and reset', () => {
+      expect(evaluateLogic(latch, [HIGH, LOW], LOW)).toBe(HIGH)
+      expect(evaluateLogic(latch, [LOW, HIGH], HIGH)).toBe(LOW)
+    })
+
+    it('should hold its level while both inputs are low', () => {
+      expect(evaluateLogic(latch, [LOW, LOW], HIGH)).toBe(HIGH)
+      expect(evaluateLogic(latch, [LOW, LOW], LOW)).toBe(LOW)
+    })
+
+    it('should be undefined when set and reset together', () => {
+      expect(evaluateLogic(latch, [HIGH, HIGH], HIGH)).toBe(UNDEFINED)
+    })
+  })
+
+  describe('threshold conversion', () => {
+    it('should read voltages at or beyond the thresholds as levels', () => {
+      expect(voltageToLogic(LOGIC_HIGH_THRESHOLD)).toBe(HIGH)
+      expect(voltageToLogic(2.7)).toBe(HIGH)
+      expect(voltageToLogic(LOGIC_LOW_THRESHOLD)).toBe(LOW)
+      expect(voltageToLogic(0)).toBe(LOW)
+    })
+
+    it('should read voltages between the thresholds as UNDEFINED', () => {
+      expect(voltageToLogic((LOGIC_HIGH_THRESHOLD + LOGIC_LOW_THRESHOLD) / 2)).toBe(UNDEFINED)
+    })
+
+    it('should drive levels as output voltages', () => {
+      expect(logicToVoltage(HIGH)).toBe(LOGIC_OUTPUT_VOLTAGE)
+      expect(logicToVoltage(LOW)).toBe(0)
+      expect(logicToVoltage(UNDEFINED)).toBeNull()
+    })
+
+    it('should read its own output levels back unchanged', () => {
+      expect(voltageToLogic(logicToVoltage(HIGH))).toBe(HIGH)
+      expect(voltageToLogic(logicToVoltage(LOW))).toBe(LOW)
+    })
+  })
+
+  describe('stampLogicComponent', () => {
+    const nodes = { in1: 1, in2: 2, out: 3, gnd: 4 }
+    const makeSystem = () => ({ addResistor: vi.fn(), addVoltageSource: vi.fn() })
+
+    it('should pull every input down to gnd', () => {
+      const system = makeSystem()
+
+      stampLogicComponent(system, { type: 'and', output: HIGH, drivesAnalog: false }, nodes, undefined)
+
+      expect(system.addResistor).toHaveBeenCalledWith(1, 4, LOGIC_PULL_DOWN_RESISTANCE)
+      expect(system.addResistor).toHaveBeenCalledWith(2, 4, LOGIC_PULL_DOWN_RESISTANCE)
+      expect(system.addVoltageSource).not.toHaveBeenCalled()
+    })
+
+    it('should drive an analog output behind the output resistance', () => {
+      const system = makeSystem()
+
+      stampLogicComponent(system, { type: 'and', output: HIGH, drivesAnalog: true }, nodes, 5)
+
+      expect(system.addVoltageSource).toHaveBeenCalledWith(5, 4, LOGIC_OUTPUT_VOLTAGE)
+      expect(system.addResistor).toHaveBeenCalledWith(5, 3, LOGIC_OUTPUT_RESISTANCE)
+    })
+
+    it('should let go of an UNDEFINED output', () => {
+      const system = makeSystem()
+
+      stampLogicComponent(system, { type: 'and', output: UNDEFINED, drivesAnalog: true }, nodes, 5)
+
+      expect(system.addVoltageSource).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,210 @@
+/**
+ * DigitalSimulator.test.js - Unit tests for the event-driven logic layer
+ *
+ * Tests:
+ * - Propagation delays through chains of gates
+ * - Open inputs pulled LOW, contested nets UNDEFINED
+ * - Analog → digital: switches and batteries driving gate inputs
+ * - Digital → analog: gate outputs lighting LEDs
+ * - Latches holding their state between pulses
+ * - Reset of levels and pending events
+ */
+
+import { describe, it, expect } from 'vitest'
+import { DigitalSimulator } from '../DigitalSimulator.js'
+import { GraphAnalyzer } from '../GraphAnalyzer.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+import { HIGH, LOW, UNDEFINED, GATE_DELAY } from '../DigitalLogic.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Run the logic alone (no analog parts, so no voltages are needed)
+const logicOnly = (components, wires) => {
+  const digital = new DigitalSimulator()
+  digital.prepare(components, new GraphAnalyzer(components, wires).buildNets())
+  return digital
+}
+
+// Three potatoes in series (ids 1-3): 1(-) is ground, 3(+) is 2.7V
+const potatoChain = () => [1, 2, 3].map(id => ({ id, type: 'battery', voltage: 0.9, charge: 1.0 }))
+const chainWires = [
+  { id: 100, from: end(1, '+'), to: end(2, '-') },
+  { id: 101, from: end(2, '+'), to: end(3, '-') }
+]
+
+describe('DigitalSimulator', () => {
+  describe('pure logic', () => {
+    it('should propagate through each gate after its delay', () => {
+      const first = { id: 1, type: 'not' }
+      const second = { id: 2, type: 'not' }
+      const digital = logicOnly([first, second], [
+        { id: 10, from: end(1, 'out'), to: end(2, 'in') }
+      ])
+
+      digital.step([], GATE_DELAY * 1.5)
+      expect(first.output).toBe(HIGH)
+      expect(second.output).toBe(UNDEFINED)
+
+      digital.step([], GATE_DELAY)
+      expect(second.inputs).toEqual({ in: HIGH })
+      expect(second.output).toBe(LOW)
+    })
+
+    it('should settle a long chain within one 10ms step', () => {
+      const gates = Array.from({ length: 8 }, (_, i) => ({ id: i + 1, type: 'not' }))
+      const wires = gates.slice(1).map((gate, i) => ({ id: 10 + i, from: end(i + 1, 'out'), to: end(gate.id, 'in') }))
+      const digital = logicOnly(gates, wires)
+
+      digital.step([], 0.01)
+
+      // Open input LOW → HIGH, LOW, HIGH, ...
+      gates.forEach((gate, i) => {
+        expect(gate.output).toBe(i % 2 === 0 ? HIGH : LOW)
+      })
+    })
+
+    it('should read an open input as LOW', () => {
+      const gate = { id: 1, type: 'or' }
+      const digital = logicOnly([gate], [])
+
+      digital.step([], 0.01)
+
+      expect(gate.inputs).toEqual({ in1: LOW, in2: LOW })
+      expect(gate.output).toBe(LOW)
+    })
+
+    it('should mark a net UNDEFINED when outputs fight over it', () => {
+      const high = { id: 1, type: 'not' }                 // open input → HIGH
+      const driver = { id: 2, type: 'not' }               // open input → HIGH
+      const low = { id: 3, type: 'not' }                  // driven HIGH → LOW
+      const reader = { id: 4, type: 'and' }
+      const digital = logicOnly([high, driver, low, reader], [
+        { id: 10, from: end(2, 'out'), to: end(3, 'in') },
+        { id: 11, from: end(1, 'out'), to: end(4, 'in1') },
+        { id: 12, from: end(3, 'out'), to: end(4, 'in1') }
+      ])
+
+      digital.step([], 0.01)
+
+      expect(high.output).toBe(HIGH)
+      expect(low.output).toBe(LOW)
+      expect(reader.inputs.in1).toBe(UNDEFINED)
+    })
+  })
+
+  describe('analog boundary', () => {
+    // chain + → switch A → and.in1, chain + → switch B → and.in2,
+    // and.out → LED → chain -, and.gnd → chain -
+    const build = ({ wireGnd = true } = {}) => {
+      const simulator = new CircuitSimulator()
+      const switchA = { id: 4, type: 'switch', closed: false }
+      const switchB = { id: 5, type: 'switch', closed: false }
+      const gate = { id: 6, type: 'and' }
+      const led = { id: 7, type: 'led', brightness: 0 }
+      const wires = [
+        ...chainWires,
+        { id: 10, from: end(3, '+'), to: end(4, 'a') },
+        { id: 11, from: end(4, 'b'), to: end(6, 'in1') },
+        { id: 12, from: end(3, '+'), to: end(5, 'a') },
+        { id: 13, from: end(5, 'b'), to: end(6, 'in2') },
+        { id: 14, from: end(6, 'out'), to: end(7, 'anode') },
+        { id: 15, from: end(7, 'cathode'), to: end(1, '-') }
+      ]
+      if (wireGnd) wires.push({ id: 16, from: end(6, 'gnd'), to: end(1, '-') })
+
+      simulator.setComponents([...potatoChain(), switchA, switchB, gate, led])
+      simulator.setWires(wires)
+      return { simulator, switchA, switchB, gate, led }
+    }
+
+    const run = (simulator, steps = 3) => {
+      for (let i = 0; i < steps; i++) simulator.simulate(0.01)
+    }
+
+    it('should read switch positions through the voltage thresholds', () => {
+      const { simulator, switchA, gate } = build()
+
+      run(simulator)
+      expect(gate.inputs).toEqual({ in1: LOW, in2: LOW })
+
+      switchA.closed = true
+      run(simulator)
+      expect(gate.inputs).toEqual({ in1: HIGH, in2: LOW })
+    })
+
+    it('should light an LED from a HIGH output', () => {
+      const { simulator, switchA, switchB, gate, led } = build()
+
+      switchA.closed = true
+      run(simulator)
+      expect(gate.output).toBe(LOW)
+      expect(led.brightness).toBe(0)
+
+      switchB.closed = true
+      run(simulator)
+      expect(gate.drivesAnalog).toBe(true)
+      expect(gate.output).toBe(HIGH)
+      expect(led.brightness).toBeGreaterThan(0.1)
+    })
+
+    it('should count the gate as the LED\'s source for loop finding', () => {
+      const { simulator } = build()
+
+      expect(simulator.findOpenLoads()).toHaveLength(0)
+    })
+
+    it('should make a latch remember the last pulse', () => {
+      const simulator = new CircuitSimulator()
+      const setButton = { id: 4, type: 'pushbutton', pressed: false }
+      const resetButton = { id: 5, type: 'pushbutton', pressed: false }
+      const latch = { id: 6, type: 'latch' }
+
+      simulator.setComponents([...potatoChain(), setButton, resetButton, latch])
+      simulator.setWires([
+        ...chainWires,
+        { id: 10, from: end(3, '+'), to: end(4, 'a') },
+        { id: 11, from: end(4, 'b'), to: end(6, 'set') },
+        { id: 12, from: end(3, '+'), to: end(5, 'a') },
+        { id: 13, from: end(5, 'b'), to: end(6, 'reset') },
+        { id: 14, from: end(6, 'gnd'), to: end(1, '-') }
+      ])
+
+      setButton.pressed = true
+      run(simulator)
+      setButton.pressed = false
+      run(simulator)
+      expect(latch.inputs).toEqual({ set: LOW, reset: LOW })
+      expect(latch.output).toBe(HIGH)
+
+      resetButton.pressed = true
+      run(simulator)
+      resetButton.pressed = false
+      run(simulator)
+      expect(latch.output).toBe(LOW)
+    })
+
+    it('should not read analog inputs without a wired gnd', () => {
+      const { simulator, switchA, gate } = build({ wireGnd: false })
+
+      switchA.closed = true
+      run(simulator)
+
+      expect(gate.inputs.in1).toBe(UNDEFINED)
+    })
+
+    it('should clear levels and pending events on reset', () => {
+      const { simulator, switchA, switchB, gate } = build()
+
+      switchA.closed = true
+      switchB.closed = true
+      run(simulator)
+
+      const [reset] = simulator.resetCircuit([gate])
+
+      expect(reset.output).toBe(UNDEFINED)
+      expect(reset.inputs).toEqual({})
+      expect(simulator.digital.scheduler.time).toBe(0)
+      expect(simulator.digital.scheduler.hasPendingEvents()).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,184 @@
+/**
+ * Diodes.test.js - Unit tests for the rectifier diode model
+ *
+ * Tests:
+ * - Stamping the off (leakage only) and on (forward drop) regions
+ * - Region changes around the forward voltage
+ * - Forward conduction with a ~0.6V drop in a running simulation
+ * - Blocking when wired backwards
+ * - Holding a capacitor's charge when the battery side collapses
+ * - Reset state
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { stampDiode, nextDiodeRegion, updateDiode, DIODE_FORWARD_VOLTAGE, DIODE_ON_RESISTANCE } from '../Diodes.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Three potatoes in series: ids 1-3, 2.7V between 1(-) and 3(+)
+const potatoChain = () => [1, 2, 3].map(id => ({ id, type: 'battery', voltage: 0.9, charge: 1.0 }))
+const chainWires = [
+  { id: 20, from: end(1, '+'), to: end(2, '-') },
+  { id: 21, from: end(2, '+'), to: end(3, '-') }
+]
+
+describe('Diodes', () => {
+  describe('stampDiode', () => {
+    it('should only stamp leakage when off', () => {
+      const system = { addResistor: vi.fn(), addConductance: vi.fn(), addCurrentSource: vi.fn() }
+
+      stampDiode(system, { anode: 1, cathode: 2 }, 'off')
+
+      expect(system.addResistor).toHaveBeenCalledTimes(1)
+      expect(system.addConductance).not.toHaveBeenCalled()
+      expect(system.addCurrentSource).not.toHaveBeenCalled()
+    })
+
+    it('should stamp the forward drop behind the on resistance when on', () => {
+      const system = { addResistor: vi.fn(), addConductance: vi.fn(), addCurrentSource: vi.fn() }
+
+      stampDiode(system, { anode: 1, cathode: 2 }, 'on')
+
+      expect(system.addConductance).toHaveBeenCalledWith(1, 2, 1 / DIODE_ON_RESISTANCE)
+      expect(system.addCurrentSource).toHaveBeenCalledWith(2, 1, DIODE_FORWARD_VOLTAGE * (1 / DIODE_ON_RESISTANCE))
+    })
+  })
+
+  describe('nextDiodeRegion', () => {
+    it('should switch on once the forward voltage is exceeded', () => {
+      expect(nextDiodeRegion('off', 0.5)).toBe('off')
+      expect(nextDiodeRegion('off', 0.7)).toBe('on')
+    })
+
+    it('should switch off rather than conduct backwards', () => {
+      expect(nextDiodeRegion('on', 0.65)).toBe('on')
+      expect(nextDiodeRegion('on', 0.55)).toBe('off')
+      expect(nextDiodeRegion('on', -1)).toBe('off')
+    })
+  })
+
+  describe('updateDiode', () => {
+    it('should report forward current above the drop', () => {
+      const diode = { type: 'diode' }
+
+      updateDiode(diode, 0.61, 'on')
+
+      expect(diode.conducting).toBe(true)
+      expect(diode.current).toBeCloseTo(0.01 / DIODE_ON_RESISTANCE, 6)
+      expect(diode.blocking).toBe(false)
+    })
+
+    it('should flag a reverse-biased diode as blocking', () => {
+      const diode = { type: 'diode' }
+
+      updateDiode(diode, -2, 'off')
+
+      expect(diode.current).toBe(0)
+      expect(diode.conducting).toBe(false)
+      expect(diode.blocking).toBe(true)
+    })
+  })
+
+  describe('in a circuit', () => {
+    // chain + → diode → resistor → chain -
+    const build = diodeWires => {
+      const simulator = new CircuitSimulator()
+      const diode = { id: 4, type: 'diode' }
+      const resistor = { id: 5, type: 'resistor', resistance: 100 }
+
+      simulator.setComponents([...potatoChain(), diode, resistor])
+      simulator.setWires([...chainWires, ...diodeWires])
+      return { simulator, diode, resistor }
+    }
+
+    it('should conduct anode to cathode with about 0.6V dropped', () => {
+      const { simulator, diode, resistor } = build([
+        { id: 10, from: end(3, '+'), to: end(4, 'anode') },
+        { id: 11, from: end(4, 'cathode'), to: end(5, 'a') },
+        { id: 12, from: end(5, 'b'), to: end(1, '-') }
+      ])
+
+      simulator.simulate(0.1)
+
+      expect(diode.conducting).toBe(true)
+      expect(diode.voltage).toBeCloseTo(DIODE_FORWARD_VOLTAGE, 2)
+      expect(resistor.voltageDrop).toBeCloseTo(2.7 - DIODE_FORWARD_VOLTAGE, 1)
+      expect(diode.current).toBeCloseTo(resistor.current, 4)
+    })
+
+    it('should block when wired backwards', () => {
+      const { simulator, diode, resistor } = build([
+        { id: 10, from: end(3, '+'), to: end(4, 'cathode') },
+        { id: 11, from: end(4, 'anode'), to: end(5, 'a') },
+        { id: 12, from: end(5, 'b'), to: end(1, '-') }
+      ])
+
+      simulator.simulate(0.1)
+
+      expect(diode.conducting).toBe(false)
+      expect(diode.blocking).toBe(true)
+      expect(diode.voltage).toBeCloseTo(-2.7, 1)
+      expect(resistor.current).toBeLessThan(1e-6)
+    })
+
+    it('should stop a capacitor draining back into the battery side', () => {
+      // chain + → diode → capacitor, with a lamp resistor across the chain
+      const build = withDiode => {
+        const simulator = new CircuitSimulator()
+        const batteries = potatoChain()
+        const capacitor = { id: 6, type: 'capacitor', capacitance: 0.1, voltage: 0, maxVoltage: 5.0 }
+        const components = [...batteries, { id: 5, type: 'resistor', resistance: 20 }, capacitor]
+        const wires = [
+          ...chainWires,
+          { id: 12, from: end(3, '+'), to: end(5, 'a') },
+          { id: 13, from: end(5, 'b'), to: end(1, '-') },
+          { id: 14, from: end(6, '-'), to: end(1, '-') }
+        ]
+        if (withDiode) {
+          components.push({ id: 4, type: 'diode' })
+          wires.push(
+            { id: 10, from: end(3, '+'), to: end(4, 'anode') },
+            { id: 11, from: end(4, 'cathode'), to: end(6, '+') }
+          )
+        } else {
+          wires.push({ id: 10, from: end(3, '+'), to: end(6, '+') })
+        }
+
+        simulator.setComponents(components)
+        simulator.setWires(wires)
+        return { simulator, batteries, capacitor }
+      }
+
+      const settle = ({ simulator, batteries, capacitor }) => {
+        for (let i = 0; i < 50; i++) simulator.simulate(0.1)
+        const charged = capacitor.voltage
+
+        // The potatoes give out
+        batteries.forEach(battery => { battery.charge = 0 })
+        for (let i = 0; i < 50; i++) simulator.simulate(0.1)
+        return { charged, held: capacitor.voltage }
+      }
+
+      const protectedCap = settle(build(true))
+      const unprotectedCap = settle(build(false))
+
+      expect(protectedCap.charged).toBeGreaterThan(1.5)
+      expect(protectedCap.held).toBeCloseTo(protectedCap.charged, 2)
+      expect(unprotectedCap.held).toBeLessThan(unprotectedCap.charged * 0.5)
+    })
+
+    it('should clear the operating point on reset', () => {
+      const simulator = new CircuitSimulator()
+
+      const [diode] = simulator.resetCircuit([
+        { id: 1, type: 'diode', voltage: 0.6, current: 0.02, conducting: true, blocking: false }
+      ])
+
+      expect(diode.voltage).toBe(0)
+      expect(diode.current).toBe(0)
+      expect(diode.conducting).toBe(false)
+      expect(diode.blocking).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,160 @@
+/**
+ * EnergyLedger.test.js - Unit tests for energy accounting
+ *
+ * Tests:
+ * - Energy conserved: supplied = dissipated + stored
+ * - Heat in a resistor and the battery's own resistance
+ * - Energy stored in a capacitor's and an inductor's field
+ * - Efficiency of a lit LED
+ * - Batteries draining by the energy they supply
+ * - Clearing on reset
+ */
+
+import { describe, it, expect } from 'vitest'
+import { EnergyLedger, getStepEnergy } from '../EnergyLedger.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+import { BATTERY_ENERGY } from '../CircuitSolver.js'
+import { ComponentFactory } from '../../utils/ComponentFactory.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Two batteries in series (+ to -) across parts chained a → b
+function run(parts, links, steps, deltaTime = 0.01) {
+  const simulator = new CircuitSimulator()
+  const batteries = [1, 2].map(id => ComponentFactory.createBattery(id))
+  const components = simulator.resetCircuit([...batteries, ...parts])
+  simulator.setComponents(components)
+  simulator.setWires([
+    { id: 100, from: end(1, '+'), to: end(2, '-') },
+    ...links.map((link, i) => ({ id: 101 + i, ...link }))
+  ])
+  for (let i = 0; i < steps; i++) simulator.simulate(deltaTime)
+  return simulator
+}
+
+// The relative size of what conservation leaves unaccounted for
+const imbalance = totals => Math.abs(totals.imbalance) / totals.supplied
+
+describe('EnergyLedger', () => {
+  it('should turn everything a resistor is supplied with into heat', () => {
+    const simulator = run([ComponentFactory.createResistor(3, 100)], [
+      { from: end(2, '+'), to: end(3, 'a') },
+      { from: end(3, 'b'), to: end(1, '-') }
+    ], 1, 1)
+
+    const totals = simulator.getEnergyLedger()
+    const resistor = simulator.components[2]
+
+    // 1.8V across 100Ω for a second
+    expect(totals.components[3].dissipated).toBeCloseTo(resistor.voltageDrop * resistor.current, 6)
+    expect(totals.stored).toBe(0)
+    expect(imbalance(totals)).toBeLessThan(1e-9)
+    expect(totals.efficiency).toBe(0)
+  })
+
+  it('should count the heat in a battery\'s own resistance', () => {
+    const simulator = run([ComponentFactory.createResistor(3, 10)], [
+      { from: end(2, '+'), to: end(3, 'a') },
+      { from: end(3, 'b'), to: end(1, '-') }
+    ], 10)
+
+    const battery = simulator.getEnergyLedger().components[1]
+
+    expect(battery.supplied).toBeGreaterThan(0)
+    expect(battery.dissipated).toBeGreaterThan(0)
+    expect(battery.dissipated).toBeLessThan(battery.supplied * 0.01)
+  })
+
+  it('should store ½CV² in a charging capacitor', () => {
+    const capacitor = ComponentFactory.createCapacitor(3, 0.1)
+    const simulator = run([ComponentFactory.createResistor(4, 10), capacitor], [
+      { from: end(2, '+'), to: end(4, 'a') },
+      { from: end(4, 'b'), to: end(3, '+') },
+      { from: end(3, '-'), to: end(1, '-') }
+    ], 200, 0.001)
+
+    const totals = simulator.getEnergyLedger()
+    const voltage = simulator.components[3].voltage
+
+    expect(totals.components[3].stored).toBeCloseTo(0.5 * 0.1 * voltage * voltage, 2)
+    // The ESR heats up on the way in
+    expect(totals.components[3].dissipated).toBeGreaterThan(0)
+    expect(imbalance(totals)).toBeLessThan(1e-9)
+  })
+
+  it('should store ½LI² in an inductor\'s field', () => {
+    const simulator = run([ComponentFactory.createResistor(4, 10), ComponentFactory.createInductor(3)], [
+      { from: end(2, '+'), to: end(4, 'a') },
+      { from: end(4, 'b'), to: end(3, 'a') },
+      { from: end(3, 'b'), to: end(1, '-') }
+    ], 100, 0.001)
+
+    const totals = simulator.getEnergyLedger()
+    const current = simulator.components[3].current
+
+    // Within the little that stepping loses on the way
+    const field = 0.5 * 1.0 * current * current
+    expect(Math.abs(totals.components[3].stored - field) / field).toBeLessThan(0.02)
+    expect(imbalance(totals)).toBeLessThan(1e-9)
+  })
+
+  it('should count the light from an LED as useful', () => {
+    const simulator = run([ComponentFactory.createResistor(3, 10), ComponentFactory.createLED(4)], [
+      { from: end(2, '+'), to: end(3, 'a') },
+      { from: end(3, 'b'), to: end(4, 'anode') },
+      { from: end(4, 'cathode'), to: end(1, '-') }
+    ], 100)
+
+    const totals = simulator.getEnergyLedger()
+
+    expect(totals.useful).toBeCloseTo(totals.components[4].dissipated, 12)
+    expect(totals.efficiency).toBeGreaterThan(0.5)
+    expect(totals.efficiency).toBeLessThan(1)
+    expect(imbalance(totals)).toBeLessThan(1e-9)
+  })
+
+  it('should drain a battery by the energy it supplied', () => {
+    const simulator = run([ComponentFactory.createResistor(3, 10)], [
+      { from: end(2, '+'), to: end(3, 'a') },
+      { from: end(3, 'b'), to: end(1, '-') }
+    ], 50)
+
+    const [battery] = simulator.components
+    const { supplied } = simulator.getEnergyLedger().components[1]
+
+    expect(1 - battery.charge).toBeCloseTo(supplied / (BATTERY_ENERGY * battery.capacity), 9)
+  })
+
+  it('should empty on reset', () => {
+    const simulator = run([ComponentFactory.createResistor(3)], [
+      { from: end(2, '+'), to: end(3, 'a') },
+      { from: end(3, 'b'), to: end(1, '-') }
+    ], 10)
+
+    simulator.resetCircuit(simulator.components)
+
+    const totals = simulator.getEnergyLedger()
+    expect(totals.supplied).toBe(0)
+    expect(totals.efficiency).toBeNull()
+    expect(totals.components).toEqual({})
+  })
+
+  it('should add up steps per component', () => {
+    const ledger = new EnergyLedger()
+    const components = [{ id: 1, type: 'battery' }, { id: 2, type: 'lightbulb' }]
+    const step = new Map([
+      [1, getStepEnergy(components[0], { absorbed: 0.5, supplied: 10 }, 0.1)],
+      [2, getStepEnergy(components[1], { absorbed: 9.5, supplied: 0 }, 0.1)]
+    ])
+
+    ledger.record(step, components)
+    ledger.record(step, components)
+
+    const totals = ledger.getTotals()
+    expect(totals.supplied).toBeCloseTo(2, 12)
+    expect(totals.components[1].dissipated).toBeCloseTo(0.1, 12)
+    expect(totals.useful).toBeCloseTo(1.9, 12)
+    expect(totals.efficiency).toBeCloseTo(0.95, 12)
+    expect(totals.imbalance).toBeCloseTo(0, 12)
+  })
+})
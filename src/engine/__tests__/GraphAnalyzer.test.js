@@ -6,6 +6,7 @@
  * - Finding specific component types (batteries, resistors)
  * - Detecting series vs parallel configurations
  * - Path finding through circuit graph
+ * - Closed loops through loads (open circuit detection)
  */
 
 import { describe, it, expect, beforeEach } from 'vitest'
@@ -450,4 +451,173 @@ describe('GraphAnalyzer', () => {
       expect(typeof result).toBe('boolean')
     })
   })
+
+  describe('buildNets', () => {
+    const end = (componentId, terminal) => ({ componentId, terminal })
+
+    it('should put wired terminals on the same net', () => {
+      const components = [
+        { id: 1, type: 'battery' },
+        { id: 2, type: 'resistor' },
+        { id: 3, type: 'led' }
+      ]
+      const wires = [
+        { id: 10, from: end(1, '+'), to: end(2, 'a') },
+        { id: 11, from: end(2, 'b'), to: end(3, 'anode') },
+        { id: 12, from: end(3, 'cathode'), to: end(1, '-') }
+      ]
+      const graph = new GraphAnalyzer(components, wires)
+
+      const { nodeCount, terminals } = graph.buildNets()
+
+      expect(nodeCount).toBe(4) // reference + 3 nets
+      expect(terminals.get(1)['+']).toBe(terminals.get(2).a)
+      expect(terminals.get(2).b).toBe(terminals.get(3).anode)
+      expect(terminals.get(3).cathode).toBe(terminals.get(1)['-'])
+      expect(terminals.get(1)['+']).not.toBe(terminals.get(1)['-'])
+    })
+
+    it('should leave terminals without wires open', () => {
+      const components = [
+        { id: 1, type: 'battery' },
+        { id: 2, type: 'led' }
+      ]
+      // A single dangling wire does not close the loop
+      const wires = [{ id: 10, from: end(1, '+'), to: end(2, 'anode') }]
+      const graph = new GraphAnalyzer(components, wires)
+
+      const { terminals } = graph.buildNets()
+
+      expect(terminals.get(1)['-']).not.toBe(terminals.get(2).cathode)
+      expect(terminals.get(1)['-']).not.toBe(0)
+    })
+
+    it('should migrate centre-to-centre wires with a shared return path', () => {
+      const components = [
+        { id: 1, type: 'battery' },
+        { id: 2, type: 'led' }
+      ]
+      const wires = [{ from: 1, to: 2 }]
+      const graph = new GraphAnalyzer(components, wires)
+
+      const { terminals } = graph.buildNets()
+
+      expect(terminals.get(1)['+']).toBe(terminals.get(2).anode)
+      expect(terminals.get(1)['-']).toBe(terminals.get(2).cathode)
+    })
+
+    it('should keep components without wires isolated', () => {
+      const components = [
+        { id: 1, type: 'battery' },
+        { id: 2, type: 'led' },
+        { id: 3, type: 'capacitor' }
+      ]
+      const wires = [{ from: 1, to: 2 }]
+      const graph = new GraphAnalyzer(components, wires)
+
+      const { terminals } = graph.buildNets()
+      const nets = [...Object.values(terminals.get(1)), ...Object.values(terminals.get(2))]
+
+      expect(nets).not.toContain(terminals.get(3)['+'])
+      expect(nets).not.toContain(terminals.get(3)['-'])
+      expect(terminals.get(3)['+']).not.toBe(terminals.get(3)['-'])
+    })
+
+    it('should ignore wires to missing components', () => {
+      const components = [{ id: 1, type: 'battery' }]
+      const wires = [{ id: 10, from: end(1, '+'), to: end(99, 'a') }]
+      const graph = new GraphAnalyzer(components, wires)
+
+      const { nodeCount, terminals } = graph.buildNets()
+
+      expect(nodeCount).toBe(3)
+      expect(terminals.has(99)).toBe(false)
+    })
+  })
+
+  describe('findLoops', () => {
+    const end = (componentId, terminal) => ({ componentId, terminal })
+
+    it('should find the loop through a load and its source', () => {
+      const battery = { id: 1, type: 'battery' }
+      const resistor = { id: 2, type: 'resistor' }
+      const led = { id: 3, type: 'led' }
+      const wires = [
+        { id: 10, from: end(1, '+'), to: end(2, 'a') },
+        { id: 11, from: end(2, 'b'), to: end(3, 'anode') },
+        { id: 12, from: end(3, 'cathode'), to: end(1, '-') }
+      ]
+      const graph = new GraphAnalyzer([battery, resistor, led], wires)
+
+      // Leaves the LED by the cathode and comes back round to the anode
+      expect(graph.findLoops(led)).toEqual([[3, 1, 2]])
+    })
+
+    it('should find no loop when a single wire reaches the source', () => {
+      const battery = { id: 1, type: 'battery' }
+      const led = { id: 2, type: 'led' }
+      const wires = [{ id: 10, from: end(1, '+'), to: end(2, 'anode') }]
+      const graph = new GraphAnalyzer([battery, led], wires)
+
+      expect(graph.findLoops(led)).toEqual([])
+    })
+
+    it('should not count a loop without a source', () => {
+      const led = { id: 1, type: 'led' }
+      const resistor = { id: 2, type: 'resistor' }
+      const wires = [
+        { id: 10, from: end(1, 'cathode'), to: end(2, 'a') },
+        { id: 11, from: end(2, 'b'), to: end(1, 'anode') }
+      ]
+      const graph = new GraphAnalyzer([led, resistor], wires)
+
+      expect(graph.findLoops(led)).toEqual([])
+    })
+
+    it('should report one loop per parallel source', () => {
+      const b1 = { id: 1, type: 'battery' }
+      const b2 = { id: 2, type: 'battery' }
+      const bulb = { id: 3, type: 'lightbulb' }
+      const wires = [
+        { id: 10, from: end(1, '+'), to: end(3, 'a') },
+        { id: 11, from: end(2, '+'), to: end(3, 'a') },
+        { id: 12, from: end(3, 'b'), to: end(1, '-') },
+        { id: 13, from: end(3, 'b'), to: end(2, '-') }
+      ]
+      const graph = new GraphAnalyzer([b1, b2, bulb], wires)
+
+      const loops = graph.findLoops(bulb)
+
+      expect(loops).toHaveLength(2)
+      expect(loops).toContainEqual([3, 1])
+      expect(loops).toContainEqual([3, 2])
+    })
+
+    it('should treat a migrated centre-to-centre wire as a closed loop', () => {
+      const battery = { id: 1, type: 'battery' }
+      const led = { id: 2, type: 'led' }
+      const graph = new GraphAnalyzer([battery, led], [{ from: 1, to: 2 }])
+
+      expect(graph.findLoops(led)).toEqual([[2, 1]])
+    })
+
+    it('should map every load to its loops and list open loads', () => {
+      const battery = { id: 1, type: 'battery' }
+      const closedLED = { id: 2, type: 'led' }
+      const openLED = { id: 3, type: 'led' }
+      const wires = [
+        { id: 10, from: end(1, '+'), to: end(2, 'anode') },
+        { id: 11, from: end(2, 'cathode'), to: end(1, '-') },
+        { id: 12, from: end(1, '+'), to: end(3, 'anode') }
+      ]
+      const graph = new GraphAnalyzer([battery, closedLED, openLED], wires)
+
+      const loops = graph.findLoadLoops()
+
+      expect([...loops.keys()]).toEqual([2, 3])
+      expect(loops.get(2)).toEqual([[2, 1]])
+      expect(loops.get(3)).toEqual([])
+      expect(graph.findOpenLoads()).toEqual([openLED])
+    })
+  })
 })
@@ -0,0 +1,196 @@
+/**
+ * InductorSimulation.test.js - Unit tests for wire coils
+ *
+ * Tests:
+ * - Companion-model stamping and current update (V = L dI/dt)
+ * - Current building up gradually through a coil from a battery
+ * - LC ringing with a capacitor at f = 1/(2π√LC)
+ * - Stored current dying away through the coil's losses when the circuit is broken
+ * - Reset of the stored current
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  INDUCTOR_RESISTANCE,
+  COIL_LEAKAGE_RESISTANCE,
+  stampInductor,
+  updateInductor,
+  getInductorEnergy,
+  getResonantFrequency
+} from '../InductorSimulation.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Charged capacitor (id 1) across a coil (id 2)
+const buildTank = ({ inductance, capacitance, voltage }) => {
+  const simulator = new CircuitSimulator()
+  const capacitor = { id: 1, type: 'capacitor', capacitance, voltage, maxVoltage: 10 }
+  const coil = { id: 2, type: 'inductor', inductance, current: 0 }
+  simulator.setComponents([capacitor, coil])
+  simulator.setWires([
+    { id: 10, from: end(1, '+'), to: end(2, 'a') },
+    { id: 11, from: end(2, 'b'), to: end(1, '-') }
+  ])
+  return { simulator, capacitor, coil }
+}
+
+// Run a tank circuit and measure its ringing frequency from the
+// capacitor voltage's zero crossings
+const measureFrequency = (tank, duration, step) => {
+  const crossings = []
+  let previous = tank.capacitor.voltage
+  for (let t = step; t <= duration; t += step) {
+    tank.simulator.simulate(step)
+    const voltage = tank.capacitor.voltage
+    if (Math.sign(voltage) !== Math.sign(previous)) {
+      // Interpolate where within the step it crossed zero
+      crossings.push(t - step * voltage / (voltage - previous))
+    }
+    previous = voltage
+  }
+  const halfPeriods = crossings.length - 1
+  return halfPeriods / (2 * (crossings[crossings.length - 1] - crossings[0]))
+}
+
+describe('InductorSimulation', () => {
+  describe('stampInductor', () => {
+    it('should stamp the winding, the field and the stored current', () => {
+      const system = { addResistor: vi.fn(), addConductance: vi.fn(), addCurrentSource: vi.fn() }
+      const nodes = { a: 1, b: 2 }
+
+      stampInductor(system, { inductance: 2.0, current: 0.05 }, nodes, 3, 0.01)
+
+      expect(system.addResistor).toHaveBeenCalledWith(1, 3, INDUCTOR_RESISTANCE)
+      expect(system.addResistor).toHaveBeenCalledWith(1, 2, COIL_LEAKAGE_RESISTANCE)
+      expect(system.addConductance).toHaveBeenCalledWith(3, 2, 0.005)
+      expect(system.addCurrentSource).toHaveBeenCalledWith(3, 2, 0.05)
+    })
+  })
+
+  describe('updateInductor', () => {
+    it('should change the current by V·dt/L', () => {
+      const coil = { inductance: 0.5, current: 0.1 }
+
+      updateInductor(coil, 2, 0.01)
+
+      expect(coil.current).toBeCloseTo(0.14, 10)
+      expect(coil.voltage).toBe(2)
+    })
+
+    it('should store ½LI² in its field', () => {
+      expect(getInductorEnergy({ inductance: 2, current: 0.1 })).toBeCloseTo(0.01, 10)
+      expect(getInductorEnergy({})).toBe(0)
+    })
+  })
+
+  describe('getResonantFrequency', () => {
+    it('should follow f = 1/(2π√LC)', () => {
+      expect(getResonantFrequency(1, 1)).toBeCloseTo(1 / (2 * Math.PI), 10)
+      expect(getResonantFrequency(1, 1e-5)).toBeCloseTo(50.33, 2)
+    })
+  })
+
+  describe('in a running circuit', () => {
+    // Ten potatoes in series → switch → 100Ω → coil → back: 1(-) ... 10(+)
+    const buildCharging = () => {
+      const simulator = new CircuitSimulator()
+      const batteries = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, type: 'battery', voltage: 0.9, charge: 1.0 }))
+      const toggle = { id: 20, type: 'switch', closed: true }
+      const resistor = { id: 21, type: 'resistor', resistance: 100 }
+      const coil = { id: 22, type: 'inductor', inductance: 1.0, current: 0 }
+      simulator.setComponents([...batteries, toggle, resistor, coil])
+      simulator.setWires([
+        ...batteries.slice(1).map((b, i) => ({ id: 100 + i, from: end(i + 1, '+'), to: end(b.id, '-') })),
+        { id: 200, from: end(10, '+'), to: end(20, 'a') },
+        { id: 201, from: end(20, 'b'), to: end(21, 'a') },
+        { id: 202, from: end(21, 'b'), to: end(22, 'a') },
+        { id: 203, from: end(22, 'b'), to: end(1, '-') }
+      ])
+      return { simulator, toggle, coil }
+    }
+
+    it('should build its current up gradually with time constant L/R', () => {
+      const { simulator, coil } = buildCharging()
+
+      simulator.simulate(0.001)
+      const early = coil.current
+      for (let i = 0; i < 99; i++) simulator.simulate(0.001)
+
+      // L/R ≈ 1H / 101Ω ≈ 10ms: 1ms in it has barely started, 100ms in it has settled
+      expect(early).toBeLessThan(coil.current * 0.15)
+      expect(coil.current).toBeGreaterThan(0.085)
+      expect(Math.abs(coil.voltage)).toBeLessThan(0.01)
+    })
+
+    it('should let its current die away when the circuit is broken', () => {
+      const { simulator, toggle, coil } = buildCharging()
+
+      for (let i = 0; i < 100; i++) simulator.simulate(0.001)
+      const flowing = coil.current
+      toggle.closed = false
+      simulator.simulate(0.001)
+
+      // The kick across the coil is large but bounded by its losses
+      expect(Math.abs(coil.voltage)).toBeLessThan(flowing * COIL_LEAKAGE_RESISTANCE)
+      for (let i = 0; i < 2; i++) simulator.simulate(0.001)
+      expect(coil.current).toBeLessThan(0.001)
+    })
+
+    it('should ring with a capacitor at f = 1/(2π√LC)', () => {
+      const tank = buildTank({ inductance: 1.0, capacitance: 1e-5, voltage: 5 })
+
+      const frequency = measureFrequency(tank, 0.1, 1e-4)
+
+      expect(frequency / getResonantFrequency(1.0, 1e-5)).toBeCloseTo(1, 2)
+    })
+
+    it('should ring at half the frequency with four times the inductance', () => {
+      const tank = buildTank({ inductance: 4.0, capacitance: 1e-5, voltage: 5 })
+
+      const frequency = measureFrequency(tank, 0.2, 1e-4)
+
+      expect(frequency / getResonantFrequency(4.0, 1e-5)).toBeCloseTo(1, 2)
+      expect(frequency).toBeCloseTo(getResonantFrequency(1.0, 1e-5) / 2, 0)
+    })
+
+    it('should move the energy from the capacitor into the coil and back', () => {
+      const tank = buildTank({ inductance: 1.0, capacitance: 1e-5, voltage: 5 })
+      const quarterPeriod = 1 / (4 * getResonantFrequency(1.0, 1e-5))
+      const steps = Math.round(quarterPeriod / 1e-4)
+
+      for (let i = 0; i < steps; i++) tank.simulator.simulate(1e-4)
+
+      // Capacitor empty, coil carrying about V0·√(C/L) ≈ 15.8mA
+      expect(Math.abs(tank.capacitor.voltage)).toBeLessThan(0.25)
+      expect(Math.abs(tank.coil.current)).toBeGreaterThan(0.014)
+      expect(Math.abs(tank.coil.current)).toBeLessThan(0.0159)
+
+      for (let i = 0; i < steps; i++) tank.simulator.simulate(1e-4)
+
+      // Back in the capacitor with the polarity swapped
+      expect(tank.capacitor.voltage).toBeLessThan(-4)
+    })
+
+    it('should lose the current of an unwired coil through its own losses', () => {
+      const simulator = new CircuitSimulator()
+      const coil = { id: 1, type: 'inductor', inductance: 1.0, current: 0.1 }
+      simulator.setComponents([coil])
+      simulator.setWires([])
+
+      simulator.simulate(0.01)
+      simulator.simulate(0.01)
+
+      expect(Math.abs(coil.current)).toBeLessThan(0.0001)
+    })
+
+    it('should reset to no current', () => {
+      const [coil] = new CircuitSimulator().resetCircuit([
+        { id: 1, type: 'inductor', inductance: 1.0, current: 0.1, voltage: 3 }
+      ])
+
+      expect(coil.current).toBe(0)
+      expect(coil.voltage).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,137 @@
+/**
+ * LEDDamage.test.js - Unit tests for LED over-current burnout
+ *
+ * Tests:
+ * - Damage building up in proportion to the overdrive
+ * - No damage within the rating
+ * - Burning out at full damage, permanently
+ * - Burnt-out LEDs acting as an open circuit in a running simulation
+ * - Resistors keeping LEDs within their rating
+ * - Reset repairing or keeping burnt-out LEDs
+ */
+
+import { describe, it, expect } from 'vitest'
+import { updateLEDDamage, isBurntOut, LED_RATED_CURRENT, LED_BURNOUT_TIME } from '../LEDDamage.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Potatoes in series: ids 1..count, (count × 0.9)V between 1(-) and count(+)
+const potatoChain = count => Array.from({ length: count }, (_, i) => ({ id: i + 1, type: 'battery', voltage: 0.9, charge: 1.0 }))
+const chainWires = count => Array.from({ length: count - 1 }, (_, i) => ({
+  id: 100 + i,
+  from: end(i + 1, '+'),
+  to: end(i + 2, '-')
+}))
+
+describe('LEDDamage', () => {
+  describe('updateLEDDamage', () => {
+    it('should build damage in proportion to the overdrive', () => {
+      const led = { damage: 0 }
+
+      updateLEDDamage(led, LED_RATED_CURRENT * 2, LED_BURNOUT_TIME / 4)
+      expect(led.damage).toBeCloseTo(0.25, 5)
+
+      updateLEDDamage(led, LED_RATED_CURRENT * 3, LED_BURNOUT_TIME / 4)
+      expect(led.damage).toBeCloseTo(0.75, 5)
+      expect(isBurntOut(led)).toBe(false)
+    })
+
+    it('should not damage an LED within its rating', () => {
+      const led = {}
+
+      updateLEDDamage(led, LED_RATED_CURRENT, 100)
+
+      expect(led.damage).toBeUndefined()
+      expect(isBurntOut(led)).toBe(false)
+    })
+
+    it('should burn out at full damage and stay burnt out', () => {
+      const led = { damage: 0.9 }
+
+      updateLEDDamage(led, LED_RATED_CURRENT * 2, LED_BURNOUT_TIME)
+      expect(led.damage).toBe(1)
+      expect(isBurntOut(led)).toBe(true)
+
+      updateLEDDamage(led, 0, LED_BURNOUT_TIME)
+      expect(isBurntOut(led)).toBe(true)
+    })
+  })
+
+  describe('in a running circuit', () => {
+    const build = ({ potatoes, resistance }) => {
+      const simulator = new CircuitSimulator()
+      const led = { id: 50, type: 'led', brightness: 0 }
+      const components = [...potatoChain(potatoes), led]
+      const wires = chainWires(potatoes)
+
+      if (resistance) {
+        components.push({ id: 51, type: 'resistor', resistance })
+        wires.push({ id: 60, from: end(potatoes, '+'), to: end(51, 'a') })
+        wires.push({ id: 61, from: end(51, 'b'), to: end(50, 'anode') })
+      } else {
+        wires.push({ id: 60, from: end(potatoes, '+'), to: end(50, 'anode') })
+      }
+      wires.push({ id: 62, from: end(50, 'cathode'), to: end(1, '-') })
+
+      simulator.setComponents(components)
+      simulator.setWires(wires)
+      return { simulator, led }
+    }
+
+    const run = (simulator, seconds) => {
+      for (let t = 0; t < seconds; t += 0.01) simulator.simulate(0.01)
+    }
+
+    it('should burn out an LED wired straight across a big chain', () => {
+      const { simulator, led } = build({ potatoes: 12 })
+
+      simulator.simulate(0.01)
+      expect(led.brightness).toBeGreaterThan(0.5)
+      expect(led.damage).toBeGreaterThan(0)
+
+      run(simulator, 1)
+      expect(led.burntOut).toBe(true)
+      expect(led.brightness).toBe(0)
+      expect(led.current).toBe(0)
+    })
+
+    it('should stop the burnt-out LED draining the batteries', () => {
+      const { simulator, led } = build({ potatoes: 12 })
+
+      run(simulator, 1)
+      expect(led.burntOut).toBe(true)
+
+      const charge = simulator.components[0].charge
+      run(simulator, 0.5)
+      expect(simulator.components[0].charge).toBeCloseTo(charge, 5)
+    })
+
+    it('should keep an LED safe behind a resistor', () => {
+      const { simulator, led } = build({ potatoes: 6, resistance: 100 })
+
+      run(simulator, 2)
+
+      expect(led.brightness).toBeGreaterThan(0.5)
+      expect(led.damage || 0).toBe(0)
+    })
+  })
+
+  describe('reset', () => {
+    const burnt = { id: 1, type: 'led', brightness: 0, damage: 1, burntOut: true }
+
+    it('should repair burnt-out LEDs by default', () => {
+      const [led] = new CircuitSimulator().resetCircuit([burnt])
+
+      expect(led.burntOut).toBe(false)
+      expect(led.damage).toBe(0)
+    })
+
+    it('should keep burnt-out LEDs when the challenge says so', () => {
+      const [led] = new CircuitSimulator().resetCircuit([burnt], { keepBurnout: true })
+
+      expect(led.burntOut).toBe(true)
+      expect(led.damage).toBe(1)
+    })
+  })
+})
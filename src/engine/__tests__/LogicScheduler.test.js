@@ -0,0 +1,89 @@
+/**
+ * LogicScheduler.test.js - Unit tests for the logic event queue
+ *
+ * Tests:
+ * - Events applied in time order, ties in scheduling order
+ * - Events beyond the run time left pending
+ * - Events scheduled by handlers during a run
+ * - Last scheduled level per component
+ */
+
+import { describe, it, expect } from 'vitest'
+import { LogicScheduler } from '../LogicScheduler.js'
+import { HIGH, LOW } from '../DigitalLogic.js'
+
+describe('LogicScheduler', () => {
+  it('should apply events in time order', () => {
+    const scheduler = new LogicScheduler()
+    const applied = []
+
+    scheduler.schedule(0.003, 'c', HIGH)
+    scheduler.schedule(0.001, 'a', HIGH)
+    scheduler.schedule(0.002, 'b', LOW)
+    scheduler.runUntil(0.01, event => applied.push(event.componentId))
+
+    expect(applied).toEqual(['a', 'b', 'c'])
+  })
+
+  it('should apply simultaneous events in the order they were scheduled', () => {
+    const scheduler = new LogicScheduler()
+    const applied = []
+
+    scheduler.schedule(0.001, 'first', HIGH)
+    scheduler.schedule(0.001, 'second', HIGH)
+    scheduler.runUntil(0.01, event => applied.push(event.componentId))
+
+    expect(applied).toEqual(['first', 'second'])
+  })
+
+  it('should leave events after the run time pending', () => {
+    const scheduler = new LogicScheduler()
+    const applied = []
+
+    scheduler.schedule(0.005, 'late', HIGH)
+    scheduler.runUntil(0.002, event => applied.push(event.componentId))
+
+    expect(applied).toEqual([])
+    expect(scheduler.hasPendingEvents()).toBe(true)
+    expect(scheduler.time).toBe(0.002)
+
+    scheduler.runUntil(0.01, event => applied.push(event.componentId))
+    expect(applied).toEqual(['late'])
+  })
+
+  it('should run events scheduled from a handler when they fall due', () => {
+    const scheduler = new LogicScheduler()
+    const times = []
+
+    scheduler.schedule(0.001, 'a', HIGH)
+    const count = scheduler.runUntil(0.01, event => {
+      times.push(event.time)
+      if (event.componentId === 'a') scheduler.schedule(0.001, 'b', HIGH)
+    })
+
+    expect(count).toBe(2)
+    expect(times[1]).toBeCloseTo(0.002, 9)
+  })
+
+  it('should remember the last level scheduled for a component', () => {
+    const scheduler = new LogicScheduler()
+
+    expect(scheduler.getScheduledLevel('a')).toBeUndefined()
+    scheduler.schedule(0.001, 'a', HIGH)
+    scheduler.schedule(0.002, 'a', LOW)
+
+    expect(scheduler.getScheduledLevel('a')).toBe(LOW)
+  })
+
+  it('should forget everything when cleared', () => {
+    const scheduler = new LogicScheduler()
+
+    scheduler.schedule(0.001, 'a', HIGH)
+    scheduler.runUntil(0.0005, () => {})
+    scheduler.clear()
+
+    expect(scheduler.time).toBe(0)
+    expect(scheduler.hasPendingEvents()).toBe(false)
+    expect(scheduler.getScheduledLevel('a')).toBeUndefined()
+  })
+})
@@ -0,0 +1,189 @@
+/**
+ * Motors.test.js - Unit tests for DC motors
+ *
+ * Tests:
+ * - Stall and spinning regions and their stamps
+ * - Spinning up to the steady RPM, with back-EMF cutting the current
+ * - Mechanical load slowing the motor, or stalling it outright
+ * - Reversing with the supply, coasting down when switched off
+ * - Reset of speed and rotor angle
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  MOTOR_RESISTANCE,
+  MOTOR_CONSTANT,
+  MOTOR_FRICTION,
+  getMotorRegion,
+  stampMotor,
+  nextMotorRegion,
+  getSteadyRPM
+} from '../Motors.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Potatoes in series (ids 1..count) → switch (30) → motor (50) → back
+const build = ({ count = 3, load = 0, reversed = false } = {}) => {
+  const simulator = new CircuitSimulator()
+  const batteries = Array.from({ length: count }, (_, i) => ({ id: i + 1, type: 'battery', voltage: 0.9, charge: 1.0 }))
+  const toggle = { id: 30, type: 'switch', closed: true }
+  const motor = { id: 50, type: 'motor', load }
+  const [into, outOf] = reversed ? ['b', 'a'] : ['a', 'b']
+  simulator.setComponents([...batteries, toggle, motor])
+  simulator.setWires([
+    ...batteries.slice(1).map((b, i) => ({ id: 100 + i, from: end(i + 1, '+'), to: end(b.id, '-') })),
+    { id: 200, from: end(count, '+'), to: end(30, 'a') },
+    { id: 201, from: end(30, 'b'), to: end(50, into) },
+    { id: 202, from: end(50, outOf), to: end(1, '-') }
+  ])
+  return { simulator, toggle, motor }
+}
+
+const run = (simulator, seconds, step = 0.1) => {
+  for (let i = 0; i < Math.round(seconds / step); i++) simulator.simulate(step)
+}
+
+describe('Motors', () => {
+  describe('regions', () => {
+    it('should start from the direction it was turning', () => {
+      expect(getMotorRegion({})).toBe('stalled')
+      expect(getMotorRegion({ speed: 10 })).toBe('forward')
+      expect(getMotorRegion({ speed: -10 })).toBe('reverse')
+    })
+
+    it('should stamp a stalled motor as its winding resistance', () => {
+      const system = { addConductance: vi.fn(), addCurrentSource: vi.fn() }
+
+      stampMotor(system, {}, { a: 1, b: 2 }, 'stalled', 0.1)
+
+      expect(system.addConductance).toHaveBeenCalledWith(1, 2, 1 / MOTOR_RESISTANCE)
+      expect(system.addCurrentSource).toHaveBeenCalledWith(2, 1, 0)
+    })
+
+    it('should only break free once the torque beats friction', () => {
+      // Friction needs MOTOR_FRICTION / MOTOR_CONSTANT = 20mA → 0.2V across the winding
+      expect(nextMotorRegion({}, 'stalled', 0.1, 0.1)).toBe('stalled')
+      expect(nextMotorRegion({}, 'stalled', 0.5, 0.1)).toBe('forward')
+      expect(nextMotorRegion({}, 'stalled', -0.5, 0.1)).toBe('reverse')
+    })
+
+    it('should stall when friction would stop it within the step', () => {
+      expect(nextMotorRegion({ speed: 1 }, 'forward', 0, 0.1)).toBe('stalled')
+      expect(nextMotorRegion({ speed: 100 }, 'forward', 0, 0.1)).toBe('forward')
+    })
+  })
+
+  describe('getSteadyRPM', () => {
+    it('should rise with voltage and fall with load', () => {
+      expect(getSteadyRPM(2.7)).toBeGreaterThan(getSteadyRPM(1.8))
+      expect(getSteadyRPM(2.7, 0.001)).toBeLessThan(getSteadyRPM(2.7))
+    })
+
+    it('should be zero when the voltage cannot overcome friction', () => {
+      expect(getSteadyRPM(MOTOR_RESISTANCE * MOTOR_FRICTION / MOTOR_CONSTANT)).toBe(0)
+    })
+  })
+
+  describe('in a running circuit', () => {
+    it('should spin up to its steady RPM', () => {
+      const { simulator, motor } = build()
+
+      simulator.simulate(0.1)
+      const early = motor.rpm
+      run(simulator, 10)
+
+      expect(early).toBeGreaterThan(0)
+      expect(early).toBeLessThan(motor.rpm / 4)
+      expect(motor.rpm).toBeCloseTo(getSteadyRPM(motor.voltage), -1)
+      expect(motor.rpm).toBeGreaterThan(2000)
+    })
+
+    it('should draw less current as back-EMF builds up', () => {
+      const { simulator, motor } = build()
+
+      simulator.simulate(0.01)
+      const startCurrent = motor.current
+      run(simulator, 10)
+
+      // Starting it is nearly a stall: 2.7V / 10Ω
+      expect(startCurrent).toBeGreaterThan(0.25)
+      expect(motor.current).toBeLessThan(startCurrent / 4)
+      expect(motor.backEmf).toBeCloseTo(motor.voltage - motor.current * MOTOR_RESISTANCE, 3)
+    })
+
+    it('should not depend much on the step size', () => {
+      const coarse = build()
+      const fine = build()
+
+      run(coarse.simulator, 1, 0.1)
+      run(fine.simulator, 1, 0.01)
+
+      expect(coarse.motor.rpm / fine.motor.rpm).toBeCloseTo(1, 1)
+    })
+
+    it('should turn slower and draw more current under load', () => {
+      const free = build()
+      const loaded = build({ load: 0.001 })
+
+      run(free.simulator, 10)
+      run(loaded.simulator, 10)
+
+      expect(loaded.motor.rpm).toBeLessThan(free.motor.rpm * 0.7)
+      expect(loaded.motor.current).toBeGreaterThan(free.motor.current * 2)
+    })
+
+    it('should stall under a load it cannot turn', () => {
+      const { simulator, motor } = build({ count: 1, load: 0.002 })
+
+      run(simulator, 2)
+
+      expect(motor.rpm).toBe(0)
+      expect(motor.current).toBeCloseTo(motor.voltage / MOTOR_RESISTANCE, 5)
+    })
+
+    it('should turn the other way when wired the other way round', () => {
+      const { simulator, motor } = build({ reversed: true })
+
+      run(simulator, 5)
+
+      expect(motor.rpm).toBeLessThan(-1500)
+    })
+
+    it('should coast to a stop without turning back once switched off', () => {
+      const { simulator, toggle, motor } = build()
+
+      run(simulator, 5)
+      const running = motor.rpm
+      toggle.closed = false
+      simulator.simulate(0.1)
+      const coasting = motor.rpm
+      run(simulator, 30)
+
+      expect(coasting).toBeGreaterThan(0)
+      expect(coasting).toBeLessThan(running)
+      expect(motor.rpm).toBe(0)
+    })
+
+    it('should advance the rotor angle with its speed', () => {
+      const { simulator, motor } = build()
+
+      run(simulator, 5)
+      const before = motor.angle
+      simulator.simulate(0.001)
+
+      expect(motor.angle - before).toBeCloseTo(motor.speed * 0.001, 5)
+    })
+
+    it('should reset to standing still', () => {
+      const [motor] = new CircuitSimulator().resetCircuit([
+        { id: 1, type: 'motor', speed: 200, rpm: 1910, angle: 2, current: 0.05 }
+      ])
+
+      expect(motor.speed).toBe(0)
+      expect(motor.rpm).toBe(0)
+      expect(motor.angle).toBe(0)
+      expect(motor.current).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,167 @@
+/**
+ * Multimeter.test.js - Unit tests for multimeter readings
+ *
+ * Tests:
+ * - Voltage between two points from the last simulation step
+ * - Current through a part, and through a wire from the part at its lone end
+ * - Resistance of series and parallel parts, open circuits and switches
+ * - What the meter asks for before it has a reading
+ * - Display formatting
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  measureVoltage,
+  measureCurrent,
+  measureResistance,
+  readMultimeter,
+  formatReading,
+  OVER_LIMIT
+} from '../Multimeter.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+import { ComponentFactory } from '../../utils/ComponentFactory.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+describe('Multimeter', () => {
+  describe('Voltage and current', () => {
+    let simulator
+
+    beforeEach(() => {
+      // Battery through two resistors in series
+      simulator = new CircuitSimulator()
+      simulator.setComponents([
+        ComponentFactory.createBattery(1),
+        ComponentFactory.createResistor(2, 100),
+        ComponentFactory.createResistor(3, 300)
+      ])
+      simulator.setWires([
+        { id: 10, from: end(1, '+'), to: end(2, 'a') },
+        { id: 11, from: end(2, 'b'), to: end(3, 'a') },
+        { id: 12, from: end(3, 'b'), to: end(1, '-') }
+      ])
+      simulator.simulate(0.01)
+    })
+
+    it('should read the voltage across a resistor, red minus black', () => {
+      const [battery, first, second] = simulator.components
+
+      expect(measureVoltage(simulator, end(3, 'a'), end(3, 'b'))).toBeCloseTo(second.voltageDrop, 9)
+      expect(measureVoltage(simulator, end(3, 'b'), end(3, 'a'))).toBeCloseTo(-second.voltageDrop, 9)
+      expect(measureVoltage(simulator, end(2, 'a'), end(3, 'b'))).toBeCloseTo(first.voltageDrop + second.voltageDrop, 9)
+      expect(measureVoltage(simulator, end(1, '+'), end(1, '-'))).toBeCloseTo(battery.terminalVoltage, 9)
+    })
+
+    it('should read the current through a part', () => {
+      const [, first] = simulator.components
+
+      expect(measureCurrent(simulator.components, simulator.wires, { componentId: 2 })).toBeCloseTo(Math.abs(first.current), 9)
+    })
+
+    it('should read the current through a wire', () => {
+      const [, first] = simulator.components
+
+      expect(measureCurrent(simulator.components, simulator.wires, { wireId: 11 })).toBeCloseTo(Math.abs(first.current), 9)
+    })
+
+    it('should not guess how current splits between wires joined at both ends', () => {
+      const components = [...simulator.components, ComponentFactory.createResistor(4), ComponentFactory.createResistor(5)]
+      const wires = [
+        ...simulator.wires,
+        { id: 13, from: end(2, 'b'), to: end(4, 'a') },
+        { id: 14, from: end(3, 'a'), to: end(5, 'a') }
+      ]
+
+      expect(measureCurrent(components, wires, { wireId: 11 })).toBeNull()
+    })
+  })
+
+  describe('Resistance', () => {
+    const resistors = [
+      ComponentFactory.createResistor(1, 100),
+      ComponentFactory.createResistor(2, 220)
+    ]
+
+    it('should add resistors in series', () => {
+      const wires = [{ id: 10, from: end(1, 'b'), to: end(2, 'a') }]
+
+      expect(measureResistance(resistors, wires, end(1, 'a'), end(2, 'b'))).toBeCloseTo(320, 6)
+    })
+
+    it('should combine resistors in parallel', () => {
+      const wires = [
+        { id: 10, from: end(1, 'a'), to: end(2, 'a') },
+        { id: 11, from: end(1, 'b'), to: end(2, 'b') }
+      ]
+
+      expect(measureResistance(resistors, wires, end(1, 'a'), end(1, 'b'))).toBeCloseTo(100 * 220 / 320, 6)
+    })
+
+    it('should read zero between points on the same wire', () => {
+      const wires = [{ id: 10, from: end(1, 'b'), to: end(2, 'a') }]
+
+      expect(measureResistance(resistors, wires, end(1, 'b'), end(2, 'a'))).toBe(0)
+    })
+
+    it('should read over limit across an open circuit', () => {
+      expect(measureResistance(resistors, [], end(1, 'a'), end(2, 'b'))).toBe(Infinity)
+    })
+
+    it('should see through a closed switch but not an open one', () => {
+      const closed = ComponentFactory.createSwitch(3, true)
+      const wires = [
+        { id: 10, from: end(1, 'b'), to: end(3, 'a') },
+        { id: 11, from: end(3, 'b'), to: end(2, 'a') }
+      ]
+
+      expect(measureResistance([...resistors, closed], wires, end(1, 'a'), end(2, 'b'))).toBeCloseTo(320, 0)
+      expect(measureResistance([...resistors, { ...closed, closed: false }], wires, end(1, 'a'), end(2, 'b'))).toBe(Infinity)
+    })
+
+    it('should not pass the test current through a battery', () => {
+      const wires = [
+        { id: 10, from: end(1, 'b'), to: end(3, '+') },
+        { id: 11, from: end(3, '-'), to: end(2, 'a') }
+      ]
+
+      expect(measureResistance([...resistors, ComponentFactory.createBattery(3)], wires, end(1, 'a'), end(2, 'b'))).toBe(Infinity)
+    })
+  })
+
+  describe('readMultimeter', () => {
+    const circuit = { simulator: new CircuitSimulator(), components: [], wires: [], isRunning: false }
+
+    it('should ask for the leads one at a time', () => {
+      expect(readMultimeter({ mode: 'V', points: [], target: null }, circuit).message).toMatch(/red lead/)
+      expect(readMultimeter({ mode: 'V', points: [end(1, 'a')], target: null }, circuit).message).toMatch(/black lead/)
+      expect(readMultimeter({ mode: 'A', points: [], target: null }, circuit).message).toMatch(/part or a wire/)
+    })
+
+    it('should need the simulation running for volts and amps, and stopped for ohms', () => {
+      const points = [end(1, 'a'), end(1, 'b')]
+      const resistor = ComponentFactory.createResistor(1, 470)
+
+      expect(readMultimeter({ mode: 'V', points, target: null }, circuit).message).toMatch(/Start/)
+      expect(readMultimeter({ mode: 'A', points: [], target: { componentId: 1 } }, circuit).message).toMatch(/Start/)
+      expect(readMultimeter({ mode: 'Ω', points, target: null }, { ...circuit, isRunning: true }).message).toMatch(/Stop/)
+      const reading = readMultimeter({ mode: 'Ω', points, target: null }, { ...circuit, components: [resistor] })
+      expect(reading.unit).toBe('Ω')
+      expect(reading.value).toBeCloseTo(470, 4)
+    })
+  })
+
+  describe('formatReading', () => {
+    it('should scale to a prefix with three significant figures', () => {
+      expect(formatReading(1.2345, 'V')).toBe('1.23 V')
+      expect(formatReading(0.0152, 'A')).toBe('15.2 mA')
+      expect(formatReading(2200, 'Ω')).toBe('2.2 kΩ')
+      expect(formatReading(1.5e6, 'Ω')).toBe('1.5 MΩ')
+      expect(formatReading(-0.5, 'V')).toBe('-500 mV')
+      expect(formatReading(0, 'A')).toBe('0 A')
+    })
+
+    it('should show over limit for an open circuit', () => {
+      expect(formatReading(Infinity, 'Ω')).toBe(OVER_LIMIT)
+    })
+  })
+})
@@ -0,0 +1,112 @@
+/**
+ * NodalAnalysis.test.js - Unit tests for the MNA core
+ *
+ * Tests matrix stamping and solving:
+ * - Voltage dividers and parallel conductances
+ * - Current and voltage sources (including branch currents)
+ * - Floating sub-networks and singular systems
+ * - Power shared out by owner, balancing over the network
+ */
+
+import { describe, it, expect } from 'vitest'
+import { NodalSystem, solveLinearSystem } from '../NodalAnalysis.js'
+
+describe('NodalAnalysis', () => {
+  describe('NodalSystem', () => {
+    it('should solve a resistor voltage divider', () => {
+      const system = new NodalSystem(3)
+      system.addVoltageSource(1, 0, 9)
+      system.addResistor(1, 2, 1000)
+      system.addResistor(2, 0, 2000)
+
+      const { nodeVoltages, sourceCurrents } = system.solve()
+
+      expect(nodeVoltages[1]).toBeCloseTo(9, 9)
+      expect(nodeVoltages[2]).toBeCloseTo(6, 6)
+      // 9V / 3000Ω = 3mA out of the positive terminal
+      expect(sourceCurrents[0]).toBeCloseTo(0.003, 9)
+    })
+
+    it('should combine parallel conductances', () => {
+      const system = new NodalSystem(2)
+      system.addCurrentSource(0, 1, 0.02)
+      system.addResistor(1, 0, 100)
+      system.addResistor(1, 0, 100)
+
+      const { nodeVoltages } = system.solve()
+
+      // 20mA into 50Ω
+      expect(nodeVoltages[1]).toBeCloseTo(1.0, 6)
+    })
+
+    it('should report negative current for a source being charged', () => {
+      const system = new NodalSystem(3)
+      system.addVoltageSource(1, 0, 2)
+      system.addVoltageSource(2, 0, 1)
+      system.addResistor(1, 2, 10)
+
+      const { sourceCurrents } = system.solve()
+
+      expect(sourceCurrents[0]).toBeCloseTo(0.1, 9)
+      expect(sourceCurrents[1]).toBeCloseTo(-0.1, 9)
+    })
+
+    it('should give floating sub-networks a reference potential', () => {
+      const system = new NodalSystem(4)
+      system.addVoltageSource(1, 0, 5)
+      system.addResistor(1, 0, 100)
+      // Nodes 2-3 have no path to ground
+      system.addResistor(2, 3, 100)
+
+      const { nodeVoltages } = system.solve()
+
+      expect(nodeVoltages.every(Number.isFinite)).toBe(true)
+      expect(nodeVoltages[2]).toBeCloseTo(nodeVoltages[3], 9)
+    })
+
+    it('should ignore zero-length and non-positive stamps', () => {
+      const system = new NodalSystem(2)
+      system.addConductance(1, 1, 5)
+      system.addConductance(0, 1, 0)
+      system.addCurrentSource(1, 1, 1)
+
+      expect(system.conductances).toHaveLength(0)
+      expect(system.currentSources).toHaveLength(0)
+    })
+
+    it('should share out the solved power by owner', () => {
+      const system = new NodalSystem(3)
+      system.setOwner('source')
+      system.addVoltageSource(1, 0, 9)
+      system.setOwner('top')
+      system.addResistor(1, 2, 1000)
+      system.setOwner('bottom')
+      system.addResistor(2, 0, 2000)
+      system.addCurrentSource(2, 0, 0.001)
+
+      const powers = system.getPowers(system.solve())
+      const total = [...powers.values()].reduce((sum, p) => sum + p.absorbed - p.supplied, 0)
+
+      expect(powers.get('source').supplied).toBeGreaterThan(0)
+      expect(powers.get('source').absorbed).toBe(0)
+      expect(powers.get('top').absorbed).toBeGreaterThan(0)
+      expect(total).toBeCloseTo(0, 9)
+    })
+  })
+
+  describe('solveLinearSystem', () => {
+    it('should solve with pivoting', () => {
+      // First pivot is zero without row swaps
+      const x = solveLinearSystem([[0, 1], [2, 1]], [3, 5])
+
+      expect(x[0]).toBeCloseTo(1, 9)
+      expect(x[1]).toBeCloseTo(3, 9)
+    })
+
+    it('should leave singular unknowns at zero', () => {
+      const x = solveLinearSystem([[1, 0], [0, 0]], [4, 0])
+
+      expect(x).toEqual([4, 0])
+    })
+  })
+})
@@ -0,0 +1,78 @@
+/**
+ * PartValues.test.js - Unit tests for the resistor and capacitor catalogue
+ *
+ * Tests:
+ * - E-series values across decades
+ * - Catalogues always offering the default values
+ * - Reading and checking a part's value against a catalogue
+ * - Formatting values the way parts are marked
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_PART_VALUES,
+  STANDARD_PARTS,
+  E6_PARTS,
+  getESeriesValues,
+  getPartValue,
+  getAllowedValues,
+  getStartingValue,
+  isPartAllowed,
+  formatResistance,
+  formatCapacitance
+} from '../PartValues.js'
+
+describe('PartValues', () => {
+  it('should step through each decade by the series', () => {
+    expect(getESeriesValues('E6', 100, 1000)).toEqual([100, 150, 220, 330, 470, 680, 1000])
+    expect(getESeriesValues('E12', 10, 22)).toEqual([10, 12, 15, 18, 22])
+  })
+
+  it('should give exact values for fractional decades', () => {
+    expect(getESeriesValues('E6', 0.01, 0.1)).toEqual([0.01, 0.015, 0.022, 0.033, 0.047, 0.068, 0.1])
+  })
+
+  it('should offer the default values in every catalogue', () => {
+    [STANDARD_PARTS, E6_PARTS].forEach(parts => {
+      expect(parts.resistor).toContain(DEFAULT_PART_VALUES.resistor)
+      expect(parts.capacitor).toContain(DEFAULT_PART_VALUES.capacitor)
+    })
+  })
+
+  it('should read a part\'s value, defaulting when unset', () => {
+    expect(getPartValue({ type: 'resistor', resistance: 220 })).toBe(220)
+    expect(getPartValue({ type: 'capacitor' })).toBe(0.1)
+    expect(getPartValue({ type: 'led' })).toBeNull()
+  })
+
+  it('should only allow values in the catalogue', () => {
+    expect(isPartAllowed(STANDARD_PARTS, { type: 'resistor', resistance: 100 })).toBe(true)
+    expect(isPartAllowed(STANDARD_PARTS, { type: 'resistor', resistance: 220 })).toBe(false)
+    expect(isPartAllowed(E6_PARTS, { type: 'resistor', resistance: 220 })).toBe(true)
+    expect(isPartAllowed(E6_PARTS, { type: 'capacitor', capacitance: 0.05 })).toBe(false)
+  })
+
+  it('should always allow parts without a value', () => {
+    expect(isPartAllowed(STANDARD_PARTS, { type: 'lightbulb', resistance: 0.36 })).toBe(true)
+    expect(getAllowedValues(E6_PARTS, 'led')).toEqual([])
+  })
+
+  it('should fall back to the standard parts without a catalogue', () => {
+    expect(getAllowedValues(null, 'resistor')).toEqual([100])
+  })
+
+  it('should start new parts at the default value, or the first one offered', () => {
+    expect(getStartingValue(E6_PARTS, 'resistor')).toBe(DEFAULT_PART_VALUES.resistor)
+    expect(getStartingValue(null, 'capacitor')).toBe(DEFAULT_PART_VALUES.capacitor)
+    expect(getStartingValue({ resistor: [1000, 2200] }, 'resistor')).toBe(1000)
+  })
+
+  it('should format values the way parts are marked', () => {
+    expect(formatResistance(100)).toBe('100Ω')
+    expect(formatResistance(2200)).toBe('2.2kΩ')
+    expect(formatResistance(1e6)).toBe('1MΩ')
+    expect(formatCapacitance(0.1)).toBe('100mF')
+    expect(formatCapacitance(0.022)).toBe('22mF')
+    expect(formatCapacitance(1)).toBe('1F')
+  })
+})
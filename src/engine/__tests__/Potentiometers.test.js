@@ -0,0 +1,123 @@
+/**
+ * Potentiometers.test.js - Unit tests for potentiometers
+ *
+ * Tests:
+ * - Leg resistances following the wiper, clamped to the track
+ * - Stamping both legs at the wiper
+ * - Dividing the voltage in a circuit, an LED on the wiper
+ * - Turning the knob between steps
+ * - Reset keeps the wiper where it was turned
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  POT_RESISTANCE,
+  POT_END_RESISTANCE,
+  getWiperPosition,
+  getPotLegs,
+  stampPotentiometer,
+  updatePotentiometer,
+  isDividing
+} from '../Potentiometers.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Potatoes in series (ids 1..count), pot (50) across them, LED (60) from the wiper
+const build = (count, position) => {
+  const simulator = new CircuitSimulator()
+  const batteries = Array.from({ length: count }, (_, i) => ({ id: i + 1, type: 'battery', voltage: 0.9, charge: 1.0 }))
+  const pot = { id: 50, type: 'potentiometer', position }
+  const led = { id: 60, type: 'led' }
+  simulator.setComponents([...batteries, pot, led])
+  simulator.setWires([
+    ...batteries.slice(1).map((b, i) => ({ id: 100 + i, from: end(i + 1, '+'), to: end(b.id, '-') })),
+    { id: 200, from: end(count, '+'), to: end(50, 'a') },
+    { id: 201, from: end(50, 'b'), to: end(1, '-') },
+    { id: 202, from: end(50, 'wiper'), to: end(60, 'anode') },
+    { id: 203, from: end(60, 'cathode'), to: end(1, '-') }
+  ])
+  return { simulator, pot, led }
+}
+
+describe('Potentiometers', () => {
+  it('should split the track at the wiper', () => {
+    const legs = getPotLegs({ position: 0.25 })
+
+    expect(legs.a).toBeCloseTo(POT_END_RESISTANCE + POT_RESISTANCE * 0.25)
+    expect(legs.b).toBeCloseTo(POT_END_RESISTANCE + POT_RESISTANCE * 0.75)
+  })
+
+  it('should start in the middle and keep the wiper on the track', () => {
+    expect(getWiperPosition({})).toBe(0.5)
+    expect(getWiperPosition({ position: -1 })).toBe(0)
+    expect(getWiperPosition({ position: 2 })).toBe(1)
+    expect(getPotLegs({ position: 0 }).a).toBe(POT_END_RESISTANCE)
+  })
+
+  it('should stamp both legs meeting at the wiper', () => {
+    const system = { addResistor: vi.fn() }
+
+    stampPotentiometer(system, { position: 0.25 }, { a: 1, wiper: 2, b: 3 })
+
+    expect(system.addResistor).toHaveBeenCalledWith(1, 2, POT_END_RESISTANCE + 50)
+    expect(system.addResistor).toHaveBeenCalledWith(2, 3, POT_END_RESISTANCE + 150)
+  })
+
+  it('should send the difference of the leg currents out through the wiper', () => {
+    const pot = { position: 0.5 }
+    const leg = POT_END_RESISTANCE + POT_RESISTANCE / 2
+
+    updatePotentiometer(pot, leg * 0.02, leg * 0.015)
+
+    expect(pot.currentA).toBeCloseTo(0.02)
+    expect(pot.currentB).toBeCloseTo(0.015)
+    expect(pot.wiperCurrent).toBeCloseTo(0.005)
+    expect(pot.current).toBeCloseTo(0.02)
+    expect(isDividing(pot)).toBe(true)
+  })
+
+  it('should not count as dividing with nothing on the wiper', () => {
+    const { simulator, pot } = build(3, 0.5)
+    simulator.setWires(simulator.wires.filter(w => w.id !== 202))
+
+    simulator.simulate(0.1)
+
+    expect(pot.currentA).toBeGreaterThan(0)
+    expect(pot.voltage).toBeCloseTo(2.7, 1)
+    expect(isDividing(pot)).toBe(false)
+  })
+
+  it('should divide the voltage between its legs', () => {
+    const { simulator, pot, led } = build(3, 0.25)
+
+    simulator.simulate(0.1)
+
+    expect(isDividing(pot)).toBe(true)
+    expect(led.brightness).toBeGreaterThan(0)
+    expect(pot.currentA).toBeGreaterThan(pot.currentB)
+  })
+
+  it('should light the LED brighter with the wiper nearer the supply', () => {
+    const { simulator, pot, led } = build(3, 0.7)
+    simulator.simulate(0.1)
+    const faint = led.brightness
+
+    // Turn the knob while running: the next step solves with the new legs
+    pot.position = 0.2
+    simulator.simulate(0.1)
+
+    expect(led.brightness).toBeGreaterThan(faint)
+  })
+
+  it('should keep the wiper where it was turned on reset', () => {
+    const { simulator, pot } = build(3, 0.3)
+    simulator.simulate(0.1)
+
+    const [reset] = simulator.resetCircuit([pot])
+
+    expect(reset.position).toBe(0.3)
+    expect(reset.current).toBe(0)
+    expect(reset.wiperCurrent).toBe(0)
+  })
+})
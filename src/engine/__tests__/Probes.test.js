@@ -0,0 +1,209 @@
+/**
+ * Probes.test.js - Unit tests for probe recording
+ *
+ * Tests:
+ * - Ring buffer keeping the newest samples in order
+ * - Clipping probes on and off components and nets
+ * - Recording a capacitor charging and a net's voltage from ground
+ * - CSV export
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { RingBuffer, ProbeRecorder, PROBE_COLORS, getComponentReading, getProbeLabel } from '../Probes.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+import { ComponentFactory } from '../../utils/ComponentFactory.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+describe('RingBuffer', () => {
+  it('should hold items oldest first', () => {
+    const buffer = new RingBuffer(3)
+    buffer.push(1)
+    buffer.push(2)
+
+    expect(buffer.toArray()).toEqual([1, 2])
+    expect(buffer.size).toBe(2)
+  })
+
+  it('should drop the oldest items when full', () => {
+    const buffer = new RingBuffer(3)
+    for (let i = 1; i <= 5; i++) buffer.push(i)
+
+    expect(buffer.toArray()).toEqual([3, 4, 5])
+    expect(buffer.size).toBe(3)
+  })
+
+  it('should empty on clear', () => {
+    const buffer = new RingBuffer(3)
+    buffer.push(1)
+    buffer.clear()
+
+    expect(buffer.toArray()).toEqual([])
+  })
+})
+
+describe('getComponentReading', () => {
+  it('should read the voltage across and current through a part', () => {
+    expect(getComponentReading({ type: 'led', voltage: 1.8, current: 0.02 })).toEqual({ voltage: 1.8, current: 0.02 })
+    expect(getComponentReading({ type: 'battery', voltage: 0.9, terminalVoltage: 0.85, current: 1 }).voltage).toBe(0.85)
+    expect(getComponentReading({ type: 'resistor', voltageDrop: 2, current: 0.02 }).voltage).toBe(2)
+  })
+
+  it('should give null for what a part does not have', () => {
+    expect(getComponentReading({ type: 'switch', current: 0.1 })).toEqual({ voltage: null, current: 0.1 })
+  })
+})
+
+describe('ProbeRecorder', () => {
+  let recorder
+
+  beforeEach(() => {
+    recorder = new ProbeRecorder(100)
+  })
+
+  it('should clip probes on with their own colours', () => {
+    const a = recorder.addProbe({ componentId: 1 })
+    const b = recorder.addProbe({ componentId: 2, terminal: '+' })
+
+    expect(a.terminal).toBeNull()
+    expect(b.terminal).toBe('+')
+    expect([a.color, b.color]).toEqual(PROBE_COLORS.slice(0, 2))
+    expect(recorder.getProbes()).toHaveLength(2)
+  })
+
+  it('should not clip two probes onto the same place', () => {
+    const a = recorder.addProbe({ componentId: 1 })
+
+    expect(recorder.addProbe({ componentId: 1 })).toBe(a)
+    expect(recorder.getProbes()).toHaveLength(1)
+  })
+
+  it('should toggle a probe on and off', () => {
+    expect(recorder.toggleProbe({ componentId: 1, terminal: 'a' })).not.toBeNull()
+    expect(recorder.toggleProbe({ componentId: 1, terminal: 'a' })).toBeNull()
+    expect(recorder.getProbes()).toHaveLength(0)
+  })
+
+  it('should take off probes of deleted parts', () => {
+    recorder.addProbe({ componentId: 1 })
+    recorder.addProbe({ componentId: 2 })
+
+    expect(recorder.removeMissing([{ id: 2 }])).toBe(true)
+    expect(recorder.getProbes().map(p => p.componentId)).toEqual([2])
+    expect(recorder.removeMissing([{ id: 2 }])).toBe(false)
+  })
+
+  it('should name probes by part type and number', () => {
+    const components = [{ id: 7, type: 'battery' }, { id: 9, type: 'battery' }, { id: 3, type: 'led' }]
+
+    expect(getProbeLabel({ componentId: 9, terminal: null }, components)).toBe('battery 2')
+    expect(getProbeLabel({ componentId: 3, terminal: 'anode' }, components)).toBe('led 1 anode')
+  })
+
+  describe('Recording', () => {
+    let simulator
+    let capacitor
+
+    beforeEach(() => {
+      // Battery charging a capacitor through a resistor
+      const battery = ComponentFactory.createBattery(1)
+      const resistor = ComponentFactory.createResistor(2)
+      capacitor = ComponentFactory.createCapacitor(3)
+      simulator = new CircuitSimulator()
+      simulator.setComponents([battery, resistor, capacitor])
+      simulator.setWires([
+        { id: 10, from: end(1, '+'), to: end(2, 'a') },
+        { id: 11, from: end(2, 'b'), to: end(3, '+') },
+        { id: 12, from: end(3, '-'), to: end(1, '-') }
+      ])
+    })
+
+    const run = (steps) => {
+      for (let i = 1; i <= steps; i++) {
+        simulator.simulate(0.01)
+        recorder.record(i * 0.01, simulator)
+      }
+    }
+
+    it('should record a capacitor charging', () => {
+      const probe = recorder.addProbe({ componentId: 3 })
+
+      run(50)
+
+      const samples = probe.samples.toArray()
+      expect(samples).toHaveLength(50)
+      expect(samples[49].time).toBeCloseTo(0.5)
+      expect(samples[49].voltage).toBeGreaterThan(samples[0].voltage)
+      expect(samples[49].current).toBeLessThan(samples[0].current)
+      expect(samples[49].voltage).toBeCloseTo(capacitor.voltage)
+    })
+
+    it('should record a net voltage from the battery - terminal', () => {
+      const top = recorder.addProbe({ componentId: 3, terminal: '+' })
+      const bottom = recorder.addProbe({ componentId: 3, terminal: '-' })
+
+      run(10)
+
+      // The battery's terminal voltage, less what the resistor drops
+      const [battery, resistor] = simulator.components
+      const last = top.samples.toArray()[9]
+      expect(last.voltage).toBeCloseTo(battery.terminalVoltage - resistor.voltageDrop, 9)
+      expect(last.current).toBeNull()
+      expect(bottom.samples.toArray()[9].voltage).toBeCloseTo(0, 9)
+    })
+
+    it('should keep only the newest samples', () => {
+      const probe = recorder.addProbe({ componentId: 3 })
+
+      run(150)
+
+      const samples = probe.samples.toArray()
+      expect(samples).toHaveLength(100)
+      expect(samples[0].time).toBeCloseTo(0.51)
+    })
+
+    it('should take samples read elsewhere', () => {
+      const probe = recorder.addProbe({ componentId: 3 })
+
+      recorder.addSamples([
+        { time: 0.01, readings: { [probe.id]: { voltage: 0.1, current: 0.02 } } },
+        { time: 0.02, readings: { 99: { voltage: 1, current: null } } }
+      ])
+
+      expect(probe.samples.toArray()).toEqual([{ time: 0.01, voltage: 0.1, current: 0.02 }])
+    })
+
+    it('should forget the history on clear but keep the probes', () => {
+      const probe = recorder.addProbe({ componentId: 3 })
+      run(5)
+
+      recorder.clear()
+
+      expect(probe.samples.toArray()).toEqual([])
+      expect(recorder.getProbes()).toHaveLength(1)
+    })
+
+    it('should export the history as CSV', () => {
+      recorder.addProbe({ componentId: 3 })
+      recorder.addProbe({ componentId: 1, terminal: '+' })
+      run(3)
+
+      const lines = recorder.toCSV(simulator.components).trim().split('\n')
+
+      expect(lines[0]).toBe('time (s),capacitor 1 (V),capacitor 1 (A),battery 1 + (V),battery 1 + (A)')
+      expect(lines).toHaveLength(4)
+      const [time, voltage, current, netVoltage, netCurrent] = lines[3].split(',')
+      expect(time).toBe('0.030')
+      expect(Number(voltage)).toBeGreaterThan(0)
+      expect(Number(current)).toBeGreaterThan(0)
+      expect(Number(netVoltage)).toBeGreaterThan(0)
+      expect(netCurrent).toBe('')
+    })
+  })
+})
+
+describe('CircuitSimulator.getNetVoltage', () => {
+  it('should be null before the first step', () => {
+    expect(new CircuitSimulator().getNetVoltage(1, '+')).toBeNull()
+  })
+})
@@ -0,0 +1,223 @@
+/**
+ * Relays.test.js - Unit tests for the electromagnetic relay model
+ *
+ * Tests:
+ * - Stamping the coil and the closed changeover contact
+ * - Pull-in above the threshold after the armature travel time
+ * - Hysteresis between pull-in and drop-out currents
+ * - Relay-driven circuits in a running simulation, with click events
+ * - Coil and contact sides counted as separate paths for loop finding
+ * - Reset state
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  stampRelay,
+  updateRelay,
+  getRelayContact,
+  RELAY_COIL_RESISTANCE,
+  RELAY_PULL_IN_CURRENT,
+  RELAY_DROP_OUT_CURRENT,
+  RELAY_SWITCH_TIME
+} from '../Relays.js'
+import { CONTACT_RESISTANCE } from '../Switches.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Coil voltage that drives a given coil current
+const coilVoltageFor = current => current * RELAY_COIL_RESISTANCE
+
+describe('Relays', () => {
+  describe('stampRelay', () => {
+    const nodes = { coil1: 1, coil2: 2, com: 3, no: 4, nc: 5 }
+
+    it('should join com to nc while released', () => {
+      const system = { addResistor: vi.fn() }
+
+      stampRelay(system, { type: 'relay', closed: false }, nodes)
+
+      expect(system.addResistor).toHaveBeenCalledWith(1, 2, RELAY_COIL_RESISTANCE)
+      expect(system.addResistor).toHaveBeenCalledWith(3, 5, CONTACT_RESISTANCE)
+      expect(system.addResistor).not.toHaveBeenCalledWith(3, 4, CONTACT_RESISTANCE)
+    })
+
+    it('should join com to no while energised', () => {
+      const system = { addResistor: vi.fn() }
+
+      stampRelay(system, { type: 'relay', closed: true }, nodes)
+
+      expect(system.addResistor).toHaveBeenCalledWith(3, 4, CONTACT_RESISTANCE)
+      expect(getRelayContact({ closed: true })).toBe('no')
+    })
+  })
+
+  describe('updateRelay', () => {
+    it('should pull in only after the armature has travelled', () => {
+      const relay = { type: 'relay', closed: false }
+      const voltage = coilVoltageFor(RELAY_PULL_IN_CURRENT * 1.5)
+
+      expect(updateRelay(relay, voltage, 0, RELAY_SWITCH_TIME / 2)).toBe(false)
+      expect(relay.closed).toBe(false)
+      expect(relay.armature).toBeCloseTo(0.5, 5)
+
+      expect(updateRelay(relay, voltage, 0, RELAY_SWITCH_TIME / 2)).toBe(true)
+      expect(relay.closed).toBe(true)
+      expect(relay.armature).toBe(1)
+    })
+
+    it('should not pull in below the pull-in current', () => {
+      const relay = { type: 'relay', closed: false }
+
+      for (let i = 0; i < 10; i++) {
+        updateRelay(relay, coilVoltageFor(RELAY_PULL_IN_CURRENT * 0.9), 0, RELAY_SWITCH_TIME)
+      }
+
+      expect(relay.closed).toBe(false)
+      expect(relay.armature).toBe(0)
+    })
+
+    it('should hold in between the drop-out and pull-in currents', () => {
+      const relay = { type: 'relay', closed: true }
+      const between = (RELAY_PULL_IN_CURRENT + RELAY_DROP_OUT_CURRENT) / 2
+
+      updateRelay(relay, coilVoltageFor(between), 0, RELAY_SWITCH_TIME)
+
+      expect(relay.closed).toBe(true)
+    })
+
+    it('should drop out once the coil current falls to the drop-out current', () => {
+      const relay = { type: 'relay', closed: true }
+
+      const clicked = updateRelay(relay, coilVoltageFor(RELAY_DROP_OUT_CURRENT * 0.5), 0, RELAY_SWITCH_TIME)
+
+      expect(clicked).toBe(true)
+      expect(relay.closed).toBe(false)
+    })
+
+    it('should spring back if the coil lets go mid-travel', () => {
+      const relay = { type: 'relay', closed: false }
+
+      updateRelay(relay, coilVoltageFor(RELAY_PULL_IN_CURRENT * 2), 0, RELAY_SWITCH_TIME / 2)
+      updateRelay(relay, 0, 0, RELAY_SWITCH_TIME / 2)
+
+      expect(relay.closed).toBe(false)
+      expect(relay.travel).toBe(0)
+      expect(relay.armature).toBe(0)
+    })
+
+    it('should report coil and contact currents', () => {
+      const relay = { type: 'relay', closed: false }
+
+      updateRelay(relay, 1.2, 0.00002, 0.01)
+
+      expect(relay.coilCurrent).toBeCloseTo(1.2 / RELAY_COIL_RESISTANCE, 6)
+      expect(relay.current).toBeCloseTo(0.00002 / CONTACT_RESISTANCE, 6)
+    })
+  })
+
+  describe('in a circuit', () => {
+    // Three potatoes (2.7V): switch → coil, and com → no → LED
+    const build = () => {
+      const simulator = new CircuitSimulator()
+      const batteries = [1, 2, 3].map(id => ({ id, type: 'battery', voltage: 0.9, charge: 1.0 }))
+      const toggle = { id: 4, type: 'switch', closed: false }
+      const relay = { id: 5, type: 'relay', closed: false }
+      const led = { id: 6, type: 'led', brightness: 0 }
+
+      simulator.setComponents([...batteries, toggle, relay, led])
+      simulator.setWires([
+        { id: 10, from: end(1, '+'), to: end(2, '-') },
+        { id: 11, from: end(2, '+'), to: end(3, '-') },
+        { id: 12, from: end(3, '+'), to: end(4, 'a') },
+        { id: 13, from: end(4, 'b'), to: end(5, 'coil1') },
+        { id: 14, from: end(5, 'coil2'), to: end(1, '-') },
+        { id: 15, from: end(3, '+'), to: end(5, 'com') },
+        { id: 16, from: end(5, 'no'), to: end(6, 'anode') },
+        { id: 17, from: end(6, 'cathode'), to: end(1, '-') }
+      ])
+      return { simulator, toggle, relay, led }
+    }
+
+    const run = (simulator, steps) => {
+      for (let i = 0; i < steps; i++) simulator.simulate(0.01)
+    }
+
+    it('should switch the LED on shortly after the coil is energised', () => {
+      const { simulator, toggle, relay, led } = build()
+
+      run(simulator, 5)
+      expect(relay.closed).toBe(false)
+      expect(led.brightness).toBe(0)
+
+      toggle.closed = true
+      simulator.simulate(0.01)
+      expect(relay.coilCurrent).toBeGreaterThan(RELAY_PULL_IN_CURRENT)
+      expect(relay.closed).toBe(false)
+
+      run(simulator, 10)
+      expect(relay.closed).toBe(true)
+      expect(led.brightness).toBeGreaterThan(0.1)
+    })
+
+    it('should switch the LED off again after the coil is released', () => {
+      const { simulator, toggle, relay, led } = build()
+
+      toggle.closed = true
+      run(simulator, 10)
+      toggle.closed = false
+      run(simulator, 10)
+
+      expect(relay.closed).toBe(false)
+      expect(led.brightness).toBe(0)
+    })
+
+    it('should emit a click each time the contacts change over', () => {
+      const { simulator, toggle } = build()
+      const onClick = vi.fn()
+      simulator.onRelayClick(onClick)
+
+      toggle.closed = true
+      run(simulator, 10)
+      expect(onClick).toHaveBeenCalledTimes(1)
+      expect(onClick.mock.calls[0][0].closed).toBe(true)
+
+      toggle.closed = false
+      run(simulator, 10)
+      expect(onClick).toHaveBeenCalledTimes(2)
+      expect(onClick.mock.calls[1][0].closed).toBe(false)
+    })
+
+    it('should not count the coil as a path to the contacts', () => {
+      const simulator = new CircuitSimulator()
+      const battery = { id: 1, type: 'battery', voltage: 0.9, charge: 1.0 }
+      const relay = { id: 2, type: 'relay', closed: true }
+      const led = { id: 3, type: 'led', brightness: 0 }
+
+      // LED through the contacts, but the battery only reaches the coil
+      simulator.setComponents([battery, relay, led])
+      simulator.setWires([
+        { id: 10, from: end(1, '+'), to: end(2, 'coil1') },
+        { id: 11, from: end(2, 'coil2'), to: end(1, '-') },
+        { id: 12, from: end(2, 'com'), to: end(3, 'anode') },
+        { id: 13, from: end(3, 'cathode'), to: end(2, 'no') }
+      ])
+
+      expect(simulator.findOpenLoads()).toEqual([led])
+    })
+
+    it('should release the relay on reset', () => {
+      const simulator = new CircuitSimulator()
+
+      const [relay] = simulator.resetCircuit([
+        { id: 1, type: 'relay', closed: true, travel: 0.02, armature: 0.6, coilCurrent: 0.04, current: 0.01 }
+      ])
+
+      expect(relay.closed).toBe(false)
+      expect(relay.travel).toBe(0)
+      expect(relay.armature).toBe(0)
+      expect(relay.coilCurrent).toBe(0)
+      expect(relay.current).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,162 @@
+/**
+ * SimulationClient.test.js - Unit tests for the UI's side of the
+ * simulation message protocol
+ *
+ * Tests run the host in-process (jsdom has no Web Workers), so every
+ * answer arrives before the message call returns.
+ *
+ * Tests:
+ * - The same results as stepping a CircuitSimulator directly
+ * - Diffs applied to the client's copy and to other component lists
+ * - Switch and knob changes sent only when they change
+ * - Late diffs from a stopped run dropped
+ * - Net voltages, short circuits and energy from the last step
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { SimulationClient, createSimulationClient, createLocalPort, applyChanges } from '../SimulationClient.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+import { ComponentFactory } from '../../utils/ComponentFactory.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Battery through a switch and a potentiometer into an LED
+const circuit = () => ({
+  components: [
+    ComponentFactory.createBattery(1),
+    ComponentFactory.createBattery(2),
+    ComponentFactory.createSwitch(3, true),
+    ComponentFactory.createPotentiometer(4),
+    ComponentFactory.createLED(5)
+  ],
+  wires: [
+    { id: 10, from: end(1, '+'), to: end(2, '-') },
+    { id: 11, from: end(2, '+'), to: end(3, 'a') },
+    { id: 12, from: end(3, 'b'), to: end(4, 'a') },
+    { id: 13, from: end(4, 'wiper'), to: end(5, 'anode') },
+    { id: 14, from: end(5, 'cathode'), to: end(1, '-') }
+  ]
+})
+
+describe('SimulationClient', () => {
+  let client
+
+  beforeEach(() => {
+    client = new SimulationClient(createLocalPort())
+  })
+
+  it('should run in-process where there are no workers', () => {
+    expect(typeof Worker).toBe('undefined')
+    const local = createSimulationClient()
+
+    local.start(circuit())
+    local.step(1, 0.01)
+
+    expect(local.components[4].current).toBeGreaterThan(0)
+  })
+
+  it('should match stepping the simulator directly', () => {
+    const simulator = new CircuitSimulator()
+    const { components, wires } = circuit()
+    simulator.setComponents(structuredClone(components))
+    simulator.setWires(wires)
+    for (let i = 0; i < 20; i++) simulator.simulate(0.01)
+
+    client.start({ components, wires })
+    client.step(10, 0.01)
+    client.step(10, 0.01)
+
+    client.components.forEach((comp, i) => {
+      expect(comp).toEqual(simulator.components[i])
+    })
+  })
+
+  it('should answer each step through onDiff, synchronously', () => {
+    const listener = vi.fn()
+    client.onDiff(listener)
+    client.start(circuit())
+
+    client.step(3, 0.01)
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    const [diff, before] = listener.mock.calls[0]
+    expect(diff.samples).toHaveLength(3)
+    expect(before[4].current).toBeUndefined()
+    expect(client.isBusy()).toBe(false)
+  })
+
+  it('should stop calling a listener once unregistered', () => {
+    const listener = vi.fn()
+    const unregister = client.onDiff(listener)
+    client.start(circuit())
+
+    unregister()
+    client.step(1, 0.01)
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('should send switch and knob changes only when they change', () => {
+    const { components, wires } = circuit()
+    client.start({ components, wires })
+    const send = vi.spyOn(client, 'send')
+
+    client.setControls(components)
+    expect(send).not.toHaveBeenCalled()
+
+    const opened = applyChanges(components, { 3: { closed: false } })
+    client.setControls(opened)
+    expect(send).toHaveBeenCalledWith({ type: 'edit', changes: { 3: { closed: false } } })
+
+    client.step(1, 0.01)
+    expect(client.components[4].current).toBe(0)
+  })
+
+  it('should drop diffs from a run that has stopped', () => {
+    const listener = vi.fn()
+    client.onDiff(listener)
+    client.start(circuit())
+
+    client.stop()
+    client.receive({ type: 'diff', run: client.run, changes: { 5: { current: 1 } } })
+    client.start(circuit())
+    client.receive({ type: 'diff', run: client.run - 1, changes: { 5: { current: 1 } } })
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('should read net voltages, short circuits and energy from the last step', () => {
+    client.start(circuit())
+    expect(client.getNetVoltage(2, '+')).toBeNull()
+
+    client.step(1, 0.01)
+
+    expect(client.getNetVoltage(1, '-')).toBe(0)
+    expect(client.getNetVoltage(2, '+')).toBeGreaterThan(1.7)
+    expect(client.findShortCircuits()).toEqual([])
+    expect(client.getEnergyLedger().supplied).toBeGreaterThan(0)
+  })
+
+  it('should replace its copy with a snapshot', () => {
+    client.start(circuit())
+    client.step(2, 0.01)
+    client.components = []
+
+    client.requestSnapshot()
+
+    expect(client.components).toHaveLength(5)
+    expect(client.components[4].current).toBeGreaterThan(0)
+  })
+
+  describe('applyChanges', () => {
+    it('should copy only the parts that changed', () => {
+      const components = [{ id: 1, current: 0 }, { id: 2, current: 0 }]
+
+      const updated = applyChanges(components, { 2: { current: 0.5 } })
+
+      expect(updated[0]).toBe(components[0])
+      expect(updated[1]).toEqual({ id: 2, current: 0.5 })
+      expect(components[1].current).toBe(0)
+    })
+  })
+})
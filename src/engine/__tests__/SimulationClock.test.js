@@ -0,0 +1,105 @@
+/**
+ * SimulationClock.test.js - Unit tests for the fixed-timestep simulation clock
+ *
+ * Tests:
+ * - Whole physics steps for the real time passed, leftovers carried over
+ * - Speed scaling, pause and single steps
+ * - Independence from how often (or how late) ticks come
+ * - Long gaps replayed in bounded batches
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { SimulationClock, PHYSICS_STEP, MAX_STEPS_PER_TICK, SPEEDS } from '../SimulationClock.js'
+
+describe('SimulationClock', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = new SimulationClock()
+    clock.start(0)
+  })
+
+  // Tick from start to end (ms) every interval ms, counting the steps run
+  const run = (end, interval) => {
+    let steps = 0
+    for (let now = interval; now <= end; now += interval) {
+      steps += clock.tick(now)
+    }
+    return steps
+  }
+
+  it('should run in real time at 1×', () => {
+    expect(clock.tick(100)).toBe(10)
+    expect(clock.getTime()).toBeCloseTo(0.1)
+  })
+
+  it('should carry part of a step over to the next tick', () => {
+    expect(clock.tick(15)).toBe(1)
+    expect(clock.tick(20)).toBe(1)
+    expect(clock.getTime()).toBeCloseTo(2 * PHYSICS_STEP)
+  })
+
+  it('should scale simulated time by the speed', () => {
+    clock.setSpeed(16)
+    expect(clock.tick(100)).toBe(160)
+
+    clock.setSpeed(0.25)
+    expect(clock.tick(200)).toBe(2)
+  })
+
+  it('should keep the same pace however often it ticks', () => {
+    const jittery = new SimulationClock()
+    jittery.start(0)
+    const times = [7, 130, 180, 460, 470, 1000]
+    const steps = times.reduce((total, now) => total + jittery.tick(now), 0)
+
+    expect(run(1000, 100)).toBe(100)
+    expect(steps).toBe(100)
+  })
+
+  it('should keep pace when ticks are throttled to once a second', () => {
+    expect(run(5000, 1000)).toBe(500)
+  })
+
+  it('should replay a long gap between ticks in bounded batches', () => {
+    // A minute away is 6000 steps owed
+    expect(clock.tick(60000)).toBe(MAX_STEPS_PER_TICK)
+    expect(clock.getTime()).toBeCloseTo(MAX_STEPS_PER_TICK * PHYSICS_STEP)
+
+    // The rest is paid off over the next ticks, on top of their own time
+    let steps = MAX_STEPS_PER_TICK
+    for (let now = 60100; now <= 62000; now += 100) {
+      steps += clock.tick(now)
+    }
+    expect(steps).toBe(6200)
+    expect(clock.tick(62100)).toBe(10)
+  })
+
+  it('should stand still while paused but take single steps', () => {
+    clock.setSpeed(0)
+    expect(clock.isPaused()).toBe(true)
+    expect(clock.tick(500)).toBe(0)
+
+    clock.stepOnce()
+    expect(clock.tick(600)).toBe(1)
+    expect(clock.tick(700)).toBe(0)
+    expect(clock.getTime()).toBeCloseTo(PHYSICS_STEP)
+  })
+
+  it('should only accept its own speeds', () => {
+    clock.setSpeed(3)
+
+    expect(clock.getSpeed()).toBe(1)
+    expect(SPEEDS).toEqual([0, 0.25, 1, 4, 16])
+  })
+
+  it('should start afresh after a reset', () => {
+    clock.tick(300)
+    clock.stepOnce()
+    clock.reset()
+    clock.start(1000)
+
+    expect(clock.getTime()).toBe(0)
+    expect(clock.tick(1050)).toBe(5)
+  })
+})
@@ -0,0 +1,152 @@
+/**
+ * SimulationHost.test.js - Unit tests for the engine's side of the
+ * simulation message protocol
+ *
+ * Tests:
+ * - Stepping only between start and stop
+ * - Diffs carrying only the properties that changed
+ * - Edits to switches reaching the circuit, a quick button tap included
+ * - Probe samples and timed challenge conditions after every step
+ * - Snapshots of the whole state
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createSimulationHost } from '../SimulationHost.js'
+import { ComponentFactory } from '../../utils/ComponentFactory.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Two batteries lighting a bulb through a switch
+const circuit = () => ({
+  components: [
+    ComponentFactory.createBattery(1),
+    ComponentFactory.createBattery(2),
+    ComponentFactory.createSwitch(3, true),
+    ComponentFactory.createLightBulb(4)
+  ],
+  wires: [
+    { id: 10, from: end(1, '+'), to: end(2, '-') },
+    { id: 11, from: end(2, '+'), to: end(3, 'a') },
+    { id: 12, from: end(3, 'b'), to: end(4, 'a') },
+    { id: 13, from: end(4, 'b'), to: end(1, '-') }
+  ]
+})
+
+describe('SimulationHost', () => {
+  let messages
+  let host
+
+  beforeEach(() => {
+    messages = []
+    host = createSimulationHost(message => messages.push(message))
+    host({ type: 'load', ...circuit() })
+  })
+
+  const last = () => messages[messages.length - 1]
+
+  it('should only step between start and stop', () => {
+    host({ type: 'step', count: 1, step: 0.01 })
+    expect(messages).toHaveLength(0)
+
+    host({ type: 'start', run: 1 })
+    host({ type: 'step', count: 5, step: 0.01 })
+    expect(last()).toMatchObject({ type: 'diff', run: 1, step: 0.01 })
+    expect(last().time).toBeCloseTo(0.05)
+
+    host({ type: 'stop' })
+    host({ type: 'step', count: 1, step: 0.01 })
+    expect(messages).toHaveLength(1)
+  })
+
+  it('should send only what changed since the last message', () => {
+    host({ type: 'start', run: 1 })
+    host({ type: 'step', count: 1, step: 0.01 })
+
+    const first = last().changes
+    expect(first[4].current).toBeGreaterThan(0)
+    expect(first[4].brightness).toBeUndefined()  // Too few volts to glow
+    expect(first[4].x).toBeUndefined()
+    expect(first[3].closed).toBeUndefined()
+
+    host({ type: 'step', count: 1, step: 0.01 })
+    expect(last().changes[1].charge).toBeLessThan(first[1].charge)
+  })
+
+  it('should apply edits from the player', () => {
+    host({ type: 'start', run: 1 })
+    host({ type: 'step', count: 1, step: 0.01 })
+
+    host({ type: 'edit', changes: { 3: { closed: false } } })
+    host({ type: 'step', count: 1, step: 0.01 })
+
+    expect(last().changes[3].closed).toBe(false)
+    expect(last().changes[4].current).toBeCloseTo(0, 12)
+  })
+
+  it('should let the solver see a button tap between two steps', () => {
+    // The switch swapped for a push button, left up
+    const { components, wires } = circuit()
+    components[2] = ComponentFactory.createPushButton(3)
+    host({ type: 'load', components, wires })
+    host({ type: 'start', run: 1 })
+    host({ type: 'step', count: 1, step: 0.01 })
+
+    // Pressed and released again before the next step message
+    host({ type: 'edit', changes: { 3: { pressed: true } } })
+    host({ type: 'edit', changes: { 3: { pressed: false } } })
+    host({ type: 'step', count: 2, step: 0.01 })
+
+    expect(last().samples).toHaveLength(2)
+    expect(last().energy.supplied).toBeGreaterThan(0)
+    expect(last().changes[3]).toBeUndefined()  // Released again, as it started
+  })
+
+  it('should report net voltages and energy', () => {
+    host({ type: 'start', run: 1 })
+    host({ type: 'step', count: 1, step: 0.01 })
+
+    const { netVoltages, energy } = last()
+    expect(netVoltages[1]['-']).toBe(0)
+    expect(netVoltages[2]['+']).toBeGreaterThan(1)
+    expect(energy.supplied).toBeGreaterThan(0)
+  })
+
+  it('should sample probes after every step', () => {
+    host({ type: 'start', run: 1 })
+    host({
+      type: 'step',
+      count: 3,
+      step: 0.01,
+      probes: [{ id: 7, componentId: 4, terminal: null }, { id: 8, componentId: 9, terminal: null }]
+    })
+
+    const { samples } = last()
+    expect(samples.map(s => s.time)).toHaveLength(3)
+    expect(samples[2].time).toBeCloseTo(0.03)
+    expect(samples[2].readings[7].current).toBeGreaterThan(0)
+    expect(samples[2].readings[8]).toBeUndefined()
+  })
+
+  it('should check a timed challenge after every step', () => {
+    host({ type: 'start', run: 1, challengeId: 'battery-blues' })
+    host({ type: 'step', count: 4, step: 0.01 })
+
+    expect(last().conditions).toHaveLength(4)
+    expect(last().conditions.every(c => typeof c === 'boolean')).toBe(true)
+
+    host({ type: 'start', run: 2, challengeId: 'first-light' })
+    host({ type: 'step', count: 4, step: 0.01 })
+    expect(last().conditions).toEqual([])
+  })
+
+  it('should send a snapshot of the whole state', () => {
+    host({ type: 'start', run: 1 })
+    host({ type: 'step', count: 2, step: 0.01 })
+    host({ type: 'snapshot' })
+
+    expect(last().type).toBe('snapshot')
+    expect(last().components).toHaveLength(4)
+    expect(last().wires).toHaveLength(4)
+    expect(last().time).toBeCloseTo(0.02)
+  })
+})
@@ -0,0 +1,164 @@
+/**
+ * SimulationRunner.test.js - Unit tests for running circuits headless
+ *
+ * Tests:
+ * - Final state after a run, with the input circuit left untouched
+ * - Time series sampled at the sample interval
+ * - Energy totals over the run
+ * - Challenge outcomes for untimed and timed challenges, end to end
+ * - Starting the timer of a challenge that waits for Start Timer
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { runSimulation } from '../SimulationRunner.js'
+import { ComponentFactory } from '../../utils/ComponentFactory.js'
+
+// No shipped challenge waits for Start Timer yet, so add an Endurance that does
+vi.mock('../../challenges/ChallengeDefinitions.js', async importOriginal => {
+  const { getChallengeDefinitions } = await importOriginal()
+  return {
+    getChallengeDefinitions: () => {
+      const challenges = getChallengeDefinitions()
+      const endurance = challenges.find(c => c.id === 'endurance')
+      return [...challenges, { ...endurance, id: 'manual-endurance', requiresManualStart: true }]
+    }
+  }
+})
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+// Potatoes in series (+ to -) across loads with terminals a/b, side by side
+function seriesCircuit(count, ...loads) {
+  const batteries = Array.from({ length: count }, (_, i) => ComponentFactory.createBattery(i + 1))
+  const wires = batteries.slice(1).map((battery, i) => ({
+    id: 100 + i,
+    from: end(batteries[i].id, '+'),
+    to: end(battery.id, '-')
+  }))
+  loads.forEach((load, i) => {
+    const [a, b] = load.terminals
+    wires.push({ id: 200 + i * 2, from: end(batteries[count - 1].id, '+'), to: end(load.id, a) })
+    wires.push({ id: 201 + i * 2, from: end(load.id, b), to: end(batteries[0].id, '-') })
+  })
+  return { components: [...batteries, ...loads], wires }
+}
+
+describe('SimulationRunner', () => {
+  it('should return the final state after the duration', () => {
+    const circuit = seriesCircuit(2, ComponentFactory.createLED(10))
+
+    const run = runSimulation(circuit, { duration: 1 })
+
+    expect(run.steps).toBe(100)
+    expect(run.time).toBeCloseTo(1)
+    expect(run.components.find(c => c.id === 10).brightness).toBeGreaterThan(0)
+    expect(run.validation).toBeNull()
+  })
+
+  it('should leave the circuit passed in untouched', () => {
+    const circuit = seriesCircuit(2, ComponentFactory.createLED(10))
+    const before = JSON.stringify(circuit)
+
+    runSimulation(circuit, { duration: 1 })
+
+    expect(JSON.stringify(circuit)).toBe(before)
+  })
+
+  it('should sample every component at the sample interval', () => {
+    const circuit = seriesCircuit(3, ComponentFactory.createLightBulb(10))
+
+    const { series } = runSimulation(circuit, { duration: 2, sampleInterval: 0.5 })
+
+    expect(series.time.map(t => Number(t.toFixed(2)))).toEqual([0.5, 1, 1.5, 2])
+    expect(series.components[10].brightness).toHaveLength(4)
+    expect(series.components[1].charge).toHaveLength(4)
+    expect(series.components[10].x).toBeUndefined()
+  })
+
+  it('should show batteries draining over simulated time', () => {
+    const circuit = seriesCircuit(3, ComponentFactory.createLightBulb(10))
+
+    const charge = runSimulation(circuit, { duration: 1, sampleInterval: 0.2 }).series.components[1].charge
+
+    charge.slice(1).forEach((value, i) => expect(value).toBeLessThan(charge[i]))
+  })
+
+  it('should account for the energy over the run', () => {
+    const circuit = seriesCircuit(3, ComponentFactory.createLightBulb(10))
+
+    const { energy } = runSimulation(circuit, { duration: 1 })
+
+    expect(energy.supplied).toBeGreaterThan(0)
+    expect(energy.components[10].dissipated).toBeCloseTo(energy.useful, 12)
+    expect(Math.abs(energy.imbalance)).toBeLessThan(energy.supplied * 1e-9)
+  })
+
+  it('should report when an untimed challenge completes', () => {
+    const circuit = seriesCircuit(2, ComponentFactory.createLED(10))
+
+    const { validation } = runSimulation(circuit, { duration: 1, challengeId: 'first-light' })
+
+    expect(validation.success).toBe(true)
+    expect(validation.completedAt).toBeCloseTo(0.1)
+  })
+
+  it('should report why a challenge is not solved', () => {
+    const circuit = { components: [ComponentFactory.createLED(10)], wires: [] }
+
+    const { validation } = runSimulation(circuit, { duration: 1, challengeId: 'first-light' })
+
+    expect(validation.success).toBe(false)
+    expect(validation.completedAt).toBeNull()
+    expect(validation.message).toBeTruthy()
+  })
+
+  it('should report an unknown challenge', () => {
+    const circuit = seriesCircuit(2, ComponentFactory.createLED(10))
+
+    expect(runSimulation(circuit, { challengeId: 'nope' }).validation)
+      .toEqual({ success: false, message: 'Challenge not found' })
+  })
+
+  it('should complete a timed challenge in simulated time', () => {
+    // Two LEDs sip far less than a bulb, so two potatoes last the minute
+    const circuit = seriesCircuit(2, ComponentFactory.createLED(10), ComponentFactory.createLED(11))
+
+    const { validation } = runSimulation(circuit, { duration: 70, challengeId: 'endurance' })
+
+    expect(validation.success).toBe(true)
+    expect(validation.completedAt).toBeCloseTo(60, 1)
+    expect(validation.conditionTime).toBeCloseTo(60, 1)
+  })
+
+  it('should fail a timed challenge when the batteries give out', () => {
+    // Three potatoes light a bulb for a second or two
+    const circuit = seriesCircuit(3, ComponentFactory.createLightBulb(10))
+
+    const { validation } = runSimulation(circuit, { duration: 40, challengeId: 'battery-blues' })
+
+    expect(validation.success).toBe(false)
+    expect(validation.failed).toBe(true)
+    expect(validation.conditionTime).toBeGreaterThan(0)
+    expect(validation.conditionTime).toBeLessThan(5)
+    expect(validation.message).toMatch(/too dim/)
+  })
+
+  it('should leave a manual-start timer stopped unless asked to start it', () => {
+    const circuit = seriesCircuit(2, ComponentFactory.createLED(10), ComponentFactory.createLED(11))
+
+    const { validation } = runSimulation(circuit, { duration: 70, challengeId: 'manual-endurance' })
+
+    expect(validation.success).toBe(false)
+    expect(validation.conditionTime).toBe(0)
+    expect(validation.tracking).toBe(true)
+  })
+
+  it('should complete a manual-start challenge when the timer is started', () => {
+    const circuit = seriesCircuit(2, ComponentFactory.createLED(10), ComponentFactory.createLED(11))
+
+    const { validation } = runSimulation(circuit, { duration: 70, challengeId: 'manual-endurance', startTimer: true })
+
+    expect(validation.success).toBe(true)
+    expect(validation.completedAt).toBeCloseTo(60, 1)
+  })
+})
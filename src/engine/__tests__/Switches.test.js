@@ -0,0 +1,121 @@
+/**
+ * Switches.test.js - Unit tests for switch and push button models
+ *
+ * Tests:
+ * - Which components the player can operate
+ * - Open/closed state of toggle switches and push buttons
+ * - Stamping closed contacts into the nodal system
+ * - Branches opened and closed in a running simulation
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { isSwitch, isSwitchClosed, stampSwitch, CONTACT_RESISTANCE } from '../Switches.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+describe('Switches', () => {
+  describe('isSwitch', () => {
+    it('should recognise switches and push buttons', () => {
+      expect(isSwitch({ type: 'switch' })).toBe(true)
+      expect(isSwitch({ type: 'pushbutton' })).toBe(true)
+      expect(isSwitch({ type: 'resistor' })).toBe(false)
+    })
+  })
+
+  describe('isSwitchClosed', () => {
+    it('should follow a toggle switch\'s position', () => {
+      expect(isSwitchClosed({ type: 'switch', closed: true })).toBe(true)
+      expect(isSwitchClosed({ type: 'switch', closed: false })).toBe(false)
+      expect(isSwitchClosed({ type: 'switch' })).toBe(false)
+    })
+
+    it('should close a push button only while pressed', () => {
+      expect(isSwitchClosed({ type: 'pushbutton', pressed: true })).toBe(true)
+      expect(isSwitchClosed({ type: 'pushbutton', pressed: false })).toBe(false)
+      // A push button ignores the toggle flag
+      expect(isSwitchClosed({ type: 'pushbutton', closed: true })).toBe(false)
+    })
+  })
+
+  describe('stampSwitch', () => {
+    it('should stamp the contact resistance when closed', () => {
+      const system = { addResistor: vi.fn() }
+
+      stampSwitch(system, { type: 'switch', closed: true }, { a: 1, b: 2 })
+
+      expect(system.addResistor).toHaveBeenCalledWith(1, 2, CONTACT_RESISTANCE)
+    })
+
+    it('should stamp nothing when open', () => {
+      const system = { addResistor: vi.fn() }
+
+      stampSwitch(system, { type: 'switch', closed: false }, { a: 1, b: 2 })
+
+      expect(system.addResistor).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('in a circuit', () => {
+    // battery + → switch → LED → battery -
+    const build = control => {
+      const simulator = new CircuitSimulator()
+      const battery = { id: 1, type: 'battery', voltage: 0.9, charge: 1.0 }
+      const led = { id: 3, type: 'led', brightness: 0 }
+
+      simulator.setComponents([battery, control, led])
+      simulator.setWires([
+        { id: 10, from: end(1, '+'), to: end(2, 'a') },
+        { id: 11, from: end(2, 'b'), to: end(3, 'anode') },
+        { id: 12, from: end(3, 'cathode'), to: end(1, '-') }
+      ])
+      return { simulator, led }
+    }
+
+    it('should light the LED only while the switch is closed', () => {
+      const toggle = { id: 2, type: 'switch', closed: false }
+      const { simulator, led } = build(toggle)
+
+      simulator.simulate(0.1)
+      expect(led.brightness).toBe(0)
+      expect(toggle.current).toBe(0)
+
+      toggle.closed = true
+      simulator.simulate(0.1)
+      expect(led.brightness).toBeGreaterThan(0.1)
+      expect(toggle.current).toBeCloseTo(led.current, 5)
+    })
+
+    it('should light the LED only while the button is held', () => {
+      const button = { id: 2, type: 'pushbutton', pressed: true }
+      const { simulator, led } = build(button)
+
+      simulator.simulate(0.1)
+      expect(led.brightness).toBeGreaterThan(0.1)
+
+      button.pressed = false
+      simulator.simulate(0.1)
+      expect(led.brightness).toBe(0)
+    })
+
+    it('should count an open switch as part of the loop, not an open circuit', () => {
+      const { simulator } = build({ id: 2, type: 'switch', closed: false })
+
+      expect(simulator.findOpenLoads()).toHaveLength(0)
+    })
+
+    it('should release push buttons but keep switch positions on reset', () => {
+      const simulator = new CircuitSimulator()
+
+      const [toggle, button] = simulator.resetCircuit([
+        { id: 1, type: 'switch', closed: true, current: 0.01 },
+        { id: 2, type: 'pushbutton', pressed: true, current: 0.01 }
+      ])
+
+      expect(toggle.closed).toBe(true)
+      expect(toggle.current).toBe(0)
+      expect(button.pressed).toBe(false)
+      expect(button.current).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,212 @@
+/**
+ * Terminals.test.js - Unit tests for component terminals and wire migration
+ *
+ * Tests:
+ * - Terminal names per component type
+ * - Mirrored terminals when a component is flipped
+ * - Internal terminal pairs (relay coil and contacts kept apart, logic ports)
+ * - Reading component ids from both wire formats
+ * - Migration of centre-to-centre wires to terminal wires
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  COMPONENT_TERMINALS,
+  getTerminals,
+  getFlippedTerminal,
+  getTerminalPairs,
+  isFlippable,
+  isLegacyWire,
+  getWireComponentIds,
+  wireTouchesComponent,
+  isSameTerminal,
+  migrateWires
+} from '../Terminals.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+describe('Terminals', () => {
+  describe('getFlippedTerminal', () => {
+    it('should swap the first and last terminals', () => {
+      const led = { id: 1, type: 'led' }
+
+      expect(getFlippedTerminal(led, 'anode')).toBe('cathode')
+      expect(getFlippedTerminal(led, 'cathode')).toBe('anode')
+    })
+
+    it('should keep the middle terminal of a three-terminal part', () => {
+      const part = { id: 1, terminals: ['a', 'wiper', 'b'] }
+
+      expect(getFlippedTerminal(part, 'wiper')).toBe('wiper')
+      expect(getFlippedTerminal(part, 'a')).toBe('b')
+    })
+
+    it('should leave unknown terminals unchanged', () => {
+      expect(getFlippedTerminal({ type: 'battery' }, 'x')).toBe('x')
+    })
+  })
+
+  describe('getTerminalPairs', () => {
+    it('should join every pair of terminals of a simple component', () => {
+      expect(getTerminalPairs({ type: 'resistor' })).toEqual([['a', 'b']])
+      expect(getTerminalPairs({ type: 'mystery', terminals: ['x', 'y', 'z'] })).toEqual([
+        ['x', 'y'], ['x', 'z'], ['y', 'z']
+      ])
+    })
+
+    it('should keep a relay\'s coil apart from its contacts', () => {
+      const pairs = getTerminalPairs({ type: 'relay' })
+
+      expect(pairs).toContainEqual(['coil1', 'coil2'])
+      expect(pairs).toContainEqual(['com', 'no'])
+      expect(pairs).toContainEqual(['com', 'nc'])
+      expect(pairs).not.toContainEqual(['coil2', 'com'])
+    })
+
+    it('should only join a logic output to gnd', () => {
+      expect(getTerminalPairs({ type: 'and' })).toEqual([['out', 'gnd']])
+      expect(getTerminalPairs({ type: 'latch' })).toEqual([['q', 'gnd']])
+    })
+  })
+
+  describe('isFlippable', () => {
+    it('should allow flipping single-path components but not relays', () => {
+      expect(isFlippable({ type: 'led' })).toBe(true)
+      expect(isFlippable({ type: 'diode' })).toBe(true)
+      expect(isFlippable({ type: 'relay' })).toBe(false)
+    })
+  })
+
+  describe('getTerminals', () => {
+    it('should name terminals for every component type', () => {
+      expect(getTerminals({ type: 'battery' })).toEqual(['-', '+'])
+      expect(getTerminals({ type: 'led' })).toEqual(['anode', 'cathode'])
+      expect(getTerminals({ type: 'resistor' })).toEqual(['a', 'b'])
+      expect(getTerminals({ type: 'capacitor' })).toEqual(['+', '-'])
+      expect(getTerminals({ type: 'lightbulb' })).toEqual(['a', 'b'])
+    })
+
+    it('should prefer terminals declared on the component', () => {
+      expect(getTerminals({ type: 'resistor', terminals: ['x', 'y'] })).toEqual(['x', 'y'])
+    })
+
+    it('should fall back to a/b for unknown types', () => {
+      expect(getTerminals({ type: 'mystery' })).toEqual(['a', 'b'])
+    })
+
+    it('should declare two terminals per single-path type', () => {
+      Object.entries(COMPONENT_TERMINALS)
+        .filter(([type]) => isFlippable({ type }) && type !== 'potentiometer')
+        .forEach(([, terminals]) => {
+          expect(terminals).toHaveLength(2)
+        })
+    })
+
+    it('should swap a potentiometer\'s ends but keep its wiper when flipped', () => {
+      const pot = { type: 'potentiometer' }
+
+      expect(getTerminals(pot)).toEqual(['a', 'wiper', 'b'])
+      expect(isFlippable(pot)).toBe(true)
+      expect(getFlippedTerminal(pot, 'a')).toBe('b')
+      expect(getFlippedTerminal(pot, 'wiper')).toBe('wiper')
+    })
+
+    it('should give a relay coil and changeover contact terminals', () => {
+      expect(getTerminals({ type: 'relay' })).toEqual(['coil1', 'coil2', 'com', 'no', 'nc'])
+    })
+  })
+
+  describe('wire helpers', () => {
+    const legacy = { id: 1, from: 1, to: 2 }
+    const terminal = { id: 2, from: end(1, '+'), to: end(2, 'anode') }
+
+    it('should detect the wire format', () => {
+      expect(isLegacyWire(legacy)).toBe(true)
+      expect(isLegacyWire(terminal)).toBe(false)
+    })
+
+    it('should read component ids from either format', () => {
+      expect(getWireComponentIds(legacy)).toEqual([1, 2])
+      expect(getWireComponentIds(terminal)).toEqual([1, 2])
+      expect(wireTouchesComponent(terminal, 2)).toBe(true)
+      expect(wireTouchesComponent(terminal, 3)).toBe(false)
+    })
+
+    it('should compare terminals', () => {
+      expect(isSameTerminal(end(1, '+'), end(1, '+'))).toBe(true)
+      expect(isSameTerminal(end(1, '+'), end(1, '-'))).toBe(false)
+    })
+  })
+
+  describe('migrateWires', () => {
+    it('should return terminal wires unchanged', () => {
+      const wires = [{ id: 1, from: end(1, '+'), to: end(2, 'anode') }]
+
+      expect(migrateWires([], wires)).toBe(wires)
+    })
+
+    it('should wire the output of `from` to the input of `to`', () => {
+      const components = [
+        { id: 1, type: 'battery' },
+        { id: 2, type: 'resistor' },
+        { id: 3, type: 'led' }
+      ]
+      const wires = [{ id: 10, from: 1, to: 2 }, { id: 11, from: 2, to: 3 }]
+
+      const migrated = migrateWires(components, wires)
+
+      expect(migrated[0]).toEqual({ id: 10, from: end(1, '+'), to: end(2, 'a') })
+      expect(migrated[1]).toEqual({ id: 11, from: end(2, 'b'), to: end(3, 'anode') })
+    })
+
+    it('should power a part wired from a battery by its whole chain', () => {
+      const components = [
+        { id: 1, type: 'battery' },
+        { id: 2, type: 'battery' },
+        { id: 3, type: 'led' }
+      ]
+      const wires = [{ id: 10, from: 1, to: 3 }, { id: 11, from: 1, to: 2 }]
+
+      const migrated = migrateWires(components, wires)
+
+      expect(migrated[0]).toEqual({ id: 10, from: end(2, '+'), to: end(3, 'anode') })
+      expect(migrated[1]).toEqual({ id: 11, from: end(1, '+'), to: end(2, '-') })
+    })
+
+    it('should close the loop through the unused terminals', () => {
+      const components = [
+        { id: 1, type: 'battery' },
+        { id: 2, type: 'led' },
+        { id: 3, type: 'led' }
+      ]
+      const wires = [{ id: 10, from: 1, to: 2 }, { id: 11, from: 1, to: 3 }]
+
+      const migrated = migrateWires(components, wires)
+      const returns = migrated.slice(2)
+
+      // battery - joined to both cathodes
+      expect(returns).toHaveLength(2)
+      expect(returns[0]).toMatchObject({ id: 12, from: end(1, '-'), to: end(2, 'cathode') })
+      expect(returns[1]).toMatchObject({ id: 13, from: end(1, '-'), to: end(3, 'cathode') })
+    })
+
+    it('should drop self-wires and wires to missing components', () => {
+      const components = [{ id: 1, type: 'battery' }]
+      const wires = [{ id: 10, from: 1, to: 1 }, { id: 11, from: 1, to: 99 }]
+
+      expect(migrateWires(components, wires)).toEqual([])
+    })
+
+    it('should not connect components without wires', () => {
+      const components = [
+        { id: 1, type: 'battery' },
+        { id: 2, type: 'led' },
+        { id: 3, type: 'capacitor' }
+      ]
+
+      const migrated = migrateWires(components, [{ id: 10, from: 1, to: 2 }])
+
+      expect(migrated.some(w => wireTouchesComponent(w, 3))).toBe(false)
+    })
+  })
+})
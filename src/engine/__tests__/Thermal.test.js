@@ -0,0 +1,211 @@
+/**
+ * Thermal.test.js - Unit tests for part temperatures
+ *
+ * Tests:
+ * - Warming towards and cooling from the steady temperature over time
+ * - Heat levels, and the steady-state fallback before simulation
+ * - Filament resistance rising with temperature
+ * - Inrush current when a cold bulb switches on
+ * - Resistors warming up and cooling down in a running simulation
+ * - Reset back to ambient
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  AMBIENT_TEMPERATURE,
+  FILAMENT_COLD_RESISTANCE_RATIO,
+  THERMAL_PROPERTIES,
+  isThermal,
+  getTemperature,
+  getSteadyTemperature,
+  stepTemperature,
+  getHeatLevel,
+  getFilamentResistance,
+  settleFilamentResistance
+} from '../Thermal.js'
+import { CircuitSimulator } from '../CircuitSimulator.js'
+
+const end = (componentId, terminal) => ({ componentId, terminal })
+
+describe('Thermal', () => {
+  describe('isThermal', () => {
+    it('should give resistors and bulbs a temperature', () => {
+      expect(isThermal({ type: 'resistor' })).toBe(true)
+      expect(isThermal({ type: 'lightbulb' })).toBe(true)
+      expect(isThermal({ type: 'led' })).toBe(false)
+    })
+  })
+
+  describe('stepTemperature', () => {
+    const { timeConstant, fullPower, fullRise } = THERMAL_PROPERTIES.resistor
+
+    it('should cover about 63% of the way to the steady temperature in one time constant', () => {
+      const resistor = { type: 'resistor', temperature: AMBIENT_TEMPERATURE }
+
+      const temperature = stepTemperature(resistor, fullPower, timeConstant)
+
+      expect(temperature - AMBIENT_TEMPERATURE).toBeCloseTo(fullRise * (1 - Math.exp(-1)), 5)
+    })
+
+    it('should settle at the steady temperature after a long step', () => {
+      const resistor = { type: 'resistor', temperature: AMBIENT_TEMPERATURE }
+
+      expect(stepTemperature(resistor, 1.0, timeConstant * 50)).toBeCloseTo(getSteadyTemperature('resistor', 1.0), 5)
+    })
+
+    it('should cool back towards ambient with no power', () => {
+      const resistor = { type: 'resistor', temperature: 120 }
+
+      const temperature = stepTemperature(resistor, 0, timeConstant)
+
+      expect(temperature).toBeLessThan(120)
+      expect(temperature).toBeGreaterThan(AMBIENT_TEMPERATURE)
+    })
+
+    it('should start a part with no temperature at ambient', () => {
+      expect(stepTemperature({ type: 'resistor' }, 0, 1)).toBe(AMBIENT_TEMPERATURE)
+    })
+  })
+
+  describe('getSteadyTemperature', () => {
+    it('should rise in proportion to the power', () => {
+      const { fullPower, fullRise } = THERMAL_PROPERTIES.resistor
+
+      expect(getSteadyTemperature('resistor', fullPower / 2)).toBeCloseTo(AMBIENT_TEMPERATURE + fullRise / 2, 5)
+    })
+
+    it('should not heat a filament past white hot', () => {
+      const { maxRise } = THERMAL_PROPERTIES.lightbulb
+
+      expect(getSteadyTemperature('lightbulb', 20)).toBe(AMBIENT_TEMPERATURE + maxRise)
+    })
+  })
+
+  describe('getTemperature / getHeatLevel', () => {
+    it('should use the simulated temperature', () => {
+      const resistor = { type: 'resistor', temperature: AMBIENT_TEMPERATURE + 100, current: 0 }
+
+      expect(getTemperature(resistor)).toBe(AMBIENT_TEMPERATURE + 100)
+      expect(getHeatLevel(resistor)).toBeCloseTo(0.5, 5)
+    })
+
+    it('should assume the steady temperature before simulation', () => {
+      // 0.1A through 100Ω = 1W
+      const resistor = { current: 0.1, resistance: 100 }
+
+      expect(getHeatLevel(resistor, 'resistor')).toBeCloseTo(0.5, 5)
+    })
+
+    it('should clamp the heat level between 0 and 1', () => {
+      expect(getHeatLevel({ type: 'resistor', temperature: 5000 })).toBe(1)
+      expect(getHeatLevel({ type: 'resistor', temperature: 0 })).toBe(0)
+    })
+  })
+
+  describe('filament resistance', () => {
+    const { fullRise, timeConstant } = THERMAL_PROPERTIES.lightbulb
+
+    it('should rise from the cold ratio to the rated resistance', () => {
+      expect(getFilamentResistance(50, AMBIENT_TEMPERATURE)).toBeCloseTo(50 * FILAMENT_COLD_RESISTANCE_RATIO, 5)
+      expect(getFilamentResistance(50, AMBIENT_TEMPERATURE + fullRise)).toBeCloseTo(50, 5)
+    })
+
+    it('should settle at a resistance that its own heating explains', () => {
+      const bulb = { type: 'lightbulb', temperature: AMBIENT_TEMPERATURE }
+      const voltage = 3
+      const deltaTime = timeConstant
+
+      const resistance = settleFilamentResistance(bulb, 50, voltage, deltaTime)
+      const temperature = stepTemperature(bulb, voltage * voltage / resistance, deltaTime)
+
+      expect(getFilamentResistance(50, temperature)).toBeCloseTo(resistance, 6)
+    })
+
+    it('should heat as fast as it can when overdriven', () => {
+      const bulb = { type: 'lightbulb', temperature: AMBIENT_TEMPERATURE }
+
+      const resistance = settleFilamentResistance(bulb, 50, 100, timeConstant * 50)
+
+      expect(resistance).toBeCloseTo(50, 5)
+    })
+  })
+
+  describe('in a running circuit', () => {
+    // Ten potatoes in series (9V) across one part: 1(-) ... 10(+)
+    const build = part => {
+      const simulator = new CircuitSimulator()
+      const batteries = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, type: 'battery', voltage: 0.9, charge: 1.0 }))
+      const toggle = { id: 30, type: 'switch', closed: true }
+      simulator.setComponents([...batteries, toggle, part])
+      simulator.setWires([
+        ...batteries.slice(1).map((b, i) => ({ id: 100 + i, from: end(i + 1, '+'), to: end(b.id, '-') })),
+        { id: 200, from: end(10, '+'), to: end(30, 'a') },
+        { id: 201, from: end(30, 'b'), to: end(part.id, 'a') },
+        { id: 202, from: end(part.id, 'b'), to: end(1, '-') }
+      ])
+      return { simulator, toggle }
+    }
+
+    it('should draw an inrush current while a cold filament heats up', () => {
+      const bulb = { id: 20, type: 'lightbulb', resistance: 50, brightness: 0 }
+      const { simulator } = build(bulb)
+
+      simulator.simulate(0.01)
+      const inrush = bulb.current
+      for (let i = 0; i < 50; i++) simulator.simulate(0.01)
+
+      expect(inrush).toBeGreaterThan(bulb.current * 2)
+      expect(bulb.current).toBeCloseTo(bulb.voltage / 50, 3)
+      expect(bulb.temperature).toBeCloseTo(AMBIENT_TEMPERATURE + THERMAL_PROPERTIES.lightbulb.fullRise, 0)
+    })
+
+    it('should let the filament cool once switched off', () => {
+      const bulb = { id: 20, type: 'lightbulb', resistance: 50, brightness: 0 }
+      const { simulator, toggle } = build(bulb)
+
+      for (let i = 0; i < 50; i++) simulator.simulate(0.01)
+      const hot = bulb.temperature
+      toggle.closed = false
+      simulator.simulate(0.01)
+
+      expect(bulb.brightness).toBe(0)
+      expect(bulb.temperature).toBeLessThan(hot)
+      expect(bulb.temperature).toBeGreaterThan(AMBIENT_TEMPERATURE)
+    })
+
+    it('should warm a resistor gradually and leave its temperature for validators', () => {
+      const resistor = { id: 20, type: 'resistor', resistance: 100 }
+      const { simulator } = build(resistor)
+
+      simulator.simulate(0.1)
+      const early = simulator.components.find(c => c.id === 20).temperature
+      for (let i = 0; i < 300; i++) simulator.simulate(0.1)
+      const settled = simulator.components.find(c => c.id === 20).temperature
+
+      // 9V across 100Ω = 0.81W
+      expect(early).toBeLessThan(settled / 2)
+      expect(settled).toBeCloseTo(getSteadyTemperature('resistor', resistor.voltageDrop * resistor.current), 0)
+    })
+
+    it('should cool a part that is no longer wired in', () => {
+      const simulator = new CircuitSimulator()
+      const resistor = { id: 1, type: 'resistor', resistance: 100, temperature: 150 }
+      simulator.setComponents([resistor])
+      simulator.setWires([])
+
+      simulator.simulate(1.0)
+
+      expect(resistor.temperature).toBeLessThan(150)
+    })
+
+    it('should reset temperatures to ambient', () => {
+      const [resistor, bulb] = new CircuitSimulator().resetCircuit([
+        { id: 1, type: 'resistor', resistance: 100, temperature: 150 },
+        { id: 2, type: 'lightbulb', resistance: 50, temperature: 2000 }
+      ])
+
+      expect(resistor.temperature).toBe(AMBIENT_TEMPERATURE)
+      expect(bulb.temperature).toBe(AMBIENT_TEMPERATURE)
+    })
+  })
+})
@@ -2,11 +2,16 @@
  * VisualState.test.js - Unit tests for component visual state calculations
  *
  * Tests non-anthropomorphic visual feedback:
- * - Battery charge bars and glow intensity
- * - LED brightness states and glow radius
+ * - Battery charge bars, glow intensity and short-circuit state
+ * - LED brightness states, glow radius and burnout
  * - Resistor heat dissipation (P = I²R)
+ * - Potentiometer wiper position and legs
  * - Capacitor charge fill indicators
+ * - Inductor field strength and stored energy
  * - Light bulb filament heat and brightness
+ * - Diode conducting/blocking state
+ * - Motor RPM and stalled state
+ * - Buzzer pitch and sound waves
  */
 
 import { describe, it, expect } from 'vitest'
@@ -15,7 +20,12 @@ import {
   getLEDVisualState,
   getResistorVisualState,
   getCapacitorVisualState,
-  getLightBulbVisualState
+  getInductorVisualState,
+  getLightBulbVisualState,
+  getDiodeVisualState,
+  getMotorVisualState,
+  getBuzzerVisualState,
+  getPotentiometerVisualState
 } from '../VisualState.js'
 
 describe('VisualState', () => {
@@ -85,6 +95,30 @@ describe('VisualState', () => {
       expect(getBatteryVisualState(batteryJustFull).state).toBe('full')
       expect(getBatteryVisualState(batteryJustMedium).state).toBe('medium')
     })
+
+    it('should show a shorted battery as "shorted" whatever its charge', () => {
+      const visual = getBatteryVisualState({ charge: 0.9, shorted: true, heat: 0.4, fault: true })
+
+      expect(visual.state).toBe('shorted')
+      expect(visual.shorted).toBe(true)
+      expect(visual.heat).toBe(0.4)
+      expect(visual.fault).toBe(true)
+    })
+
+    it('should report a healthy battery as cold with no fault', () => {
+      const visual = getBatteryVisualState({ charge: 0.9 })
+
+      expect(visual.shorted).toBe(false)
+      expect(visual.heat).toBe(0)
+      expect(visual.fault).toBe(false)
+    })
+
+    it('should keep the fault after the short is gone', () => {
+      const visual = getBatteryVisualState({ charge: 0, shorted: false, fault: true })
+
+      expect(visual.state).toBe('dead')
+      expect(visual.fault).toBe(true)
+    })
   })
 
   describe('getLEDVisualState', () => {
@@ -98,6 +132,37 @@ describe('VisualState', () => {
       expect(visual.glowRadius).toBe(5) // Base radius
     })
 
+    it('should return "reverse" state for a reverse-biased LED', () => {
+      const led = { brightness: 0, reverseBiased: true }
+      const visual = getLEDVisualState(led)
+
+      expect(visual.state).toBe('reverse')
+      expect(visual.reverseBiased).toBe(true)
+      expect(visual.glowIntensity).toBe(0)
+    })
+
+    it('should not report reverse bias by default', () => {
+      const visual = getLEDVisualState({ brightness: 0.5 })
+
+      expect(visual.reverseBiased).toBe(false)
+    })
+
+    it('should return "burnt" state for a burnt-out LED, even reversed', () => {
+      const visual = getLEDVisualState({ brightness: 0, reverseBiased: true, damage: 1, burntOut: true })
+
+      expect(visual.state).toBe('burnt')
+      expect(visual.burntOut).toBe(true)
+      expect(visual.damage).toBe(1)
+    })
+
+    it('should report partial damage on a working LED', () => {
+      const visual = getLEDVisualState({ brightness: 0.9, damage: 0.4 })
+
+      expect(visual.state).toBe('bright')
+      expect(visual.burntOut).toBe(false)
+      expect(visual.damage).toBe(0.4)
+    })
+
     it('should return "dim" state for brightness < 0.4', () => {
       const led = { brightness: 0.3 }
       const visual = getLEDVisualState(led)
@@ -226,6 +291,18 @@ describe('VisualState', () => {
       expect(visual.powerDissipated).toBe(0)
       expect(visual.state).toBe('cool')
     })
+
+    it('should follow the simulated temperature rather than the present power', () => {
+      // Just switched on at 1W: still cold
+      const warming = getResistorVisualState({ current: 0.1, resistance: 100, temperature: 20 })
+      // Just switched off: still hot
+      const cooling = getResistorVisualState({ current: 0, resistance: 100, temperature: 200 })
+
+      expect(warming.heatLevel).toBe(0)
+      expect(warming.state).toBe('cool')
+      expect(cooling.heatLevel).toBeCloseTo(0.9, 5)
+      expect(cooling.temperature).toBe(200)
+    })
   })
 
   describe('getCapacitorVisualState', () => {
@@ -307,6 +384,32 @@ describe('VisualState', () => {
     })
   })
 
+  describe('getInductorVisualState', () => {
+    it('should be idle with no current', () => {
+      const visual = getInductorVisualState({})
+
+      expect(visual.state).toBe('idle')
+      expect(visual.fieldIntensity).toBe(0)
+      expect(visual.energy).toBe(0)
+    })
+
+    it('should build its field while the voltage drives the current up', () => {
+      const visual = getInductorVisualState({ current: 0.05, voltage: 2, inductance: 1.0 })
+
+      expect(visual.state).toBe('charging')
+      expect(visual.fieldIntensity).toBeCloseTo(0.5, 5)
+      expect(visual.energy).toBeCloseTo(0.00125, 8)  // ½ × 1H × (50mA)²
+    })
+
+    it('should collapse its field while pushing current on by itself', () => {
+      const visual = getInductorVisualState({ current: -0.2, voltage: 1 })
+
+      expect(visual.state).toBe('discharging')
+      expect(visual.direction).toBe(-1)
+      expect(visual.fieldIntensity).toBe(1.0)
+    })
+  })
+
   describe('getLightBulbVisualState', () => {
     it('should return "off" state when brightness is 0', () => {
       const bulb = { brightness: 0, power: 0 }
@@ -388,6 +491,108 @@ describe('VisualState', () => {
 
       expect(visual.power).toBe(0.75)
     })
+
+    it('should take filament heat from the simulated temperature', () => {
+      const cooling = { brightness: 0, power: 0, temperature: 1260 }
+      const visual = getLightBulbVisualState(cooling)
+
+      expect(visual.state).toBe('off')
+      expect(visual.filamentHeat).toBeCloseTo(0.5, 5)
+      expect(visual.temperature).toBe(1260)
+    })
+  })
+
+  describe('getMotorVisualState', () => {
+    it('should be stopped with no current', () => {
+      const visual = getMotorVisualState({})
+
+      expect(visual.state).toBe('stopped')
+      expect(visual.rpm).toBe(0)
+      expect(visual.angle).toBe(0)
+    })
+
+    it('should report RPM and spin speed while turning', () => {
+      const visual = getMotorVisualState({ rpm: -1500, current: 0.03, angle: 1.2 })
+
+      expect(visual.state).toBe('spinning')
+      expect(visual.rpm).toBe(-1500)
+      expect(visual.direction).toBe(-1)
+      expect(visual.speedFraction).toBeCloseTo(0.5, 5)
+      expect(visual.angle).toBe(1.2)
+    })
+
+    it('should be stalled when powered but not turning', () => {
+      expect(getMotorVisualState({ rpm: 0, current: 0.27 }).state).toBe('stalled')
+    })
+  })
+
+  describe('getBuzzerVisualState', () => {
+    it('should be silent with no current', () => {
+      const visual = getBuzzerVisualState({})
+
+      expect(visual.state).toBe('silent')
+      expect(visual.pitch).toBe(0)
+      expect(visual.waves).toBe(0)
+    })
+
+    it('should report pitch and more waves when louder', () => {
+      const quiet = getBuzzerVisualState({ pitch: 250, volume: 0.1, current: 0.01 })
+      const loud = getBuzzerVisualState({ pitch: 880, volume: 1, current: 0.06 })
+
+      expect(quiet.state).toBe('buzzing')
+      expect(quiet.waves).toBe(1)
+      expect(loud.waves).toBe(3)
+      expect(loud.pitch).toBe(880)
+    })
+
+    it('should be weak when powered but too faint to sound', () => {
+      expect(getBuzzerVisualState({ pitch: 0, current: 0.002 }).state).toBe('weak')
+    })
+  })
+
+  describe('getPotentiometerVisualState', () => {
+    it('should be idle in the middle with no current', () => {
+      const visual = getPotentiometerVisualState({})
+
+      expect(visual.state).toBe('idle')
+      expect(visual.position).toBe(0.5)
+      expect(visual.legA).toBeCloseTo(visual.legB)
+    })
+
+    it('should be tapped while current leaves through the wiper', () => {
+      const visual = getPotentiometerVisualState({ position: 0.2, current: 0.01, wiperCurrent: 0.004 })
+
+      expect(visual.state).toBe('tapped')
+      expect(visual.legA).toBeLessThan(visual.legB)
+    })
+
+    it('should be conducting when used end to end', () => {
+      expect(getPotentiometerVisualState({ current: 0.01, wiperCurrent: 0 }).state).toBe('conducting')
+    })
+  })
+
+  describe('getDiodeVisualState', () => {
+    it('should report conducting while forward current flows', () => {
+      const visual = getDiodeVisualState({ conducting: true, current: 0.05, voltage: 0.6 })
+
+      expect(visual.state).toBe('conducting')
+      expect(visual.flowIntensity).toBeCloseTo(0.5, 5)
+    })
+
+    it('should report blocking when reverse biased', () => {
+      const visual = getDiodeVisualState({ conducting: false, blocking: true, current: 0, voltage: -2.7 })
+
+      expect(visual.state).toBe('blocking')
+      expect(visual.flowIntensity).toBe(0)
+    })
+
+    it('should default to off for a fresh diode', () => {
+      const visual = getDiodeVisualState({})
+
+      expect(visual.state).toBe('off')
+      expect(visual.current).toBe(0)
+      expect(visual.voltage).toBe(0)
+    })
   })
 
   describe('Boundary Conditions', () => {
@@ -3,13 +3,24 @@
  *
  * CRITICAL: These are the ONLY component values available to players in the UI.
  * Tests MUST use ComponentFactory to ensure challenges are actually solvable by players.
+ * Resistor and capacitor values are picked per challenge from its allowedParts
+ * catalogue (see engine/PartValues.js); everything else is fixed.
  *
  * USAGE RULES:
  *
  * ✅ ALWAYS use ComponentFactory.createX() for:
- *   - Battery (0.9V potato battery) - ALWAYS use factory
- *   - Resistor (100Ω) - ALWAYS use factory, this is the ONLY resistor value in UI
- *   - Capacitor (100mF) - ALWAYS use factory, this is the ONLY capacitor value in UI
+ *   - Battery (0.9V potato battery, 5mΩ internal resistance) - ALWAYS use factory
+ *     Lemon and saltwater cells: createBattery(id, 'lemon' | 'saltwater')
+ *   - Switch / push button - createSwitch(id, closed), createPushButton(id)
+ *   - Diode (0.6V forward drop) - createDiode(id)
+ *   - Relay (60Ω coil, pulls in at 30mA) - createRelay(id)
+ *   - Motor (10Ω winding, no load) - createMotor(id)
+ *   - Buzzer (50Ω coil) - createBuzzer(id)
+ *   - Resistor (100Ω) - createResistor(id, resistance), other values only from the challenge's allowedParts
+ *   - Potentiometer (200Ω track, wiper centred) - createPotentiometer(id, position)
+ *     The wiper is the one thing players can turn, even while running
+ *   - Capacitor (100mF) - createCapacitor(id, capacitance), other values only from the challenge's allowedParts
+ *   - Inductor / coil (1H) - createInductor(id)
  *
  * ⚠️  USE WITH CAUTION (physics simulation issues):
  *   - LED: Factory adds x/y/extra properties that interfere with physics in complex multi-component circuits
@@ -17,21 +28,33 @@
  *   - LightBulb: Same issue as LED
  *     → Use minimal { id, type: 'lightbulb', brightness: 0 } for critical physics tests
  *
- * ❌ NEVER create custom resistor/capacitor values:
- *   - If a test needs 220Ω resistor → challenge is unsolvable by players
- *   - If a test needs 10mF capacitor → challenge is unsolvable by players
- *   - Fix the challenge validator or design, not the test
+ * Every component declares its named terminals (see engine/Terminals.js),
+ * which wires connect to.
+ *
+ * ❌ NEVER use resistor/capacitor values the challenge's allowedParts doesn't offer:
+ *   - If a test needs 220Ω but the challenge only offers 100Ω → challenge is unsolvable by players
+ *   - If a test needs 10mF but the challenge only offers 100mF → challenge is unsolvable by players
+ *   - Fix the challenge validator, design or catalogue, not the test
  */
 
+import { COMPONENT_TERMINALS } from '../engine/Terminals.js'
+import { DEFAULT_CHEMISTRY, getChemistry } from '../engine/CellChemistry.js'
+import { DEFAULT_PART_VALUES } from '../engine/PartValues.js'
+
 export class ComponentFactory {
-  static createBattery(id = Date.now()) {
+  static createBattery(id = Date.now(), chemistry = DEFAULT_CHEMISTRY) {
+    const cell = getChemistry(chemistry)
     return {
       id,
       type: 'battery',
+      terminals: COMPONENT_TERMINALS.battery,
       x: 100 + Math.random() * 100,
       y: 100 + Math.random() * 100,
+      chemistry: cell.id,
       charge: 1.0,
-      voltage: 0.9  // Single potato battery
+      voltage: cell.voltage,  // Rated, unloaded (0.9V potato)
+      internalResistance: cell.internalResistance,
+      capacity: cell.capacity
     }
   }
 
@@ -39,39 +62,149 @@ export class ComponentFactory {
     return {
       id,
       type: 'led',
+      terminals: COMPONENT_TERMINALS.led,
       x: 250 + Math.random() * 100,
       y: 100 + Math.random() * 100,
       brightness: 0
     }
   }
 
-  static createResistor(id = Date.now()) {
+  static createResistor(id = Date.now(), resistance = DEFAULT_PART_VALUES.resistor) {
     return {
       id,
       type: 'resistor',
+      terminals: COMPONENT_TERMINALS.resistor,
       x: 400 + Math.random() * 100,
       y: 100 + Math.random() * 100,
-      resistance: 100,
+      resistance,
+      current: 0
+    }
+  }
+
+  static createPotentiometer(id = Date.now(), position = 0.5) {
+    return {
+      id,
+      type: 'potentiometer',
+      terminals: COMPONENT_TERMINALS.potentiometer,
+      x: 400 + Math.random() * 100,
+      y: 250 + Math.random() * 100,
+      position,  // Wiper: 0 at the a end - 1 at the b end
       current: 0
     }
   }
 
-  static createCapacitor(id = Date.now()) {
+  static createCapacitor(id = Date.now(), capacitance = DEFAULT_PART_VALUES.capacitor) {
     return {
       id,
       type: 'capacitor',
+      terminals: COMPONENT_TERMINALS.capacitor,
       x: 550 + Math.random() * 100,
       y: 100 + Math.random() * 100,
-      capacitance: 0.1,  // 100mF capacitor
+      capacitance,  // 100mF unless another value is picked
       voltage: 0,
       maxVoltage: 5.0
     }
   }
 
+  static createInductor(id = Date.now()) {
+    return {
+      id,
+      type: 'inductor',
+      terminals: COMPONENT_TERMINALS.inductor,
+      x: 550 + Math.random() * 100,
+      y: 250 + Math.random() * 100,
+      inductance: 1.0,  // 1H coil
+      current: 0,
+      voltage: 0
+    }
+  }
+
+  static createSwitch(id = Date.now(), closed = false) {
+    return {
+      id,
+      type: 'switch',
+      terminals: COMPONENT_TERMINALS.switch,
+      x: 850 + Math.random() * 100,
+      y: 100 + Math.random() * 100,
+      closed,
+      current: 0
+    }
+  }
+
+  static createPushButton(id = Date.now()) {
+    return {
+      id,
+      type: 'pushbutton',
+      terminals: COMPONENT_TERMINALS.pushbutton,
+      x: 850 + Math.random() * 100,
+      y: 250 + Math.random() * 100,
+      pressed: false,
+      current: 0
+    }
+  }
+
+  static createDiode(id = Date.now()) {
+    return {
+      id,
+      type: 'diode',
+      terminals: COMPONENT_TERMINALS.diode,
+      x: 850 + Math.random() * 100,
+      y: 400 + Math.random() * 100,
+      voltage: 0,
+      current: 0,
+      conducting: false,
+      blocking: false
+    }
+  }
+
+  static createRelay(id = Date.now()) {
+    return {
+      id,
+      type: 'relay',
+      terminals: COMPONENT_TERMINALS.relay,
+      x: 850 + Math.random() * 100,
+      y: 550 + Math.random() * 100,
+      closed: false,
+      travel: 0,
+      armature: 0,
+      coilCurrent: 0,
+      current: 0
+    }
+  }
+
+  static createMotor(id = Date.now()) {
+    return {
+      id,
+      type: 'motor',
+      terminals: COMPONENT_TERMINALS.motor,
+      x: 850 + Math.random() * 100,
+      y: 700 + Math.random() * 100,
+      load: 0,  // N·m of mechanical load
+      speed: 0,
+      rpm: 0,
+      angle: 0,
+      current: 0
+    }
+  }
+
+  static createBuzzer(id = Date.now()) {
+    return {
+      id,
+      type: 'buzzer',
+      terminals: COMPONENT_TERMINALS.buzzer,
+      x: 850 + Math.random() * 100,
+      y: 700 + Math.random() * 100,
+      current: 0,
+      pitch: 0,
+      volume: 0
+    }
+  }
+
   static createLightBulb(id = Date.now()) {
     return {
       id,
       type: 'lightbulb',
+      terminals: COMPONENT_TERMINALS.lightbulb,
       x: 700 + Math.random() * 100,
       y: 100 + Math.random() * 100,
       brightness: 0,
@@ -0,0 +1,268 @@
+/**
+ * SoundEffects - Synthesized sound for the workbench
+ *
+ * Every sound is generated on the fly with the Web Audio API - oscillators,
+ * noise and envelopes, no audio files:
+ * - Wire connection: a quick rising blip
+ * - Relay click: a short burst of filtered noise (brighter pulling in)
+ * - Bulb hum: a low, quiet drone that follows the brightest bulb
+ * - Battery death: a falling, fading groan
+ * - Challenge complete: a little major arpeggio
+ * - Buzzers: one square-wave voice per buzzer, following its pitch and volume
+ *
+ * One-shot sounds are fire-and-forget; the bulb hum and buzzer voices keep
+ * running until updated to silence or stopAll(). While muted nothing
+ * plays at all. The AudioContext is only created when the first sound
+ * plays, since browsers refuse to start audio before the user interacts;
+ * where there is no Web Audio (e.g. tests) every call does nothing.
+ */
+
+const MASTER_VOLUME = 0.5
+const HUM_VOLUME = 0.04
+const BUZZER_VOLUME = 0.15
+// Smoothing time constant for continuous sounds, so changes don't click
+const GLIDE_TIME = 0.03  // Seconds
+// Quieter than this counts as silence for the continuous sounds
+const SILENT_LEVEL = 0.01
+
+/**
+ * Create an AudioContext, if the browser has Web Audio
+ * @returns {AudioContext|null}
+ */
+function createAudioContext() {
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext)
+  return AudioContextClass ? new AudioContextClass() : null
+}
+
+export class SoundEffects {
+  /**
+   * @param {Function} createContext - Makes the AudioContext (default the browser's)
+   */
+  constructor(createContext = createAudioContext) {
+    this.createContext = createContext
+    this.context = null
+    this.master = null
+    this.muted = false
+    this.hum = null              // { oscillator, gain } while a bulb hums
+    this.buzzerVoices = new Map() // Buzzer id -> { oscillator, gain }
+  }
+
+  /**
+   * Get the audio context, creating it on first use
+   * @returns {AudioContext|null} Null while muted or without Web Audio
+   */
+  getContext() {
+    if (this.muted) return null
+
+    if (!this.context) {
+      this.context = this.createContext()
+      if (!this.context) return null
+      this.master = this.context.createGain()
+      this.master.gain.value = MASTER_VOLUME
+      this.master.connect(this.context.destination)
+    }
+
+    // Browsers start contexts suspended until the page has been interacted with
+    if (this.context.state === 'suspended') this.context.resume()
+    return this.context
+  }
+
+  isMuted() {
+    return this.muted
+  }
+
+  /**
+   * Mute or unmute all sound (muting silences anything still playing)
+   * @param {boolean} muted - True to mute
+   */
+  setMuted(muted) {
+    if (muted) this.stopAll()
+    this.muted = muted
+  }
+
+  /**
+   * Play a single enveloped tone
+   * @param {Object} tone - { type, frequency, endFrequency, start, duration, volume }
+   *   start is seconds from now; the pitch slides to endFrequency if given
+   */
+  playTone({ type = 'sine', frequency, endFrequency, start = 0, duration, volume = 0.3 }) {
+    const context = this.getContext()
+    if (!context) return
+
+    const at = context.currentTime + start
+    const oscillator = context.createOscillator()
+    const gain = context.createGain()
+
+    oscillator.type = type
+    oscillator.frequency.setValueAtTime(frequency, at)
+    if (endFrequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(endFrequency, at + duration)
+    }
+
+    // Fast attack, exponential decay to nothing
+    gain.gain.setValueAtTime(0.0001, at)
+    gain.gain.exponentialRampToValueAtTime(volume, at + 0.01)
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + duration)
+
+    oscillator.connect(gain)
+    gain.connect(this.master)
+    oscillator.start(at)
+    oscillator.stop(at + duration)
+  }
+
+  /**
+   * Play a short burst of band-passed noise
+   * @param {Object} burst - { frequency, duration, volume }
+   */
+  playNoise({ frequency, duration, volume = 0.3 }) {
+    const context = this.getContext()
+    if (!context) return
+
+    const at = context.currentTime
+    const length = Math.max(1, Math.floor(context.sampleRate * duration))
+    const buffer = context.createBuffer(1, length, context.sampleRate)
+    const samples = buffer.getChannelData(0)
+    for (let i = 0; i < length; i++) {
+      // White noise dying away across the burst
+      samples[i] = (Math.random() * 2 - 1) * (1 - i / length)
+    }
+
+    const source = context.createBufferSource()
+    const filter = context.createBiquadFilter()
+    const gain = context.createGain()
+    source.buffer = buffer
+    filter.type = 'bandpass'
+    filter.frequency.value = frequency
+    gain.gain.value = volume
+
+    source.connect(filter)
+    filter.connect(gain)
+    gain.connect(this.master)
+    source.start(at)
+  }
+
+  playWireConnect() {
+    this.playTone({ type: 'sine', frequency: 660, endFrequency: 990, duration: 0.08, volume: 0.2 })
+  }
+
+  /**
+   * @param {boolean} closed - True when the relay pulled in, false when it dropped out
+   */
+  playRelayClick(closed) {
+    this.playNoise({ frequency: closed ? 3000 : 1800, duration: 0.02, volume: 0.6 })
+  }
+
+  playBatteryDeath() {
+    this.playTone({ type: 'sawtooth', frequency: 330, endFrequency: 55, duration: 0.8, volume: 0.15 })
+  }
+
+  playChallengeComplete() {
+    // C E G C, each note a little after the last
+    const notes = [523.25, 659.25, 783.99, 1046.5]
+    notes.forEach((frequency, i) => {
+      this.playTone({ type: 'triangle', frequency, start: i * 0.1, duration: i === notes.length - 1 ? 0.6 : 0.2, volume: 0.25 })
+    })
+  }
+
+  /**
+   * Set how loudly the light bulbs hum
+   * @param {number} level - 0 (silent) - 1 (a bulb at full brightness)
+   */
+  setBulbHum(level) {
+    if (level < SILENT_LEVEL) {
+      this.stopHum()
+      return
+    }
+
+    const context = this.getContext()
+    if (!context) return
+
+    if (!this.hum) {
+      this.hum = startVoice(context, this.master, 'sawtooth', 100)
+    }
+    this.hum.gain.gain.setTargetAtTime(Math.min(level, 1) * HUM_VOLUME, context.currentTime, GLIDE_TIME)
+  }
+
+  stopHum() {
+    if (!this.hum) return
+    stopVoice(this.hum)
+    this.hum = null
+  }
+
+  /**
+   * Make each sounding buzzer heard at its pitch and volume
+   * Buzzers that went quiet or are gone stop sounding.
+   * @param {Array} buzzers - Buzzer components (pitch in Hz, volume 0-1)
+   */
+  updateBuzzers(buzzers) {
+    const sounding = buzzers.filter(buzzer => buzzer.pitch > 0)
+    const ids = new Set(sounding.map(buzzer => buzzer.id))
+
+    this.buzzerVoices.forEach((voice, id) => {
+      if (ids.has(id)) return
+      stopVoice(voice)
+      this.buzzerVoices.delete(id)
+    })
+    if (sounding.length === 0) return
+
+    const context = this.getContext()
+    if (!context) return
+
+    sounding.forEach(buzzer => {
+      let voice = this.buzzerVoices.get(buzzer.id)
+      if (!voice) {
+        voice = startVoice(context, this.master, 'square', buzzer.pitch)
+        this.buzzerVoices.set(buzzer.id, voice)
+      }
+      voice.oscillator.frequency.setTargetAtTime(buzzer.pitch, context.currentTime, GLIDE_TIME)
+      voice.gain.gain.setTargetAtTime(Math.max(buzzer.volume, SILENT_LEVEL) * BUZZER_VOLUME, context.currentTime, GLIDE_TIME)
+    })
+  }
+
+  /**
+   * Silence every continuous sound (bulb hum and buzzers)
+   */
+  stopAll() {
+    this.stopHum()
+    this.buzzerVoices.forEach(voice => stopVoice(voice))
+    this.buzzerVoices.clear()
+  }
+}
+
+/**
+ * Start a continuous oscillator, silent until its gain is raised
+ * @returns {Object} { oscillator, gain }
+ */
+function startVoice(context, destination, type, frequency) {
+  const oscillator = context.createOscillator()
+  const gain = context.createGain()
+  oscillator.type = type
+  oscillator.frequency.value = frequency
+  gain.gain.value = 0
+  oscillator.connect(gain)
+  gain.connect(destination)
+  oscillator.start()
+  return { oscillator, gain }
+}
+
+/**
+ * Stop a continuous oscillator
+ * @param {Object} voice - { oscillator, gain } from startVoice
+ */
+function stopVoice(voice) {
+  voice.oscillator.stop()
+  voice.oscillator.disconnect()
+  voice.gain.disconnect()
+}
+
+/**
+ * Global singleton instance
+ */
+let _soundEffects = null
+
+export function getSoundEffects() {
+  if (!_soundEffects) {
+    _soundEffects = new SoundEffects()
+  }
+  return _soundEffects
+}
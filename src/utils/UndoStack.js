@@ -155,6 +155,16 @@ export const UndoActions = {
   COPY_COMPONENT: (componentType) => ({
     type: 'copy-component',
     message: `${getComponentName(componentType)} copied`
+  }),
+
+  FLIP_COMPONENT: (componentType) => ({
+    type: 'flip-component',
+    message: `${getComponentName(componentType)} flipped`
+  }),
+
+  CHANGE_VALUE: (componentType, value) => ({
+    type: 'change-value',
+    message: `${getComponentName(componentType)} set to ${value}`
   })
 }
 
@@ -164,7 +174,15 @@ function getComponentName(type) {
     led: '💡 LED',
     resistor: '⚡ Resistor',
     capacitor: '⚡ Capacitor',
-    lightbulb: '💡 Bulb'
+    inductor: '🌀 Coil',
+    lightbulb: '💡 Bulb',
+    switch: '🎚️ Switch',
+    pushbutton: '🔘 Button',
+    diode: '▶| Diode',
+    relay: '🧲 Relay',
+    motor: '⚙️ Motor',
+    buzzer: '📢 Buzzer',
+    potentiometer: '🎛️ Pot'
   }
   return names[type] || 'Component'
 }
@@ -2,9 +2,12 @@
  * ComponentFactory.test.js - Unit tests for component creation utilities
  *
  * Tests the factory that creates components with exact player-available values:
- * - Battery: 0.9V potato battery
- * - Resistor: 100Ω (only value in UI)
- * - Capacitor: 100mF (only value in UI)
+ * - Battery: 0.9V potato battery with internal resistance (or lemon/saltwater)
+ * - Resistor: 100Ω by default, other values from a challenge's allowedParts
+ * - Capacitor: 100mF by default, other values from a challenge's allowedParts
+ * - Inductor: 1H coil
+ * - Motor: 10Ω winding, no mechanical load
+ * - Buzzer: 50Ω coil, silent until powered
  * - LED: Basic LED with brightness tracking
  * - Light Bulb: Incandescent bulb with 0.36Ω resistance
  *
@@ -16,6 +19,96 @@ import { describe, it, expect } from 'vitest'
 import { ComponentFactory } from '../ComponentFactory.js'
 
 describe('ComponentFactory', () => {
+  describe('createRelay', () => {
+    it('should create a released relay with coil and contact terminals', () => {
+      const relay = ComponentFactory.createRelay(1)
+
+      expect(relay.type).toBe('relay')
+      expect(relay.terminals).toEqual(['coil1', 'coil2', 'com', 'no', 'nc'])
+      expect(relay.closed).toBe(false)
+      expect(relay.armature).toBe(0)
+    })
+  })
+
+  describe('createMotor', () => {
+    it('should create an unloaded motor standing still', () => {
+      const motor = ComponentFactory.createMotor(1)
+
+      expect(motor.type).toBe('motor')
+      expect(motor.terminals).toEqual(['a', 'b'])
+      expect(motor.load).toBe(0)
+      expect(motor.rpm).toBe(0)
+    })
+  })
+
+  describe('createBuzzer', () => {
+    it('should create a silent buzzer', () => {
+      const buzzer = ComponentFactory.createBuzzer(1)
+
+      expect(buzzer.type).toBe('buzzer')
+      expect(buzzer.terminals).toEqual(['a', 'b'])
+      expect(buzzer.pitch).toBe(0)
+      expect(buzzer.volume).toBe(0)
+    })
+  })
+
+  describe('createPotentiometer', () => {
+    it('should create a potentiometer with its wiper centred', () => {
+      const pot = ComponentFactory.createPotentiometer(1)
+
+      expect(pot.type).toBe('potentiometer')
+      expect(pot.terminals).toEqual(['a', 'wiper', 'b'])
+      expect(pot.position).toBe(0.5)
+    })
+
+    it('should start the wiper where asked', () => {
+      expect(ComponentFactory.createPotentiometer(1, 0.2).position).toBe(0.2)
+    })
+  })
+
+  describe('createInductor', () => {
+    it('should create a 1H coil carrying no current', () => {
+      const coil = ComponentFactory.createInductor(1)
+
+      expect(coil.type).toBe('inductor')
+      expect(coil.terminals).toEqual(['a', 'b'])
+      expect(coil.inductance).toBe(1.0)
+      expect(coil.current).toBe(0)
+    })
+  })
+
+  describe('createDiode', () => {
+    it('should create a diode with anode and cathode terminals', () => {
+      const diode = ComponentFactory.createDiode(1)
+
+      expect(diode.type).toBe('diode')
+      expect(diode.terminals).toEqual(['anode', 'cathode'])
+      expect(diode.conducting).toBe(false)
+      expect(diode.current).toBe(0)
+    })
+  })
+
+  describe('createSwitch / createPushButton', () => {
+    it('should create an open toggle switch by default', () => {
+      const toggle = ComponentFactory.createSwitch(1)
+
+      expect(toggle.type).toBe('switch')
+      expect(toggle.closed).toBe(false)
+      expect(toggle.terminals).toEqual(['a', 'b'])
+    })
+
+    it('should create a closed toggle switch on request', () => {
+      expect(ComponentFactory.createSwitch(1, true).closed).toBe(true)
+    })
+
+    it('should create a released push button', () => {
+      const button = ComponentFactory.createPushButton(2)
+
+      expect(button.type).toBe('pushbutton')
+      expect(button.pressed).toBe(false)
+    })
+  })
+
   describe('createBattery', () => {
     it('should create potato battery with 0.9V', () => {
       const battery = ComponentFactory.createBattery(1)
@@ -30,6 +123,23 @@ describe('ComponentFactory', () => {
       expect(battery.charge).toBe(1.0)
     })
 
+    it('should have the potato internal resistance', () => {
+      const battery = ComponentFactory.createBattery(1)
+
+      expect(battery.chemistry).toBe('potato')
+      expect(battery.internalResistance).toBe(0.005)
+    })
+
+    it('should create lemon and saltwater cells', () => {
+      const lemon = ComponentFactory.createBattery(1, 'lemon')
+      const jar = ComponentFactory.createBattery(2, 'saltwater')
+
+      expect(lemon.chemistry).toBe('lemon')
+      expect(lemon.voltage).toBe(0.95)
+      expect(jar.chemistry).toBe('saltwater')
+      expect(jar.capacity).toBe(3)
+    })
+
     it('should set provided ID', () => {
       const battery = ComponentFactory.createBattery(42)
 
@@ -163,6 +273,10 @@ describe('ComponentFactory', () => {
         expect(resistor.resistance).toBe(100)
       })
     })
+
+    it('should take a value picked from the challenge catalogue', () => {
+      expect(ComponentFactory.createResistor(1, 2200).resistance).toBe(2200)
+    })
   })
 
   describe('createCapacitor', () => {
@@ -173,6 +287,10 @@ describe('ComponentFactory', () => {
       expect(capacitor.capacitance).toBe(0.1) // 100mF = 0.1F
     })
 
+    it('should take a value picked from the challenge catalogue', () => {
+      expect(ComponentFactory.createCapacitor(1, 0.022).capacitance).toBe(0.022)
+    })
+
     it('should initialize with zero voltage (empty)', () => {
       const capacitor = ComponentFactory.createCapacitor(1)
 
@@ -454,4 +572,14 @@ describe('ComponentFactory', () => {
       expect(battery1.id).toBe(battery2.id) // Same ID
     })
   })
+
+  describe('Terminals', () => {
+    it('should declare named terminals on every component', () => {
+      expect(ComponentFactory.createBattery(1).terminals).toEqual(['-', '+'])
+      expect(ComponentFactory.createLED(1).terminals).toEqual(['anode', 'cathode'])
+      expect(ComponentFactory.createResistor(1).terminals).toEqual(['a', 'b'])
+      expect(ComponentFactory.createCapacitor(1).terminals).toEqual(['+', '-'])
+      expect(ComponentFactory.createLightBulb(1).terminals).toEqual(['a', 'b'])
+    })
+  })
 })
@@ -0,0 +1,225 @@
+/**
+ * SoundEffects.test.js - Unit tests for synthesized sound
+ *
+ * Runs against a fake AudioContext recording the nodes each sound builds:
+ * - Context created lazily, never while muted or without Web Audio
+ * - One-shot effects (wire, relay, battery death, challenge complete)
+ * - Continuous bulb hum and buzzer voices starting, following and stopping
+ * - Muting silencing everything
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { SoundEffects } from '../SoundEffects'
+
+const createParam = () => ({
+  value: 0,
+  setValueAtTime: vi.fn(),
+  linearRampToValueAtTime: vi.fn(),
+  exponentialRampToValueAtTime: vi.fn(),
+  setTargetAtTime: vi.fn()
+})
+
+const createFakeContext = () => {
+  const context = {
+    currentTime: 0,
+    sampleRate: 8000,
+    state: 'running',
+    destination: {},
+    oscillators: [],
+    sources: [],
+    resume: vi.fn(),
+    createGain: vi.fn(() => ({ gain: createParam(), connect: vi.fn(), disconnect: vi.fn() })),
+    createOscillator: vi.fn(() => {
+      const oscillator = { type: 'sine', frequency: createParam(), connect: vi.fn(), disconnect: vi.fn(), start: vi.fn(), stop: vi.fn() }
+      context.oscillators.push(oscillator)
+      return oscillator
+    }),
+    createBuffer: vi.fn((channels, length) => {
+      const data = new Float32Array(length)
+      return { getChannelData: () => data }
+    }),
+    createBufferSource: vi.fn(() => {
+      const source = { connect: vi.fn(), start: vi.fn() }
+      context.sources.push(source)
+      return source
+    }),
+    createBiquadFilter: vi.fn(() => ({ type: '', frequency: createParam(), connect: vi.fn() }))
+  }
+  return context
+}
+
+describe('SoundEffects', () => {
+  let context
+  let sounds
+
+  beforeEach(() => {
+    context = createFakeContext()
+    sounds = new SoundEffects(vi.fn(() => context))
+  })
+
+  describe('audio context', () => {
+    it('should not create a context until a sound plays', () => {
+      expect(sounds.createContext).not.toHaveBeenCalled()
+
+      sounds.playWireConnect()
+      sounds.playWireConnect()
+
+      expect(sounds.createContext).toHaveBeenCalledTimes(1)
+    })
+
+    it('should resume a suspended context', () => {
+      context.state = 'suspended'
+
+      sounds.playWireConnect()
+
+      expect(context.resume).toHaveBeenCalled()
+    })
+
+    it('should do nothing without Web Audio', () => {
+      const silent = new SoundEffects(() => null)
+
+      expect(() => {
+        silent.playWireConnect()
+        silent.playRelayClick(true)
+        silent.setBulbHum(1)
+        silent.updateBuzzers([{ id: 1, pitch: 440, volume: 1 }])
+        silent.stopAll()
+      }).not.toThrow()
+    })
+  })
+
+  describe('one-shot effects', () => {
+    it('should blip upwards for a wire connection', () => {
+      sounds.playWireConnect()
+
+      const [oscillator] = context.oscillators
+      const [start] = oscillator.frequency.setValueAtTime.mock.calls[0]
+      const [end] = oscillator.frequency.exponentialRampToValueAtTime.mock.calls[0]
+      expect(end).toBeGreaterThan(start)
+      expect(oscillator.start).toHaveBeenCalled()
+      expect(oscillator.stop).toHaveBeenCalled()
+    })
+
+    it('should click a relay with a burst of noise, brighter pulling in', () => {
+      sounds.playRelayClick(true)
+      sounds.playRelayClick(false)
+
+      expect(context.sources).toHaveLength(2)
+      const [closed, open] = context.createBiquadFilter.mock.results.map(r => r.value.frequency.value)
+      expect(closed).toBeGreaterThan(open)
+    })
+
+    it('should fill the click with noise', () => {
+      sounds.playRelayClick(true)
+
+      const samples = context.createBuffer.mock.results[0].value.getChannelData(0)
+      expect(samples.some(sample => sample !== 0)).toBe(true)
+    })
+
+    it('should groan downwards when a battery dies', () => {
+      sounds.playBatteryDeath()
+
+      const [oscillator] = context.oscillators
+      const [start] = oscillator.frequency.setValueAtTime.mock.calls[0]
+      const [end] = oscillator.frequency.exponentialRampToValueAtTime.mock.calls[0]
+      expect(end).toBeLessThan(start)
+    })
+
+    it('should play a rising arpeggio for a completed challenge', () => {
+      sounds.playChallengeComplete()
+
+      const starts = context.oscillators.map(o => o.start.mock.calls[0][0])
+      const pitches = context.oscillators.map(o => o.frequency.setValueAtTime.mock.calls[0][0])
+      expect(context.oscillators).toHaveLength(4)
+      expect(starts).toEqual([...starts].sort((a, b) => a - b))
+      expect(pitches).toEqual([...pitches].sort((a, b) => a - b))
+    })
+  })
+
+  describe('bulb hum', () => {
+    it('should start one hum and follow the brightness', () => {
+      sounds.setBulbHum(0.5)
+      sounds.setBulbHum(1)
+
+      expect(context.oscillators).toHaveLength(1)
+      const levels = sounds.hum.gain.gain.setTargetAtTime.mock.calls.map(call => call[0])
+      expect(levels[1]).toBeGreaterThan(levels[0])
+    })
+
+    it('should stop humming when the bulbs go dark', () => {
+      sounds.setBulbHum(1)
+      const [oscillator] = context.oscillators
+
+      sounds.setBulbHum(0)
+
+      expect(oscillator.stop).toHaveBeenCalled()
+      expect(sounds.hum).toBeNull()
+    })
+  })
+
+  describe('buzzers', () => {
+    it('should give each sounding buzzer its own voice at its pitch', () => {
+      sounds.updateBuzzers([
+        { id: 1, pitch: 220, volume: 0.2 },
+        { id: 2, pitch: 880, volume: 1 },
+        { id: 3, pitch: 0, volume: 0 }
+      ])
+
+      expect(sounds.buzzerVoices.size).toBe(2)
+      expect(sounds.buzzerVoices.get(2).oscillator.frequency.setTargetAtTime).toHaveBeenCalledWith(880, 0, expect.any(Number))
+    })
+
+    it('should follow a buzzer without restarting it', () => {
+      sounds.updateBuzzers([{ id: 1, pitch: 220, volume: 0.2 }])
+      sounds.updateBuzzers([{ id: 1, pitch: 440, volume: 0.6 }])
+
+      expect(context.oscillators).toHaveLength(1)
+      expect(sounds.buzzerVoices.get(1).oscillator.frequency.setTargetAtTime).toHaveBeenLastCalledWith(440, 0, expect.any(Number))
+    })
+
+    it('should stop buzzers that go quiet or are removed', () => {
+      sounds.updateBuzzers([{ id: 1, pitch: 220, volume: 0.2 }, { id: 2, pitch: 440, volume: 0.5 }])
+      const [first, second] = context.oscillators
+
+      sounds.updateBuzzers([{ id: 1, pitch: 0, volume: 0 }])
+
+      expect(first.stop).toHaveBeenCalled()
+      expect(second.stop).toHaveBeenCalled()
+      expect(sounds.buzzerVoices.size).toBe(0)
+    })
+  })
+
+  describe('mute', () => {
+    it('should play nothing while muted', () => {
+      sounds.setMuted(true)
+
+      sounds.playWireConnect()
+      sounds.playChallengeComplete()
+      sounds.setBulbHum(1)
+      sounds.updateBuzzers([{ id: 1, pitch: 440, volume: 1 }])
+
+      expect(sounds.isMuted()).toBe(true)
+      expect(sounds.createContext).not.toHaveBeenCalled()
+    })
+
+    it('should silence continuous sounds when muted', () => {
+      sounds.setBulbHum(1)
+      sounds.updateBuzzers([{ id: 1, pitch: 440, volume: 1 }])
+
+      sounds.setMuted(true)
+
+      context.oscillators.forEach(oscillator => expect(oscillator.stop).toHaveBeenCalled())
+      expect(sounds.hum).toBeNull()
+      expect(sounds.buzzerVoices.size).toBe(0)
+    })
+
+    it('should play again once unmuted', () => {
+      sounds.setMuted(true)
+      sounds.setMuted(false)
+
+      sounds.playWireConnect()
+
+      expect(context.oscillators).toHaveLength(1)
+    })
+  })
+})
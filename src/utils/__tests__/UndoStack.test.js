@@ -335,4 +335,13 @@ describe('UndoActions', () => {
       expect(action.message).toBe('⚡ Capacitor copied')
     })
   })
+
+  describe('FLIP_COMPONENT', () => {
+    it('should format flip message', () => {
+      const action = UndoActions.FLIP_COMPONENT('led')
+
+      expect(action.type).toBe('flip-component')
+      expect(action.message).toBe('💡 LED flipped')
+    })
+  })
 })